@@ -60,5 +60,116 @@ export const productionConfig = {
     defaultRadius: 50, // km
     maxRadius: 100, // km
     minRadius: 1 // km
+  },
+
+  // Subscriptions - orders for the next day are generated every evening (IST)
+  subscriptions: {
+    generationHour: parseInt(process.env.SUBSCRIPTION_GENERATION_HOUR) || 21,
+    generationMinute: parseInt(process.env.SUBSCRIPTION_GENERATION_MINUTE) || 0
+  },
+
+  // Cash-on-delivery closing report, generated late in the evening (IST)
+  cashClosing: {
+    hour: parseInt(process.env.CASH_CLOSING_HOUR) || 23,
+    minute: parseInt(process.env.CASH_CLOSING_MINUTE) || 30
+  },
+
+  // Reservation sweeper - unpaid orders the retailer never confirmed are cancelled and their stock released
+  reservations: {
+    sweepIntervalMinutes: parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MINUTES) || 5,
+    batchSize: 200,
+    timeoutMinutes: {
+      pending: parseInt(process.env.PENDING_ORDER_TIMEOUT_MINUTES) || 120 // retailer never confirmed
+    },
+    // Subscription orders wait for the retailer until this time (IST, HH:mm) on the
+    // delivery day; slot orders wait until their slot ends
+    subscriptionConfirmBy: process.env.SUBSCRIPTION_CONFIRM_BY || '10:00'
+  },
+
+  // Stock batches - expired batches are written off early every morning (IST) and retailers
+  // are alerted about stock expiring within alertDays
+  stockExpiry: {
+    hour: parseInt(process.env.STOCK_EXPIRY_HOUR) || 5,
+    alertDays: parseInt(process.env.STOCK_EXPIRY_ALERT_DAYS) || 2
+  },
+
+  // Delivery charges - platform defaults, retailers can override in Admin.deliverySettings
+  delivery: {
+    minOrderAmount: parseInt(process.env.DELIVERY_MIN_ORDER_AMOUNT) || 0,
+    freeDeliveryAbove: parseInt(process.env.DELIVERY_FREE_ABOVE) || 199,
+    distanceBands: [
+      { upToKm: 2, fee: 0 },
+      { upToKm: 5, fee: 15 },
+      { upToKm: 10, fee: 30 },
+      { upToKm: 100, fee: 50 }
+    ]
+  },
+
+  // GST on the delivery charge (a service, taxed separately from the goods)
+  gst: {
+    deliveryFeeRate: 18,
+    deliveryFeeSac: '996813'
+  },
+
+  // Where issued documents (invoice PDFs) are kept: 'local' disk or 'cloudinary'
+  storage: {
+    driver: process.env.DOCUMENT_STORAGE || 'local',
+    localDir: process.env.DOCUMENT_STORAGE_DIR || 'storage'
+  },
+
+  // Online payments. The in-process 'mock' gateway, whose signatures are made with the
+  // fixed secrets below, is only used when PAYMENT_GATEWAY=mock (see lib/paymentGateway.js)
+  payments: {
+    gateway: process.env.PAYMENT_GATEWAY || 'razorpay',
+    currency: 'INR',
+    razorpay: {
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET || process.env.RAZORPAY_SECRET,
+      webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+      apiBase: process.env.RAZORPAY_API_BASE || 'https://api.razorpay.com/v1'
+    },
+    mock: {
+      keySecret: process.env.MOCK_GATEWAY_SECRET || 'mock_key_secret',
+      webhookSecret: process.env.MOCK_GATEWAY_WEBHOOK_SECRET || 'mock_webhook_secret'
+    },
+    // UPI QR codes paid to the retailer's own UPI ID
+    upiQr: {
+      // Shared secret for the bank's payment callback (HMAC-SHA256 of the body in X-UPI-Signature)
+      webhookSecret: process.env.UPI_WEBHOOK_SECRET
+    }
+  },
+
+  // Customer wallet top-up limits (per top-up, in rupees)
+  wallet: {
+    minTopUp: parseInt(process.env.WALLET_MIN_TOP_UP) || 10,
+    maxTopUp: parseInt(process.env.WALLET_MAX_TOP_UP) || 10000
+  },
+
+  // Retailer settlements - weekly statements (Monday to Sunday) generated on the given weekday
+  settlements: {
+    defaultCommissionRate: parseFloat(process.env.DEFAULT_COMMISSION_RATE) || 10, // %
+    weekday: parseInt(process.env.SETTLEMENT_WEEKDAY) || 1, // 1 = Monday
+    hour: parseInt(process.env.SETTLEMENT_HOUR) || 7,
+    // Orders delivered before this date are not settled through the platform
+    since: process.env.SETTLEMENTS_START_DATE || null
+  },
+
+  // Khata (monthly credit) - bills for the previous month are generated on the 1st
+  khata: {
+    dueDays: parseInt(process.env.KHATA_DUE_DAYS) || 10,
+    billingHour: parseInt(process.env.KHATA_BILLING_HOUR) || 6,
+    blockWhenOverdue: process.env.KHATA_BLOCK_WHEN_OVERDUE !== 'false'
+  },
+
+  // Counter receipts for thermal printers; the QR code links to the order page
+  receipts: {
+    orderLinkBase: process.env.RECEIPT_ORDER_LINK_BASE || 'https://dairy9.in/orders',
+    defaultWidth: parseInt(process.env.RECEIPT_DEFAULT_WIDTH) || 80
+  },
+
+  // Returns - how long after delivery a customer can report a problem
+  returns: {
+    windowHours: parseInt(process.env.RETURN_WINDOW_HOURS) || 48,
+    maxPhotos: 5
   }
 };
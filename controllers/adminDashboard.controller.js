@@ -2,6 +2,9 @@
 
 import Customer from '../models/customer.model.js';
 import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import gstService from '../services/gst.service.js';
+import orderLifecycleService from '../services/orderLifecycle.service.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -119,16 +122,7 @@ export const getAdminOrders = async (req, res) => {
 // @access  Private (Admin)
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid order status'
-      });
-    }
+    const { status, reason } = req.body;
 
     const order = await Order.findOne({ orderId: req.params.orderId });
     
@@ -139,8 +133,8 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    order.orderStatus = status;
-    await order.save();
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    await orderLifecycleService.transition(order, status, { actor, reason });
 
     res.status(200).json({
       success: true,
@@ -148,6 +142,12 @@ export const updateOrderStatus = async (req, res) => {
       order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update Order Status Error:', error);
     res.status(500).json({
       success: false,
@@ -241,6 +241,12 @@ export const generateOverallInvoice = async (req, res) => {
       };
     }
 
+    // Retailers get their own sales only, so the report can back their GST return
+    const retailer = await Admin.findOne({ user: req.user._id }).select('shopName gstin location');
+    if (retailer) {
+      filter.assignedRetailer = retailer._id;
+    }
+
     const orders = await Order.find(filter)
       .populate('customer', 'personalInfo.fullName')
       .populate('items.product', 'name')
@@ -400,6 +406,10 @@ export const generateOverallInvoice = async (req, res) => {
       })}`, 50, detailsTop + 35, { width: 240 });
     }
 
+    if (retailer) {
+      doc.text(`${retailer.shopName} | GSTIN: ${retailer.gstin || 'Unregistered'}`, 50, detailsTop + 50, { width: 260 });
+    }
+
     // Summary stats
     const totalOrders = orders.length;
     const totalRevenue = orders.reduce((sum, order) => sum + order.finalAmount, 0);
@@ -430,15 +440,29 @@ export const generateOverallInvoice = async (req, res) => {
     doc.fillColor('white')
        .fontSize(10)
        .font('Helvetica-Bold')
-       .text('ORDER ID', 60, tableTop + 6)
-       .text('CUSTOMER', 140, tableTop + 6)
-       .text('DATE', 280, tableTop + 6)
-       .text('STATUS', 380, tableTop + 6)
+       .text('INVOICE NO', 60, tableTop + 6)
+       .text('CUSTOMER', 150, tableTop + 6)
+       .text('DATE', 260, tableTop + 6)
+       .text('STATUS', 325, tableTop + 6)
+       .text('GST', 385, tableTop + 6, { width: 70, align: 'right' })
        .text('AMOUNT', 470, tableTop + 6, { width: 60, align: 'right' });
 
+    // Older orders have no stored tax breakup; work it out for the report
+    for (const order of orders) {
+      if (!order.tax?.computedAt) {
+        await gstService.applyToOrder(order, { retailer: retailer || undefined });
+      }
+    }
+
     // Table rows
     let currentY = tableTop + 25;
     orders.forEach((order, index) => {
+      if (currentY > doc.page.height - 130) {
+        doc.addPage();
+        addWatermark();
+        currentY = 50;
+      }
+
       // Alternate row colors
       if (index % 2 === 0) {
         doc.rect(50, currentY - 5, 495, 20)
@@ -446,19 +470,21 @@ export const generateOverallInvoice = async (req, res) => {
            .fill();
       }
 
-      const orderId = order.orderId;
+      const orderId = order.invoice?.number || order.orderId;
       const customerName = order.customer?.personalInfo?.fullName || 'N/A';
       const date = new Date(order.createdAt).toLocaleDateString('en-IN');
       const status = order.paymentStatus.charAt(0).toUpperCase() + order.paymentStatus.slice(1);
       const amount = `₹${order.finalAmount.toFixed(2)}`;
+      const gst = `₹${(order.tax?.totalTax || 0).toFixed(2)}`;
 
       doc.fillColor('#333333')
          .fontSize(9)
          .font('Helvetica')
-         .text(orderId, 60, currentY, { width: 70 })
-         .text(customerName, 140, currentY, { width: 130 })
-         .text(date, 280, currentY, { width: 90 })
-         .text(status, 380, currentY, { width: 80 })
+         .text(orderId, 60, currentY, { width: 85 })
+         .text(customerName, 150, currentY, { width: 105 })
+         .text(date, 260, currentY, { width: 60 })
+         .text(status, 325, currentY, { width: 55 })
+         .text(gst, 385, currentY, { width: 70, align: 'right' })
          .text(amount, 470, currentY, { width: 60, align: 'right' });
 
       currentY += 20;
@@ -485,6 +511,61 @@ export const generateOverallInvoice = async (req, res) => {
        .text('GRAND TOTAL:', 355, totalsTop + 15)
        .text(`₹${totalRevenue.toFixed(2)}`, 515, totalsTop + 15, { align: 'right', width: 70 });
 
+    // GST summary by rate over orders that were not cancelled
+    const taxByRate = new Map();
+    orders
+      .filter(order => order.orderStatus !== 'cancelled')
+      .forEach(order => (order.tax?.summary || []).forEach(row => {
+        const totals = taxByRate.get(row.rate) || { taxableValue: 0, cgst: 0, sgst: 0, igst: 0 };
+        totals.taxableValue += row.taxableValue;
+        totals.cgst += row.cgst;
+        totals.sgst += row.sgst;
+        totals.igst += row.igst;
+        taxByRate.set(row.rate, totals);
+      }));
+
+    if (taxByRate.size > 0) {
+      let taxTop = totalsTop + 65;
+      if (taxTop + 60 + taxByRate.size * 15 > doc.page.height - 110) {
+        doc.addPage();
+        addWatermark();
+        taxTop = 50;
+      }
+
+      doc.fillColor('#333333')
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text('GST SUMMARY', 50, taxTop);
+
+      doc.rect(50, taxTop + 15, 495, 18)
+         .fillColor('#2E8B57')
+         .fill();
+
+      doc.fillColor('white')
+         .fontSize(9)
+         .font('Helvetica-Bold')
+         .text('RATE', 60, taxTop + 20, { width: 60 })
+         .text('TAXABLE VALUE', 150, taxTop + 20, { width: 100, align: 'right' })
+         .text('CGST', 260, taxTop + 20, { width: 85, align: 'right' })
+         .text('SGST', 355, taxTop + 20, { width: 85, align: 'right' })
+         .text('IGST', 450, taxTop + 20, { width: 85, align: 'right' });
+
+      let taxY = taxTop + 38;
+      [...taxByRate.entries()]
+        .sort(([a], [b]) => a - b)
+        .forEach(([rate, totals]) => {
+          doc.fillColor('#333333')
+             .fontSize(9)
+             .font('Helvetica')
+             .text(`${rate}%`, 60, taxY, { width: 60 })
+             .text(`₹${totals.taxableValue.toFixed(2)}`, 150, taxY, { width: 100, align: 'right' })
+             .text(`₹${totals.cgst.toFixed(2)}`, 260, taxY, { width: 85, align: 'right' })
+             .text(`₹${totals.sgst.toFixed(2)}`, 355, taxY, { width: 85, align: 'right' })
+             .text(`₹${totals.igst.toFixed(2)}`, 450, taxY, { width: 85, align: 'right' });
+          taxY += 15;
+        });
+    }
+
     // Footer section
     const footerTop = doc.page.height - 100;
 
@@ -92,7 +92,7 @@ export const getAllProducts = async (req, res) => {
 // Admin: Create category
 export const createCategory = async (req, res) => {
   try {
-    const { name, description, displayOrder } = req.body;
+    const { name, description, displayOrder, hsnCode, gstRate, commissionRate } = req.body;
     
     let imageUrl = '/images/default-category.jpg';
     let imagePublicId = null;
@@ -117,7 +117,10 @@ export const createCategory = async (req, res) => {
       description,
       image: imageUrl,
       imagePublicId,
-      displayOrder
+      displayOrder,
+      hsnCode,
+      gstRate: gstRate !== undefined ? Number(gstRate) : undefined,
+      commissionRate: commissionRate !== undefined && commissionRate !== '' ? Number(commissionRate) : undefined
     });
 
     await category.save();
@@ -133,6 +136,13 @@ export const createCategory = async (req, res) => {
         message: 'Category name already exists' 
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
     res.status(500).json({ 
       success: false,
       message: 'Server error', 
@@ -144,8 +154,8 @@ export const createCategory = async (req, res) => {
 // Admin: Update category
 export const updateCategory = async (req, res) => {
   try {
-    const { name, description, displayOrder } = req.body;
-    const category = await Category.findById(req.params.id);
+    const { name, description, displayOrder, hsnCode, gstRate, commissionRate } = req.body;
+    const category = await Category.findById(req.params.id).select('+commissionRate');
     
     if (!category) {
       return res.status(404).json({
@@ -179,6 +189,12 @@ export const updateCategory = async (req, res) => {
     if (name) category.name = name;
     if (description !== undefined) category.description = description;
     if (displayOrder !== undefined) category.displayOrder = displayOrder;
+    if (hsnCode !== undefined) category.hsnCode = hsnCode;
+    if (gstRate !== undefined) category.gstRate = Number(gstRate);
+    // An empty value clears the category rate (the platform default applies)
+    if (commissionRate !== undefined) {
+      category.commissionRate = commissionRate === '' || commissionRate === null ? undefined : Number(commissionRate);
+    }
 
     await category.save();
 
@@ -194,6 +210,13 @@ export const updateCategory = async (req, res) => {
         message: 'Category name already exists'
       });
     }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
     res.status(500).json({
       success: false,
       message: 'Server error',
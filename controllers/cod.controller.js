@@ -0,0 +1,237 @@
+// controllers/cod.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Order from '../models/order.model.js';
+import CashClosing from '../models/cashClosing.model.js';
+import codService from '../services/cod.service.js';
+import { toDateKey } from '../utils/dateUtils.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Retailers see their own shop, superadmins all
+const getRetailerScope = async (user) => {
+  if (user.role === 'superadmin') return {};
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  return retailer ? { retailer: retailer._id } : null;
+};
+
+// @desc    Record cash collected for a cash-on-delivery order
+// @route   POST /api/admin/retailer/orders/:orderId/cod-collection
+// @access  Private (Retailer)
+export const recordCodCollection = async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope?.retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const order = await Order.findOne({ orderId: req.params.orderId, assignedRetailer: scope.retailer });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const result = await codService.recordCollection(order, {
+      amount: amount ?? order.finalAmount,
+      note,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.short > 0 ? `Collected; ₹${result.short} still due` : 'Cash collected',
+      payment: result.payment,
+      order: {
+        orderId: order.orderId,
+        finalAmount: order.finalAmount,
+        paymentStatus: order.paymentStatus
+      },
+      due: result.due,
+      short: result.short,
+      excess: result.excess
+    });
+  } catch (error) {
+    sendError(res, error, 'Record COD Collection', 'Error recording collection');
+  }
+};
+
+// @desc    Cash-on-delivery orders out for delivery or delivered and not yet paid
+// @route   GET /api/admin/retailer/cod/pending
+// @access  Private (Retailer)
+export const getPendingCodOrders = async (req, res) => {
+  try {
+    const scope = await getRetailerScope(req.user);
+    if (!scope?.retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const orders = await Order.find({
+      assignedRetailer: scope.retailer,
+      orderType: { $ne: 'offline' },
+      paymentMethod: 'cash',
+      paymentStatus: 'pending',
+      orderStatus: { $in: ['out_for_delivery', 'delivered'] }
+    })
+      .select('orderId finalAmount orderStatus deliveredAt deliveryAddress customer')
+      .populate('customer', 'personalInfo.fullName')
+      .sort({ deliveredAt: 1 });
+
+    res.json({
+      success: true,
+      orders,
+      total: orders.length,
+      amount: orders.reduce((sum, order) => sum + order.finalAmount, 0)
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Pending COD', 'Error fetching pending collections');
+  }
+};
+
+// @desc    A day's cash closing, refreshed until the day is closed (date defaults to today)
+// @route   GET /api/admin/retailer/cash-closings/:date
+// @access  Private (Retailer)
+export const getCashClosing = async (req, res) => {
+  try {
+    const scope = await getRetailerScope(req.user);
+    if (!scope?.retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const date = req.params.date === 'today' ? toDateKey() : req.params.date;
+    const closing = await codService.getClosing(scope.retailer, date);
+
+    res.json({
+      success: true,
+      closing
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Cash Closing', 'Error fetching cash closing');
+  }
+};
+
+// @desc    Close a day with the cash counted in hand
+// @route   POST /api/admin/retailer/cash-closings/:date/close
+// @access  Private (Retailer)
+export const closeCashDay = async (req, res) => {
+  try {
+    const { declaredCash, note } = req.body;
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope?.retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const date = req.params.date === 'today' ? toDateKey() : req.params.date;
+    const closing = await codService.closeDay(scope.retailer, date, {
+      declaredCash,
+      note,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      message: closing.cashVariance === 0
+        ? 'Day closed; cash matches'
+        : `Day closed; cash is ${closing.cashVariance < 0 ? 'short' : 'over'} by ₹${Math.abs(closing.cashVariance)}`,
+      closing
+    });
+  } catch (error) {
+    sendError(res, error, 'Close Cash Day', 'Error closing the day');
+  }
+};
+
+// @desc    Cash closings with totals
+// @route   GET /api/admin/retailer/cash-closings
+// @route   GET /api/superadmin/cash-closings
+// @access  Private (Retailer/SuperAdmin)
+export const getCashClosings = async (req, res) => {
+  try {
+    const { page = 1, limit = 30, startDate, endDate, result, status, retailer } = req.query;
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { ...scope };
+    if (retailer && req.user.role === 'superadmin' && mongoose.Types.ObjectId.isValid(retailer)) {
+      filter.retailer = new mongoose.Types.ObjectId(retailer);
+    }
+    if (result) filter.result = result;
+    if (status) filter.status = status;
+    if (startDate || endDate) {
+      filter.date = {};
+      if (startDate) filter.date.$gte = toDateKey(startDate);
+      if (endDate) filter.date.$lte = toDateKey(endDate);
+    }
+
+    const [closings, total, totals] = await Promise.all([
+      CashClosing.find(filter)
+        .select('-cod.pending')
+        .populate('retailer', 'shopName fullName')
+        .sort({ date: -1, retailer: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CashClosing.countDocuments(filter),
+      CashClosing.aggregate([
+        { $match: filter },
+        {
+          $group: {
+            _id: null,
+            expected: { $sum: '$cod.expected' },
+            collected: { $sum: '$cod.collected' },
+            short: { $sum: '$cod.short' },
+            excess: { $sum: '$cod.excess' },
+            counterSales: { $sum: '$counterSales.amount' },
+            cashVariance: { $sum: { $ifNull: ['$cashVariance', 0] } }
+          }
+        }
+      ])
+    ]);
+
+    const { _id, ...summary } = totals[0] || {};
+
+    res.json({
+      success: true,
+      closings,
+      summary,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Cash Closings', 'Error fetching cash closings');
+  }
+};
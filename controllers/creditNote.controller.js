@@ -0,0 +1,433 @@
+// controllers/creditNote.controller.js
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mongoose from 'mongoose';
+import CreditNote from '../models/creditNote.model.js';
+import Customer from '../models/customer.model.js';
+import Admin from '../models/admin.model.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric'
+});
+
+// Customers see their own credit notes, retailers their shop's, superadmins all
+const getScope = async (user) => {
+  if (user.role === 'superadmin') return {};
+  if (user.role === 'admin') {
+    const retailer = await Admin.findOne({ user: user._id }).select('_id');
+    return retailer ? { retailer: retailer._id } : null;
+  }
+  const customer = await Customer.findOne({ user: user._id }).select('_id');
+  return customer ? { customer: customer._id } : null;
+};
+
+// @desc    List credit notes
+// @route   GET /api/credit-notes
+// @route   GET /api/admin/retailer/credit-notes
+// @route   GET /api/superadmin/credit-notes
+// @access  Private (Customer/Retailer/SuperAdmin)
+export const getCreditNotes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, reason, orderId, retailer, startDate, endDate } = req.query;
+
+    const scope = await getScope(req.user);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Profile not found'
+      });
+    }
+
+    const filter = { ...scope };
+    if (reason) filter.reason = reason;
+    if (orderId && mongoose.Types.ObjectId.isValid(orderId)) filter.order = orderId;
+    if (retailer && req.user.role === 'superadmin') filter.retailer = retailer;
+    if (startDate && endDate) {
+      filter.issuedAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const [creditNotes, total, totals] = await Promise.all([
+      CreditNote.find(filter)
+        .populate('order', 'orderId')
+        .populate('retailer', 'shopName')
+        .populate('customer', 'personalInfo.fullName')
+        .sort({ issuedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      CreditNote.countDocuments(filter),
+      CreditNote.aggregate([
+        { $match: filter },
+        { $group: { _id: null, totalAmount: { $sum: '$totalAmount' }, totalTax: { $sum: '$tax.totalTax' } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      creditNotes,
+      summary: {
+        totalAmount: totals[0]?.totalAmount || 0,
+        totalTax: totals[0]?.totalTax || 0
+      },
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get Credit Notes Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate credit note PDF
+// @route   GET /api/credit-notes/:id/pdf
+// @route   GET /api/admin/retailer/credit-notes/:id/pdf
+// @route   GET /api/superadmin/credit-notes/:id/pdf
+// @access  Private (Customer/Retailer/SuperAdmin)
+export const generateCreditNotePdf = async (req, res) => {
+  try {
+    const scope = await getScope(req.user);
+    if (!scope || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const creditNote = await CreditNote.findOne({ _id: req.params.id, ...scope })
+      .populate('order', 'orderId deliveryAddress')
+      .populate('retailer', 'shopName address gstin')
+      .populate('customer', 'personalInfo.fullName personalInfo.phone personalInfo.email')
+      .populate('items.product', 'name');
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const fileName = creditNote.creditNoteNumber.replace(/\//g, '-');
+
+    // Create a new PDF document
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Credit Note - ${creditNote.creditNoteNumber}`,
+        Author: 'Dairy 9',
+        Subject: 'Credit Note',
+        Keywords: 'credit note, invoice, dairy, refund',
+        Creator: 'Dairy 9 System',
+        CreationDate: new Date()
+      }
+    });
+
+    // Set response headers for PDF download
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=credit-note-${fileName}.pdf`);
+    res.setHeader('Cache-Control', 'no-cache');
+
+    // Pipe the PDF to the response
+    doc.pipe(res);
+
+    // Diagonal watermark, same as the invoice
+    const addWatermark = () => {
+      doc.save();
+
+      const centerX = doc.page.width / 2;
+      const centerY = doc.page.height / 2;
+
+      doc.fillColor('black')
+         .font('Helvetica-Bold')
+         .fontSize(150)
+         .opacity(0.05)
+         .rotate(-30, { origin: [centerX, centerY] })
+         .text('DAIRY 9', centerX - 200, centerY - 30, {
+           align: 'center',
+           width: 400
+         })
+         .rotate(30, { origin: [centerX, centerY] });
+
+      doc.restore();
+    };
+
+    doc.on('pageAdded', () => {
+      addWatermark();
+    });
+    addWatermark();
+
+    // Header
+    const headerTop = 50;
+    const logoPath = path.join(__dirname, '../assets/images/logo.jpeg');
+    if (fs.existsSync(logoPath)) {
+      doc.image(logoPath, 50, headerTop, {
+        width: 150,
+        height: 150,
+        fit: [150, 150],
+        align: 'left',
+        valign: 'top'
+      });
+
+      doc.fillColor('#87CEEB')
+         .fontSize(32)
+         .font('Courier-Bold')
+         .text('DAIRY 9', 220, headerTop + 25);
+
+      doc.fillColor('#666666')
+         .fontSize(10)
+         .font('Helvetica')
+         .text('Fresh Dairy Products Delivered Daily', 200, headerTop + 55)
+         .text('123 Dairy Lane, Milk City, MC 12345', 200, headerTop + 70)
+         .text('Phone: +1 (555) 123-4567 | Email: info@dairy9.com', 200, headerTop + 85);
+    } else {
+      doc.fillColor('#87CEEB')
+         .fontSize(28)
+         .font('Courier-Bold')
+         .text('DAIRY 9', 50, headerTop);
+
+      doc.fillColor('#666666')
+         .fontSize(10)
+         .font('Helvetica')
+         .text('Fresh Dairy Products Delivered Daily', 50, headerTop + 35)
+         .text('123 Dairy Lane, Milk City, MC 12345', 50, headerTop + 50)
+         .text('Phone: +1 (555) 123-4567 | Email: info@dairy9.com', 50, headerTop + 65);
+    }
+
+    // Title
+    const titleTop = headerTop + 140;
+    doc.fillColor('#333333')
+       .fontSize(28)
+       .font('Helvetica-Bold')
+       .text('CREDIT NOTE', 0, titleTop, { align: 'center' });
+
+    doc.fillColor('#C0392B')
+       .fontSize(12)
+       .font('Helvetica-Oblique')
+       .text(creditNote.reason === 'cancellation' ? 'Invoice reversed - order cancelled' : 'Invoice corrected - items returned', 0, titleTop + 35, { align: 'center' });
+
+    doc.moveTo(50, titleTop + 60)
+       .lineTo(545, titleTop + 60)
+       .lineWidth(1)
+       .strokeColor('#C0392B')
+       .stroke();
+
+    const retailer = creditNote.retailer;
+    if (retailer) {
+      doc.fillColor('#666666')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(`Issued by: ${retailer.shopName}${retailer.address ? `, ${retailer.address}` : ''} | GSTIN: ${retailer.gstin || creditNote.tax?.sellerGstin || 'Unregistered'}`, 50, titleTop + 68, { width: 495, align: 'center' });
+    }
+
+    // Details - credit note on the left, original invoice on the right
+    const detailsTop = titleTop + 90;
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('CREDIT NOTE DETAILS', 50, detailsTop);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Credit Note Number: ${creditNote.creditNoteNumber}`, 50, detailsTop + 20, { width: 240 })
+       .text(`Date: ${formatDate(creditNote.issuedAt)}`, 50, detailsTop + 35, { width: 240 })
+       .text(`Reason: ${creditNote.reason === 'cancellation' ? 'Order cancelled' : 'Goods returned'}`, 50, detailsTop + 50, { width: 240 });
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('AGAINST INVOICE', 320, detailsTop);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Invoice Number: ${creditNote.invoiceNumber}`, 320, detailsTop + 20, { width: 225 })
+       .text(`Invoice Date: ${creditNote.invoiceDate ? formatDate(creditNote.invoiceDate) : 'N/A'}`, 320, detailsTop + 35, { width: 225 })
+       .text(`Order ID: ${creditNote.order?.orderId || 'N/A'}`, 320, detailsTop + 50, { width: 225 });
+
+    if (creditNote.tax?.placeOfSupply) {
+      doc.text(`Place of Supply: ${creditNote.tax.placeOfSupply}`, 320, detailsTop + 65, { width: 225 });
+    }
+
+    // Customer
+    const customerTop = detailsTop + 90;
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('CREDITED TO', 50, customerTop);
+
+    doc.rect(50, customerTop + 15, 495, 40)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    const customerInfo = creditNote.customer?.personalInfo;
+    doc.fillColor('#333333')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text(customerInfo?.fullName || 'Walk-in customer', 60, customerTop + 23, { width: 475 });
+
+    doc.fillColor('#666666')
+       .fontSize(9)
+       .font('Helvetica')
+       .text(`Phone: ${customerInfo?.phone || 'N/A'}${customerInfo?.email ? ` | Email: ${customerInfo.email}` : ''}`, 60, customerTop + 38, { width: 475 });
+
+    // Reversed items
+    const tableTop = customerTop + 75;
+
+    doc.rect(50, tableTop, 495, 20)
+       .fillColor('#C0392B')
+       .fill();
+
+    doc.fillColor('white')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text('ITEM', 60, tableTop + 6)
+       .text('HSN/SAC', 235, tableTop + 6, { width: 55 })
+       .text('GST', 290, tableTop + 6, { width: 35, align: 'center' })
+       .text('QTY', 325, tableTop + 6, { width: 45, align: 'center' })
+       .text('TAXABLE', 370, tableTop + 6, { width: 75, align: 'right' })
+       .text('AMOUNT', 450, tableTop + 6, { width: 80, align: 'right' });
+
+    let currentY = tableTop + 25;
+    creditNote.items.forEach((item, index) => {
+      if (index % 2 === 0) {
+        doc.rect(50, currentY - 5, 495, 20)
+           .fillColor('#F8F9FA')
+           .fill();
+      }
+
+      doc.fillColor('#333333')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(item.product?.name || item.description || 'Item', 60, currentY, { width: 170 })
+         .text(item.hsnCode || '-', 235, currentY, { width: 55 })
+         .text(`${item.gstRate || 0}%`, 290, currentY, { width: 35, align: 'center' })
+         .text(`${item.quantity || 1} ${item.unit || ''}`.trim(), 325, currentY, { width: 45, align: 'center' })
+         .text(`₹${(item.taxableValue || 0).toFixed(2)}`, 370, currentY, { width: 75, align: 'right' })
+         .text(`₹${item.amount.toFixed(2)}`, 450, currentY, { width: 80, align: 'right' });
+
+      currentY += 20;
+    });
+
+    doc.rect(50, currentY - 5, 495, 1)
+       .fillColor('#E0E0E0')
+       .fill();
+
+    // Tax reversed, per HSN code and rate
+    const tax = creditNote.tax || {};
+    const taxTop = currentY + 20;
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text(`TAX REVERSED (${tax.supplyType === 'inter_state' ? 'IGST' : 'CGST + SGST'})`, 50, taxTop);
+
+    doc.rect(50, taxTop + 15, 495, 18)
+       .fillColor('#C0392B')
+       .fill();
+
+    doc.fillColor('white')
+       .fontSize(9)
+       .font('Helvetica-Bold')
+       .text('HSN/SAC', 60, taxTop + 20, { width: 80 })
+       .text('RATE', 150, taxTop + 20, { width: 50, align: 'center' })
+       .text('TAXABLE VALUE', 210, taxTop + 20, { width: 90, align: 'right' })
+       .text('CGST', 310, taxTop + 20, { width: 70, align: 'right' })
+       .text('SGST', 390, taxTop + 20, { width: 70, align: 'right' })
+       .text('IGST', 465, taxTop + 20, { width: 70, align: 'right' });
+
+    let taxY = taxTop + 38;
+    (tax.summary || []).forEach(row => {
+      doc.fillColor('#333333')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(row.hsnCode || '-', 60, taxY, { width: 80 })
+         .text(`${row.rate}%`, 150, taxY, { width: 50, align: 'center' })
+         .text(`₹${row.taxableValue.toFixed(2)}`, 210, taxY, { width: 90, align: 'right' })
+         .text(`₹${row.cgst.toFixed(2)}`, 310, taxY, { width: 70, align: 'right' })
+         .text(`₹${row.sgst.toFixed(2)}`, 390, taxY, { width: 70, align: 'right' })
+         .text(`₹${row.igst.toFixed(2)}`, 465, taxY, { width: 70, align: 'right' });
+      taxY += 15;
+    });
+
+    // Totals
+    const totalsTop = taxY + 15;
+
+    doc.rect(345, totalsTop, 200, 60)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text('Taxable Value:', 355, totalsTop + 12)
+       .text(`₹${(tax.taxableValue || 0).toFixed(2)}`, 495, totalsTop + 12, { align: 'right', width: 90 })
+       .text('Tax Reversed:', 355, totalsTop + 27)
+       .text(`₹${(tax.totalTax || 0).toFixed(2)}`, 495, totalsTop + 27, { align: 'right', width: 90 });
+
+    doc.moveTo(355, totalsTop + 40)
+       .lineTo(525, totalsTop + 40)
+       .strokeColor('#CCCCCC')
+       .stroke();
+
+    doc.fillColor('#333333')
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Total Credit:', 355, totalsTop + 47)
+       .text(`₹${creditNote.totalAmount.toFixed(2)}`, 495, totalsTop + 47, { align: 'right', width: 90 });
+
+    if (creditNote.notes) {
+      doc.fillColor('#666666')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(`Notes: ${creditNote.notes}`, 50, totalsTop + 80, { width: 495 });
+    }
+
+    // Footer
+    const footerTop = doc.page.height - 100;
+
+    doc.moveTo(50, footerTop)
+       .lineTo(545, footerTop)
+       .strokeColor('#C0392B')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(8)
+       .font('Helvetica')
+       .text(`This credit note reduces the value of invoice ${creditNote.invoiceNumber}.`, 0, footerTop + 15, { align: 'center' })
+       .text('For any queries regarding this credit note, please contact our support team.', 0, footerTop + 28, { align: 'center' })
+       .text('Email: support@dairy9.com | Phone: +1 (555) 123-4567', 0, footerTop + 41, { align: 'center' })
+       .text(`Generated on ${new Date().toLocaleDateString('en-IN')} at ${new Date().toLocaleTimeString('en-IN', {
+         hour: '2-digit',
+         minute: '2-digit'
+       })}`, 0, footerTop + 54, { align: 'center' });
+
+    // Finalize the PDF
+    doc.end();
+
+  } catch (error) {
+    console.error('Generate Credit Note Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating credit note',
+      error: error.message
+    });
+  }
+};
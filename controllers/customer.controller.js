@@ -3,6 +3,8 @@
 
 import Customer from '../models/customer.model.js';
 import User from '../models/user.model.js';
+import subscriptionService from '../services/subscription.service.js';
+import { startOfDay, toDateKey } from '../utils/dateUtils.js';
 
 // Create or Update Customer Profile
 export const createUpdateProfile = async (req, res) => {
@@ -252,3 +254,164 @@ export const getOrderHistory = async (req, res) => {
     res.status(500).json({ message: 'Server error', error: error.message });
   }
 };
+
+// @desc    Schedule a vacation (no deliveries between the two dates)
+// @route   POST /api/customer/vacations
+// @access  Private
+export const addVacation = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const { startDate, endDate, reason } = req.body;
+
+    const today = startOfDay();
+    const start = startDate ? startOfDay(startDate) : null;
+    const end = endDate ? startOfDay(endDate) : null;
+
+    if (!start || !end) {
+      return res.status(400).json({
+        success: false,
+        message: 'Valid startDate and endDate are required'
+      });
+    }
+
+    if (start < today || end < start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vacation must start today or later and end on or after its start date'
+      });
+    }
+
+    const customer = await Customer.findOne({ user: userId });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const overlapping = customer.vacations.find(v =>
+      start <= startOfDay(v.endDate) && end >= startOfDay(v.startDate)
+    );
+    if (overlapping) {
+      return res.status(400).json({
+        success: false,
+        message: `Overlaps an existing vacation (${toDateKey(overlapping.startDate)} to ${toDateKey(overlapping.endDate)})`
+      });
+    }
+
+    customer.vacations.push({
+      startDate: start.toJSDate(),
+      endDate: end.toJSDate(),
+      reason
+    });
+    await customer.save();
+
+    const vacation = customer.vacations[customer.vacations.length - 1];
+
+    // Release stock held for anything already scheduled inside the window
+    const cancelledOrders = await subscriptionService.cancelCustomerOrders(customer._id, {
+      from: start.toJSDate(),
+      to: end.toJSDate(),
+      reason: 'Customer on vacation',
+      userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Vacation scheduled. Deliveries are paused for these dates.',
+      vacation,
+      cancelledOrders
+    });
+  } catch (error) {
+    console.error('Add Vacation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get current and upcoming vacations
+// @route   GET /api/customer/vacations
+// @access  Private
+export const getVacations = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const today = startOfDay();
+    const vacations = customer.vacations
+      .filter(v => req.query.all === 'true' || startOfDay(v.endDate) >= today)
+      .sort((a, b) => a.startDate - b.startDate);
+
+    res.status(200).json({
+      success: true,
+      vacations
+    });
+  } catch (error) {
+    console.error('Get Vacations Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel an upcoming vacation or end an ongoing one early
+// @route   DELETE /api/customer/vacations/:vacationId
+// @access  Private
+export const cancelVacation = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const vacation = customer.vacations.id(req.params.vacationId);
+    if (!vacation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vacation not found'
+      });
+    }
+
+    const today = startOfDay();
+    if (startOfDay(vacation.endDate) < today) {
+      return res.status(400).json({
+        success: false,
+        message: 'Vacation has already ended'
+      });
+    }
+
+    if (startOfDay(vacation.startDate) >= today) {
+      vacation.deleteOne();
+    } else {
+      // Ongoing: keep the days already away, end it yesterday
+      vacation.endDate = today.minus({ days: 1 }).toJSDate();
+    }
+    await customer.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Vacation cancelled. Subscription deliveries restart from the next scheduled run; cancelled one-off orders are not restored.',
+      vacations: customer.vacations
+    });
+  } catch (error) {
+    console.error('Cancel Vacation Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
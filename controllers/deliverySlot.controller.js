@@ -0,0 +1,230 @@
+// controllers/deliverySlot.controller.js
+import Admin from '../models/admin.model.js';
+import Customer from '../models/customer.model.js';
+import DeliverySlot from '../models/deliverySlot.model.js';
+import deliverySlotService from '../services/deliverySlot.service.js';
+import { getClosestRetailer, validateCoordinates } from '../utils/locationUtils.js';
+import { startOfDay } from '../utils/dateUtils.js';
+
+const SLOT_FIELDS = ['label', 'startTime', 'endTime', 'capacity', 'surgeFee', 'cutoffMinutes', 'daysOfWeek', 'isActive'];
+
+const pickSlotFields = (body) => {
+  const data = {};
+  SLOT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// @desc    Get retailer's delivery slots
+// @route   GET /api/admin/retailer/slots
+// @access  Private (Admin/Retailer)
+export const getRetailerSlots = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const slots = await DeliverySlot.find({ retailer: retailer._id }).sort({ isActive: -1, startTime: 1 });
+
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (error) {
+    console.error('Error fetching delivery slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery slots'
+    });
+  }
+};
+
+// @desc    Create a delivery slot
+// @route   POST /api/admin/retailer/slots
+// @access  Private (Admin/Retailer)
+export const createSlot = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const slot = new DeliverySlot({
+      ...pickSlotFields(req.body),
+      retailer: retailer._id
+    });
+    await slot.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery slot created successfully',
+      slot
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error creating delivery slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create delivery slot'
+    });
+  }
+};
+
+// @desc    Update a delivery slot
+// @route   PUT /api/admin/retailer/slots/:slotId
+// @access  Private (Admin/Retailer)
+export const updateSlot = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const slot = await DeliverySlot.findOne({ _id: req.params.slotId, retailer: retailer._id });
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    Object.assign(slot, pickSlotFields(req.body));
+    await slot.save();
+
+    res.json({
+      success: true,
+      message: 'Delivery slot updated successfully',
+      slot
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+    console.error('Error updating delivery slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update delivery slot'
+    });
+  }
+};
+
+// @desc    Deactivate a delivery slot (existing bookings are kept)
+// @route   DELETE /api/admin/retailer/slots/:slotId
+// @access  Private (Admin/Retailer)
+export const deactivateSlot = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const slot = await DeliverySlot.findOneAndUpdate(
+      { _id: req.params.slotId, retailer: retailer._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!slot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery slot not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery slot deactivated',
+      slot
+    });
+  } catch (error) {
+    console.error('Error deactivating delivery slot:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate delivery slot'
+    });
+  }
+};
+
+// @desc    Slot availability for the retailer serving the customer's address
+// @route   GET /api/delivery-slots/availability?date=YYYY-MM-DD[&latitude=&longitude=]
+// @access  Private (Customer)
+export const getSlotAvailability = async (req, res) => {
+  try {
+    const { date, latitude, longitude } = req.query;
+
+    const day = date ? startOfDay(date) : startOfDay();
+    if (!day || day < startOfDay()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be today or later (YYYY-MM-DD)'
+      });
+    }
+
+    let coordinates = null;
+    if (latitude !== undefined && longitude !== undefined) {
+      coordinates = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+    } else {
+      const customer = await Customer.findOne({ user: req.user._id });
+      coordinates = customer?.deliveryAddress?.coordinates;
+    }
+
+    if (!coordinates || !validateCoordinates(coordinates.latitude, coordinates.longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery location is required to check slot availability'
+      });
+    }
+
+    // Same retailer assignment as checkout
+    const retailers = await Admin.find({ isActive: true });
+    const closest = getClosestRetailer(coordinates.latitude, coordinates.longitude, retailers, 100);
+    if (!closest || !closest.retailer) {
+      return res.status(400).json({
+        success: false,
+        message: 'No retailer available within your delivery area.'
+      });
+    }
+
+    const slots = await deliverySlotService.getAvailability(closest.retailer._id, day);
+
+    res.status(200).json({
+      success: true,
+      retailer: {
+        _id: closest.retailer._id,
+        shopName: closest.retailer.shopName,
+        distance: closest.distance
+      },
+      slots
+    });
+  } catch (error) {
+    console.error('Get Slot Availability Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
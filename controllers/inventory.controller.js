@@ -2,6 +2,7 @@
 import asyncHandler from 'express-async-handler';
 import { body, validationResult } from 'express-validator';
 import InventoryService from '../services/inventory.service.js';
+import InventoryBatchService from '../services/inventoryBatch.service.js';
 import Admin from '../models/admin.model.js';
 import Product from '../models/product.model.js';
 import RetailerInventory from '../models/retailerInventory.model.js';
@@ -67,7 +68,19 @@ export const validateAddProduct = [
   body('isActive')
     .optional()
     .isBoolean()
-    .withMessage('isActive must be a boolean value')
+    .withMessage('isActive must be a boolean value'),
+
+  body('batchNumber')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Batch number must be 1-50 characters'),
+
+  body('expiryDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be a valid date (YYYY-MM-DD)')
 ];
 
 export const validateAddStock = [
@@ -82,6 +95,8 @@ export const validateAddStock = [
     .isIn(['PURCHASE', 'RETURN', 'SALE', 'ADJUSTMENT', 'INITIAL', 'ORDER_RESERVATION', 'ORDER_CANCELLED'])
     .withMessage('Valid reason is required'),
   body('unitCost').optional().isFloat({ min: 0 }).withMessage('unitCost must be a non-negative number'),
+  body('batchNumber').optional().isString().trim().isLength({ min: 1, max: 50 }).withMessage('Batch number must be 1-50 characters'),
+  body('expiryDate').optional().isISO8601().withMessage('Expiry date must be a valid date (YYYY-MM-DD)'),
   body('notes').optional().isString().isLength({ max: 500 }).withMessage('Notes must be less than 500 characters')
 ];
 
@@ -180,7 +195,7 @@ export const addProductToInventory = [
         retailer: retailer._id,
         product: req.body.productId,
         productName: originalProduct.name, // Populate from product
-        currentStock: req.body.currentStock || req.body.count || 0, // Use count/currentStock
+        currentStock: 0, // opening stock is added below as a batch
         committedStock: req.body.committedStock || 0,
         sellingPrice: req.body.sellingPrice || defaultSellingPrice, // Use calculated discounted price if not overridden
         costPrice: req.body.costPrice || originalProduct.price, // Use original price as cost price
@@ -196,6 +211,15 @@ export const addProductToInventory = [
 
       // Create new inventory item
       const inventoryItem = new RetailerInventory(inventoryData);
+      const openingStock = parseInt(req.body.currentStock || req.body.count || 0, 10); // Use count/currentStock
+      if (openingStock > 0) {
+        InventoryBatchService.receive(inventoryItem, {
+          quantity: openingStock,
+          batchNumber: req.body.batchNumber,
+          expiryDate: req.body.expiryDate,
+          unitCost: inventoryItem.costPrice
+        });
+      }
       await inventoryItem.save();
 
       // Populate the product details in response
@@ -219,6 +243,7 @@ export const addProductToInventory = [
           maxStockLevel: inventoryItem.maxStockLevel,
           reorderQuantity: inventoryItem.reorderQuantity,
           lowStockAlert: inventoryItem.lowStockAlert,
+          batches: inventoryItem.batches,
           isActive: inventoryItem.isActive,
           stockUpdateReason: inventoryItem.stockUpdateReason,
           lastRestocked: inventoryItem.lastRestocked,
@@ -230,6 +255,13 @@ export const addProductToInventory = [
 
     } catch (error) {
       console.error('Add product to inventory error:', error);
+
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
       
       // Handle duplicate key error (unique constraint violation)
       if (error.code === 11000) {
@@ -280,7 +312,7 @@ export const addStockToInventory = [
         });
       }
 
-      const { productId, quantity, transactionType = 'STOCK_IN', reason = 'PURCHASE', notes } = req.body;
+      const { productId, quantity, transactionType = 'STOCK_IN', reason = 'PURCHASE', notes, batchNumber, expiryDate } = req.body;
 
       // Get retailer from user
       const retailer = await getRetailerFromUser(req.user._id);
@@ -298,9 +330,14 @@ export const addStockToInventory = [
         });
       }
 
-      // Add stock to currentStock
+      // Add stock as a batch (currentStock follows the batches)
       const previousStock = inventoryItem.currentStock || 0;
-      inventoryItem.currentStock = previousStock + parseInt(quantity, 10);
+      const batch = InventoryBatchService.receive(inventoryItem, {
+        quantity: parseInt(quantity, 10),
+        batchNumber,
+        expiryDate,
+        unitCost: req.body.costPrice
+      });
 
       // Update timestamps and optional fields
       inventoryItem.lastRestocked = new Date();
@@ -332,6 +369,8 @@ export const addStockToInventory = [
             notes,
             previousStock,
             newStock: inventoryItem.currentStock,
+            batchNumber: batch.batchNumber,
+            expiryDate: batch.expiryDate,
             ipAddress: req.ip,
             userAgent: req.get('User-Agent')
           });
@@ -372,6 +411,7 @@ export const addStockToInventory = [
           productName: inventoryItem.productName,
           previousStock,
           addedQuantity: parseInt(quantity, 10),
+          batch,
           currentStock: inventoryItem.currentStock,
           availableStock: inventoryItem.availableStock, // virtual
           sellingPrice: inventoryItem.sellingPrice,
@@ -384,6 +424,13 @@ export const addStockToInventory = [
     } catch (error) {
       console.error('Add stock error:', error);
 
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       if (error.name === 'CastError') {
         return res.status(400).json({
           success: false,
@@ -508,6 +555,38 @@ export const getLowStockAlerts = asyncHandler(async (req, res) => {
   }
 });
 
+/**
+ * @desc    Get batches expiring within the next N days
+ * @route   GET /api/retailer/inventory/batches/expiring?days=N
+ * @access  Private (Retailer)
+ */
+export const getExpiringBatches = asyncHandler(async (req, res) => {
+  try {
+    const retailer = await getRetailerFromUser(req.user._id);
+    const days = req.query.days !== undefined ? parseInt(req.query.days, 10) : undefined;
+    if (days !== undefined && !(days >= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a non-negative number'
+      });
+    }
+
+    const batches = await InventoryBatchService.getExpiring(retailer._id, days);
+
+    res.json({
+      success: true,
+      data: batches
+    });
+
+  } catch (error) {
+    console.error('Get expiring batches error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expiring batches'
+    });
+  }
+});
+
 /**
  * @desc    Get inventory logs
  * @route   GET /api/retailer/inventory/logs
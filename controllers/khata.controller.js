@@ -0,0 +1,372 @@
+// controllers/khata.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Customer from '../models/customer.model.js';
+import User from '../models/user.model.js';
+import KhataAccount from '../models/khataAccount.model.js';
+import KhataEntry from '../models/khataEntry.model.js';
+import KhataBill from '../models/khataBill.model.js';
+import khataService from '../services/khata.service.js';
+import { renderKhataBillPdf } from '../utils/khataBillPdf.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const getRetailer = (user) => Admin.findOne({ user: user._id }).select('_id');
+
+const findRetailerAccount = (retailerId, id) => (
+  mongoose.Types.ObjectId.isValid(id) ? KhataAccount.findOne({ _id: id, retailer: retailerId }) : null
+);
+
+const sendBillPdf = async (res, bill) => {
+  await bill.populate([
+    { path: 'retailer', select: 'shopName address contactNumber' },
+    { path: 'customer', select: 'personalInfo user', populate: { path: 'user', select: 'phone' } }
+  ]);
+  const buffer = await renderKhataBillPdf(bill);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename=khata-bill-${bill.billNumber.replace(/\//g, '-')}.pdf`);
+  res.setHeader('Content-Length', buffer.length);
+  res.send(buffer);
+};
+
+// @desc    Khata accounts of the retailer's customers
+// @route   GET /api/admin/retailer/khata?status=&overdue=true
+// @access  Private (Retailer)
+export const getKhataAccounts = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, overdue } = req.query;
+
+    const retailer = await getRetailer(req.user);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { retailer: retailer._id };
+    if (status) filter.status = status;
+    if (overdue !== undefined) filter.isOverdue = overdue === 'true';
+
+    const [accounts, total, totals] = await Promise.all([
+      KhataAccount.find(filter)
+        .populate({ path: 'customer', select: 'personalInfo.fullName user', populate: { path: 'user', select: 'phone' } })
+        .sort({ isOverdue: -1, outstanding: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      KhataAccount.countDocuments(filter),
+      KhataAccount.aggregate([
+        { $match: { retailer: retailer._id } },
+        {
+          $group: {
+            _id: null,
+            outstanding: { $sum: { $max: ['$outstanding', 0] } },
+            overdueAccounts: { $sum: { $cond: ['$isOverdue', 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      accounts,
+      summary: {
+        outstanding: totals[0]?.outstanding || 0,
+        overdueAccounts: totals[0]?.overdueAccounts || 0
+      },
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Khata Accounts', 'Error fetching khata accounts');
+  }
+};
+
+// @desc    Enable khata for a customer (by customerId or phone) with a credit limit
+// @route   POST /api/admin/retailer/khata
+// @access  Private (Retailer)
+export const enableKhata = async (req, res) => {
+  try {
+    const { customerId, phone, creditLimit, dueDays, notes } = req.body;
+
+    const retailer = await getRetailer(req.user);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    let customer = null;
+    if (customerId && mongoose.Types.ObjectId.isValid(customerId)) {
+      customer = await Customer.findById(customerId).select('_id');
+    } else if (phone) {
+      const user = await User.findOne({ phone }).select('_id');
+      customer = user && await Customer.findOne({ user: user._id }).select('_id');
+    }
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const account = await khataService.enable(retailer._id, customer._id, {
+      creditLimit,
+      dueDays,
+      notes,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Khata enabled',
+      account
+    });
+  } catch (error) {
+    sendError(res, error, 'Enable Khata', 'Error enabling khata');
+  }
+};
+
+// @desc    Khata account with its ledger and bills
+// @route   GET /api/admin/retailer/khata/:id
+// @access  Private (Retailer)
+export const getKhataAccount = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+
+    const retailer = await getRetailer(req.user);
+    const account = retailer && await findRetailerAccount(retailer._id, req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Khata account not found'
+      });
+    }
+
+    await account.populate({ path: 'customer', select: 'personalInfo.fullName user', populate: { path: 'user', select: 'phone' } });
+    const [entries, total, bills] = await Promise.all([
+      KhataEntry.find({ account: account._id })
+        .sort({ entryDate: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      KhataEntry.countDocuments({ account: account._id }),
+      KhataBill.find({ account: account._id })
+        .select('-lines')
+        .sort({ periodStart: -1 })
+    ]);
+
+    res.json({
+      success: true,
+      account,
+      entries,
+      bills,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Khata Account', 'Error fetching khata account');
+  }
+};
+
+// @desc    Change a khata's credit limit, due days or status
+// @route   PUT /api/admin/retailer/khata/:id
+// @access  Private (Retailer)
+export const updateKhataAccount = async (req, res) => {
+  try {
+    const { creditLimit, dueDays, status, notes } = req.body;
+
+    const retailer = await getRetailer(req.user);
+    const account = retailer && await findRetailerAccount(retailer._id, req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Khata account not found'
+      });
+    }
+
+    await khataService.update(account, { creditLimit, dueDays, status, notes });
+
+    res.json({
+      success: true,
+      message: 'Khata updated',
+      account
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Khata', 'Error updating khata');
+  }
+};
+
+// @desc    Record a (part-)payment against a khata
+// @route   POST /api/admin/retailer/khata/:id/payments
+// @access  Private (Retailer)
+export const recordKhataPayment = async (req, res) => {
+  try {
+    const { amount, method, reference, note } = req.body;
+
+    const retailer = await getRetailer(req.user);
+    const account = retailer && await findRetailerAccount(retailer._id, req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Khata account not found'
+      });
+    }
+
+    const result = await khataService.recordPayment(account, {
+      amount,
+      method,
+      reference,
+      note,
+      userId: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded',
+      entry: result.entry,
+      bill: result.bill,
+      outstanding: result.account.outstanding,
+      isOverdue: result.account.isOverdue
+    });
+  } catch (error) {
+    sendError(res, error, 'Record Khata Payment', 'Error recording payment');
+  }
+};
+
+// @desc    Generate a month's bill now (defaults to last month)
+// @route   POST /api/admin/retailer/khata/:id/bills
+// @access  Private (Retailer)
+export const generateKhataBill = async (req, res) => {
+  try {
+    const retailer = await getRetailer(req.user);
+    const account = retailer && await findRetailerAccount(retailer._id, req.params.id);
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        message: 'Khata account not found'
+      });
+    }
+
+    const period = req.body.period || khataService.previousPeriod();
+    const bill = await khataService.generateBill(account, period, { userId: req.user._id });
+    if (!bill) {
+      return res.status(200).json({
+        success: true,
+        message: `Nothing to bill for ${period}`,
+        bill: null
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Bill generated',
+      bill
+    });
+  } catch (error) {
+    sendError(res, error, 'Generate Khata Bill', 'Error generating bill');
+  }
+};
+
+// @desc    Download a khata bill
+// @route   GET /api/admin/retailer/khata/bills/:billId/pdf
+// @access  Private (Retailer)
+export const downloadRetailerKhataBill = async (req, res) => {
+  try {
+    const retailer = await getRetailer(req.user);
+    const bill = retailer && mongoose.Types.ObjectId.isValid(req.params.billId)
+      && await KhataBill.findOne({ _id: req.params.billId, retailer: retailer._id });
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    await sendBillPdf(res, bill);
+  } catch (error) {
+    sendError(res, error, 'Download Khata Bill', 'Error downloading bill');
+  }
+};
+
+// @desc    The customer's khata accounts with recent entries and bills
+// @route   GET /api/customer/khata
+// @access  Private (Customer)
+export const getMyKhata = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ user: req.user._id }).select('_id');
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const accounts = await KhataAccount.find({ customer: customer._id, status: { $ne: 'closed' } })
+      .select('-enabledBy -notes')
+      .populate('retailer', 'shopName contactNumber')
+      .lean();
+
+    const khata = await Promise.all(accounts.map(async (account) => {
+      const [entries, bills] = await Promise.all([
+        KhataEntry.find({ account: account._id })
+          .select('type amount balanceAfter orderId description method entryDate')
+          .sort({ entryDate: -1 })
+          .limit(30),
+        KhataBill.find({ account: account._id })
+          .select('-lines -generatedBy')
+          .sort({ periodStart: -1 })
+          .limit(12)
+      ]);
+      return {
+        ...account,
+        available: Math.max(account.creditLimit - account.outstanding, 0),
+        entries,
+        bills
+      };
+    }));
+
+    res.json({
+      success: true,
+      accounts: khata
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Khata', 'Error fetching khata');
+  }
+};
+
+// @desc    Download one of the customer's khata bills
+// @route   GET /api/customer/khata/bills/:billId/pdf
+// @access  Private (Customer)
+export const downloadMyKhataBill = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ user: req.user._id }).select('_id');
+    const bill = customer && mongoose.Types.ObjectId.isValid(req.params.billId)
+      && await KhataBill.findOne({ _id: req.params.billId, customer: customer._id });
+    if (!bill) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bill not found'
+      });
+    }
+
+    await sendBillPdf(res, bill);
+  } catch (error) {
+    sendError(res, error, 'Download Khata Bill', 'Error downloading bill');
+  }
+};
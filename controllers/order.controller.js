@@ -6,11 +6,16 @@ import Product from '../models/product.model.js';
 import Admin from '../models/admin.model.js';
 import { getClosestRetailer, validateCoordinates, calculateDistance } from '../utils/locationUtils.js';
 import inventoryService from '../services/inventory.service.js';
-
-// Generate unique order ID
-const generateOrderId = () => {
-  return 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
-};
+import deliverySlotService from '../services/deliverySlot.service.js';
+import deliveryFeeService from '../services/deliveryFee.service.js';
+import gstService from '../services/gst.service.js';
+import invoiceService from '../services/invoice.service.js';
+import paymentService from '../services/payment.service.js';
+import orderLifecycleService from '../services/orderLifecycle.service.js';
+import orderEditService from '../services/orderEdit.service.js';
+import promotionService from '../services/promotion.service.js';
+import khataService from '../services/khata.service.js';
+import { generateOrderId } from '../utils/generateOrderId.js';
 
 // Helper function to find order by ID (supports both orderId string and MongoDB _id)
 const findOrderById = async (orderIdentifier) => {
@@ -21,6 +26,35 @@ const findOrderById = async (orderIdentifier) => {
   }
 };
 
+// Order as returned by checkout
+const checkoutSummary = (order) => ({
+  _id: order._id,
+  orderId: order.orderId,
+  totalAmount: order.totalAmount,
+  discount: order.discount,
+  appliedPromotions: order.appliedPromotions,
+  deliveryFee: order.deliveryFee,
+  finalAmount: order.finalAmount,
+  tax: order.tax,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  orderStatus: order.orderStatus,
+  reservationStatus: order.reservationStatus,
+  assignedRetailer: order.assignedRetailer,
+  deliveryDate: order.deliveryDate,
+  deliverySlot: order.deliverySlot,
+  items: order.items.map(item => ({
+    product: item.product,
+    quantity: item.quantity,
+    price: item.price,
+    originalPrice: item.originalPrice,
+    isPriceOverridden: item.isPriceOverridden,
+    priceSource: item.priceSource,
+    unit: item.unit
+  })),
+  priceSource: order.priceSource
+});
+
 // Helper function to get retailer's inventory prices
 const getRetailerInventoryPrices = async (retailerId, authToken) => {
   try {
@@ -54,7 +88,10 @@ export const createOrder = async (req, res) => {
       deliveryAddress, 
       deliveryTime, 
       paymentMethod, 
-      specialInstructions 
+      specialInstructions,
+      deliverySlot,
+      couponCode,
+      idempotencyKey
     } = req.body;
 
     // Get customer profile
@@ -67,6 +104,21 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    // 🔁 RETRIED CHECKOUT: the order placed with this key is returned, nothing is charged again
+    if (idempotencyKey) {
+      const placed = await Order.findOne({ customer: customer._id, idempotencyKey }).session(session);
+      if (placed) {
+        await session.abortTransaction();
+        await placed.populate('items.product', 'name image unit');
+        await placed.populate('assignedRetailer', 'shopName fullName contactNumber');
+        return res.status(200).json({
+          success: true,
+          message: 'Order already placed',
+          order: checkoutSummary(placed)
+        });
+      }
+    }
+
     // Find the closest retailer for order assignment FIRST
     let assignedRetailer = null;
     let assignmentDetails = null;
@@ -142,6 +194,20 @@ export const createOrder = async (req, res) => {
       });
     }
 
+    // Book the requested delivery slot with the assigned retailer (optional for older clients)
+    let slotBooking = null;
+    if (deliverySlot?.slotId) {
+      slotBooking = await deliverySlotService.checkSlotBooking(assignedRetailer, deliverySlot.slotId, deliverySlot.date);
+      if (!slotBooking.available) {
+        await session.abortTransaction();
+        return res.status(400).json({
+          success: false,
+          message: slotBooking.message,
+          suggestion: 'Please pick another delivery slot.'
+        });
+      }
+    }
+
     // 🔥 CRITICAL FIX: Get retailer's inventory prices BEFORE processing items
     console.log('💰 Fetching retailer inventory prices for order...');
     const inventoryItems = await getRetailerInventoryPrices(assignedRetailer, req.headers.authorization);
@@ -150,6 +216,7 @@ export const createOrder = async (req, res) => {
     // Process order items with retailer's overridden prices
     let totalAmount = 0;
     const orderItems = [];
+    const pricedLines = [];
 
     for (const item of items) {
       const product = await Product.findById(item.productId);
@@ -187,13 +254,17 @@ export const createOrder = async (req, res) => {
         console.log(`💰 Using catalog price for ${product.name}: ${finalPrice}`);
       }
 
-      const itemTotal = finalPrice * item.quantity;
+      // Catalog discount (Product.discount) applies on top of the shop price
+      const chargedPrice = promotionService.getUnitPrice(finalPrice, product);
+
+      const itemTotal = chargedPrice * item.quantity;
       totalAmount += itemTotal;
+      pricedLines.push({ product, quantity: item.quantity, price: chargedPrice });
 
       orderItems.push({
         product: product._id,
         quantity: item.quantity,
-        price: finalPrice, // 🔥 Use overridden price
+        price: chargedPrice, // 🔥 Use overridden price
         originalPrice: product.price, // Store original price
         isPriceOverridden: isPriceOverridden, // Track override
         priceSource: isPriceOverridden ? 'retailer_inventory' : 'catalog',
@@ -205,6 +276,37 @@ export const createOrder = async (req, res) => {
 
     console.log(`🧮 Order total calculated: ₹${totalAmount}`);
 
+    // 🎟️ APPLY PROMOTIONS (automatic offers + optional coupon)
+    const pricing = await promotionService.evaluate({
+      retailerId: assignedRetailer,
+      customerId: customer._id,
+      lines: pricedLines,
+      code: couponCode
+    });
+    if (couponCode && pricing.couponError) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: pricing.couponError
+      });
+    }
+
+    // 🚚 DELIVERY FEE + MINIMUM ORDER (on the discounted cart)
+    const deliveryQuote = deliveryFeeService.quote({
+      retailer: closestRetailerInfo.retailer,
+      distance: closestRetailerInfo.distance,
+      cartValue: pricing.total,
+      slot: slotBooking?.slot
+    });
+    if (!deliveryQuote.meetsMinimum) {
+      await session.abortTransaction();
+      return res.status(400).json({
+        success: false,
+        message: `Minimum order amount is ₹${deliveryQuote.minOrderAmount}. Add items worth ₹${deliveryQuote.shortBy} more.`,
+        deliveryQuote
+      });
+    }
+
     // 👇 CHECK RETAILER INVENTORY AVAILABILITY
     const stockCheck = await inventoryService.checkStockAvailability(assignedRetailer, items);
     if (!stockCheck.allAvailable) {
@@ -223,20 +325,84 @@ export const createOrder = async (req, res) => {
       customer: customer._id,
       items: orderItems,
       totalAmount,
-      finalAmount: totalAmount,
+      discount: pricing.discount,
+      appliedPromotions: pricing.applied,
+      deliveryFee: deliveryFeeService.toOrderLine(deliveryQuote),
+      finalAmount: pricing.total + deliveryQuote.amount,
       deliveryAddress: addressToUse,
-      deliveryTime: deliveryTime || customer.preferences?.deliveryTime,
+      deliveryTime: slotBooking ? slotBooking.slot.label : (deliveryTime || customer.preferences?.deliveryTime),
       paymentMethod: paymentMethod || 'cash',
       specialInstructions,
-      deliveryDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      deliveryDate: slotBooking ? slotBooking.window.start.toJSDate() : new Date(Date.now() + 24 * 60 * 60 * 1000),
+      deliverySlot: slotBooking ? {
+        slot: slotBooking.slot._id,
+        date: slotBooking.day.toJSDate(),
+        label: slotBooking.slot.label,
+        startTime: slotBooking.slot.startTime,
+        endTime: slotBooking.slot.endTime
+      } : undefined,
       assignedRetailer,
       assignmentDetails,
       reservationStatus: 'not_reserved',
       orderStatus: 'pending',
-      priceSource: orderItems.some(item => item.isPriceOverridden) ? 'retailer_inventory' : 'catalog'
+      priceSource: orderItems.some(item => item.isPriceOverridden) ? 'retailer_inventory' : 'catalog',
+      idempotencyKey: idempotencyKey ? String(idempotencyKey) : undefined
     });
+    await gstService.applyToOrder(order, { retailer: closestRetailerInfo.retailer });
 
-    await order.save({ session });
+    // 📒 KHATA: the order has to fit in the customer's credit with this shop
+    if (order.paymentMethod === 'khata') {
+      try {
+        await khataService.assertCanCharge(assignedRetailer, customer._id, order.finalAmount);
+      } catch (khataError) {
+        await session.abortTransaction();
+        return res.status(khataError.statusCode || 500).json({
+          success: false,
+          message: khataError.message
+        });
+      }
+    }
+
+    // 🕒 SLOT: the place is taken in the order transaction, so racing checkouts cannot overbook it
+    if (slotBooking) {
+      try {
+        await deliverySlotService.bookSlot(slotBooking, { session });
+      } catch (slotError) {
+        await session.abortTransaction();
+        return res.status(slotError.statusCode || 500).json({
+          success: false,
+          message: slotError.message,
+          suggestion: 'Please pick another delivery slot.'
+        });
+      }
+    }
+
+    try {
+      await order.save({ session });
+    } catch (saveError) {
+      // The same checkout is being placed by a concurrent retry
+      if (idempotencyKey && (saveError.code === 11000 || saveError.hasErrorLabel?.('TransientTransactionError'))) {
+        await session.abortTransaction();
+        return res.status(409).json({
+          success: false,
+          message: 'This order is already being placed. Check your orders before trying again.'
+        });
+      }
+      throw saveError;
+    }
+
+    // 👛 WALLET: debited inside the order transaction, so a failed order never charges it
+    if (order.paymentMethod === 'wallet') {
+      try {
+        await paymentService.payFromWallet(order, { session });
+      } catch (walletError) {
+        await session.abortTransaction();
+        return res.status(walletError.statusCode || 500).json({
+          success: false,
+          message: walletError.message
+        });
+      }
+    }
 
     // 👇 RESERVE STOCK IN RETAILER INVENTORY
     try {
@@ -260,6 +426,8 @@ export const createOrder = async (req, res) => {
       await order.save({ session });
       await session.commitTransaction();
 
+      if (order.paymentStatus === 'paid') await invoiceService.issueSafely(order, 'payment');
+
       // Populate order for response
       await order.populate('items.product', 'name image unit');
       await order.populate('assignedRetailer', 'shopName fullName contactNumber');
@@ -269,25 +437,7 @@ export const createOrder = async (req, res) => {
       res.status(201).json({
         success: true,
         message: 'Order created successfully and stock reserved',
-        order: {
-          _id: order._id,
-          orderId: order.orderId,
-          totalAmount: order.totalAmount,
-          finalAmount: order.finalAmount,
-          orderStatus: order.orderStatus,
-          reservationStatus: order.reservationStatus,
-          assignedRetailer: order.assignedRetailer,
-          items: order.items.map(item => ({
-            product: item.product,
-            quantity: item.quantity,
-            price: item.price,
-            originalPrice: item.originalPrice,
-            isPriceOverridden: item.isPriceOverridden,
-            priceSource: item.priceSource,
-            unit: item.unit
-          })),
-          priceSource: order.priceSource
-        },
+        order: checkoutSummary(order),
         reservationDetails: {
           reservedItems: reservationResult.reservedItems.length,
           message: reservationResult.message
@@ -512,6 +662,9 @@ export const createOfflineOrder = async (req, res) => {
 
       await session.commitTransaction();
 
+      // Counter sales are delivered and paid on the spot
+      await invoiceService.issueSafely(order, 'payment');
+
       // Populate order for response
       await order.populate('items.product', 'name image unit');
 
@@ -541,6 +694,7 @@ export const createOfflineOrder = async (req, res) => {
           })),
           customerName: order.customerName,
           customerPhone: order.customerPhone,
+          receiptUrl: `/api/orders/${order.orderId}/receipt`,
           processedBy: {
             retailerName: retailer.fullName,
             shopName: retailer.shopName
@@ -783,18 +937,9 @@ export const getOrderById = async (req, res) => {
 // @access  Private
 export const cancelOrder = async (req, res) => {
   try {
-    const userId = req.user._id;
     const orderIdentifier = req.params.id;
     const { reason = 'Customer cancellation' } = req.body;
 
-    const customer = await Customer.findOne({ user: userId });
-    if (!customer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Customer profile not found'
-      });
-    }
-
     // Use helper function to find order
     const order = await findOrderById(orderIdentifier);
 
@@ -805,53 +950,91 @@ export const cancelOrder = async (req, res) => {
       });
     }
 
-    // Check if customer owns this order
-    if (order.customer.toString() !== customer._id.toString()) {
-      return res.status(403).json({
+    // Ownership and the pending/confirmed rule are enforced by the lifecycle
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    const { inventory, creditNote, refunds } = await orderLifecycleService.transition(order, 'cancelled', { actor, reason });
+
+    res.status(200).json({
+      success: true,
+      message: 'Order cancelled successfully and reserved stock released',
+      order: {
+        _id: order._id,
+        orderId: order.orderId,
+        orderStatus: order.orderStatus,
+        reservationStatus: order.reservationStatus
+      },
+      stockReleased: inventory,
+      creditNote,
+      refunds: refunds.map(refund => ({
+        refundId: refund.refundId,
+        amount: refund.amount,
+        destination: refund.destination,
+        status: refund.status
+      }))
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
         success: false,
-        message: 'Access denied. You can only cancel your own orders.'
+        message: error.message
       });
     }
+    console.error('Cancel Order Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
 
-    // Only pending or confirmed orders can be cancelled
-    if (!['pending', 'confirmed'].includes(order.orderStatus)) {
-      return res.status(400).json({
+// @desc    Edit order items before dispatch (re-balances reserved stock)
+// @route   PATCH /api/orders/:id/items
+// @access  Private (Customer/Retailer)
+export const updateOrderItems = async (req, res) => {
+  try {
+    const { items, note } = req.body;
+
+    const order = await findOrderById(req.params.id);
+    if (!order) {
+      return res.status(404).json({
         success: false,
-        message: `Cannot cancel order in ${order.orderStatus} status`
+        message: 'Order not found'
       });
     }
 
-    // 👇 RELEASE RESERVED STOCK if order was reserved
-    let stockReleaseResult = null;
-    if (order.reservationStatus === 'reserved') {
-      stockReleaseResult = await inventoryService.cancelOrderReservation(
-        order._id,
-        order.assignedRetailer,
-        req.user._id,
-        reason
-      );
-    }
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    const { changes, reservation } = await orderEditService.updateItems(order, items, { actor, note });
 
-    // Update order status
-    order.orderStatus = 'cancelled';
-    order.reservationStatus = 'released';
-    order.releaseDate = new Date();
-    order.cancellationReason = reason;
-    await order.save();
+    await order.populate('items.product', 'name image unit');
 
     res.status(200).json({
       success: true,
-      message: 'Order cancelled successfully and reserved stock released',
+      message: 'Order updated successfully',
       order: {
         _id: order._id,
         orderId: order.orderId,
         orderStatus: order.orderStatus,
-        reservationStatus: order.reservationStatus
+        reservationStatus: order.reservationStatus,
+        totalAmount: order.totalAmount,
+        discount: order.discount,
+        deliveryFee: order.deliveryFee,
+        finalAmount: order.finalAmount,
+        items: order.items,
+        changeLog: order.changeLog
       },
-      stockReleased: stockReleaseResult
+      changes,
+      reservationDetails: reservation
     });
   } catch (error) {
-    console.error('Cancel Order Error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        stockDetails: error.stockDetails
+      });
+    }
+    console.error('Update Order Items Error:', error);
     res.status(500).json({
       success: false,
       message: 'Server error',
@@ -862,22 +1045,13 @@ export const cancelOrder = async (req, res) => {
 
 // @desc    Update order status WITH INVENTORY HANDLING
 // @route   PUT /api/orders/:id/status
-// @access  Private/Admin/Retailer
+// @access  Private/Admin/Retailer/SuperAdmin
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const orderIdentifier = req.params.id;
 
-    const validStatuses = ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
-
-    console.log('Update Order Status Request:', { orderIdentifier, status, user: req.user });
-
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid order status'
-      });
-    }
+    console.log('Update Order Status Request:', { orderIdentifier, status, user: req.user._id });
 
     // Use helper function to find order
     const order = await findOrderById(orderIdentifier);
@@ -890,74 +1064,11 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // If user is retailer, check if order is assigned to them
-    if (req.user.role === 'retailer') {
-      const retailer = await Admin.findOne({ user: req.user._id });
-      if (!retailer) {
-        return res.status(404).json({
-          success: false,
-          message: 'Retailer profile not found'
-        });
-      }
-
-      if (!order.assignedRetailer || order.assignedRetailer.toString() !== retailer._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. This order is not assigned to you.'
-        });
-      }
-    }
-
     console.log('Found order:', order._id, 'current status:', order.orderStatus);
 
-    // 👇 HANDLE DELIVERY - DEDUCT RESERVED STOCK
-    if (status === 'delivered' && order.orderStatus !== 'delivered') {
-      if (order.reservationStatus === 'reserved') {
-        try {
-          const deliveryResult = await inventoryService.confirmOrderDelivery(
-            order._id,
-            order.assignedRetailer,
-            req.user._id
-          );
-          console.log('Stock deducted on delivery:', deliveryResult);
-          order.reservationStatus = 'delivered';
-        } catch (deliveryError) {
-          console.error('Failed to deduct stock on delivery:', deliveryError);
-          return res.status(400).json({
-            success: false,
-            message: 'Failed to update inventory: ' + deliveryError.message
-          });
-        }
-      }
-    }
-
-    // 👇 HANDLE CANCELLATION - RELEASE RESERVED STOCK
-    if (status === 'cancelled' && order.orderStatus !== 'cancelled') {
-      if (order.reservationStatus === 'reserved') {
-        try {
-          const releaseResult = await inventoryService.cancelOrderReservation(
-            order._id,
-            order.assignedRetailer,
-            req.user._id,
-            'Status update cancellation'
-          );
-          console.log('Stock released on cancellation:', releaseResult);
-          order.reservationStatus = 'released';
-        } catch (releaseError) {
-          console.error('Failed to release stock on cancellation:', releaseError);
-          // Continue with cancellation even if stock release fails
-        }
-      }
-    }
-
-    order.orderStatus = status;
-    
-    // If delivered, set delivered at timestamp
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    }
-
-    await order.save();
+    // 👇 Transition rules and stock reserve/deduct/release live in the lifecycle service
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    await orderLifecycleService.transition(order, status, { actor, reason });
 
     // Populate order for response
     await order.populate('items.product', 'name image unit');
@@ -972,6 +1083,12 @@ export const updateOrderStatus = async (req, res) => {
       order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update Order Status Error:', error);
     res.status(500).json({
       success: false,
@@ -1145,29 +1262,10 @@ export const getRetailerOrderStats = async (req, res) => {
 // @access  Private/Retailer
 export const updateOrderStatusByRetailer = async (req, res) => {
   try {
-    const userId = req.user._id;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const orderIdentifier = req.params.id;
 
-    console.log('Retailer updating order status:', { retailerId: userId, orderIdentifier, status });
-
-    const validStatuses = ['confirmed', 'preparing', 'out_for_delivery', 'delivered'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid order status for retailer'
-      });
-    }
-
-    // Verify retailer exists
-    const retailer = await Admin.findOne({ user: userId });
-    if (!retailer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Retailer profile not found'
-      });
-    }
+    console.log('Retailer updating order status:', { retailerId: req.user._id, orderIdentifier, status });
 
     // Use helper function to find order
     const order = await findOrderById(orderIdentifier);
@@ -1179,56 +1277,8 @@ export const updateOrderStatusByRetailer = async (req, res) => {
       });
     }
 
-    // Check if order is assigned to this retailer
-    if (!order.assignedRetailer || order.assignedRetailer.toString() !== retailer._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Order not assigned to you'
-      });
-    }
-
-    // Validate status transition
-    const statusFlow = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['preparing', 'cancelled'],
-      preparing: ['out_for_delivery'],
-      out_for_delivery: ['delivered']
-    };
-
-    if (!statusFlow[order.orderStatus]?.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot change status from ${order.orderStatus} to ${status}`
-      });
-    }
-
-    // 👇 HANDLE DELIVERY - DEDUCT RESERVED STOCK
-    if (status === 'delivered' && order.reservationStatus === 'reserved') {
-      try {
-        const deliveryResult = await inventoryService.confirmOrderDelivery(
-          order._id,
-          order.assignedRetailer,
-          req.user._id
-        );
-        console.log('Stock deducted on delivery:', deliveryResult);
-        order.reservationStatus = 'delivered';
-      } catch (deliveryError) {
-        console.error('Failed to deduct stock on delivery:', deliveryError);
-        return res.status(400).json({
-          success: false,
-          message: 'Failed to update inventory: ' + deliveryError.message
-        });
-      }
-    }
-
-    order.orderStatus = status;
-    
-    // If delivered, set delivered at timestamp
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    }
-
-    await order.save();
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    await orderLifecycleService.transition(order, status, { actor, reason });
 
     // Populate for response
     await order.populate('items.product', 'name image unit');
@@ -1240,6 +1290,12 @@ export const updateOrderStatusByRetailer = async (req, res) => {
       order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Update Order Status by Retailer Error:', error);
     res.status(500).json({
       success: false,
@@ -1264,43 +1320,9 @@ export const markOrderDelivered = async (req, res) => {
       });
     }
 
-    // Verify the retailer is authorized to update this order
-    if (req.user.role === 'retailer') {
-      const retailer = await Admin.findOne({ user: req.user._id });
-      if (!retailer || order.assignedRetailer.toString() !== retailer._id.toString()) {
-        return res.status(403).json({
-          success: false,
-          message: 'Not authorized to update this order'
-        });
-      }
-    }
-
-    if (order.orderStatus === 'delivered') {
-      return res.status(400).json({
-        success: false,
-        message: 'Order is already delivered'
-      });
-    }
-
-    if (order.reservationStatus !== 'reserved') {
-      return res.status(400).json({
-        success: false,
-        message: 'Order stock is not reserved'
-      });
-    }
-
-    // DEDUCT STOCK from retailer inventory
-    const deliveryResult = await inventoryService.confirmOrderDelivery(
-      order._id,
-      order.assignedRetailer,
-      req.user._id
-    );
-
-    // Update order status
-    order.orderStatus = 'delivered';
-    order.reservationStatus = 'delivered';
-    order.deliveredAt = new Date();
-    await order.save();
+    // Only out_for_delivery orders can be delivered; stock is deducted by the lifecycle
+    const actor = await orderLifecycleService.resolveActor(req.user);
+    const { inventory } = await orderLifecycleService.transition(order, 'delivered', { actor });
 
     res.json({
       success: true,
@@ -1312,10 +1334,16 @@ export const markOrderDelivered = async (req, res) => {
         reservationStatus: order.reservationStatus,
         deliveredAt: order.deliveredAt
       },
-      inventoryUpdate: deliveryResult
+      inventoryUpdate: inventory
     });
 
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Mark order delivered error:', error);
     res.status(500).json({
       success: false,
@@ -1,25 +1,37 @@
 // C:\Users\Krishna\OneDrive\Desktop\backend-dairy9\Dairy9-Backend\controllers\payment.controller.js
 
+import mongoose from 'mongoose';
 import Payment from '../models/payment.model.js';
 import Order from '../models/order.model.js';
 import Customer from '../models/customer.model.js';
-import crypto from 'crypto';
+import Refund from '../models/refund.model.js';
+import invoiceService from '../services/invoice.service.js';
+import paymentService from '../services/payment.service.js';
+import codService from '../services/cod.service.js';
 
-// Generate unique payment ID
-const generatePaymentId = () => {
-  return 'PAY' + Date.now() + Math.floor(Math.random() * 1000);
-};
-
-// @desc    Create payment for order
+// @desc    Create payment for order (cash waits for collection at delivery, online methods get a gateway order)
 // @route   POST /api/payments
 // @access  Private
 export const createPayment = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { orderId, paymentMethod } = req.body;
+    const { orderId, paymentMethod = 'cash' } = req.body;
+
+    if (!['cash', 'card', 'upi', 'wallet'].includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid payment method'
+      });
+    }
 
     // Get order details
     const customer = await Customer.findOne({ user: userId });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
     const order = await Order.findOne({
       orderId: orderId,
       customer: customer._id
@@ -39,31 +51,68 @@ export const createPayment = async (req, res) => {
       });
     }
 
-    // Create payment record
-    const payment = new Payment({
-      paymentId: generatePaymentId(),
-      order: order._id,
-      customer: customer._id,
-      amount: order.finalAmount,
-      paymentMethod: paymentMethod || 'cash',
-      paymentStatus: paymentMethod === 'cash' ? 'success' : 'pending'
-    });
+    if (order.orderStatus === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot pay for a cancelled order'
+      });
+    }
 
-    await payment.save();
+    if (order.paymentMethod === 'khata') {
+      return res.status(400).json({
+        success: false,
+        message: 'Khata orders are paid through the monthly khata bill'
+      });
+    }
 
-    // If cash payment, update order status immediately
-    if (paymentMethod === 'cash') {
-      order.paymentStatus = 'paid';
-      await order.save();
+    if (paymentMethod === 'wallet') {
+      const session = await mongoose.startSession();
+      let payment;
+      try {
+        await session.withTransaction(async () => {
+          payment = await paymentService.payFromWallet(order, { session });
+          await order.save({ session });
+        });
+      } finally {
+        session.endSession();
+      }
+      if (order.assignedRetailer) await invoiceService.issueSafely(order, 'payment');
+
+      return res.status(201).json({
+        success: true,
+        message: 'Order paid from wallet',
+        payment,
+        order
+      });
+    }
+
+    if (paymentMethod !== 'cash') {
+      const { payment, checkout } = await paymentService.startOnlinePayment(order, customer, paymentMethod);
+      return res.status(201).json({
+        success: true,
+        message: 'Payment initiated successfully',
+        payment,
+        checkout,
+        order
+      });
     }
 
+    // Cash on delivery: paid once the retailer records the collection
+    const payment = await codService.requestCashPayment(order, customer);
+
     res.status(201).json({
       success: true,
-      message: 'Payment initiated successfully',
+      message: 'Cash on delivery selected; please pay at delivery',
       payment,
       order
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Create Payment Error:', error);
     res.status(500).json({
       success: false,
@@ -73,38 +122,44 @@ export const createPayment = async (req, res) => {
   }
 };
 
-// @desc    Verify payment (for online payments)
+// @desc    Verify payment (checkout callback for online payments)
 // @route   POST /api/payments/verify
 // @access  Private
 export const verifyPayment = async (req, res) => {
   try {
-    const { razorpay_order_id, razorpay_payment_id, razorpay_signature, orderId } = req.body;
-
-    // In production, verify Razorpay signature
-    // const generatedSignature = crypto
-    //   .createHmac('sha256', process.env.RAZORPAY_SECRET)
-    //   .update(razorpay_order_id + "|" + razorpay_payment_id)
-    //   .digest('hex');
-
-    // if (generatedSignature !== razorpay_signature) {
-    //   return res.status(400).json({
-    //     success: false,
-    //     message: 'Payment verification failed'
-    //   });
-    // }
-
-    // For demo - always success
-    const order = await Order.findOne({ orderId });
-    const payment = await Payment.findOne({ order: order._id });
-
-    payment.paymentStatus = 'success';
-    payment.razorpayOrderId = razorpay_order_id;
-    payment.razorpayPaymentId = razorpay_payment_id;
-    payment.razorpaySignature = razorpay_signature;
-    await payment.save();
-
-    order.paymentStatus = 'paid';
-    await order.save();
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required'
+      });
+    }
+
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const payment = await Payment.findOne({
+      razorpayOrderId: razorpay_order_id,
+      customer: customer._id
+    });
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    await paymentService.verifyCheckout(payment, {
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
 
     res.status(200).json({
       success: true,
@@ -112,6 +167,12 @@ export const verifyPayment = async (req, res) => {
       payment
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Verify Payment Error:', error);
     res.status(500).json({
       success: false,
@@ -121,6 +182,44 @@ export const verifyPayment = async (req, res) => {
   }
 };
 
+// @desc    Gateway webhook (payment.captured, payment.failed, refund.processed)
+// @route   POST /api/payments/webhook
+// @access  Public (signed with the webhook secret)
+export const handlePaymentWebhook = async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook body missing'
+      });
+    }
+
+    const result = await paymentService.handleWebhook({
+      rawBody: req.rawBody.toString('utf8'),
+      signature: req.headers['x-razorpay-signature'],
+      eventId: req.headers['x-razorpay-event-id']
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Payment Webhook Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get payment details
 // @route   GET /api/payments/:id
 // @access  Private
@@ -141,9 +240,14 @@ export const getPaymentDetails = async (req, res) => {
       });
     }
 
+    const refunds = await Refund.find({ payment: payment._id })
+      .select('refundId amount destination status reason createdAt processedAt')
+      .sort({ createdAt: -1 });
+
     res.status(200).json({
       success: true,
-      payment
+      payment,
+      refunds
     });
   } catch (error) {
     console.error('Get Payment Error:', error);
@@ -29,7 +29,7 @@ export const createProduct = async (req, res) => {
     const { 
       name, description, price, category, unit, unitSize, stock, 
       milkType, nutritionalInfo, tags, discount, isFeatured,
-      scannedBarcodeId,
+      scannedBarcodeId, hsnCode, gstRate,
       cloudinaryImages // 🎯 NEW: Accept pre-uploaded Cloudinary images
     } = req.body;
 
@@ -162,6 +162,8 @@ export const createProduct = async (req, res) => {
       nutritionalInfo: formattedNutritionalInfo,
       tags: formattedTags,
       discount: Number(discount) || 0,
+      hsnCode: hsnCode?.trim() || undefined,
+      gstRate: gstRate !== undefined && gstRate !== '' ? Number(gstRate) : undefined,
       isFeatured: isFeatured === 'true' || isFeatured === true,
       isAvailable: true,
       barcodeId: null,
@@ -0,0 +1,393 @@
+// controllers/promotion.controller.js
+import Promotion from '../models/promotion.model.js';
+import Product from '../models/product.model.js';
+import Admin from '../models/admin.model.js';
+import Customer from '../models/customer.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import promotionService from '../services/promotion.service.js';
+import deliveryFeeService from '../services/deliveryFee.service.js';
+import deliverySlotService from '../services/deliverySlot.service.js';
+import { getClosestRetailer, validateCoordinates } from '../utils/locationUtils.js';
+
+const PROMOTION_FIELDS = [
+  'name', 'description', 'code', 'type', 'value', 'maxDiscount', 'buyQuantity', 'getQuantity',
+  'products', 'categories', 'minOrderValue', 'usageLimitPerCustomer', 'totalUsageLimit',
+  'startsAt', 'endsAt', 'retailers', 'isActive'
+];
+
+const pickPromotionFields = (body) => {
+  const data = {};
+  PROMOTION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+const sendSaveError = (res, error, label) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: 'A promotion with this coupon code already exists'
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// ==================== CUSTOMER ====================
+
+// @desc    Quote a cart before checkout: promotions, coupon, delivery fee and minimum order
+// @route   POST /api/promotions/preview
+// @route   POST /api/orders/quote
+// @access  Private (Customer)
+export const previewCart = async (req, res) => {
+  try {
+    const { items, couponCode, deliveryAddress, deliverySlot } = req.body;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'items are required'
+      });
+    }
+
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    // Same retailer assignment as checkout
+    const coordinates = (deliveryAddress || customer.deliveryAddress)?.coordinates;
+    if (!coordinates || !validateCoordinates(coordinates.latitude, coordinates.longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address coordinates are required to price your cart'
+      });
+    }
+
+    const retailers = await Admin.find({ isActive: true });
+    const closest = getClosestRetailer(coordinates.latitude, coordinates.longitude, retailers, 100);
+    if (!closest || !closest.retailer) {
+      return res.status(400).json({
+        success: false,
+        message: 'No retailer available within your delivery area.'
+      });
+    }
+    const retailerId = closest.retailer._id;
+
+    let slot = null;
+    if (deliverySlot?.slotId) {
+      const slotBooking = await deliverySlotService.checkSlotBooking(retailerId, deliverySlot.slotId, deliverySlot.date);
+      if (!slotBooking.available) {
+        return res.status(400).json({
+          success: false,
+          message: slotBooking.message
+        });
+      }
+      slot = slotBooking.slot;
+    }
+
+    const productIds = items.map(item => item.productId);
+    const [products, inventoryItems] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).select('name price unit image discount category isAvailable'),
+      RetailerInventory.find({ retailer: retailerId, product: { $in: productIds }, isActive: true }).select('product sellingPrice')
+    ]);
+
+    const lines = [];
+    for (const item of items) {
+      const product = products.find(p => String(p._id) === String(item.productId));
+      if (!product) {
+        return res.status(400).json({
+          success: false,
+          message: `Product not found: ${item.productId}`
+        });
+      }
+      const inventoryItem = inventoryItems.find(inv => String(inv.product) === String(product._id));
+      const basePrice = inventoryItem?.sellingPrice || product.price;
+      lines.push({
+        product,
+        quantity: parseInt(item.quantity, 10) || 1,
+        price: promotionService.getUnitPrice(basePrice, product)
+      });
+    }
+
+    const pricing = await promotionService.evaluate({
+      retailerId,
+      customerId: customer._id,
+      lines,
+      code: couponCode
+    });
+
+    const deliveryQuote = deliveryFeeService.quote({
+      retailer: closest.retailer,
+      distance: closest.distance,
+      cartValue: pricing.total,
+      slot
+    });
+
+    res.status(200).json({
+      success: true,
+      retailer: {
+        _id: retailerId,
+        shopName: closest.retailer.shopName
+      },
+      items: lines.map(line => ({
+        productId: line.product._id,
+        name: line.product.name,
+        image: line.product.image,
+        unit: line.product.unit,
+        quantity: line.quantity,
+        price: line.price,
+        originalPrice: line.product.price,
+        lineTotal: line.price * line.quantity
+      })),
+      ...pricing,
+      deliveryFee: deliveryQuote.amount,
+      delivery: deliveryQuote,
+      canCheckout: deliveryQuote.meetsMinimum && !(couponCode && pricing.couponError),
+      payable: pricing.total + deliveryQuote.amount
+    });
+  } catch (error) {
+    console.error('Preview Cart Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// ==================== SUPERADMIN ====================
+
+// @desc    List promotions
+// @route   GET /api/superadmin/promotions
+// @access  Private (SuperAdmin)
+export const getPromotions = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'all', retailer } = req.query;
+
+    const filter = {};
+    if (status === 'active') filter.isActive = true;
+    if (status === 'inactive') filter.isActive = false;
+    if (retailer) filter.retailers = retailer;
+
+    const [promotions, total] = await Promise.all([
+      Promotion.find(filter)
+        .populate('retailers', 'shopName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Promotion.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      promotions,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get Promotions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Create a promotion campaign
+// @route   POST /api/superadmin/promotions
+// @access  Private (SuperAdmin)
+export const createPromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Create Promotion Error');
+  }
+};
+
+// @desc    Update a promotion campaign
+// @route   PUT /api/superadmin/promotions/:id
+// @access  Private (SuperAdmin)
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    Object.assign(promotion, pickPromotionFields(req.body));
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Promotion updated successfully',
+      promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Update Promotion Error');
+  }
+};
+
+// ==================== RETAILER ====================
+
+// @desc    List the retailer's own offers
+// @route   GET /api/admin/retailer/promotions
+// @access  Private (Admin/Retailer)
+export const getRetailerPromotions = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const promotions = await Promotion.find({ ownerRetailer: retailer._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      promotions
+    });
+  } catch (error) {
+    console.error('Get Retailer Promotions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch promotions'
+    });
+  }
+};
+
+// @desc    Create an offer limited to the retailer's shop
+// @route   POST /api/admin/retailer/promotions
+// @access  Private (Admin/Retailer)
+export const createRetailerPromotion = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const promotion = await Promotion.create({
+      ...pickPromotionFields(req.body),
+      retailers: [retailer._id],
+      ownerRetailer: retailer._id,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offer created successfully',
+      promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Create Retailer Promotion Error');
+  }
+};
+
+// @desc    Update one of the retailer's offers
+// @route   PUT /api/admin/retailer/promotions/:id
+// @access  Private (Admin/Retailer)
+export const updateRetailerPromotion = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const promotion = await Promotion.findOne({ _id: req.params.id, ownerRetailer: retailer._id });
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    // The shop scope cannot be widened
+    const { retailers, ...updates } = pickPromotionFields(req.body);
+    Object.assign(promotion, updates);
+    await promotion.save();
+
+    res.json({
+      success: true,
+      message: 'Offer updated successfully',
+      promotion
+    });
+  } catch (error) {
+    sendSaveError(res, error, 'Update Retailer Promotion Error');
+  }
+};
+
+// @desc    Deactivate one of the retailer's offers
+// @route   DELETE /api/admin/retailer/promotions/:id
+// @access  Private (Admin/Retailer)
+export const deactivateRetailerPromotion = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const promotion = await Promotion.findOneAndUpdate(
+      { _id: req.params.id, ownerRetailer: retailer._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Offer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Offer deactivated',
+      promotion
+    });
+  } catch (error) {
+    console.error('Deactivate Retailer Promotion Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to deactivate offer'
+    });
+  }
+};
@@ -0,0 +1,202 @@
+// controllers/purchaseOrder.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import PurchaseOrder from '../models/purchaseOrder.model.js';
+import purchaseOrderService from '../services/purchaseOrder.service.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// The retailer and one of its purchase orders (by _id or poNumber)
+const findRetailerPurchaseOrder = async (user, id) => {
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  if (!retailer) return {};
+  const purchaseOrder = await PurchaseOrder.findOne(mongoose.Types.ObjectId.isValid(id)
+    ? { _id: id, retailer: retailer._id }
+    : { poNumber: id, retailer: retailer._id });
+  return { retailer, purchaseOrder };
+};
+
+// @desc    Raise a purchase order on a supplier
+// @route   POST /api/retailer/inventory/purchase-orders
+// @access  Private (Retailer)
+export const createPurchaseOrder = async (req, res) => {
+  try {
+    const { supplierId, items, expectedDate, notes } = req.body;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const purchaseOrder = await purchaseOrderService.create(retailer._id, {
+      supplierId,
+      items,
+      expectedDate,
+      notes,
+      userId: req.user._id
+    });
+    res.status(201).json({
+      success: true,
+      message: 'Purchase order created',
+      purchaseOrder
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Purchase Order', 'Error creating purchase order');
+  }
+};
+
+// @desc    Purchase orders (?status=, ?supplier=)
+// @route   GET /api/retailer/inventory/purchase-orders
+// @access  Private (Retailer)
+export const getPurchaseOrders = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, supplier } = req.query;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { retailer: retailer._id };
+    if (status) filter.status = status;
+    if (supplier && mongoose.Types.ObjectId.isValid(supplier)) filter.supplier = supplier;
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .select('-receipts')
+        .populate('supplier', 'name phone')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      purchaseOrders,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Purchase Orders', 'Error fetching purchase orders');
+  }
+};
+
+// @desc    Purchase orders still waiting for goods, with quantities due (?supplier=)
+// @route   GET /api/retailer/inventory/purchase-orders/open
+// @access  Private (Retailer)
+export const getOpenPurchaseOrders = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const purchaseOrders = await purchaseOrderService.getOpen(retailer._id, { supplierId: req.query.supplier });
+    res.json({
+      success: true,
+      purchaseOrders,
+      dueValue: Math.round(purchaseOrders.reduce((total, order) => total + order.dueValue, 0) * 100) / 100,
+      overdue: purchaseOrders.filter(order => order.overdue).length
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Open Purchase Orders', 'Error fetching open purchase orders');
+  }
+};
+
+// @desc    One purchase order with its receipts
+// @route   GET /api/retailer/inventory/purchase-orders/:id
+// @access  Private (Retailer)
+export const getPurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder } = await findRetailerPurchaseOrder(req.user, req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    await purchaseOrder.populate('supplier', 'name contactPerson phone gstin address');
+    res.json({
+      success: true,
+      purchaseOrder
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Purchase Order', 'Error fetching purchase order');
+  }
+};
+
+// @desc    Record goods received: { items: [{ productId, quantity, unitCost, batchNumber, expiryDate }], invoiceNumber, note }
+// @route   POST /api/retailer/inventory/purchase-orders/:id/receipts
+// @access  Private (Retailer)
+export const receivePurchaseOrder = async (req, res) => {
+  try {
+    const { items, invoiceNumber, note } = req.body;
+
+    const { purchaseOrder } = await findRetailerPurchaseOrder(req.user, req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    const receipt = await purchaseOrderService.receive(purchaseOrder, { items, invoiceNumber, note, userId: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: purchaseOrder.status === 'received' ? 'Goods received, purchase order complete' : 'Goods received',
+      receipt,
+      purchaseOrder
+    });
+  } catch (error) {
+    sendError(res, error, 'Receive Purchase Order', 'Error recording goods receipt');
+  }
+};
+
+// @desc    Close a purchase order; the rest will not be delivered
+// @route   POST /api/retailer/inventory/purchase-orders/:id/close
+// @access  Private (Retailer)
+export const closePurchaseOrder = async (req, res) => {
+  try {
+    const { purchaseOrder } = await findRetailerPurchaseOrder(req.user, req.params.id);
+    if (!purchaseOrder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Purchase order not found'
+      });
+    }
+
+    await purchaseOrderService.close(purchaseOrder, req.body.reason);
+    res.json({
+      success: true,
+      message: purchaseOrder.status === 'cancelled' ? 'Purchase order cancelled' : 'Purchase order closed',
+      purchaseOrder
+    });
+  } catch (error) {
+    sendError(res, error, 'Close Purchase Order', 'Error closing purchase order');
+  }
+};
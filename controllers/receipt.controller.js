@@ -0,0 +1,68 @@
+// controllers/receipt.controller.js
+import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import receiptService from '../services/receipt.service.js';
+import { renderReceiptEscPos, renderReceiptPdf, PAPER_WIDTHS } from '../utils/thermalReceipt.js';
+import { productionConfig } from '../config/production.js';
+
+// @desc    Counter receipt for a thermal printer (raw ESC/POS or a 58/80mm PDF)
+// @route   GET /api/orders/:id/receipt?format=pdf|escpos&width=58|80
+// @access  Private (Retailer)
+export const getOrderReceipt = async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+    const width = parseInt(req.query.width) || productionConfig.receipts.defaultWidth;
+
+    if (!['pdf', 'escpos'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be pdf or escpos'
+      });
+    }
+    if (!PAPER_WIDTHS[width]) {
+      return res.status(400).json({
+        success: false,
+        message: `Width must be one of ${Object.keys(PAPER_WIDTHS).join(', ')} (mm)`
+      });
+    }
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const order = await Order.findOne({ orderId: req.params.id, assignedRetailer: retailer._id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const receipt = await receiptService.build(order);
+
+    if (format === 'escpos') {
+      const bytes = await renderReceiptEscPos(receipt, { width });
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=receipt-${order.orderId}.bin`);
+      res.setHeader('Content-Length', bytes.length);
+      return res.send(bytes);
+    }
+
+    const pdf = await renderReceiptPdf(receipt, { width });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=receipt-${order.orderId}.pdf`);
+    res.setHeader('Content-Length', pdf.length);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Generate Receipt Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error generating receipt',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,139 @@
+// controllers/refund.controller.js
+import mongoose from 'mongoose';
+import Refund from '../models/refund.model.js';
+import Payment from '../models/payment.model.js';
+import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import refundService from '../services/refund.service.js';
+
+// Retailers act on their own shop's orders, superadmins on all
+const getRetailerScope = async (user) => {
+  if (user.role === 'superadmin') return {};
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  return retailer ? { retailer: retailer._id } : null;
+};
+
+// @desc    Refund all or part of a payment
+// @route   POST /api/superadmin/payments/:id/refunds
+// @route   POST /api/admin/retailer/payments/:id/refunds
+// @access  Private (Retailer/SuperAdmin)
+export const createRefund = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund amount must be greater than 0'
+      });
+    }
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    // Either the Payment _id or its paymentId (PAY...)
+    const payment = await Payment.findOne(
+      mongoose.Types.ObjectId.isValid(req.params.id) ? { _id: req.params.id } : { paymentId: req.params.id }
+    );
+    const order = payment && await Order.findById(payment.order).select('assignedRetailer');
+
+    if (!payment || (scope.retailer && String(order?.assignedRetailer) !== String(scope.retailer))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const result = await refundService.issue(payment, {
+      amount: amount !== undefined ? Number(amount) : undefined,
+      reason,
+      actor: { user: req.user._id, role: req.user.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: result.refund.status === 'processed' ? 'Refund processed' : 'Refund initiated',
+      refund: result.refund,
+      payment: result.payment,
+      refundable: refundService.refundableAmount(result.payment)
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Create Refund Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating refund',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Refund ledger
+// @route   GET /api/superadmin/refunds
+// @route   GET /api/admin/retailer/refunds
+// @access  Private (Retailer/SuperAdmin)
+export const getRefunds = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, destination, payment, retailer, startDate, endDate } = req.query;
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { ...scope };
+    if (status) filter.status = status;
+    if (destination) filter.destination = destination;
+    if (payment && mongoose.Types.ObjectId.isValid(payment)) filter.payment = payment;
+    if (retailer && req.user.role === 'superadmin' && mongoose.Types.ObjectId.isValid(retailer)) {
+      filter.retailer = new mongoose.Types.ObjectId(retailer);
+    }
+    if (startDate && endDate) {
+      filter.createdAt = { $gte: new Date(startDate), $lte: new Date(endDate) };
+    }
+
+    const [refunds, total, totals] = await Promise.all([
+      Refund.find(filter)
+        .populate('order', 'orderId')
+        .populate('payment', 'paymentId amount paymentMethod')
+        .populate('customer', 'personalInfo.fullName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Refund.countDocuments(filter),
+      Refund.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      refunds,
+      summary: totals.reduce((summary, row) => ({ ...summary, [row._id]: { amount: row.amount, count: row.count } }), {}),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('Get Refunds Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching refunds',
+      error: error.message
+    });
+  }
+};
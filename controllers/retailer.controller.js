@@ -3,7 +3,13 @@
 import Admin from '../models/admin.model.js';
 import Order from '../models/order.model.js';
 import User from '../models/user.model.js';
+import Customer from '../models/customer.model.js';
+import Subscription from '../models/subscription.model.js';
 import { calculateDistance, validateCoordinates } from '../utils/locationUtils.js';
+import { startOfDay, toDateKey } from '../utils/dateUtils.js';
+import orderLifecycleService from '../services/orderLifecycle.service.js';
+import deliveryFeeService from '../services/deliveryFee.service.js';
+import settlementService from '../services/settlement.service.js';
 
 // @desc    Get retailer profile
 // @route   GET /api/admin/retailer/profile
@@ -14,7 +20,7 @@ export const getRetailerProfile = async (req, res) => {
 
     // Find admin/retailer by user ID
     const retailer = await Admin.findOne({ user: userId })
-      .select('shopName serviceRadius location fullName contactNumber address isActive')
+      .select('shopName serviceRadius location fullName contactNumber address upi isActive')
       .populate('user', 'phone role');
 
     if (!retailer) {
@@ -34,10 +40,12 @@ export const getRetailerProfile = async (req, res) => {
         address: retailer.address,
         serviceRadius: retailer.serviceRadius,
         location: retailer.location,
+        upiId: retailer.upi?.vpa,
         isActive: retailer.isActive,
         phone: retailer.user?.phone,
         role: retailer.user?.role
-      }
+      },
+      settlement: await settlementService.getPendingBalance(retailer._id)
     });
   } catch (error) {
     console.error('Error fetching retailer profile:', error);
@@ -138,6 +146,189 @@ export const updateServiceRadius = async (req, res) => {
   }
 };
 
+// @desc    Get delivery charge rules (own settings merged with platform defaults)
+// @route   GET /api/admin/retailer/delivery-settings
+// @access  Private (Admin/Retailer)
+export const getDeliverySettings = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id }).select('shopName deliverySettings');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      deliverySettings: retailer.deliverySettings || {},
+      effectiveRules: deliveryFeeService.getRules(retailer)
+    });
+  } catch (error) {
+    console.error('Error fetching delivery settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch delivery settings'
+    });
+  }
+};
+
+// @desc    Update delivery charge rules; send null to fall back to the platform default
+// @route   PUT /api/admin/retailer/delivery-settings
+// @access  Private (Admin/Retailer)
+export const updateDeliverySettings = async (req, res) => {
+  try {
+    const { minOrderAmount, freeDeliveryAbove, distanceBands } = req.body;
+    const update = {};
+    const unset = {};
+
+    for (const [field, value] of Object.entries({ minOrderAmount, freeDeliveryAbove })) {
+      if (value === undefined) continue;
+      if (value === null) {
+        unset[`deliverySettings.${field}`] = 1;
+      } else if (typeof value !== 'number' || value < 0) {
+        return res.status(400).json({
+          success: false,
+          message: `${field} must be a number of 0 or more`
+        });
+      } else {
+        update[`deliverySettings.${field}`] = value;
+      }
+    }
+
+    if (distanceBands !== undefined) {
+      if (distanceBands === null || (Array.isArray(distanceBands) && distanceBands.length === 0)) {
+        unset['deliverySettings.distanceBands'] = 1;
+      } else if (!Array.isArray(distanceBands) || distanceBands.some(band =>
+        typeof band.upToKm !== 'number' || band.upToKm <= 0 || typeof band.fee !== 'number' || band.fee < 0
+      )) {
+        return res.status(400).json({
+          success: false,
+          message: 'distanceBands must be a list of { upToKm, fee } with upToKm > 0 and fee >= 0'
+        });
+      } else {
+        update['deliverySettings.distanceBands'] = distanceBands
+          .map(band => ({ upToKm: band.upToKm, fee: band.fee }))
+          .sort((a, b) => a.upToKm - b.upToKm);
+      }
+    }
+
+    const retailer = await Admin.findOneAndUpdate(
+      { user: req.user._id },
+      { $set: update, $unset: unset },
+      { new: true, runValidators: true }
+    ).select('shopName deliverySettings');
+
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Delivery settings updated successfully',
+      deliverySettings: retailer.deliverySettings || {},
+      effectiveRules: deliveryFeeService.getRules(retailer)
+    });
+  } catch (error) {
+    console.error('Error updating delivery settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update delivery settings'
+    });
+  }
+};
+
+// @desc    Update GST registration and invoice number prefix
+// @route   PUT /api/admin/retailer/tax-details
+// @access  Private (Admin/Retailer)
+export const updateTaxDetails = async (req, res) => {
+  try {
+    const { gstin, invoicePrefix } = req.body;
+    const update = {};
+    if (gstin !== undefined) update.gstin = gstin || undefined;
+    if (invoicePrefix !== undefined) update.invoicePrefix = invoicePrefix;
+
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    retailer.set(update);
+    await retailer.save();
+
+    res.json({
+      success: true,
+      message: 'Tax details updated successfully',
+      retailer: {
+        shopName: retailer.shopName,
+        gstin: retailer.gstin,
+        invoicePrefix: retailer.invoicePrefix,
+        state: retailer.location?.state
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Error updating tax details:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tax details'
+    });
+  }
+};
+
+// @desc    Update the UPI ID (and payee name) customers pay by QR code; send null to remove
+// @route   PUT /api/admin/retailer/upi-details
+// @access  Private (Admin/Retailer)
+export const updateUpiDetails = async (req, res) => {
+  try {
+    const { vpa, payeeName } = req.body;
+
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    if (vpa !== undefined) retailer.set('upi.vpa', vpa || undefined);
+    if (payeeName !== undefined) retailer.set('upi.payeeName', payeeName || undefined);
+    await retailer.save();
+
+    res.json({
+      success: true,
+      message: 'UPI details updated successfully',
+      upi: {
+        vpa: retailer.upi?.vpa,
+        payeeName: retailer.upi?.payeeName || retailer.shopName
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+    console.error('Error updating UPI details:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update UPI details'
+    });
+  }
+};
+
 // @desc    Update retailer location
 // @route   PUT /api/admin/retailer/location
 // @access  Private (Admin/Retailer)
@@ -613,18 +804,9 @@ export const assignOrderToRetailer = async (req, res) => {
 export const updateOrderStatus = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     const userId = req.user._id;
 
-    const validStatuses = ['confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
-    
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid order status'
-      });
-    }
-
     // Get retailer
     const retailer = await Admin.findOne({ user: userId });
     if (!retailer) {
@@ -647,29 +829,10 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    // Validate status transition
-    const statusFlow = {
-      pending: ['confirmed', 'cancelled'],
-      confirmed: ['preparing', 'cancelled'],
-      preparing: ['out_for_delivery'],
-      out_for_delivery: ['delivered']
-    };
-
-    if (!statusFlow[order.orderStatus]?.includes(status)) {
-      return res.status(400).json({
-        success: false,
-        message: `Cannot change status from ${order.orderStatus} to ${status}`
-      });
-    }
-
-    order.orderStatus = status;
-    
-    // If delivered, set delivered at timestamp
-    if (status === 'delivered') {
-      order.deliveredAt = new Date();
-    }
-
-    await order.save();
+    await orderLifecycleService.transition(order, status, {
+      actor: { role: 'retailer', user: userId, retailer: retailer._id },
+      reason
+    });
 
     res.json({
       success: true,
@@ -681,10 +844,116 @@ export const updateOrderStatus = async (req, res) => {
       }
     });
   } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Error updating order status:', error);
     res.status(500).json({
       success: false,
       message: 'Failed to update order status'
     });
   }
-};
\ No newline at end of file
+};
+
+// @desc    Get upcoming customer vacations for stock planning
+// @route   GET /api/admin/retailer/vacations
+// @access  Private (Admin/Retailer)
+export const getUpcomingVacations = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const days = Math.min(parseInt(req.query.days) || 30, 90);
+
+    const retailer = await Admin.findOne({ user: userId });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const today = startOfDay();
+    const horizon = today.plus({ days });
+
+    // Customers this shop delivers to: live subscriptions and open orders
+    const subscriptions = await Subscription.find({
+      retailer: retailer._id,
+      status: { $ne: 'cancelled' }
+    })
+      .select('subscriptionId customer product quantity frequency daysOfWeek status')
+      .populate('product', 'name unit unitSize')
+      .lean();
+
+    const orderCustomers = await Order.distinct('customer', {
+      assignedRetailer: retailer._id,
+      orderStatus: { $in: ['pending', 'confirmed', 'preparing', 'out_for_delivery'] }
+    });
+
+    const customerIds = [
+      ...new Set([...subscriptions.map(s => String(s.customer)), ...orderCustomers.map(String)])
+    ];
+
+    const customers = await Customer.find({
+      _id: { $in: customerIds },
+      vacations: {
+        $elemMatch: {
+          endDate: { $gte: today.toJSDate() },
+          startDate: { $lte: horizon.toJSDate() }
+        }
+      }
+    })
+      .select('personalInfo.fullName deliveryAddress vacations')
+      .lean();
+
+    const vacations = [];
+    for (const customer of customers) {
+      const customerSubscriptions = subscriptions.filter(s => String(s.customer) === String(customer._id));
+
+      for (const vacation of customer.vacations) {
+        const start = startOfDay(vacation.startDate);
+        const end = startOfDay(vacation.endDate);
+        if (end < today || start > horizon) continue;
+
+        vacations.push({
+          vacationId: vacation._id,
+          customerId: customer._id,
+          customerName: customer.personalInfo?.fullName || 'N/A',
+          deliveryAddress: customer.deliveryAddress,
+          startDate: toDateKey(start),
+          endDate: toDateKey(end),
+          days: Math.round(end.diff(start, 'days').days) + 1,
+          isOngoing: start <= today,
+          reason: vacation.reason,
+          pausedSubscriptions: customerSubscriptions.map(s => ({
+            subscriptionId: s.subscriptionId,
+            product: s.product,
+            quantity: s.quantity,
+            frequency: s.frequency,
+            daysOfWeek: s.daysOfWeek
+          }))
+        });
+      }
+    }
+
+    vacations.sort((a, b) => a.startDate.localeCompare(b.startDate));
+
+    res.json({
+      success: true,
+      vacations,
+      summary: {
+        total: vacations.length,
+        awayToday: vacations.filter(v => v.isOngoing).length,
+        from: toDateKey(today),
+        to: toDateKey(horizon)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching upcoming vacations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch upcoming vacations'
+    });
+  }
+};
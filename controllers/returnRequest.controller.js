@@ -0,0 +1,334 @@
+// controllers/returnRequest.controller.js
+import ReturnRequest from '../models/returnRequest.model.js';
+import Order from '../models/order.model.js';
+import Customer from '../models/customer.model.js';
+import Admin from '../models/admin.model.js';
+import returnRequestService from '../services/returnRequest.service.js';
+import { uploadMultipleToCloudinary } from '../utils/cloudinaryUpload.js';
+import { productionConfig } from '../config/production.js';
+
+// Accepts either the RET... id or the Mongo _id
+const findReturn = (identifier, scope) => {
+  const query = identifier.startsWith('RET') ? { returnId: identifier } : { _id: identifier };
+  return ReturnRequest.findOne({ ...query, ...scope });
+};
+
+const sendError = (res, error, label) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label}:`, error);
+  res.status(500).json({
+    success: false,
+    message: 'Server error',
+    error: error.message
+  });
+};
+
+// @desc    Request a return for a delivered order (multipart, photos optional)
+// @route   POST /api/returns
+// @access  Private (Customer)
+export const createReturnRequest = async (req, res) => {
+  try {
+    const { orderId } = req.body;
+
+    // items arrives as a JSON string in multipart requests
+    let { items } = req.body;
+    if (typeof items === 'string') {
+      try {
+        items = JSON.parse(items);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'items must be a JSON array'
+        });
+      }
+    }
+
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    if (!orderId) {
+      return res.status(400).json({
+        success: false,
+        message: 'orderId is required'
+      });
+    }
+
+    const orderQuery = orderId.startsWith('ORD') ? { orderId } : { _id: orderId };
+    const order = await Order.findOne({ ...orderQuery, customer: customer._id });
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const files = req.files || [];
+    if (files.length > productionConfig.returns.maxPhotos) {
+      return res.status(400).json({
+        success: false,
+        message: `You can attach up to ${productionConfig.returns.maxPhotos} photos`
+      });
+    }
+
+    let photos = [];
+    if (files.length > 0) {
+      try {
+        const uploads = await uploadMultipleToCloudinary(files, 'dairy9/returns');
+        photos = uploads.map(upload => ({ url: upload.secure_url, publicId: upload.public_id }));
+      } catch (uploadError) {
+        console.error('Return photo upload failed:', uploadError.message);
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to upload photos. Please try again.'
+        });
+      }
+    }
+
+    const returnRequest = await returnRequestService.createReturn(order, customer, items, photos);
+
+    res.status(201).json({
+      success: true,
+      message: 'Return request submitted',
+      returnRequest
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Return Request Error');
+  }
+};
+
+// @desc    Get customer's return requests
+// @route   GET /api/returns
+// @access  Private (Customer)
+export const getMyReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const filter = { customer: customer._id };
+    if (status && status !== 'all') filter.status = status;
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('order', 'orderId finalAmount deliveredAt')
+        .populate('items.product', 'name image unit')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      returns,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Returns Error');
+  }
+};
+
+// @desc    Get a return request
+// @route   GET /api/returns/:id
+// @access  Private (Customer)
+export const getReturnById = async (req, res) => {
+  try {
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const returnRequest = await findReturn(req.params.id, { customer: customer._id })
+      .populate('order', 'orderId finalAmount paymentStatus deliveredAt')
+      .populate('items.product', 'name image unit');
+
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      returnRequest
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Return Error');
+  }
+};
+
+// @desc    Get return requests for the retailer's orders
+// @route   GET /api/admin/retailer/returns
+// @access  Private (Admin/Retailer)
+export const getRetailerReturns = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'requested' } = req.query;
+
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const filter = { retailer: retailer._id };
+    if (status !== 'all') filter.status = status;
+
+    const [returns, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('order', 'orderId finalAmount deliveredAt')
+        .populate('customer', 'personalInfo.fullName')
+        .populate('items.product', 'name image unit')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      ReturnRequest.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      returns,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Retailer Returns Error');
+  }
+};
+
+// @desc    Approve a return: restock/write off, refund and adjust the order
+// @route   PUT /api/admin/retailer/returns/:returnId/approve
+// @access  Private (Admin/Retailer)
+export const approveReturnRequest = async (req, res) => {
+  try {
+    const { items = [], note } = req.body;
+
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const returnRequest = await findReturn(req.params.returnId, { retailer: retailer._id });
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const { order, creditNote } = await returnRequestService.approveReturn(returnRequest, {
+      userId: req.user._id,
+      dispositions: items,
+      note
+    });
+
+    res.json({
+      success: true,
+      message: 'Return approved and refund recorded',
+      returnRequest,
+      order: {
+        orderId: order.orderId,
+        finalAmount: order.finalAmount,
+        paymentStatus: order.paymentStatus
+      },
+      creditNote
+    });
+  } catch (error) {
+    sendError(res, error, 'Approve Return Error');
+  }
+};
+
+// @desc    Reject a return request
+// @route   PUT /api/admin/retailer/returns/:returnId/reject
+// @access  Private (Admin/Retailer)
+export const rejectReturnRequest = async (req, res) => {
+  try {
+    const { note } = req.body;
+
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const returnRequest = await findReturn(req.params.returnId, { retailer: retailer._id });
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    await returnRequestService.rejectReturn(returnRequest, { userId: req.user._id, note });
+
+    res.json({
+      success: true,
+      message: 'Return request rejected',
+      returnRequest
+    });
+  } catch (error) {
+    sendError(res, error, 'Reject Return Error');
+  }
+};
+
+// @desc    Retry the refund of an approved return after it failed
+// @route   PUT /api/admin/retailer/returns/:returnId/retry-refund
+// @access  Private (Admin/Retailer)
+export const retryReturnRefund = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id });
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    const returnRequest = await findReturn(req.params.returnId, { retailer: retailer._id });
+    if (!returnRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Return request not found'
+      });
+    }
+
+    const refund = await returnRequestService.retryRefund(returnRequest, { userId: req.user._id });
+
+    res.json({
+      success: refund.status !== 'failed',
+      message: refund.status === 'failed' ? `Refund failed again: ${refund.failureReason}` : 'Refund completed',
+      returnRequest
+    });
+  } catch (error) {
+    sendError(res, error, 'Retry Return Refund Error');
+  }
+};
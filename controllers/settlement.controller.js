@@ -0,0 +1,338 @@
+// controllers/settlement.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Category from '../models/category.model.js';
+import Settlement from '../models/settlement.model.js';
+import settlementService from '../services/settlement.service.js';
+import { renderSettlementPdf } from '../utils/settlementPdf.js';
+import { startOfDay } from '../utils/dateUtils.js';
+import { productionConfig } from '../config/production.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// Retailers see their own statements, superadmins all
+const getRetailerScope = async (user) => {
+  if (user.role === 'superadmin') return {};
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  return retailer ? { retailer: retailer._id } : null;
+};
+
+const findSettlement = (scope, id) => (
+  mongoose.Types.ObjectId.isValid(id)
+    ? Settlement.findOne({ ...scope, _id: id })
+    : Settlement.findOne({ ...scope, settlementId: id })
+);
+
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// One row per line, then the totals
+const settlementToCsv = (settlement) => {
+  const headers = ['Type', 'Order ID', 'Delivered At', 'Payment Method', 'Commission Rate (%)', 'Gross', 'Collected Online', 'Collected By Retailer', 'Refunds', 'Commission', 'Net'];
+  const { totals } = settlement;
+  return [
+    headers.join(','),
+    ...settlement.lines.map(line => [
+      line.type,
+      line.orderId,
+      line.deliveredAt ? new Date(line.deliveredAt).toISOString() : '',
+      line.paymentMethod,
+      line.rate,
+      line.gross,
+      line.platformCollected,
+      line.retailerCollected,
+      line.refunds,
+      line.commission,
+      line.net
+    ].map(csvCell).join(',')),
+    ['total', `${totals.orders} orders`, '', '', '', totals.gross, totals.platformCollected, totals.retailerCollected, totals.refunds, totals.commission, totals.netPayable]
+      .map(csvCell).join(',')
+  ].join('\n');
+};
+
+// @desc    Settlement statements with totals
+// @route   GET /api/superadmin/settlements
+// @route   GET /api/admin/retailer/settlements
+// @access  Private (Retailer/SuperAdmin)
+export const getSettlements = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, retailer, startDate, endDate } = req.query;
+
+    const scope = await getRetailerScope(req.user);
+    if (!scope) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { ...scope };
+    if (status) filter.status = status;
+    if (retailer && req.user.role === 'superadmin' && mongoose.Types.ObjectId.isValid(retailer)) {
+      filter.retailer = new mongoose.Types.ObjectId(retailer);
+    }
+    if (startDate) filter.periodEnd = { $gte: new Date(startDate) };
+    if (endDate) filter.periodStart = { $lte: new Date(endDate) };
+
+    const [settlements, total, totals] = await Promise.all([
+      Settlement.find(filter)
+        .select('-lines')
+        .populate('retailer', 'shopName fullName')
+        .sort({ periodStart: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Settlement.countDocuments(filter),
+      Settlement.aggregate([
+        { $match: filter },
+        { $group: { _id: '$status', netPayable: { $sum: '$totals.netPayable' }, commission: { $sum: '$totals.commission' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.json({
+      success: true,
+      settlements,
+      summary: totals.reduce((summary, row) => ({
+        ...summary,
+        [row._id]: { netPayable: row.netPayable, commission: row.commission, count: row.count }
+      }), {}),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Settlements', 'Error fetching settlements');
+  }
+};
+
+// @desc    One settlement statement with its lines
+// @route   GET /api/superadmin/settlements/:id
+// @route   GET /api/admin/retailer/settlements/:id
+// @access  Private (Retailer/SuperAdmin)
+export const getSettlement = async (req, res) => {
+  try {
+    const scope = await getRetailerScope(req.user);
+    const settlement = scope && await findSettlement(scope, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    await settlement.populate('retailer', 'shopName fullName contactNumber');
+    res.json({
+      success: true,
+      settlement
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Settlement', 'Error fetching settlement');
+  }
+};
+
+// @desc    Download a settlement statement as PDF or CSV
+// @route   GET /api/superadmin/settlements/:id/export?format=pdf|csv
+// @route   GET /api/admin/retailer/settlements/:id/export?format=pdf|csv
+// @access  Private (Retailer/SuperAdmin)
+export const exportSettlement = async (req, res) => {
+  try {
+    const { format = 'pdf' } = req.query;
+    if (!['pdf', 'csv'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be pdf or csv'
+      });
+    }
+
+    const scope = await getRetailerScope(req.user);
+    const settlement = scope && await findSettlement(scope, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="settlement-${settlement.settlementId}.csv"`);
+      return res.send(settlementToCsv(settlement));
+    }
+
+    await settlement.populate('retailer', 'shopName address contactNumber');
+    const buffer = await renderSettlementPdf(settlement);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=settlement-${settlement.settlementId}.pdf`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+  } catch (error) {
+    sendError(res, error, 'Export Settlement', 'Error exporting settlement');
+  }
+};
+
+// @desc    Generate statements for a period (defaults to last week), for one retailer or all
+// @route   POST /api/superadmin/settlements
+// @access  Private (SuperAdmin)
+export const generateSettlements = async (req, res) => {
+  try {
+    const { retailerId, from, to } = req.body;
+
+    let period = settlementService.previousWeek();
+    if (from || to) {
+      const start = from && startOfDay(from);
+      const end = to && startOfDay(to);
+      if (!start || !end) {
+        return res.status(400).json({
+          success: false,
+          message: 'Both from and to dates (YYYY-MM-DD) are required'
+        });
+      }
+      period = { periodStart: start.toJSDate(), periodEnd: end.endOf('day').toJSDate() };
+    }
+
+    if (retailerId) {
+      if (!mongoose.Types.ObjectId.isValid(retailerId) || !await Admin.exists({ _id: retailerId })) {
+        return res.status(404).json({
+          success: false,
+          message: 'Retailer not found'
+        });
+      }
+      const settlement = await settlementService.generate(retailerId, { ...period, userId: req.user._id });
+      return res.status(settlement ? 201 : 200).json({
+        success: true,
+        message: settlement ? 'Settlement generated' : 'Nothing to settle for this period',
+        settlement
+      });
+    }
+
+    const summary = await settlementService.generateForAll({ ...period, userId: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: `${summary.generated} settlement(s) generated`,
+      period,
+      summary
+    });
+  } catch (error) {
+    sendError(res, error, 'Generate Settlements', 'Error generating settlements');
+  }
+};
+
+// @desc    Mark a settlement paid (payout made, or the retailer paid what it owed)
+// @route   POST /api/superadmin/settlements/:id/payout
+// @access  Private (SuperAdmin)
+export const markSettlementPaid = async (req, res) => {
+  try {
+    const { method, reference, note, paidAt } = req.body;
+
+    const settlement = await findSettlement({}, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    await settlementService.markPaid(settlement, { method, reference, note, paidAt, userId: req.user._id });
+    res.json({
+      success: true,
+      message: 'Settlement marked as paid',
+      settlement
+    });
+  } catch (error) {
+    sendError(res, error, 'Mark Settlement Paid', 'Error recording payout');
+  }
+};
+
+// @desc    Void a pending settlement so its orders can be settled again
+// @route   DELETE /api/superadmin/settlements/:id
+// @access  Private (SuperAdmin)
+export const voidSettlement = async (req, res) => {
+  try {
+    const settlement = await findSettlement({}, req.params.id);
+    if (!settlement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Settlement not found'
+      });
+    }
+
+    await settlementService.void(settlement);
+    res.json({
+      success: true,
+      message: 'Settlement voided'
+    });
+  } catch (error) {
+    sendError(res, error, 'Void Settlement', 'Error voiding settlement');
+  }
+};
+
+// @desc    Commission rates: platform default, category rates and retailer overrides
+// @route   GET /api/superadmin/commission-rates
+// @access  Private (SuperAdmin)
+export const getCommissionRates = async (req, res) => {
+  try {
+    const [categories, retailers] = await Promise.all([
+      Category.find().select('name +commissionRate').sort({ displayOrder: 1, name: 1 }),
+      Admin.find({ commissionRate: { $ne: null } }).select('shopName fullName commissionRate')
+    ]);
+
+    res.json({
+      success: true,
+      defaultRate: productionConfig.settlements.defaultCommissionRate,
+      categories,
+      retailers
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Commission Rates', 'Error fetching commission rates');
+  }
+};
+
+// @desc    Set or clear (null) a retailer's own commission rate
+// @route   PUT /api/superadmin/retailers/:id/commission
+// @access  Private (SuperAdmin)
+export const updateRetailerCommission = async (req, res) => {
+  try {
+    const { commissionRate } = req.body;
+    const clear = commissionRate === null || commissionRate === '';
+    const rate = Number(commissionRate);
+
+    if (!clear && !(rate >= 0 && rate <= 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Commission rate must be between 0 and 100, or null to use the category rates'
+      });
+    }
+
+    const retailer = mongoose.Types.ObjectId.isValid(req.params.id) && await Admin.findByIdAndUpdate(
+      req.params.id,
+      clear ? { $unset: { commissionRate: 1 } } : { $set: { commissionRate: rate } },
+      { new: true }
+    ).select('shopName fullName commissionRate');
+
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Commission rate updated',
+      retailer
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Retailer Commission', 'Error updating commission rate');
+  }
+};
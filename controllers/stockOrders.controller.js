@@ -1,14 +1,14 @@
 // controllers/stockOrders.controller.js
 import mongoose from 'mongoose';
 import StockOrder from '../models/stockOrder.model.js';
-import Stock from '../models/stock.model.js';
 import StockTransaction from '../models/stockTransaction.model.js';
 import Product from '../models/product.model.js';
 import notify from '../services/notify.js';
+import stockOrderService from '../services/stockOrder.service.js';
 import { v4 as uuidv4 } from 'uuid';
 
-const SUPERADMIN_LOCATION_TYPE = 'superadmin';
-const RETAILER_LOCATION_TYPE = 'retailer';
+// Stock orders past these can no longer be dispatched
+const CLOSED_STATUSES = ['fulfilled', 'partially_fulfilled', 'in_transit', 'received', 'rejected', 'cancelled'];
 
 const genOrderNumber = () => `SORD-${new Date().toISOString().slice(0,10)}-${Math.floor(Math.random()*9000)+1000}`;
 
@@ -100,6 +100,25 @@ export const cancelStockOrder = async (req, res) => {
   } catch (err) { res.status(500).json({ message: err.message }); }
 };
 
+// Retailer confirms what arrived: { items: [{ product, receivedQty, damagedQty, batchNumber, expiryDate, note }] }
+export const confirmStockOrderReceipt = async (req, res) => {
+  try {
+    const order = await StockOrder.findById(req.params.id);
+    if (!order) return res.status(404).json({ message: 'Not found' });
+    if (String(order.retailer) !== String(req.user._id)) return res.status(403).json({ message: 'Forbidden' });
+
+    await stockOrderService.confirmReceipt(order, { items: req.body.items, userId: req.user._id });
+
+    notify(req, `retailer:${order.retailer}`, 'stock-order:updated', { id: order._id, status: order.status });
+
+    res.json(order);
+  } catch (err) {
+    if (err.statusCode) return res.status(err.statusCode).json({ message: err.message });
+    console.error('confirmStockOrderReceipt', err);
+    res.status(500).json({ message: err.message || 'Server error' });
+  }
+};
+
 export const addNoteToStockOrder = async (req, res) => {
   try {
     const id = req.params.id;
@@ -120,10 +139,11 @@ export const addNoteToStockOrder = async (req, res) => {
 // ----------------- SuperAdmin endpoints -----------------
 export const getStockOrders = async (req, res) => {
   try {
-    const { page = 1, limit = 20, status, retailer } = req.query;
+    const { page = 1, limit = 20, status, retailer, discrepancy } = req.query;
     const q = {};
     if (status) q.status = status;
     if (retailer) q.retailer = retailer;
+    if (discrepancy === 'true') q.hasDiscrepancy = true;
     const orders = await StockOrder.find(q)
       .sort({ createdAt: -1 })
       .skip((page-1)*limit).limit(parseInt(limit))
@@ -218,6 +238,11 @@ export const superAdminActOnOrder = async (req, res) => {
       return res.status(423).json({ message: 'Order locked by another session' });
     }
 
+    if (CLOSED_STATUSES.includes(order.status)) {
+      await session.abortTransaction();
+      return res.status(400).json({ message: `Order is already ${order.status}` });
+    }
+
     // quick path: reject/cancel
     if (action === 'reject' || action === 'cancel') {
       order.status = action === 'reject' ? 'rejected' : 'cancelled';
@@ -230,7 +255,8 @@ export const superAdminActOnOrder = async (req, res) => {
       return res.json(order);
     }
 
-    // Process items — NOTE: no superadmin stock checks or decrements
+    // Process items — NOTE: no superadmin stock checks or decrements.
+    // The goods go in transit; they reach the retailer's inventory when it confirms receipt.
     for (const orderItem of order.items) {
       const requested = orderItem.requestedQty || 0;
       const override = items.find(i => String(i.product) === String(orderItem.product));
@@ -244,14 +270,7 @@ export const superAdminActOnOrder = async (req, res) => {
       // Assume SuperAdmin can fulfill requestedFulfill (business rule).
       const toFulfill = requestedFulfill;
 
-      // increment retailer stock (upsert)
-      await Stock.findOneAndUpdate(
-        { product: orderItem.product, locationType: RETAILER_LOCATION_TYPE, locationRef: order.retailer },
-        { $inc: { quantity: toFulfill }, $set: { updatedAt: new Date() } },
-        { upsert: true, new: true, session }
-      );
-
-      // append fulfilled qty to order item
+      // append fulfilled (dispatched) qty to order item
       orderItem.fulfilledQty = (orderItem.fulfilledQty || 0) + toFulfill;
 
       // create StockTransaction (idempotent by unique index on orderRef+traceId)
@@ -268,7 +287,7 @@ export const superAdminActOnOrder = async (req, res) => {
           orderRef: order._id,
           orderRefModel: 'StockOrder',
           traceId,
-          note: `Fulfilled by SuperAdmin ${superAdminId}`
+          note: `Dispatched by SuperAdmin ${superAdminId}`
         }], { session });
       } catch (txErr) {
         if (txErr.code === 11000) {
@@ -281,18 +300,21 @@ export const superAdminActOnOrder = async (req, res) => {
     }
 
     // compute totals
-    const totalRequested = order.items.reduce((s, it) => s + (it.requestedQty || 0), 0);
     const totalFulfilled = order.items.reduce((s, it) => s + (it.fulfilledQty || 0), 0);
 
-    if (totalFulfilled === 0) order.status = 'rejected';
-    else if (totalFulfilled < totalRequested) order.status = 'partially_fulfilled';
-    else order.status = 'fulfilled';
+    if (totalFulfilled === 0) {
+      order.status = 'rejected';
+    } else {
+      order.status = 'in_transit';
+      order.dispatchedAt = new Date();
+      order.dispatchedBy = superAdminId;
+    }
 
     // clear lock and log action
     order.isLocked = false;
     order.lockedBy = null;
     order.lockExpiresAt = null;
-    order.logs.push({ by: superAdminId, action: action === 'approve' ? 'approved' : 'fulfilled', note: reason || '', at: new Date() });
+    order.logs.push({ by: superAdminId, action: order.status === 'in_transit' ? 'dispatched' : 'rejected', note: reason || '', at: new Date() });
 
     await order.save({ session });
     await session.commitTransaction();
@@ -0,0 +1,201 @@
+// controllers/stockTake.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import StockTake from '../models/stockTake.model.js';
+import stockTakeService from '../services/stockTake.service.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// The retailer and one of its stock takes (by _id or stockTakeId)
+const findRetailerStockTake = async (user, id) => {
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  if (!retailer) return {};
+  const stockTake = await StockTake.findOne(mongoose.Types.ObjectId.isValid(id)
+    ? { _id: id, retailer: retailer._id }
+    : { stockTakeId: id, retailer: retailer._id });
+  return { retailer, stockTake };
+};
+
+// Runs an action on the retailer's stock take, answering 404 when it is not there
+const withStockTake = (label, message, action) => async (req, res) => {
+  try {
+    const { retailer, stockTake } = await findRetailerStockTake(req.user, req.params.id);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        message: 'Stock take not found'
+      });
+    }
+    await action(req, res, stockTake);
+  } catch (error) {
+    sendError(res, error, label, message);
+  }
+};
+
+// @desc    Open a stock take
+// @route   POST /api/retailer/inventory/stock-takes
+// @access  Private (Retailer)
+export const openStockTake = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const stockTake = await stockTakeService.open(retailer._id, { userId: req.user._id, notes: req.body.notes });
+    res.status(201).json({
+      success: true,
+      message: 'Stock take opened',
+      stockTake
+    });
+  } catch (error) {
+    sendError(res, error, 'Open Stock Take', 'Error opening stock take');
+  }
+};
+
+// @desc    Stock takes, latest first
+// @route   GET /api/retailer/inventory/stock-takes
+// @access  Private (Retailer)
+export const getStockTakes = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { retailer: retailer._id };
+    if (status) filter.status = status;
+
+    const [stockTakes, total] = await Promise.all([
+      StockTake.find(filter)
+        .select('-lines')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      StockTake.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      stockTakes,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Stock Takes', 'Error fetching stock takes');
+  }
+};
+
+// @desc    One stock take with its counts and variances (?varianceOnly=true for lines that differ)
+// @route   GET /api/retailer/inventory/stock-takes/:id
+// @access  Private (Retailer)
+export const getStockTake = withStockTake('Get Stock Take', 'Error fetching stock take', async (req, res, stockTake) => {
+  const result = stockTake.toObject();
+  if (req.query.varianceOnly === 'true') {
+    result.lines = result.lines.filter(line => line.variance !== 0);
+  }
+  res.json({
+    success: true,
+    stockTake: result
+  });
+});
+
+// @desc    Enter or scan counts: { counts: [{ productId | barcode, quantity, mode: 'set'|'add' }] } or one count
+// @route   POST /api/retailer/inventory/stock-takes/:id/counts
+// @access  Private (Retailer)
+export const recordStockTakeCounts = withStockTake('Record Stock Take Counts', 'Error recording counts', async (req, res, stockTake) => {
+  const entries = Array.isArray(req.body.counts) ? req.body.counts : [req.body];
+  const updated = await stockTakeService.recordCounts(stockTake, entries, req.user._id);
+  res.json({
+    success: true,
+    message: `${entries.length} count(s) recorded`,
+    stockTake: updated
+  });
+});
+
+// @desc    Remove a product from the count
+// @route   DELETE /api/retailer/inventory/stock-takes/:id/counts/:lineId
+// @access  Private (Retailer)
+export const removeStockTakeLine = withStockTake('Remove Stock Take Line', 'Error removing count', async (req, res, stockTake) => {
+  await stockTakeService.removeLine(stockTake, req.params.lineId);
+  res.json({
+    success: true,
+    message: 'Count removed',
+    stockTake
+  });
+});
+
+// @desc    Finish counting and send the variances for approval
+// @route   POST /api/retailer/inventory/stock-takes/:id/submit
+// @access  Private (Retailer)
+export const submitStockTake = withStockTake('Submit Stock Take', 'Error submitting stock take', async (req, res, stockTake) => {
+  await stockTakeService.submit(stockTake, req.user._id);
+  res.json({
+    success: true,
+    message: 'Stock take submitted for approval',
+    stockTake
+  });
+});
+
+// @desc    Send a submitted stock take back for recounting
+// @route   POST /api/retailer/inventory/stock-takes/:id/reopen
+// @access  Private (Retailer)
+export const reopenStockTake = withStockTake('Reopen Stock Take', 'Error reopening stock take', async (req, res, stockTake) => {
+  await stockTakeService.reopen(stockTake);
+  res.json({
+    success: true,
+    message: 'Stock take reopened for counting',
+    stockTake
+  });
+});
+
+// @desc    Approve the variances and adjust stock
+// @route   POST /api/retailer/inventory/stock-takes/:id/post
+// @access  Private (Retailer)
+export const postStockTake = withStockTake('Post Stock Take', 'Error posting stock take', async (req, res, stockTake) => {
+  await stockTakeService.post(stockTake, req.user._id);
+  res.json({
+    success: true,
+    message: 'Stock take posted',
+    stockTake
+  });
+});
+
+// @desc    Cancel a stock take without adjusting stock
+// @route   DELETE /api/retailer/inventory/stock-takes/:id
+// @access  Private (Retailer)
+export const cancelStockTake = withStockTake('Cancel Stock Take', 'Error cancelling stock take', async (req, res, stockTake) => {
+  await stockTakeService.cancel(stockTake);
+  res.json({
+    success: true,
+    message: 'Stock take cancelled'
+  });
+});
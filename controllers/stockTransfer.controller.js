@@ -0,0 +1,266 @@
+// controllers/stockTransfer.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import StockTransfer from '../models/stockTransfer.model.js';
+import StockTransaction from '../models/stockTransaction.model.js';
+import stockTransferService from '../services/stockTransfer.service.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const findTransfer = (filter, id) => (
+  mongoose.Types.ObjectId.isValid(id)
+    ? StockTransfer.findOne({ ...filter, _id: id })
+    : StockTransfer.findOne({ ...filter, transferId: id })
+);
+
+// The retailer and a transfer it is part of, on either side
+const findRetailerTransfer = async (user, id) => {
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  if (!retailer) return {};
+  const transfer = await findTransfer({ $or: [{ fromRetailer: retailer._id }, { toRetailer: retailer._id }] }, id);
+  return { retailer, transfer };
+};
+
+// Runs a workflow step on one of the retailer's transfers, answering 404 when it is not there
+const withTransfer = (label, message, action) => async (req, res) => {
+  try {
+    const { retailer, transfer } = await findRetailerTransfer(req.user, req.params.id);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+    await action(req, res, { retailer, transfer });
+  } catch (error) {
+    sendError(res, error, label, message);
+  }
+};
+
+// @desc    Ask another shop for stock
+// @route   POST /api/admin/retailer/transfers
+// @access  Private (Retailer)
+export const requestTransfer = async (req, res) => {
+  try {
+    const { supplierId, items, notes } = req.body;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const transfer = await stockTransferService.request(retailer._id, { supplierId, items, notes, userId: req.user._id });
+    res.status(201).json({
+      success: true,
+      message: 'Transfer requested',
+      transfer
+    });
+  } catch (error) {
+    sendError(res, error, 'Request Transfer', 'Error requesting transfer');
+  }
+};
+
+// @desc    The retailer's transfers; direction=in for stock it asked for, out for stock asked of it
+// @route   GET /api/admin/retailer/transfers
+// @access  Private (Retailer)
+export const getRetailerTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, direction } = req.query;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    let filter;
+    if (direction === 'in') filter = { toRetailer: retailer._id };
+    else if (direction === 'out') filter = { fromRetailer: retailer._id };
+    else filter = { $or: [{ fromRetailer: retailer._id }, { toRetailer: retailer._id }] };
+    if (status) filter.status = status;
+
+    const [transfers, total] = await Promise.all([
+      StockTransfer.find(filter)
+        .populate('fromRetailer', 'shopName contactNumber')
+        .populate('toRetailer', 'shopName contactNumber')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      StockTransfer.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      transfers,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Transfers', 'Error fetching transfers');
+  }
+};
+
+// @desc    One transfer
+// @route   GET /api/admin/retailer/transfers/:id
+// @access  Private (Retailer)
+export const getRetailerTransfer = withTransfer('Get Transfer', 'Error fetching transfer', async (req, res, { transfer }) => {
+  await transfer.populate([
+    { path: 'fromRetailer', select: 'shopName contactNumber address' },
+    { path: 'toRetailer', select: 'shopName contactNumber address' }
+  ]);
+  res.json({
+    success: true,
+    transfer
+  });
+});
+
+// @desc    Approve a request, optionally for less: { items: [{ productId, quantity }] }
+// @route   POST /api/admin/retailer/transfers/:id/approve
+// @access  Private (Retailer, supplying shop)
+export const approveTransfer = withTransfer('Approve Transfer', 'Error approving transfer', async (req, res, { retailer, transfer }) => {
+  await stockTransferService.approve(transfer, { items: req.body.items, retailerId: retailer._id, userId: req.user._id });
+  res.json({
+    success: true,
+    message: 'Transfer approved',
+    transfer
+  });
+});
+
+// @desc    Turn a request down
+// @route   POST /api/admin/retailer/transfers/:id/reject
+// @access  Private (Retailer, supplying shop)
+export const rejectTransfer = withTransfer('Reject Transfer', 'Error rejecting transfer', async (req, res, { retailer, transfer }) => {
+  await stockTransferService.reject(transfer, { reason: req.body.reason, retailerId: retailer._id, userId: req.user._id });
+  res.json({
+    success: true,
+    message: 'Transfer rejected',
+    transfer
+  });
+});
+
+// @desc    Send the approved stock; it leaves the supplier's inventory
+// @route   POST /api/admin/retailer/transfers/:id/dispatch
+// @access  Private (Retailer, supplying shop)
+export const dispatchTransfer = withTransfer('Dispatch Transfer', 'Error dispatching transfer', async (req, res, { retailer, transfer }) => {
+  await stockTransferService.dispatch(transfer, { retailerId: retailer._id, userId: req.user._id });
+  res.json({
+    success: true,
+    message: 'Transfer dispatched',
+    transfer
+  });
+});
+
+// @desc    Confirm receipt, optionally of less than was sent: { items: [{ productId, quantity }], note }
+// @route   POST /api/admin/retailer/transfers/:id/receive
+// @access  Private (Retailer, requesting shop)
+export const receiveTransfer = withTransfer('Receive Transfer', 'Error receiving transfer', async (req, res, { retailer, transfer }) => {
+  const { items, note } = req.body;
+  await stockTransferService.receive(transfer, { items, note, retailerId: retailer._id, userId: req.user._id });
+  res.json({
+    success: true,
+    message: 'Transfer received',
+    transfer
+  });
+});
+
+// @desc    Withdraw a request before it is dispatched
+// @route   POST /api/admin/retailer/transfers/:id/cancel
+// @access  Private (Retailer, requesting shop)
+export const cancelTransfer = withTransfer('Cancel Transfer', 'Error cancelling transfer', async (req, res, { retailer, transfer }) => {
+  await stockTransferService.cancel(transfer, { retailerId: retailer._id });
+  res.json({
+    success: true,
+    message: 'Transfer cancelled',
+    transfer
+  });
+});
+
+// @desc    All transfers (status=in_transit for stock on the road), with counts by status
+// @route   GET /api/superadmin/transfers
+// @access  Private (SuperAdmin)
+export const getTransfers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, retailer } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (retailer && mongoose.Types.ObjectId.isValid(retailer)) {
+      filter.$or = [{ fromRetailer: retailer }, { toRetailer: retailer }];
+    }
+
+    const [transfers, total, counts] = await Promise.all([
+      StockTransfer.find(filter)
+        .populate('fromRetailer', 'shopName fullName contactNumber')
+        .populate('toRetailer', 'shopName fullName contactNumber')
+        .sort(status === 'in_transit' ? { dispatchedAt: 1 } : { createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      StockTransfer.countDocuments(filter),
+      StockTransfer.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+
+    res.json({
+      success: true,
+      transfers,
+      summary: counts.reduce((summary, row) => ({ ...summary, [row._id]: row.count }), {}),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Transfers', 'Error fetching transfers');
+  }
+};
+
+// @desc    One transfer with its stock transactions
+// @route   GET /api/superadmin/transfers/:id
+// @access  Private (SuperAdmin)
+export const getTransfer = async (req, res) => {
+  try {
+    const transfer = await findTransfer({}, req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    await transfer.populate([
+      { path: 'fromRetailer', select: 'shopName fullName contactNumber address' },
+      { path: 'toRetailer', select: 'shopName fullName contactNumber address' }
+    ]);
+    const transactions = await StockTransaction.find({ orderRef: transfer._id }).sort({ createdAt: -1 });
+    res.json({
+      success: true,
+      transfer,
+      transactions
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Transfer', 'Error fetching transfer');
+  }
+};
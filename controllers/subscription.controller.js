@@ -0,0 +1,536 @@
+// controllers/subscription.controller.js
+import mongoose from 'mongoose';
+import Customer from '../models/customer.model.js';
+import Subscription from '../models/subscription.model.js';
+import Product from '../models/product.model.js';
+import Admin from '../models/admin.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import subscriptionService from '../services/subscription.service.js';
+import khataService from '../services/khata.service.js';
+import { getClosestRetailer, validateCoordinates } from '../utils/locationUtils.js';
+import { startOfDay, toDateKey } from '../utils/dateUtils.js';
+
+const FREQUENCIES = ['daily', 'alternate_days', 'weekdays'];
+const PAYMENT_METHODS = Subscription.schema.path('paymentMethod').enumValues;
+
+// Generate unique subscription ID
+const generateSubscriptionId = () => {
+  return 'SUB' + Date.now() + Math.floor(Math.random() * 1000);
+};
+
+// Helper to load the logged-in customer's subscription (supports subscriptionId string and MongoDB _id)
+const findCustomerSubscription = async (userId, identifier) => {
+  const customer = await Customer.findOne({ user: userId });
+  if (!customer) return { error: { status: 404, message: 'Customer profile not found' } };
+
+  const bySubscriptionId = identifier.startsWith('SUB');
+  if (!bySubscriptionId && !mongoose.Types.ObjectId.isValid(identifier)) {
+    return { error: { status: 400, message: 'Invalid subscription id' } };
+  }
+
+  const query = bySubscriptionId
+    ? { subscriptionId: identifier }
+    : { _id: identifier };
+  const subscription = await Subscription.findOne({ ...query, customer: customer._id });
+  if (!subscription) return { error: { status: 404, message: 'Subscription not found' } };
+
+  return { customer, subscription };
+};
+
+// @desc    Create a recurring delivery subscription
+// @route   POST /api/subscriptions
+// @access  Private (Customer)
+export const createSubscription = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const {
+      productId,
+      quantity,
+      frequency = 'daily',
+      daysOfWeek = [],
+      startDate,
+      endDate,
+      deliveryAddress,
+      deliveryTime,
+      paymentMethod,
+      specialInstructions
+    } = req.body;
+
+    const qty = parseInt(quantity, 10);
+    if (!productId || !qty || qty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'productId and a positive quantity are required'
+      });
+    }
+
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({
+        success: false,
+        message: `Frequency must be one of: ${FREQUENCIES.join(', ')}`
+      });
+    }
+
+    if (paymentMethod !== undefined && !PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({
+        success: false,
+        message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}`
+      });
+    }
+
+    const weekdays = [...new Set((daysOfWeek || []).map(Number))];
+    if (frequency === 'weekdays' && (!weekdays.length || weekdays.some(d => !Number.isInteger(d) || d < 1 || d > 7))) {
+      return res.status(400).json({
+        success: false,
+        message: 'daysOfWeek must list ISO weekdays (1 = Monday ... 7 = Sunday)'
+      });
+    }
+
+    const today = startOfDay();
+    const start = startDate ? startOfDay(startDate) : today.plus({ days: 1 });
+    const end = endDate ? startOfDay(endDate) : null;
+    if (!start || start < today || (endDate && (!end || end < start))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid start or end date'
+      });
+    }
+
+    const customer = await Customer.findOne({ user: userId });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found. Please complete your profile first.'
+      });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isAvailable) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product not available'
+      });
+    }
+
+    const addressToUse = deliveryAddress || customer.deliveryAddress;
+    const coordinates = addressToUse?.coordinates;
+    if (!coordinates || !validateCoordinates(coordinates.latitude, coordinates.longitude)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Delivery address coordinates are required to set up a subscription.'
+      });
+    }
+
+    // Assign the closest active retailer, same as one-off orders
+    const retailers = await Admin.find({ isActive: true });
+    const closest = getClosestRetailer(coordinates.latitude, coordinates.longitude, retailers, 100);
+    if (!closest || !closest.retailer) {
+      return res.status(400).json({
+        success: false,
+        message: 'No retailer available within your delivery area.'
+      });
+    }
+
+    const stocksProduct = await RetailerInventory.exists({
+      retailer: closest.retailer._id,
+      product: product._id,
+      isActive: true
+    });
+    if (!stocksProduct) {
+      return res.status(400).json({
+        success: false,
+        message: `${product.name} is not sold by ${closest.retailer.shopName}`
+      });
+    }
+
+    // Subscriptions on khata need an account with the shop that will deliver them
+    if (paymentMethod === 'khata') {
+      const account = await khataService.findAccount(closest.retailer._id, customer._id);
+      if (!account || account.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: `Khata is not enabled for you at ${closest.retailer.shopName}`
+        });
+      }
+    }
+
+    const subscription = await Subscription.create({
+      subscriptionId: generateSubscriptionId(),
+      customer: customer._id,
+      retailer: closest.retailer._id,
+      product: product._id,
+      quantity: qty,
+      unit: product.unit,
+      frequency,
+      daysOfWeek: frequency === 'weekdays' ? weekdays : [],
+      startDate: start.toJSDate(),
+      endDate: end ? end.toJSDate() : undefined,
+      deliveryAddress: addressToUse,
+      deliveryTime: deliveryTime || customer.preferences?.deliveryTime,
+      paymentMethod: paymentMethod || 'cash',
+      specialInstructions,
+      logs: [{ by: userId, action: 'created', at: new Date() }]
+    });
+
+    await subscription.populate('product', 'name image unit unitSize price');
+    await subscription.populate('retailer', 'shopName fullName contactNumber');
+
+    res.status(201).json({
+      success: true,
+      message: 'Subscription created successfully',
+      subscription
+    });
+  } catch (error) {
+    console.error('Create Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating subscription',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get customer subscriptions
+// @route   GET /api/subscriptions
+// @access  Private (Customer)
+export const getMySubscriptions = async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    const customer = await Customer.findOne({ user: req.user._id });
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const filter = { customer: customer._id };
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    const subscriptions = await Subscription.find(filter)
+      .select('-logs')
+      .populate('product', 'name image unit unitSize price')
+      .populate('retailer', 'shopName fullName contactNumber')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      subscriptions
+    });
+  } catch (error) {
+    console.error('Get Subscriptions Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get single subscription
+// @route   GET /api/subscriptions/:id
+// @access  Private (Customer)
+export const getSubscriptionById = async (req, res) => {
+  try {
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    await subscription.populate('product', 'name image unit unitSize price');
+    await subscription.populate('retailer', 'shopName fullName contactNumber');
+
+    res.status(200).json({
+      success: true,
+      subscription
+    });
+  } catch (error) {
+    console.error('Get Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pause subscription (optionally until a resume date)
+// @route   PUT /api/subscriptions/:id/pause
+// @access  Private (Customer)
+export const pauseSubscription = async (req, res) => {
+  try {
+    const { resumeOn } = req.body;
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (subscription.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot pause a ${subscription.status} subscription`
+      });
+    }
+
+    let resumeDay = null;
+    if (resumeOn) {
+      resumeDay = startOfDay(resumeOn);
+      if (!resumeDay || resumeDay <= startOfDay()) {
+        return res.status(400).json({
+          success: false,
+          message: 'resumeOn must be a future date'
+        });
+      }
+    }
+
+    subscription.status = 'paused';
+    subscription.pausedAt = new Date();
+    subscription.resumeOn = resumeDay ? resumeDay.toJSDate() : null;
+    subscription.logs.push({
+      by: req.user._id,
+      action: 'paused',
+      note: resumeDay ? `Until ${toDateKey(resumeDay)}` : '',
+      at: new Date()
+    });
+    await subscription.save();
+
+    // Orders already generated inside the pause window are released
+    const cancelledOrders = await subscriptionService.cancelUpcomingOrders(subscription, {
+      from: startOfDay().toJSDate(),
+      to: resumeDay ? resumeDay.minus({ days: 1 }).toJSDate() : undefined,
+      reason: 'Subscription paused',
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription paused',
+      subscription,
+      cancelledOrders
+    });
+  } catch (error) {
+    console.error('Pause Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resume a paused subscription
+// @route   PUT /api/subscriptions/:id/resume
+// @access  Private (Customer)
+export const resumeSubscription = async (req, res) => {
+  try {
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (subscription.status !== 'paused') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only paused subscriptions can be resumed'
+      });
+    }
+
+    subscription.status = 'active';
+    subscription.pausedAt = null;
+    subscription.resumeOn = null;
+    subscription.logs.push({ by: req.user._id, action: 'resumed', at: new Date() });
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription resumed',
+      subscription
+    });
+  } catch (error) {
+    console.error('Resume Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Skip the delivery on one date
+// @route   POST /api/subscriptions/:id/skip
+// @access  Private (Customer)
+export const skipDelivery = async (req, res) => {
+  try {
+    const { date } = req.body;
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    const day = date ? startOfDay(date) : null;
+    if (!day || day < startOfDay()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A valid date (today or later) is required'
+      });
+    }
+
+    const dayKey = toDateKey(day);
+    if (!subscription.skipDates.some(d => toDateKey(d) === dayKey)) {
+      subscription.skipDates.push(day.toJSDate());
+    }
+    subscription.logs.push({ by: req.user._id, action: 'skipped', note: dayKey, at: new Date() });
+    await subscription.save();
+
+    // If the day's order was already generated, cancel it
+    const cancelledOrders = await subscriptionService.cancelUpcomingOrders(subscription, {
+      from: day.toJSDate(),
+      to: day.toJSDate(),
+      reason: 'Delivery skipped by customer',
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Delivery on ${dayKey} skipped`,
+      subscription,
+      cancelledOrders
+    });
+  } catch (error) {
+    console.error('Skip Delivery Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change the daily quantity (applies to orders not yet generated)
+// @route   PUT /api/subscriptions/:id/quantity
+// @access  Private (Customer)
+export const updateSubscriptionQuantity = async (req, res) => {
+  try {
+    const qty = parseInt(req.body.quantity, 10);
+    if (!qty || qty < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a positive integer'
+      });
+    }
+
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is cancelled'
+      });
+    }
+
+    const previous = subscription.quantity;
+    subscription.quantity = qty;
+    subscription.logs.push({ by: req.user._id, action: 'quantity_changed', note: `${previous} → ${qty}`, at: new Date() });
+    await subscription.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription quantity updated. Orders already generated are not changed.',
+      subscription
+    });
+  } catch (error) {
+    console.error('Update Subscription Quantity Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel subscription and any undispatched generated orders
+// @route   PUT /api/subscriptions/:id/cancel
+// @access  Private (Customer)
+export const cancelSubscription = async (req, res) => {
+  try {
+    const { reason = 'Cancelled by customer' } = req.body;
+    const { subscription, error } = await findCustomerSubscription(req.user._id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ success: false, message: error.message });
+    }
+
+    if (subscription.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subscription is already cancelled'
+      });
+    }
+
+    subscription.status = 'cancelled';
+    subscription.logs.push({ by: req.user._id, action: 'cancelled', note: reason, at: new Date() });
+    await subscription.save();
+
+    const cancelledOrders = await subscriptionService.cancelUpcomingOrders(subscription, {
+      from: startOfDay().toJSDate(),
+      reason: 'Subscription cancelled',
+      userId: req.user._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription cancelled',
+      subscription,
+      cancelledOrders
+    });
+  } catch (error) {
+    console.error('Cancel Subscription Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Generate subscription orders for a day on demand
+// @route   POST /api/superadmin/subscriptions/generate
+// @access  Private (SuperAdmin)
+export const generateSubscriptionOrders = async (req, res) => {
+  try {
+    const { date } = req.body;
+    if (date && !startOfDay(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date'
+      });
+    }
+
+    const summary = await subscriptionService.generateOrdersForDate(date || new Date());
+
+    res.status(200).json({
+      success: true,
+      message: 'Subscription orders generated',
+      summary
+    });
+  } catch (error) {
+    console.error('Generate Subscription Orders Error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,7 @@
 // controllers/superadmin.reports.controller.js
+import mongoose from 'mongoose';
 import Order from '../models/order.model.js';
+import CreditNote from '../models/creditNote.model.js';
 import Admin from '../models/admin.model.js';
 import Customer from '../models/customer.model.js';
 
@@ -36,65 +38,111 @@ export const generateSalesReport = async (req, res) => {
     if (reportType === 'weekly') groupFormat = '%Y-%U';
     if (reportType === 'monthly') groupFormat = '%Y-%m';
 
-    // Build match filter
+    // Revenue is counted on a document basis: every invoiced order adds its
+    // invoiced value (cancelled ones included once invoiced), and credit notes
+    // subtract in the period they were issued
     const matchFilter = {
       createdAt: { $gte: start, $lte: end },
-      orderStatus: { $ne: 'cancelled' }
+      $or: [
+        { orderStatus: { $ne: 'cancelled' } },
+        { 'invoice.number': { $type: 'string' } }
+      ]
+    };
+    const creditNoteFilter = {
+      issuedAt: { $gte: start, $lte: end }
     };
 
     // Add retailer filter if specified
     if (retailerId) {
-      matchFilter.assignedRetailer = retailerId;
+      matchFilter.assignedRetailer = new mongoose.Types.ObjectId(retailerId);
+      creditNoteFilter.retailer = matchFilter.assignedRetailer;
     }
 
-    const salesReport = await Order.aggregate([
-      {
-        $match: matchFilter
+    const isLive = { $ne: ['$orderStatus', 'cancelled'] };
+    const orderGroup = {
+      grossRevenue: { $sum: { $add: ['$finalAmount', { $ifNull: ['$returnedAmount', 0] }] } },
+      totalOrders: { $sum: { $cond: [isLive, 1, 0] } },
+      averageOrderValue: { $avg: { $cond: [isLive, '$finalAmount', null] } },
+      completedOrders: {
+        $sum: { $cond: [{ $eq: ['$orderStatus', 'delivered'] }, 1, 0] }
       },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: groupFormat, date: "$createdAt" }
-          },
-          totalRevenue: { $sum: '$finalAmount' },
-          totalOrders: { $sum: 1 },
-          averageOrderValue: { $avg: '$finalAmount' },
-          completedOrders: {
-            $sum: { $cond: [{ $eq: ['$orderStatus', 'delivered'] }, 1, 0] }
+      cancelledOrders: {
+        $sum: { $cond: [isLive, 0, 1] }
+      }
+    };
+    const creditNoteGroup = {
+      creditNoteAmount: { $sum: '$totalAmount' },
+      creditNoteCount: { $sum: 1 }
+    };
+
+    const [orderBuckets, creditNoteBuckets, summaryStats, creditNoteStats] = await Promise.all([
+      Order.aggregate([
+        { $match: matchFilter },
+        {
+          $group: {
+            _id: { $dateToString: { format: groupFormat, date: '$createdAt' } },
+            ...orderGroup
           }
         }
-      },
-      { $sort: { _id: 1 } }
-    ]);
-
-    // Get additional summary statistics
-    const summaryStats = await Order.aggregate([
-      {
-        $match: matchFilter
-      },
-      {
-        $group: {
-          _id: null,
-          totalRevenue: { $sum: '$finalAmount' },
-          totalOrders: { $sum: 1 },
-          averageOrderValue: { $avg: '$finalAmount' },
-          completedOrders: {
-            $sum: { $cond: [{ $eq: ['$orderStatus', 'delivered'] }, 1, 0] }
-          },
-          cancelledOrders: {
-            $sum: { $cond: [{ $eq: ['$orderStatus', 'cancelled'] }, 1, 0] }
+      ]),
+      CreditNote.aggregate([
+        { $match: creditNoteFilter },
+        {
+          $group: {
+            _id: { $dateToString: { format: groupFormat, date: '$issuedAt' } },
+            ...creditNoteGroup
           }
         }
-      }
+      ]),
+      Order.aggregate([
+        { $match: matchFilter },
+        { $group: { _id: null, ...orderGroup } }
+      ]),
+      CreditNote.aggregate([
+        { $match: creditNoteFilter },
+        { $group: { _id: null, ...creditNoteGroup } }
+      ])
     ]);
 
-    const summary = summaryStats[0] || {
-      totalRevenue: 0,
+    // Merge both series per period; credit notes show as negative revenue
+    const periods = new Map();
+    orderBuckets.forEach(bucket => periods.set(bucket._id, { ...bucket, creditNoteAmount: 0, creditNoteCount: 0 }));
+    creditNoteBuckets.forEach(bucket => {
+      const period = periods.get(bucket._id) || {
+        _id: bucket._id,
+        grossRevenue: 0,
+        totalOrders: 0,
+        averageOrderValue: 0,
+        completedOrders: 0,
+        cancelledOrders: 0
+      };
+      periods.set(bucket._id, { ...period, ...bucket });
+    });
+
+    const salesReport = [...periods.values()]
+      .sort((a, b) => a._id.localeCompare(b._id))
+      .map(({ cancelledOrders, creditNoteAmount, ...period }) => ({
+        ...period,
+        averageOrderValue: period.averageOrderValue || 0,
+        creditNotes: -creditNoteAmount,
+        totalRevenue: period.grossRevenue - creditNoteAmount
+      }));
+
+    const orderSummary = summaryStats[0] || {
+      grossRevenue: 0,
       totalOrders: 0,
       averageOrderValue: 0,
       completedOrders: 0,
       cancelledOrders: 0
     };
+    const creditNoteSummary = creditNoteStats[0] || { creditNoteAmount: 0, creditNoteCount: 0 };
+    const summary = {
+      ...orderSummary,
+      averageOrderValue: orderSummary.averageOrderValue || 0,
+      creditNotes: -creditNoteSummary.creditNoteAmount,
+      creditNoteCount: creditNoteSummary.creditNoteCount,
+      totalRevenue: orderSummary.grossRevenue - creditNoteSummary.creditNoteAmount
+    };
 
     // Log action using console.log
     console.log('📈 [REPORTS] SuperAdmin generated sales report:', {
@@ -112,6 +160,9 @@ export const generateSalesReport = async (req, res) => {
       data: {
         report: salesReport,
         summary: {
+          grossRevenue: summary.grossRevenue,
+          creditNotes: summary.creditNotes,
+          creditNoteCount: summary.creditNoteCount,
           totalRevenue: summary.totalRevenue,
           totalOrders: summary.totalOrders,
           completedOrders: summary.completedOrders,
@@ -154,11 +205,16 @@ export const generateRetailerPerformanceReport = async (req, res) => {
     const end = endDate ? new Date(endDate) : new Date();
     end.setHours(23, 59, 59, 999);
 
-    const retailerPerformance = await Order.aggregate([
+    // Invoiced value per retailer (see generateSalesReport), less credit notes below
+    const isLive = { $ne: ['$orderStatus', 'cancelled'] };
+    const retailerSales = await Order.aggregate([
       {
         $match: {
           createdAt: { $gte: start, $lte: end },
-          orderStatus: { $ne: 'cancelled' },
+          $or: [
+            { orderStatus: { $ne: 'cancelled' } },
+            { 'invoice.number': { $type: 'string' } }
+          ],
           assignedRetailer: { $exists: true, $ne: null }
         }
       },
@@ -176,12 +232,12 @@ export const generateRetailerPerformanceReport = async (req, res) => {
           _id: '$assignedRetailer',
           retailerName: { $first: '$retailerInfo.shopName' },
           ownerName: { $first: '$retailerInfo.fullName' },
-          totalOrders: { $sum: 1 },
-          totalRevenue: { $sum: '$finalAmount' },
+          totalOrders: { $sum: { $cond: [isLive, 1, 0] } },
+          grossRevenue: { $sum: { $add: ['$finalAmount', { $ifNull: ['$returnedAmount', 0] }] } },
           completedOrders: {
             $sum: { $cond: [{ $eq: ['$orderStatus', 'delivered'] }, 1, 0] }
           },
-          averageOrderValue: { $avg: '$finalAmount' }
+          averageOrderValue: { $avg: { $cond: [isLive, '$finalAmount', null] } }
         }
       },
       {
@@ -189,20 +245,37 @@ export const generateRetailerPerformanceReport = async (req, res) => {
           retailerName: 1,
           ownerName: 1,
           totalOrders: 1,
-          totalRevenue: 1,
+          grossRevenue: 1,
           completedOrders: 1,
-          averageOrderValue: 1,
+          averageOrderValue: { $ifNull: ['$averageOrderValue', 0] },
           completionRate: {
-            $multiply: [
-              { $divide: ['$completedOrders', '$totalOrders'] },
-              100
+            $cond: [
+              { $gt: ['$totalOrders', 0] },
+              { $multiply: [{ $divide: ['$completedOrders', '$totalOrders'] }, 100] },
+              0
             ]
           }
         }
-      },
-      { $sort: { totalRevenue: -1 } },
-      { $limit: parseInt(limit) }
+      }
+    ]);
+
+    const creditNotesByRetailer = await CreditNote.aggregate([
+      { $match: { issuedAt: { $gte: start, $lte: end } } },
+      { $group: { _id: '$retailer', amount: { $sum: '$totalAmount' } } }
     ]);
+    const creditNoteAmounts = new Map(creditNotesByRetailer.map(row => [String(row._id), row.amount]));
+
+    const retailerPerformance = retailerSales
+      .map(retailer => {
+        const credited = creditNoteAmounts.get(String(retailer._id)) || 0;
+        return {
+          ...retailer,
+          creditNotes: -credited,
+          totalRevenue: retailer.grossRevenue - credited
+        };
+      })
+      .sort((a, b) => b.totalRevenue - a.totalRevenue)
+      .slice(0, parseInt(limit));
 
     // Log action using console.log
     console.log('📈 [REPORTS] SuperAdmin generated retailer performance report:', {
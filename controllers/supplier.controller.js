@@ -0,0 +1,200 @@
+// controllers/supplier.controller.js
+import mongoose from 'mongoose';
+import Admin from '../models/admin.model.js';
+import Supplier from '../models/supplier.model.js';
+import purchaseOrderService from '../services/purchaseOrder.service.js';
+
+const SUPPLIER_FIELDS = ['name', 'contactPerson', 'phone', 'email', 'gstin', 'address', 'paymentTermsDays', 'notes', 'isActive'];
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'You already have a supplier with this name'
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const pick = (body) => Object.fromEntries(
+  SUPPLIER_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+);
+
+// The retailer and one of its suppliers
+const findRetailerSupplier = async (user, id) => {
+  const retailer = await Admin.findOne({ user: user._id }).select('_id');
+  if (!retailer) return {};
+  const supplier = mongoose.Types.ObjectId.isValid(id)
+    ? await Supplier.findOne({ _id: id, retailer: retailer._id })
+    : null;
+  return { retailer, supplier };
+};
+
+// @desc    Add a supplier
+// @route   POST /api/retailer/inventory/suppliers
+// @access  Private (Retailer)
+export const createSupplier = async (req, res) => {
+  try {
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const supplier = await Supplier.create({ ...pick(req.body), retailer: retailer._id });
+    res.status(201).json({
+      success: true,
+      message: 'Supplier added',
+      supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Create Supplier', 'Error adding supplier');
+  }
+};
+
+// @desc    The retailer's suppliers (?search=, ?includeInactive=true)
+// @route   GET /api/retailer/inventory/suppliers
+// @access  Private (Retailer)
+export const getSuppliers = async (req, res) => {
+  try {
+    const { search, includeInactive } = req.query;
+
+    const retailer = await Admin.findOne({ user: req.user._id }).select('_id');
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+
+    const filter = { retailer: retailer._id };
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ name: pattern }, { contactPerson: pattern }, { phone: pattern }];
+    }
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.json({
+      success: true,
+      suppliers
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Suppliers', 'Error fetching suppliers');
+  }
+};
+
+// @desc    One supplier
+// @route   GET /api/retailer/inventory/suppliers/:id
+// @access  Private (Retailer)
+export const getSupplier = async (req, res) => {
+  try {
+    const { supplier } = await findRetailerSupplier(req.user, req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Supplier', 'Error fetching supplier');
+  }
+};
+
+// @desc    Update a supplier
+// @route   PUT /api/retailer/inventory/suppliers/:id
+// @access  Private (Retailer)
+export const updateSupplier = async (req, res) => {
+  try {
+    const { supplier } = await findRetailerSupplier(req.user, req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    supplier.set(pick(req.body));
+    await supplier.save();
+    res.json({
+      success: true,
+      message: 'Supplier updated',
+      supplier
+    });
+  } catch (error) {
+    sendError(res, error, 'Update Supplier', 'Error updating supplier');
+  }
+};
+
+// @desc    Stop using a supplier (kept for its purchase history)
+// @route   DELETE /api/retailer/inventory/suppliers/:id
+// @access  Private (Retailer)
+export const deactivateSupplier = async (req, res) => {
+  try {
+    const { supplier } = await findRetailerSupplier(req.user, req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    supplier.isActive = false;
+    await supplier.save();
+    res.json({
+      success: true,
+      message: 'Supplier deactivated'
+    });
+  } catch (error) {
+    sendError(res, error, 'Deactivate Supplier', 'Error deactivating supplier');
+  }
+};
+
+// @desc    Purchase history with a supplier: orders, receipts, totals and products bought
+// @route   GET /api/retailer/inventory/suppliers/:id/purchases?startDate=&endDate=
+// @access  Private (Retailer)
+export const getSupplierPurchases = async (req, res) => {
+  try {
+    const { retailer, supplier } = await findRetailerSupplier(req.user, req.params.id);
+    if (!supplier) {
+      return res.status(404).json({
+        success: false,
+        message: 'Supplier not found'
+      });
+    }
+
+    const { startDate, endDate } = req.query;
+    const history = await purchaseOrderService.getSupplierHistory(retailer._id, supplier._id, { startDate, endDate });
+    res.json({
+      success: true,
+      supplier,
+      ...history
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Supplier Purchases', 'Error fetching purchase history');
+  }
+};
@@ -0,0 +1,140 @@
+// controllers/upiQr.controller.js
+import Admin from '../models/admin.model.js';
+import Order from '../models/order.model.js';
+import upiQrService from '../services/upiQr.service.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+// The retailer and one of its orders
+const findRetailerOrder = async (user, orderId) => {
+  const retailer = await Admin.findOne({ user: user._id }).select('shopName upi');
+  if (!retailer) return {};
+  const order = await Order.findOne({ orderId, assignedRetailer: retailer._id });
+  return { retailer, order };
+};
+
+// @desc    UPI QR code for the amount due on an order (PNG, or JSON with ?format=json)
+// @route   GET /api/admin/retailer/orders/:orderId/upi-qr
+// @access  Private (Retailer)
+export const getUpiQr = async (req, res) => {
+  try {
+    const { retailer, order } = await findRetailerOrder(req.user, req.params.orderId);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const qr = await upiQrService.createQr(order, retailer);
+
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        paymentId: qr.payment.paymentId,
+        reference: qr.payment.upiQr.reference,
+        amount: qr.amount,
+        upiId: qr.payment.upiQr.vpa,
+        intent: qr.intent,
+        qrCode: qr.qrCode
+      });
+    }
+
+    const image = await upiQrService.renderImage(qr);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Disposition', `inline; filename=upi-${order.orderId}.png`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Payment-Id', qr.payment.paymentId);
+    res.send(image);
+  } catch (error) {
+    sendError(res, error, 'Get UPI QR', 'Error generating UPI QR code');
+  }
+};
+
+// @desc    Confirm the money from a UPI QR code arrived (UTR from the bank app)
+// @route   POST /api/admin/retailer/orders/:orderId/upi-qr/confirm
+// @access  Private (Retailer)
+export const confirmUpiPayment = async (req, res) => {
+  try {
+    const { utr } = req.body;
+
+    const { retailer, order } = await findRetailerOrder(req.user, req.params.orderId);
+    if (!retailer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Retailer profile not found'
+      });
+    }
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const payment = await upiQrService.findPending(order);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'No UPI QR payment is waiting for confirmation on this order'
+      });
+    }
+
+    const result = await upiQrService.confirm(payment, { utr, confirmation: 'manual', userId: req.user._id });
+    const updated = await Order.findById(order._id).select('orderId finalAmount paymentMethod paymentStatus');
+
+    res.json({
+      success: true,
+      message: result.outcome === 'review' ? result.note : 'UPI payment confirmed',
+      payment,
+      order: updated
+    });
+  } catch (error) {
+    sendError(res, error, 'Confirm UPI Payment', 'Error confirming UPI payment');
+  }
+};
+
+// @desc    Payment callback from the bank for UPI QR payments
+// @route   POST /api/payments/upi/webhook
+// @access  Public (signed with the shared secret)
+export const handleUpiWebhook = async (req, res) => {
+  try {
+    if (!req.rawBody) {
+      return res.status(400).json({
+        success: false,
+        message: 'Webhook body missing'
+      });
+    }
+
+    const result = await upiQrService.handleWebhook({
+      rawBody: req.rawBody.toString('utf8'),
+      signature: req.headers['x-upi-signature']
+    });
+
+    res.status(200).json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    sendError(res, error, 'UPI Webhook', 'Server error');
+  }
+};
@@ -0,0 +1,201 @@
+// controllers/wallet.controller.js
+import mongoose from 'mongoose';
+import Customer from '../models/customer.model.js';
+import walletService from '../services/wallet.service.js';
+
+const sendError = (res, error, label, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(`${label} Error:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+};
+
+const getCustomer = (user) => Customer.findOne({ user: user._id }).select('_id walletBalance');
+
+const parseStatementQuery = (query) => ({
+  from: query.startDate ? new Date(query.startDate) : undefined,
+  to: query.endDate ? new Date(query.endDate) : undefined,
+  page: parseInt(query.page) || 1,
+  limit: parseInt(query.limit) || 20,
+  includePending: query.includePending === 'true'
+});
+
+// @desc    Wallet balance
+// @route   GET /api/customer/wallet
+// @access  Private (Customer)
+export const getWallet = async (req, res) => {
+  try {
+    const customer = await getCustomer(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      balance: customer.walletBalance || 0
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Wallet', 'Error fetching wallet');
+  }
+};
+
+// @desc    Wallet statement (ledger entries with totals)
+// @route   GET /api/customer/wallet/statement?startDate=&endDate=&page=&limit=
+// @access  Private (Customer)
+export const getWalletStatement = async (req, res) => {
+  try {
+    const customer = await getCustomer(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const statement = await walletService.getStatement(customer._id, parseStatementQuery(req.query));
+    res.json({
+      success: true,
+      ...statement
+    });
+  } catch (error) {
+    sendError(res, error, 'Wallet Statement', 'Error fetching wallet statement');
+  }
+};
+
+// @desc    Start a wallet top-up through the payment gateway
+// @route   POST /api/customer/wallet/top-up
+// @access  Private (Customer)
+export const startWalletTopUp = async (req, res) => {
+  try {
+    const amount = Number(req.body.amount);
+    const customer = await getCustomer(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const { transaction, checkout } = await walletService.startTopUp(customer, amount);
+    res.status(201).json({
+      success: true,
+      message: 'Top-up initiated',
+      transaction,
+      checkout
+    });
+  } catch (error) {
+    sendError(res, error, 'Wallet Top-up', 'Error starting top-up');
+  }
+};
+
+// @desc    Checkout callback for a wallet top-up
+// @route   POST /api/customer/wallet/top-up/verify
+// @access  Private (Customer)
+export const verifyWalletTopUp = async (req, res) => {
+  try {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required'
+      });
+    }
+
+    const customer = await getCustomer(req.user);
+    if (!customer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer profile not found'
+      });
+    }
+
+    const transaction = await walletService.verifyTopUp(customer, {
+      orderId: razorpay_order_id,
+      paymentId: razorpay_payment_id,
+      signature: razorpay_signature
+    });
+
+    res.json({
+      success: true,
+      message: 'Wallet topped up',
+      transaction,
+      balance: await walletService.getBalance(customer._id)
+    });
+  } catch (error) {
+    sendError(res, error, 'Verify Wallet Top-up', 'Error verifying top-up');
+  }
+};
+
+// @desc    A customer's wallet balance and statement
+// @route   GET /api/superadmin/customers/:id/wallet
+// @access  Private (SuperAdmin)
+export const getCustomerWallet = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer ID'
+      });
+    }
+
+    const statement = await walletService.getStatement(req.params.id, {
+      ...parseStatementQuery(req.query),
+      includePending: true
+    });
+    res.json({
+      success: true,
+      ...statement
+    });
+  } catch (error) {
+    sendError(res, error, 'Get Customer Wallet', 'Error fetching wallet');
+  }
+};
+
+// @desc    Credit or debit a customer's wallet by hand (reason required)
+// @route   POST /api/superadmin/customers/:id/wallet/adjustments
+// @access  Private (SuperAdmin)
+export const adjustCustomerWallet = async (req, res) => {
+  try {
+    const { reason, category } = req.body;
+    const amount = Number(req.body.amount);
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid customer ID'
+      });
+    }
+    if (!amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is required (negative to debit)'
+      });
+    }
+
+    const transaction = await walletService.adjust(req.params.id, amount, {
+      reason,
+      category,
+      actor: { user: req.user._id, role: req.user.role }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Wallet adjusted',
+      transaction,
+      balance: transaction.balanceAfter
+    });
+  } catch (error) {
+    sendError(res, error, 'Adjust Wallet', 'Error adjusting wallet');
+  }
+};
@@ -0,0 +1,136 @@
+// lib/paymentGateway.js
+// Pluggable payment gateways. Every gateway creates an order for the amount to
+// collect and checks the HMAC signatures on checkout callbacks and webhooks, the
+// way Razorpay does. The 'mock' gateway does all of it in-process with known
+// secrets, so local runs and tests need no Razorpay account; it has to be asked
+// for with PAYMENT_GATEWAY=mock and is refused in production.
+import crypto from 'crypto';
+import axios from 'axios';
+import { productionConfig } from '../config/production.js';
+
+const _gateways = new Map();
+
+// No secret configured, no signature: every signature checked against it is rejected
+const hmac = (secret, data) => (secret ? crypto.createHmac('sha256', secret).update(data).digest('hex') : null);
+
+const safeEqual = (expected, actual) => {
+  if (!expected || typeof actual !== 'string' || actual.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+};
+
+/**
+ * Register a payment gateway
+ * @param {string} name - Value used in productionConfig.payments.gateway
+ * @param {Object} gateway
+ *   keyId - public key handed to the checkout
+ *   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency } (amount in paise)
+ *   refund(paymentId, { amount, notes }) -> { id, amount, status: 'pending'|'processed' }
+ *   signPayment(orderId, paymentId) -> signature expected on the checkout callback
+ *   signWebhook(rawBody) -> signature expected in the X-Razorpay-Signature header
+ */
+export function registerPaymentGateway(name, gateway) {
+  _gateways.set(name, {
+    name,
+    ...gateway,
+    verifyPaymentSignature({ orderId, paymentId, signature }) {
+      return safeEqual(gateway.signPayment(orderId, paymentId), signature);
+    },
+    verifyWebhookSignature(rawBody, signature) {
+      return safeEqual(gateway.signWebhook(rawBody), signature);
+    }
+  });
+}
+
+/**
+ * Gateway by name; defaults to the configured one
+ */
+export function getPaymentGateway(name = productionConfig.payments.gateway) {
+  const gateway = _gateways.get(name);
+  if (!gateway) throw new Error(`Unknown payment gateway: ${name}`);
+  return gateway;
+}
+
+/**
+ * Checked at startup: production runs only on Razorpay, with its key, secret and
+ * webhook secret all set
+ * @throws {Error} naming what is wrong
+ */
+export function assertPaymentGatewayConfig(env = process.env.NODE_ENV) {
+  const { gateway, razorpay } = productionConfig.payments;
+  getPaymentGateway(gateway);
+  if (env !== 'production') return;
+
+  if (gateway === 'mock') {
+    throw new Error('The mock payment gateway cannot be used in production; unset PAYMENT_GATEWAY or set it to razorpay');
+  }
+  if (gateway === 'razorpay') {
+    const missing = [
+      ['RAZORPAY_KEY_ID', razorpay.keyId],
+      ['RAZORPAY_KEY_SECRET (or RAZORPAY_SECRET)', razorpay.keySecret],
+      ['RAZORPAY_WEBHOOK_SECRET', razorpay.webhookSecret]
+    ].filter(([, value]) => !value).map(([name]) => name);
+    if (missing.length) throw new Error(`Razorpay is not configured: ${missing.join(', ')} missing`);
+  }
+}
+
+const razorpayRequest = async (method, endpoint, payload) => {
+  const { keyId, keySecret, apiBase } = productionConfig.payments.razorpay;
+  try {
+    const response = await axios({
+      method,
+      url: `${apiBase}${endpoint}`,
+      data: payload,
+      auth: { username: keyId, password: keySecret },
+      timeout: 15000
+    });
+    return response.data;
+  } catch (error) {
+    const status = error.response?.status ?? error.code;
+    const description = error.response?.data?.error?.description || error.message || 'unknown error';
+    throw new Error(`Razorpay ${endpoint} failed (${status}): ${description}`);
+  }
+};
+
+registerPaymentGateway('razorpay', {
+  get keyId() {
+    return productionConfig.payments.razorpay.keyId;
+  },
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const body = await razorpayRequest('POST', '/orders', { amount, currency, receipt, notes });
+    return { id: body.id, amount: body.amount, currency: body.currency };
+  },
+
+  async refund(paymentId, { amount, notes }) {
+    const body = await razorpayRequest('POST', `/payments/${paymentId}/refund`, { amount, notes });
+    return { id: body.id, amount: body.amount, status: body.status === 'processed' ? 'processed' : 'pending' };
+  },
+
+  signPayment(orderId, paymentId) {
+    return hmac(productionConfig.payments.razorpay.keySecret, `${orderId}|${paymentId}`);
+  },
+
+  signWebhook(rawBody) {
+    return hmac(productionConfig.payments.razorpay.webhookSecret, rawBody);
+  }
+});
+
+registerPaymentGateway('mock', {
+  keyId: 'rzp_test_mock',
+
+  async createOrder({ amount, currency }) {
+    return { id: `order_mock${crypto.randomBytes(7).toString('hex')}`, amount, currency };
+  },
+
+  async refund(paymentId, { amount }) {
+    return { id: `rfnd_mock${crypto.randomBytes(7).toString('hex')}`, amount, status: 'processed' };
+  },
+
+  signPayment(orderId, paymentId) {
+    return hmac(productionConfig.payments.mock.keySecret, `${orderId}|${paymentId}`);
+  },
+
+  signWebhook(rawBody) {
+    return hmac(productionConfig.payments.mock.webhookSecret, rawBody);
+  }
+});
@@ -0,0 +1,86 @@
+// lib/scheduler.js
+// Minimal in-process job scheduler for background work (order generation,
+// sweepers, daily reports). Jobs never overlap with themselves and a failing
+// run is logged without stopping the schedule.
+import { DateTime } from 'luxon';
+import { TIMEZONE } from '../utils/dateUtils.js';
+
+const _jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running) {
+    console.warn(`⏭️ [SCHEDULER] ${job.name} still running, skipping this tick`);
+    return;
+  }
+  job.running = true;
+  const startedAt = Date.now();
+  try {
+    const result = await job.task();
+    job.lastRunAt = new Date();
+    console.log(`✅ [SCHEDULER] ${job.name} finished in ${Date.now() - startedAt}ms`, result ?? '');
+  } catch (err) {
+    console.error(`❌ [SCHEDULER] ${job.name} failed:`, err);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Run a task every day at a fixed IST time.
+ * @param {string} name - Unique job name
+ * @param {{ hour?: number, minute?: number, catchUp?: boolean }} opts
+ *   catchUp: run once immediately if today's slot has already passed
+ * @param {Function} task - async function to run
+ */
+export function scheduleDaily(name, { hour = 0, minute = 0, catchUp = false } = {}, task) {
+  cancelJob(name);
+  const job = { name, task, running: false, timer: null, lastRunAt: null };
+  _jobs.set(name, job);
+
+  const scheduleNext = () => {
+    const now = DateTime.now().setZone(TIMEZONE);
+    let next = now.set({ hour, minute, second: 0, millisecond: 0 });
+    if (next <= now) next = next.plus({ days: 1 });
+
+    job.timer = setTimeout(async () => {
+      await runJob(job);
+      if (_jobs.get(name) === job) scheduleNext();
+    }, next.diff(now).as('milliseconds'));
+    job.timer.unref?.();
+    job.nextRunAt = next.toJSDate();
+  };
+
+  const todaysSlot = DateTime.now().setZone(TIMEZONE).set({ hour, minute, second: 0, millisecond: 0 });
+  if (catchUp && todaysSlot <= DateTime.now().setZone(TIMEZONE)) {
+    runJob(job);
+  }
+
+  scheduleNext();
+  console.log(`🕒 [SCHEDULER] ${name} scheduled daily at ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')} ${TIMEZONE}`);
+  return name;
+}
+
+/**
+ * Run a task at a fixed interval.
+ * @param {string} name - Unique job name
+ * @param {number} intervalMs - Interval in milliseconds
+ * @param {Function} task - async function to run
+ */
+export function scheduleEvery(name, intervalMs, task) {
+  cancelJob(name);
+  const job = { name, task, running: false, timer: null, lastRunAt: null };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  job.timer.unref?.();
+  _jobs.set(name, job);
+  console.log(`🕒 [SCHEDULER] ${name} scheduled every ${Math.round(intervalMs / 1000)}s`);
+  return name;
+}
+
+export function cancelJob(name) {
+  const job = _jobs.get(name);
+  if (!job) return false;
+  clearTimeout(job.timer);
+  clearInterval(job.timer);
+  _jobs.delete(name);
+  return true;
+}
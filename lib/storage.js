@@ -0,0 +1,58 @@
+// lib/storage.js
+// Pluggable storage for generated documents (invoice PDFs). Each driver saves a
+// buffer under a key and reads it back from the reference it returned, so the
+// stored reference ({ provider, key, url }) is all a document needs to keep.
+import fs from 'fs/promises';
+import path from 'path';
+import { productionConfig } from '../config/production.js';
+import { uploadToCloudinary } from '../utils/cloudinaryUpload.js';
+
+const _drivers = new Map();
+
+/**
+ * Register a storage driver
+ * @param {string} name - Value used in productionConfig.storage.driver
+ * @param {{ save: Function, read: Function }} driver
+ *   save(key, buffer, { contentType }) -> { provider, key, url?, size }
+ *   read(ref) -> Buffer
+ */
+export function registerStorageDriver(name, driver) {
+  _drivers.set(name, { name, ...driver });
+}
+
+/**
+ * Driver by name; defaults to the configured one
+ */
+export function getStorage(name = productionConfig.storage.driver) {
+  const driver = _drivers.get(name);
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+}
+
+// Files under productionConfig.storage.localDir (relative to the working directory)
+registerStorageDriver('local', {
+  async save(key, buffer) {
+    const filePath = path.resolve(productionConfig.storage.localDir, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    return { provider: 'local', key, size: buffer.length };
+  },
+
+  async read(ref) {
+    return fs.readFile(path.resolve(productionConfig.storage.localDir, ref.key));
+  }
+});
+
+// Raw uploads to Cloudinary; the key is the folder, Cloudinary assigns the public id
+registerStorageDriver('cloudinary', {
+  async save(key, buffer) {
+    const result = await uploadToCloudinary(buffer, `dairy9/${path.dirname(key)}`, 'raw');
+    return { provider: 'cloudinary', key: result.public_id, url: result.secure_url, size: buffer.length };
+  },
+
+  async read(ref) {
+    const response = await fetch(ref.url);
+    if (!response.ok) throw new Error(`Could not fetch ${ref.key} from Cloudinary (${response.status})`);
+    return Buffer.from(await response.arrayBuffer());
+  }
+});
@@ -42,6 +42,62 @@ const adminSchema = new mongoose.Schema({
     type: Number,
     default: 50
   },
+  // Delivery charge rules for this shop; unset values fall back to productionConfig.delivery
+  deliverySettings: {
+    minOrderAmount: {
+      type: Number,
+      min: 0
+    },
+    freeDeliveryAbove: {
+      type: Number,
+      min: 0
+    },
+    // Fee by distance, e.g. [{ upToKm: 3, fee: 0 }, { upToKm: 7, fee: 20 }]
+    distanceBands: {
+      type: [{
+        _id: false,
+        upToKm: { type: Number, required: true, min: 0 },
+        fee: { type: Number, required: true, min: 0 }
+      }],
+      default: undefined
+    }
+  },
+  // GST registration printed on tax invoices
+  gstin: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN']
+  },
+  // Prefix for this shop's invoice numbers, e.g. D9/2025-26/00042
+  invoicePrefix: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    maxlength: 4,
+    default: 'D9'
+  },
+  // UPI ID payments are collected on, shown as a QR code at the counter or doorstep
+  upi: {
+    vpa: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9._-]{2,256}@[a-z][a-z0-9]{1,63}$/, 'Invalid UPI ID']
+    },
+    // Name shown in the payer's UPI app; defaults to the shop name
+    payeeName: {
+      type: String,
+      trim: true,
+      maxlength: 50
+    }
+  },
+  // Platform commission (%) on this shop's orders; overrides the category rates
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,85 @@
+// models/cashClosing.model.js
+import mongoose from 'mongoose';
+
+// End-of-day cash report for one retailer: cash-on-delivery expected from the
+// day's deliveries against what was collected, plus counter (offline) sales.
+// Recomputed on request until the retailer closes the day with a cash count.
+const pendingCodSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderId: String,
+  expected: Number,
+  collected: Number
+}, { _id: false });
+
+const cashClosingSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // IST day, "YYYY-MM-DD"
+  date: {
+    type: String,
+    required: true
+  },
+  cod: {
+    orders: { type: Number, default: 0 },
+    expected: { type: Number, default: 0 },
+    collected: { type: Number, default: 0 },
+    short: { type: Number, default: 0 },
+    excess: { type: Number, default: 0 },
+    // Delivered orders whose cash was not (fully) collected
+    pending: [pendingCodSchema]
+  },
+  // Cash collected today for orders delivered on earlier days
+  lateCollections: {
+    count: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 }
+  },
+  counterSales: {
+    orders: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    byMethod: [{
+      _id: false,
+      method: String,
+      orders: Number,
+      amount: Number
+    }]
+  },
+  // Cash that should be in hand: today's COD collections plus counter cash sales
+  expectedCash: {
+    type: Number,
+    default: 0
+  },
+  result: {
+    type: String,
+    enum: ['balanced', 'short', 'excess'],
+    default: 'balanced'
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  // Counted by the retailer when closing the day
+  declaredCash: Number,
+  cashVariance: Number,
+  note: String,
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  computedAt: Date
+}, {
+  timestamps: true
+});
+
+cashClosingSchema.index({ retailer: 1, date: -1 }, { unique: true });
+cashClosingSchema.index({ date: -1, result: 1 });
+
+const CashClosing = mongoose.model('CashClosing', cashClosingSchema);
+export default CashClosing;
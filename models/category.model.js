@@ -24,6 +24,23 @@ const categorySchema = new mongoose.Schema({
   displayOrder: {
     type: Number,
     default: 0
+  },
+  // Tax defaults for products in this category (products can override)
+  hsnCode: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 5, 12, 18, 28],
+    default: 0
+  },
+  // Platform commission (%) on sales in this category, unless the retailer has its own rate
+  commissionRate: {
+    type: Number,
+    min: 0,
+    max: 100,
+    select: false
   }
 }, { timestamps: true });
 
@@ -0,0 +1,118 @@
+// models/creditNote.model.js
+import mongoose from 'mongoose';
+
+// Reverses (part of) a tax invoice: a cancelled order after invoicing, or an approved return
+const creditNoteItemSchema = new mongoose.Schema({
+  orderItem: mongoose.Schema.Types.ObjectId,
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  // Lines without a product reverse a charge, e.g. the delivery fee
+  description: String,
+  hsnCode: String,
+  gstRate: Number,
+  quantity: Number,
+  unit: String,
+  // Tax-inclusive value reversed on this line
+  amount: {
+    type: Number,
+    required: true
+  },
+  taxableValue: Number,
+  taxAmount: Number
+}, { _id: false });
+
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true
+  },
+  financialYear: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reason: {
+    type: String,
+    enum: ['cancellation', 'return'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  // Tax invoice being corrected
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  invoiceDate: Date,
+  returnRequest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReturnRequest'
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  items: [creditNoteItemSchema],
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    sellerGstin: String,
+    placeOfSupply: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    summary: [{
+      _id: false,
+      hsnCode: String,
+      rate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number
+    }]
+  },
+  // Tax-inclusive total credited (reported as negative revenue)
+  totalAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  notes: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+creditNoteSchema.index({ retailer: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ retailer: 1, issuedAt: -1 });
+creditNoteSchema.index({ customer: 1, issuedAt: -1 });
+// At most one credit note per cancellation and per return request
+creditNoteSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { reason: 'cancellation' } }
+);
+creditNoteSchema.index(
+  { returnRequest: 1 },
+  { unique: true, partialFilterExpression: { returnRequest: { $exists: true } } }
+);
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+export default CreditNote;
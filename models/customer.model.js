@@ -47,12 +47,20 @@ const customerSchema = new mongoose.Schema({
   walletBalance: {
     type: Number,
     default: 0
-  }
+  },
+  // Date ranges (inclusive, IST days) with no deliveries
+  vacations: [{
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: String,
+    createdAt: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
 // Add index for better query performance
 customerSchema.index({ user: 1 });
 customerSchema.index({ 'deliveryAddress.pincode': 1 });
+customerSchema.index({ 'vacations.endDate': 1 });
 
 const Customer = mongoose.model('Customer', customerSchema);
 export default Customer;
\ No newline at end of file
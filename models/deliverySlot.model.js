@@ -0,0 +1,71 @@
+// models/deliverySlot.model.js
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const deliverySlotSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Window in IST, 24h 'HH:mm'
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'startTime must be HH:mm']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'endTime must be HH:mm']
+  },
+  // Maximum orders per day in this slot
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Extra delivery charge for this slot (express slots); charged even when delivery is free
+  surgeFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Bookings close this many minutes before the window starts
+  cutoffMinutes: {
+    type: Number,
+    default: 120,
+    min: 0
+  },
+  // ISO weekdays (1 = Monday ... 7 = Sunday) the slot runs on; empty means every day
+  daysOfWeek: [{
+    type: Number,
+    min: 1,
+    max: 7
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ retailer: 1, isActive: 1, startTime: 1 });
+
+deliverySlotSchema.pre('validate', function(next) {
+  if (this.startTime && this.endTime && this.startTime >= this.endTime) {
+    this.invalidate('endTime', 'endTime must be after startTime');
+  }
+  next();
+});
+
+const DeliverySlot = mongoose.model('DeliverySlot', deliverySlotSchema);
+export default DeliverySlot;
@@ -0,0 +1,29 @@
+// models/deliverySlotBooking.model.js
+import mongoose from 'mongoose';
+
+// Live orders booked into a delivery slot on one day (IST start of day). Checkout
+// takes a place with a guarded $inc inside the order transaction, so concurrent
+// orders cannot overbook the slot; cancelling an order gives its place back.
+const deliverySlotBookingSchema = new mongoose.Schema({
+  slot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliverySlot',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotBookingSchema.index({ slot: 1, date: 1 }, { unique: true });
+
+const DeliverySlotBooking = mongoose.model('DeliverySlotBooking', deliverySlotBookingSchema);
+export default DeliverySlotBooking;
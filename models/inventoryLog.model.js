@@ -97,6 +97,7 @@ const inventoryLogSchema = new mongoose.Schema({
       'ORDER_RESERVATION',
       'ORDER_CANCELLED',
       'ORDER_DELIVERED',
+      'ORDER_MODIFIED',
       
       // General Reasons
       'INITIAL_SETUP',
@@ -0,0 +1,147 @@
+// models/invoice.model.js
+import mongoose from 'mongoose';
+
+// A tax invoice as issued: a frozen copy of the order at delivery or payment,
+// plus the rendered PDF in document storage (see lib/storage.js)
+const invoiceItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: String,
+  unit: String,
+  quantity: Number,
+  price: Number,
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  taxAmount: Number,
+  total: Number
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  // invoiceNumber with "/" replaced by "-", for URLs and file names
+  slug: {
+    type: String,
+    required: true
+  },
+  financialYear: String,
+  sequence: Number,
+  issuedAt: {
+    type: Date,
+    required: true
+  },
+  // What caused the invoice to be issued
+  trigger: {
+    type: String,
+    enum: ['delivery', 'payment', 'return', 'on_request'],
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  orderId: String,
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+
+  // Snapshot
+  seller: {
+    shopName: String,
+    address: String,
+    gstin: String,
+    state: String
+  },
+  buyer: {
+    name: String,
+    phone: String,
+    email: String
+  },
+  deliveryAddress: {
+    addressLine1: String,
+    addressLine2: String,
+    city: String,
+    state: String,
+    pincode: String,
+    landmark: String
+  },
+  items: [invoiceItemSchema],
+  subtotal: Number,
+  discount: Number,
+  appliedPromotions: [{
+    _id: false,
+    code: String,
+    name: String,
+    discount: Number
+  }],
+  deliveryFee: {
+    amount: Number,
+    freeDeliveryApplied: Boolean
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  tax: {
+    supplyType: String,
+    placeOfSupply: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    summary: [{
+      _id: false,
+      hsnCode: String,
+      rate: Number,
+      taxableValue: Number,
+      cgst: Number,
+      sgst: Number,
+      igst: Number
+    }]
+  },
+  orderDate: Date,
+  deliveryDate: Date,
+  orderStatus: String,
+  paymentMethod: String,
+  paymentStatus: String,
+  specialInstructions: String,
+
+  // Rendered PDF
+  file: {
+    provider: String,
+    key: String,
+    url: String,
+    size: Number
+  }
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ retailer: 1, invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ retailer: 1, issuedAt: -1 });
+invoiceSchema.index({ customer: 1, issuedAt: -1 });
+invoiceSchema.index({ slug: 1 });
+
+// Issued invoices never change; only the stored file reference may be filled in
+invoiceSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+  const changed = this.modifiedPaths().filter(p => p !== 'file' && !p.startsWith('file.') && p !== 'updatedAt');
+  next(changed.length ? new Error(`Invoice ${this.invoiceNumber} is immutable (tried to change ${changed.join(', ')})`) : undefined);
+});
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+export default Invoice;
@@ -0,0 +1,32 @@
+// models/invoiceCounter.model.js
+import mongoose from 'mongoose';
+
+// Last document sequence issued by a retailer in a financial year (e.g. "2025-26").
+// Tax invoices, credit notes and khata bills are numbered in separate series.
+const invoiceCounterSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  series: {
+    type: String,
+    enum: ['invoice', 'credit_note', 'khata_bill'],
+    default: 'invoice'
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceCounterSchema.index({ retailer: 1, financialYear: 1, series: 1 }, { unique: true });
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+export default InvoiceCounter;
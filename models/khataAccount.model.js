@@ -0,0 +1,59 @@
+// models/khataAccount.model.js
+import mongoose from 'mongoose';
+
+// Postpaid credit ("khata") a retailer extends to a regular customer. Delivered
+// orders paid by khata add to the outstanding balance, which is billed monthly
+// (models/khataBill.model.js) and settled by part-payments.
+const khataAccountSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  creditLimit: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Days after the end of the billing month that a bill is due
+  dueDays: {
+    type: Number,
+    min: 0,
+    max: 60
+  },
+  status: {
+    type: String,
+    enum: ['active', 'suspended', 'closed'],
+    default: 'active'
+  },
+  // What the customer owes right now; negative when they paid in advance
+  outstanding: {
+    type: Number,
+    default: 0
+  },
+  isOverdue: {
+    type: Boolean,
+    default: false
+  },
+  overdueSince: Date,
+  // Last billed month, "YYYY-MM"
+  lastBilledPeriod: String,
+  notes: String,
+  enabledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+khataAccountSchema.index({ retailer: 1, customer: 1 }, { unique: true });
+khataAccountSchema.index({ retailer: 1, isOverdue: 1 });
+
+const KhataAccount = mongoose.model('KhataAccount', khataAccountSchema);
+export default KhataAccount;
@@ -0,0 +1,82 @@
+// models/khataBill.model.js
+import mongoose from 'mongoose';
+
+// Monthly khata statement. The amount due is everything owed at the end of the
+// month (opening balance + this month's entries); a later bill carries an unpaid
+// one forward.
+const khataBillLineSchema = new mongoose.Schema({
+  date: Date,
+  type: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderId: String,
+  description: String,
+  method: String,
+  reference: String,
+  amount: Number
+}, { _id: false });
+
+const khataBillSchema = new mongoose.Schema({
+  billNumber: {
+    type: String,
+    required: true
+  },
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KhataAccount',
+    required: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  // "YYYY-MM"
+  period: {
+    type: String,
+    required: true
+  },
+  periodStart: Date,
+  periodEnd: Date,
+  openingBalance: Number,
+  charges: Number,
+  payments: Number,
+  adjustments: Number,
+  closingBalance: Number,
+  amountDue: {
+    type: Number,
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  lines: [khataBillLineSchema],
+  dueDate: Date,
+  status: {
+    type: String,
+    enum: ['unpaid', 'partially_paid', 'paid', 'overdue', 'carried_forward'],
+    default: 'unpaid'
+  },
+  paidAt: Date,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+khataBillSchema.index({ account: 1, period: 1 }, { unique: true });
+khataBillSchema.index({ retailer: 1, period: -1 });
+khataBillSchema.index({ status: 1, dueDate: 1 });
+
+const KhataBill = mongoose.model('KhataBill', khataBillSchema);
+export default KhataBill;
@@ -0,0 +1,61 @@
+// models/khataEntry.model.js
+import mongoose from 'mongoose';
+
+// Khata ledger. `amount` is the change to the account's outstanding balance:
+// positive for delivered orders (charge), negative for payments and returns.
+const khataEntrySchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KhataAccount',
+    required: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['charge', 'payment', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  balanceAfter: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderId: String,
+  // Payments
+  method: {
+    type: String,
+    enum: ['cash', 'upi', 'card', 'bank_transfer', 'other']
+  },
+  reference: String,
+  description: String,
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entryDate: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+khataEntrySchema.index({ account: 1, entryDate: 1 });
+// An order is charged to a khata once
+khataEntrySchema.index({ order: 1 }, { unique: true, partialFilterExpression: { type: 'charge' } });
+
+const KhataEntry = mongoose.model('KhataEntry', khataEntrySchema);
+export default KhataEntry;
@@ -39,8 +39,63 @@ const orderItemSchema = new mongoose.Schema({
   isReserved: {
     type: Boolean,
     default: false
-  }
+  },
+  // Units taken back through approved return requests
+  returnedQuantity: {
+    type: Number,
+    default: 0
+  },
+  // GST on this line (prices are tax-inclusive), see services/gst.service.js
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  taxAmount: Number
 });
+
+// Tax per HSN code and rate, as printed in the invoice tax summary
+const taxSummarySchema = new mongoose.Schema({
+  hsnCode: String,
+  rate: Number,
+  taxableValue: Number,
+  cgst: Number,
+  sgst: Number,
+  igst: Number
+}, { _id: false });
+
+// One entry per status change, written by services/orderLifecycle.service.js
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    immutable: true
+  },
+  to: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      immutable: true
+    },
+    role: {
+      type: String,
+      enum: ['customer', 'retailer', 'superadmin', 'system'],
+      immutable: true
+    }
+  },
+  reason: {
+    type: String,
+    immutable: true
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   orderId: {
     type: String,
@@ -78,11 +133,70 @@ const orderSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Promotions that make up `discount` (see services/promotion.service.js)
+  appliedPromotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    code: String,
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  }],
+  // Delivery charge line, included in finalAmount (see services/deliveryFee.service.js)
+  deliveryFee: {
+    amount: {
+      type: Number,
+      default: 0
+    },
+    baseFee: Number,
+    surgeFee: Number,
+    distance: Number,
+    freeDeliveryApplied: Boolean
+  },
   finalAmount: {
     type: Number,
     required: true,
     min: 0
   },
+  // Value of approved returns, already taken off finalAmount (credited via credit notes)
+  returnedAmount: {
+    type: Number,
+    default: 0
+  },
+  // GST breakup of finalAmount. Intra-state supplies split tax into CGST + SGST,
+  // inter-state supplies (retailer and customer in different states) charge IGST
+  tax: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    sellerGstin: String,
+    sellerState: String,
+    placeOfSupply: String,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    summary: [taxSummarySchema],
+    computedAt: Date
+  },
+  // Tax invoice number, sequential per retailer and financial year
+  invoice: {
+    number: String,
+    financialYear: String,
+    sequence: Number,
+    issuedAt: Date,
+    // Archived copy, see models/invoice.model.js
+    document: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }
+  },
   deliveryAddress: {
     addressLine1: String,
     addressLine2: String,
@@ -112,14 +226,25 @@ const orderSchema = new mongoose.Schema({
     serviceRadius: Number
   },
   deliveryTime: String,
+  // Booked delivery window (see DeliverySlot); deliveryTime keeps the label for older clients
+  deliverySlot: {
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    date: Date,
+    label: String,
+    startTime: String,
+    endTime: String
+  },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'paid', 'failed', 'refunded'],
+    enum: ['pending', 'paid', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
   paymentMethod: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'wallet'],
+    enum: ['cash', 'card', 'upi', 'wallet', 'khata'],
     default: 'cash'
   },
   reservationStatus: {
@@ -135,6 +260,35 @@ const orderSchema = new mongoose.Schema({
     enum: ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'],
     default: 'pending'
   },
+  statusHistory: [statusHistorySchema],
+  // Item edits made before dispatch (PATCH /api/orders/:id/items)
+  changeLog: [{
+    by: {
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: String
+    },
+    changes: [{
+      product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+      },
+      productName: String,
+      fromQuantity: Number,
+      toQuantity: Number,
+      price: Number
+    }],
+    previousTotal: Number,
+    newTotal: Number,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  deliveredAt: Date,
   deliveryDate: Date,
   specialInstructions: String,
   razorpayOrderId: String,
@@ -149,6 +303,18 @@ const orderSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Admin',
     index: true
+  },
+  // Client key sent with checkout; a retried checkout returns the order already placed
+  idempotencyKey: String,
+  // Set on orders generated from a recurring subscription
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+  // Retailer settlement statement that accounted for this order
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement'
   }
 }, {
   timestamps: true
@@ -158,6 +324,30 @@ const orderSchema = new mongoose.Schema({
 orderSchema.index({ assignedRetailer: 1, orderStatus: 1 });
 orderSchema.index({ customer: 1, createdAt: -1 });
 orderSchema.index({ orderStatus: 1 });
+orderSchema.index({ assignedRetailer: 1, settlement: 1, deliveredAt: 1 });
+orderSchema.index({ 'appliedPromotions.promotion': 1, customer: 1 });
+orderSchema.index({ 'deliverySlot.slot': 1, 'deliverySlot.date': 1 });
+orderSchema.index(
+  { customer: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+orderSchema.index(
+  { assignedRetailer: 1, 'invoice.number': 1 },
+  { unique: true, partialFilterExpression: { 'invoice.number': { $type: 'string' } } }
+);
+// One generated order per subscription per delivery day
+orderSchema.index(
+  { subscription: 1, deliveryDate: 1 },
+  { unique: true, partialFilterExpression: { subscription: { $exists: true } } }
+);
+
+// Seed the history with the status an order is created in
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.orderStatus, reason: 'Order created', at: new Date() });
+  }
+  next();
+});
 
 const Order = mongoose.model('Order', orderSchema);
 export default Order;
\ No newline at end of file
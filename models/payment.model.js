@@ -13,10 +13,13 @@ const paymentSchema = new mongoose.Schema({
     ref: 'Order',
     required: true
   },
+  // Unset for counter sales to walk-in customers
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Customer',
-    required: true
+    required: function() {
+      return this.gateway !== 'upi_qr';
+    }
   },
   amount: {
     type: Number,
@@ -34,12 +37,52 @@ const paymentSchema = new mongoose.Schema({
   },
   paymentStatus: {
     type: String,
-    enum: ['pending', 'success', 'failed', 'refunded'],
+    enum: ['pending', 'success', 'failed', 'partially_refunded', 'refunded'],
     default: 'pending'
   },
+  // Gateway that collected the money (see lib/paymentGateway.js); unset for cash
+  gateway: String,
   razorpayOrderId: String,
   razorpayPaymentId: String,
   razorpaySignature: String,
+  capturedAt: Date,
+  failureReason: String,
+  // Cash on delivery: stays pending until the retailer records what was collected
+  cashCollection: {
+    expectedAmount: Number,
+    collectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    collectedAt: Date,
+    note: String
+  },
+  // UPI QR shown by the retailer (gateway 'upi_qr'): paid straight to the shop's UPI ID,
+  // then confirmed by the retailer or the bank's callback
+  upiQr: {
+    vpa: String,
+    // Transaction reference (tr) in the UPI intent
+    reference: String,
+    // Bank reference number of the payer's transfer
+    utr: String,
+    confirmation: {
+      type: String,
+      enum: ['manual', 'webhook']
+    },
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    confirmedAt: Date,
+    // A transfer that could not be applied as it came, e.g. for the wrong amount
+    review: {
+      reason: String,
+      receivedAmount: Number,
+      utr: String,
+      flaggedAt: Date
+    }
+  },
+  // Sum of pending and processed refunds (see models/refund.model.js)
   refundAmount: {
     type: Number,
     default: 0
@@ -49,5 +92,11 @@ const paymentSchema = new mongoose.Schema({
   timestamps: true 
 });
 
+paymentSchema.index({ razorpayOrderId: 1 }, { sparse: true });
+paymentSchema.index({ razorpayPaymentId: 1 }, { sparse: true });
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ 'cashCollection.collectedAt': 1 }, { sparse: true });
+paymentSchema.index({ 'upiQr.reference': 1 }, { sparse: true });
+
 const Payment = mongoose.model('Payment', paymentSchema);
 export default Payment;
\ No newline at end of file
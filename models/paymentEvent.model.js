@@ -0,0 +1,35 @@
+// models/paymentEvent.model.js
+import mongoose from 'mongoose';
+
+// Gateway webhook events already handled. Gateways retry deliveries, so the event
+// id is unique and a repeat delivery is acknowledged without being applied twice.
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  gateway: String,
+  event: {
+    type: String,
+    required: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // What handling the event did: applied, ignored (nothing to change), unmatched (no payment found)
+  // or review (money that did not match the payment, left for someone to check)
+  outcome: {
+    type: String,
+    enum: ['applied', 'ignored', 'unmatched', 'review'],
+    default: 'applied'
+  },
+  note: String,
+  payload: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+const PaymentEvent = mongoose.model('PaymentEvent', paymentEventSchema);
+export default PaymentEvent;
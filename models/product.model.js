@@ -100,6 +100,15 @@ const productSchema = new mongoose.Schema({
     min: 0,
     max: 100
   },
+  // Overrides the category's HSN code / GST rate when set
+  hsnCode: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    enum: [0, 5, 12, 18, 28]
+  },
   isFeatured: {
     type: Boolean,
     default: false
@@ -0,0 +1,113 @@
+// models/promotion.model.js
+import mongoose from 'mongoose';
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // Customers enter this at checkout; promotions without a code apply automatically
+  code: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'buy_x_get_y'],
+    required: true
+  },
+  // Percent for 'percentage', rupees for 'flat'
+  value: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Cap for percentage discounts
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  // buy_x_get_y: for every buyQuantity eligible units, getQuantity more are free (cheapest first)
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  // Eligible lines; both empty means the whole cart
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  minOrderValue: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    min: 1
+  },
+  totalUsageLimit: {
+    type: Number,
+    min: 1
+  },
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: Date,
+  // Shops the promotion runs in; empty means every retailer
+  retailers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }],
+  // Set when a retailer created the offer for their own shop
+  ownerRetailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ code: 1 }, { unique: true, partialFilterExpression: { code: { $type: 'string' } } });
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && (this.value <= 0 || this.value > 100)) {
+    this.invalidate('value', 'Percentage must be between 0 and 100');
+  }
+  if (this.type === 'flat' && this.value <= 0) {
+    this.invalidate('value', 'Flat discount must be greater than 0');
+  }
+  if (this.type === 'buy_x_get_y' && (!this.buyQuantity || !this.getQuantity)) {
+    this.invalidate('buyQuantity', 'buyQuantity and getQuantity are required for buy_x_get_y');
+  }
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (this.code === '') this.code = undefined;
+  next();
+});
+
+const Promotion = mongoose.model('Promotion', promotionSchema);
+export default Promotion;
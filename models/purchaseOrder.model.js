@@ -0,0 +1,127 @@
+// models/purchaseOrder.model.js
+import mongoose from 'mongoose';
+
+// Stock a retailer ordered from a supplier. Goods may arrive in several
+// deliveries; each is a receipt, and each receipt adds stock.
+const purchaseOrderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  orderedQty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Agreed price per unit
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  receivedQty: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+});
+
+const receiptItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // What was actually charged; becomes the stock's cost price
+  unitCost: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  batchNumber: String,
+  expiryDate: Date
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  // The supplier's bill or delivery challan
+  invoiceNumber: String,
+  items: [receiptItemSchema],
+  value: {
+    type: Number,
+    default: 0
+  },
+  note: String,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const purchaseOrderSchema = new mongoose.Schema({
+  poNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  supplier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  // closed: short-closed, the rest will not come
+  status: {
+    type: String,
+    enum: ['open', 'partially_received', 'received', 'closed', 'cancelled'],
+    default: 'open'
+  },
+  expectedDate: Date,
+  notes: String,
+  orderedValue: {
+    type: Number,
+    default: 0
+  },
+  receivedValue: {
+    type: Number,
+    default: 0
+  },
+  receipts: [receiptSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  closeReason: String
+}, {
+  timestamps: true
+});
+
+purchaseOrderSchema.index({ retailer: 1, status: 1, createdAt: -1 });
+purchaseOrderSchema.index({ retailer: 1, supplier: 1, createdAt: -1 });
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+export default PurchaseOrder;
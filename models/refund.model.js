@@ -0,0 +1,79 @@
+// models/refund.model.js
+import mongoose from 'mongoose';
+
+// Refund ledger: one entry per refund against a payment. Gateway payments are
+// refunded to the original method; cash payments to the customer's wallet.
+const refundSchema = new mongoose.Schema({
+  refundId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  destination: {
+    type: String,
+    enum: ['original_method', 'wallet'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processed', 'failed'],
+    default: 'pending'
+  },
+  reason: String,
+  // What the refund is for, e.g. an approved return or a cancelled order
+  source: {
+    type: {
+      type: String,
+      enum: ['manual', 'return', 'gateway', 'cancellation']
+    },
+    id: String
+  },
+  gatewayRefundId: String,
+  failureReason: String,
+  initiatedBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  processedAt: Date,
+  // Retailer settlement statement that netted this refund off
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement'
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ payment: 1, createdAt: -1 });
+refundSchema.index({ retailer: 1, createdAt: -1 });
+refundSchema.index({ gatewayRefundId: 1 }, { sparse: true });
+
+const Refund = mongoose.model('Refund', refundSchema);
+export default Refund;
@@ -26,6 +26,35 @@ const retailerInventorySchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Stock held per batch and picked earliest expiry first (see services/inventoryBatch.service.js);
+  // currentStock and committedStock are the totals over the batches
+  batches: [{
+    batchNumber: {
+      type: String,
+      required: true
+    },
+    // Last day the batch can be sold (IST); unset for stock that does not expire
+    expiryDate: Date,
+    quantity: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Reserved for orders
+    committed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    unitCost: {
+      type: Number,
+      min: 0
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
 //   reservedStock: {
 //     type: Number,
 //     default: 0,
@@ -93,6 +122,7 @@ retailerInventorySchema.index({ retailer: 1, product: 1 }, { unique: true });
 retailerInventorySchema.index({ retailer: 1, currentStock: 1 });
 retailerInventorySchema.index({ retailer: 1, committedStock: 1 });
 retailerInventorySchema.index({ lowStockAlert: 1 });
+retailerInventorySchema.index({ 'batches.expiryDate': 1 });
 
 // Virtual for available stock
 retailerInventorySchema.virtual('availableStock').get(function() {
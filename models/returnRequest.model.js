@@ -0,0 +1,116 @@
+// models/returnRequest.model.js
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = ['spoiled', 'damaged', 'expired', 'leaking', 'wrong_item', 'other'];
+
+const returnItemSchema = new mongoose.Schema({
+  // _id of the line in Order.items
+  orderItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Price the customer paid for one unit
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  note: String,
+  // Decided by the retailer on approval
+  disposition: {
+    type: String,
+    enum: ['restock', 'write_off']
+  }
+});
+
+const returnRequestSchema = new mongoose.Schema({
+  returnId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    index: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  photos: [{
+    url: String,
+    publicId: String
+  }],
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected'],
+    default: 'requested'
+  },
+  refundAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Created on approval
+  refund: {
+    amount: Number,
+    // 'refunded' when a completed payment was refunded, 'adjusted' when the amount due was reduced,
+    // 'failed' when the refund did not go through (retry it from the return), 'pending' while it is tried
+    status: {
+      type: String,
+      enum: ['pending', 'refunded', 'adjusted', 'failed']
+    },
+    failureReason: String,
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    record: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Refund'
+    },
+    processedAt: Date
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNote: String
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ retailer: 1, status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+export default ReturnRequest;
@@ -0,0 +1,92 @@
+// models/settlement.model.js
+import mongoose from 'mongoose';
+
+// Statement of what the platform owes a retailer (or the retailer owes the
+// platform) for a period. Each delivered order is settled once: money the
+// platform collected online, less refunds it paid and its commission. Cash and
+// khata collected by the retailer are shown but stay with the retailer.
+const settlementLineSchema = new mongoose.Schema({
+  // order: a delivered order; refund_adjustment: a refund on an order settled earlier
+  type: {
+    type: String,
+    enum: ['order', 'refund_adjustment'],
+    default: 'order'
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  orderId: String,
+  deliveredAt: Date,
+  paymentMethod: String,
+  // Effective commission rate (%), weighted over the order's items
+  rate: Number,
+  gross: Number,
+  platformCollected: Number,
+  retailerCollected: Number,
+  refunds: Number,
+  commission: Number,
+  net: Number
+}, { _id: false });
+
+const settlementSchema = new mongoose.Schema({
+  settlementId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  lines: [settlementLineSchema],
+  totals: {
+    orders: { type: Number, default: 0 },
+    gross: { type: Number, default: 0 },
+    platformCollected: { type: Number, default: 0 },
+    retailerCollected: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 },
+    commission: { type: Number, default: 0 },
+    // Positive: the platform pays the retailer; negative: the retailer pays the platform
+    netPayable: { type: Number, default: 0 }
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'paid'],
+    default: 'pending'
+  },
+  payout: {
+    method: {
+      type: String,
+      enum: ['bank_transfer', 'upi', 'cash', 'adjustment', 'other']
+    },
+    reference: String,
+    note: String,
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+settlementSchema.index({ retailer: 1, periodStart: 1 }, { unique: true });
+settlementSchema.index({ status: 1, periodEnd: -1 });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+export default Settlement;
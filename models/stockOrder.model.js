@@ -5,8 +5,24 @@ const StockOrderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
   requestedQty: { type: Number, required: true, min: 1 },
   unitPrice: { type: Number, min: 0 },
+  // Dispatched by the superadmin
   fulfilledQty: { type: Number, default: 0, min: 0 },
   reservedQty: { type: Number, default: 0, min: 0 },
+  // Confirmed by the retailer: arrived in good condition / arrived damaged
+  receivedQty: { type: Number, min: 0 },
+  damagedQty: { type: Number, min: 0 },
+  // receivedQty has been added to the retailer's inventory
+  stockPosted: { type: Boolean, default: false },
+  note: String
+}, { _id: false });
+
+// What arrived differs from what was dispatched
+const DiscrepancySchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  dispatchedQty: Number,
+  receivedQty: Number,
+  damagedQty: Number,
+  missingQty: Number,
   note: String
 }, { _id: false });
 
@@ -18,7 +34,7 @@ const StockOrderSchema = new mongoose.Schema({
   items: { type: [StockOrderItemSchema], required: true },
   status: {
     type: String,
-    enum: ['pending','reserved','locked','approved','partially_fulfilled','fulfilled','rejected','cancelled'],
+    enum: ['pending','reserved','locked','approved','partially_fulfilled','fulfilled','in_transit','received','rejected','cancelled'],
     default: 'pending',
     index: true
   },
@@ -32,6 +48,12 @@ const StockOrderSchema = new mongoose.Schema({
     at: { type: Date, default: Date.now }
   }],
   logs: [{ by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, action: String, note: String, at: { type: Date, default: Date.now } }],
+  dispatchedAt: Date,
+  dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  receivedAt: Date,
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  discrepancies: [DiscrepancySchema],
+  hasDiscrepancy: { type: Boolean, default: false, index: true },
   totalRequestedQty: { type: Number, default: 0 },
   totalFulfilledQty: { type: Number, default: 0 },
   priority: { type: String, enum: ['low','normal','high'], default: 'normal' },
@@ -0,0 +1,103 @@
+// models/stockTake.model.js
+import mongoose from 'mongoose';
+
+// A physical count of a retailer's stock. Products are counted one by one while
+// the shop keeps selling, so each line remembers the system stock at the time it
+// was counted; on posting, the difference is applied to whatever the stock is then.
+const stockTakeLineSchema = new mongoose.Schema({
+  inventoryItem: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RetailerInventory',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  counted: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // System stock when the count was entered (scans add to a count without moving it)
+  expected: {
+    type: Number,
+    required: true
+  },
+  variance: {
+    type: Number,
+    default: 0
+  },
+  unitCost: {
+    type: Number,
+    default: 0
+  },
+  varianceValue: {
+    type: Number,
+    default: 0
+  },
+  // Units actually added (+) or removed (-) when posted; short of the variance
+  // only if the stock sold out in between
+  adjustment: Number,
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  countedAt: Date
+});
+
+const stockTakeSchema = new mongoose.Schema({
+  stockTakeId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  // open: counting; submitted: counting done, waiting for approval; posted: stock adjusted
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'posted', 'cancelled'],
+    default: 'open'
+  },
+  notes: String,
+  lines: [stockTakeLineSchema],
+  totals: {
+    lines: { type: Number, default: 0 },
+    // Units and value (at cost) found over and short of the system stock
+    surplus: { type: Number, default: 0 },
+    shortage: { type: Number, default: 0 },
+    surplusValue: { type: Number, default: 0 },
+    shortageValue: { type: Number, default: 0 },
+    netValue: { type: Number, default: 0 }
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  submittedAt: Date,
+  postedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  postedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true,
+  // Several people count at once; a save over someone else's is retried
+  optimisticConcurrency: true
+});
+
+stockTakeSchema.index({ retailer: 1, status: 1, createdAt: -1 });
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+export default StockTake;
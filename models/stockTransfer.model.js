@@ -0,0 +1,99 @@
+// models/stockTransfer.model.js
+import mongoose from 'mongoose';
+
+// Stock lent by one retailer to another. The requesting shop (toRetailer) asks,
+// the supplying shop (fromRetailer) approves and dispatches, and the stock leaves
+// its inventory; it joins the requester's inventory when receipt is confirmed.
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: String,
+  requestedQty: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  approvedQty: {
+    type: Number,
+    min: 0
+  },
+  dispatchedQty: {
+    type: Number,
+    min: 0
+  },
+  receivedQty: {
+    type: Number,
+    min: 0
+  },
+  // Supplier's cost price when dispatched
+  unitCost: Number,
+  // Batches dispatched; received into the requester's stock as the same batches
+  batches: [{
+    batchNumber: String,
+    expiryDate: Date,
+    quantity: Number,
+    _id: false
+  }]
+});
+
+const stockTransferSchema = new mongoose.Schema({
+  transferId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  fromRetailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  toRetailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  items: {
+    type: [transferItemSchema],
+    validate: [items => items.length > 0, 'At least one item is required']
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'in_transit', 'received', 'cancelled'],
+    default: 'requested'
+  },
+  notes: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  dispatchedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  dispatchedAt: Date,
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  receiptNote: String,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ fromRetailer: 1, status: 1, createdAt: -1 });
+stockTransferSchema.index({ toRetailer: 1, status: 1, createdAt: -1 });
+stockTransferSchema.index({ status: 1, dispatchedAt: -1 });
+
+const StockTransfer = mongoose.model('StockTransfer', stockTransferSchema);
+export default StockTransfer;
@@ -0,0 +1,97 @@
+// models/subscription.model.js
+import mongoose from 'mongoose';
+
+const subscriptionSchema = new mongoose.Schema({
+  subscriptionId: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true,
+    index: true
+  },
+  // Retailer (Admin) who fulfils every generated order
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true,
+    index: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  unit: String,
+  frequency: {
+    type: String,
+    enum: ['daily', 'alternate_days', 'weekdays'],
+    default: 'daily'
+  },
+  // ISO weekdays (1 = Monday ... 7 = Sunday), used when frequency is 'weekdays'
+  daysOfWeek: [{
+    type: Number,
+    min: 1,
+    max: 7
+  }],
+  // Start of the first delivery day (IST)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: Date,
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'cancelled'],
+    default: 'active',
+    index: true
+  },
+  pausedAt: Date,
+  // Optional day on which a paused subscription resumes automatically
+  resumeOn: Date,
+  // Individual delivery days the customer has opted out of
+  skipDates: [Date],
+  deliveryAddress: {
+    addressLine1: String,
+    addressLine2: String,
+    city: String,
+    state: String,
+    pincode: String,
+    landmark: String,
+    coordinates: {
+      latitude: Number,
+      longitude: Number
+    },
+    formattedAddress: String
+  },
+  deliveryTime: String,
+  paymentMethod: {
+    type: String,
+    enum: ['cash', 'card', 'upi', 'wallet', 'khata'],
+    default: 'cash'
+  },
+  specialInstructions: String,
+  lastGeneratedDate: Date,
+  logs: [{
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    action: String,
+    note: String,
+    at: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ status: 1, startDate: 1 });
+subscriptionSchema.index({ retailer: 1, status: 1 });
+
+const Subscription = mongoose.model('Subscription', subscriptionSchema);
+export default Subscription;
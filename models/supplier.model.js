@@ -0,0 +1,56 @@
+// models/supplier.model.js
+import mongoose from 'mongoose';
+
+// A local supplier a retailer buys stock from; each shop keeps its own list
+const supplierSchema = new mongoose.Schema({
+  retailer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Supplier name is required'],
+    trim: true,
+    maxlength: 100
+  },
+  contactPerson: {
+    type: String,
+    trim: true
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[0-9+\-\s]{7,15}$/, 'Invalid phone number']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Invalid GSTIN']
+  },
+  address: String,
+  // Days of credit the supplier gives on its bills
+  paymentTermsDays: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  notes: String,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+supplierSchema.index({ retailer: 1, name: 1 }, { unique: true });
+
+const Supplier = mongoose.model('Supplier', supplierSchema);
+export default Supplier;
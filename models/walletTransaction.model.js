@@ -0,0 +1,77 @@
+// models/walletTransaction.model.js
+import mongoose from 'mongoose';
+
+// Wallet ledger. Customer.walletBalance is only ever changed together with an
+// entry here (see services/wallet.service.js), and balanceAfter records it.
+// Top-ups start as pending entries and move the balance once the gateway confirms.
+const walletTransactionSchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['top_up', 'order_payment', 'refund', 'cashback', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'completed'
+  },
+  balanceAfter: Number,
+  description: String,
+  // Why an admin adjusted the balance
+  reason: String,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Top-ups through the payment gateway
+  gateway: String,
+  gatewayOrderId: String,
+  gatewayPaymentId: String,
+  failureReason: String,
+  createdBy: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+walletTransactionSchema.index({ customer: 1, createdAt: -1 });
+walletTransactionSchema.index({ gatewayOrderId: 1 }, { sparse: true });
+// A refund is credited once
+walletTransactionSchema.index({ refund: 1 }, { unique: true, partialFilterExpression: { refund: { $exists: true } } });
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+export default WalletTransaction;
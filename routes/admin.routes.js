@@ -10,12 +10,57 @@ import {
 } from '../controllers/adminDashboard.controller.js';
 import {
   updateServiceRadius,
+  getDeliverySettings,
+  updateDeliverySettings,
+  updateTaxDetails,
+  updateUpiDetails,
   updateLocation,
   getRetailerOrders,
   getRetailerProfile,
-  assignOrderToRetailer  // Add this import
+  assignOrderToRetailer,  // Add this import
+  getUpcomingVacations
 } from '../controllers/retailer.controller.js';
- import { createStockOrder,getRetailerStockOrders,getRetailerStockOrderById,cancelStockOrder ,addNoteToStockOrder} from '../controllers/stockOrders.controller.js';
+import {
+  getRetailerSlots,
+  createSlot,
+  updateSlot,
+  deactivateSlot
+} from '../controllers/deliverySlot.controller.js';
+import {
+  getRetailerReturns,
+  approveReturnRequest,
+  rejectReturnRequest,
+  retryReturnRefund
+} from '../controllers/returnRequest.controller.js';
+import {
+  getRetailerPromotions,
+  createRetailerPromotion,
+  updateRetailerPromotion,
+  deactivateRetailerPromotion
+} from '../controllers/promotion.controller.js';
+import { getCreditNotes, generateCreditNotePdf } from '../controllers/creditNote.controller.js';
+import { getInvoices, downloadInvoice } from '../controllers/invoice.controller.js';
+import { createRefund, getRefunds } from '../controllers/refund.controller.js';
+import {
+  getKhataAccounts,
+  enableKhata,
+  getKhataAccount,
+  updateKhataAccount,
+  recordKhataPayment,
+  generateKhataBill,
+  downloadRetailerKhataBill
+} from '../controllers/khata.controller.js';
+import {
+  recordCodCollection,
+  getPendingCodOrders,
+  getCashClosings,
+  getCashClosing,
+  closeCashDay
+} from '../controllers/cod.controller.js';
+import { getSettlements, getSettlement, exportSettlement } from '../controllers/settlement.controller.js';
+import { requestTransfer, getRetailerTransfers, getRetailerTransfer, approveTransfer, rejectTransfer, dispatchTransfer, receiveTransfer, cancelTransfer } from '../controllers/stockTransfer.controller.js';
+import { getUpiQr, confirmUpiPayment } from '../controllers/upiQr.controller.js';
+ import { createStockOrder,getRetailerStockOrders,getRetailerStockOrderById,cancelStockOrder ,addNoteToStockOrder,confirmStockOrderReceipt} from '../controllers/stockOrders.controller.js';
 import auth from '../middlewares/auth.js';
 import adminAuth from '../middlewares/adminAuth.js';
 
@@ -35,15 +80,86 @@ router.get('/invoices/pdf', generateOverallInvoice);
 // Retailer-specific routes
 router.get('/retailer/profile', getRetailerProfile);
 router.put('/retailer/radius', updateServiceRadius);
+router.get('/retailer/delivery-settings', getDeliverySettings);
+router.put('/retailer/delivery-settings', updateDeliverySettings);
+router.put('/retailer/tax-details', updateTaxDetails);
+router.put('/retailer/upi-details', updateUpiDetails);
 router.put('/retailer/location', updateLocation);
 router.get('/retailer/orders', getRetailerOrders);
 router.put('/retailer/orders/:orderId/assign', assignOrderToRetailer); // Add this route
+router.get('/retailer/vacations', getUpcomingVacations);
+
+// Delivery slot routes
+router.get('/retailer/slots', getRetailerSlots);
+router.post('/retailer/slots', createSlot);
+router.put('/retailer/slots/:slotId', updateSlot);
+router.delete('/retailer/slots/:slotId', deactivateSlot);
+
+// Return request routes
+router.get('/retailer/returns', getRetailerReturns);
+router.put('/retailer/returns/:returnId/approve', approveReturnRequest);
+router.put('/retailer/returns/:returnId/reject', rejectReturnRequest);
+router.put('/retailer/returns/:returnId/retry-refund', retryReturnRefund);
+
+// Credit notes issued against the retailer's invoices
+router.get('/retailer/credit-notes', getCreditNotes);
+router.get('/retailer/credit-notes/:id/pdf', generateCreditNotePdf);
+
+// Archived tax invoices of the retailer's orders
+router.get('/retailer/invoices', getInvoices);
+router.get('/retailer/invoices/:number/pdf', downloadInvoice);
+
+// Refunds against payments for the retailer's orders
+router.get('/retailer/refunds', getRefunds);
+router.post('/retailer/payments/:id/refunds', createRefund);
+
+// Khata (monthly credit) accounts of regular customers
+router.get('/retailer/khata', getKhataAccounts);
+router.post('/retailer/khata', enableKhata);
+router.get('/retailer/khata/bills/:billId/pdf', downloadRetailerKhataBill);
+router.get('/retailer/khata/:id', getKhataAccount);
+router.put('/retailer/khata/:id', updateKhataAccount);
+router.post('/retailer/khata/:id/payments', recordKhataPayment);
+router.post('/retailer/khata/:id/bills', generateKhataBill);
+
+// Cash on delivery: collections and the daily cash closing
+router.post('/retailer/orders/:orderId/cod-collection', recordCodCollection);
+router.get('/retailer/cod/pending', getPendingCodOrders);
+router.get('/retailer/cash-closings', getCashClosings);
+router.get('/retailer/cash-closings/:date', getCashClosing);
+router.post('/retailer/cash-closings/:date/close', closeCashDay);
+
+// UPI QR codes for the amount due, paid to the shop's UPI ID
+router.get('/retailer/orders/:orderId/upi-qr', getUpiQr);
+router.post('/retailer/orders/:orderId/upi-qr/confirm', confirmUpiPayment);
+
+// Settlement statements from the platform
+router.get('/retailer/settlements', getSettlements);
+router.get('/retailer/settlements/:id', getSettlement);
+router.get('/retailer/settlements/:id/export', exportSettlement);
+
+// Stock transfers between shops
+router.post('/retailer/transfers', requestTransfer);
+router.get('/retailer/transfers', getRetailerTransfers);
+router.get('/retailer/transfers/:id', getRetailerTransfer);
+router.post('/retailer/transfers/:id/approve', approveTransfer);
+router.post('/retailer/transfers/:id/reject', rejectTransfer);
+router.post('/retailer/transfers/:id/dispatch', dispatchTransfer);
+router.post('/retailer/transfers/:id/receive', receiveTransfer);
+router.post('/retailer/transfers/:id/cancel', cancelTransfer);
+
+// Promotion routes (offers limited to the retailer's shop)
+router.get('/retailer/promotions', getRetailerPromotions);
+router.post('/retailer/promotions', createRetailerPromotion);
+router.put('/retailer/promotions/:id', updateRetailerPromotion);
+router.delete('/retailer/promotions/:id', deactivateRetailerPromotion);
 
 // POST create stock order
 router.post('/stock-orders', createStockOrder);
 router.get('/stock-orders', getRetailerStockOrders); // list for retailer
 router.get('/stock-orders/:id', getRetailerStockOrderById);
 router.put('/stock-orders/:id/cancel', cancelStockOrder);
+router.post('/stock-orders/:id/receive', confirmStockOrderReceipt); // confirm goods received into inventory
 router.post('/stock-orders/:id/notes', addNoteToStockOrder);
 
 
@@ -0,0 +1,15 @@
+// routes/creditNote.routes.js
+import express from 'express';
+import { getCreditNotes, generateCreditNotePdf } from '../controllers/creditNote.controller.js';
+import auth from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.get('/', getCreditNotes);
+router.get('/:id/pdf', generateCreditNotePdf);
+
+export default router;
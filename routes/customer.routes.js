@@ -5,8 +5,18 @@ import {
   addOrder, 
   getOrderHistory,
   updateDeliveryAddress,
-  addAddressCoordinates 
+  addAddressCoordinates,
+  addVacation,
+  getVacations,
+  cancelVacation
 } from '../controllers/customer.controller.js';
+import {
+  getWallet,
+  getWalletStatement,
+  startWalletTopUp,
+  verifyWalletTopUp
+} from '../controllers/wallet.controller.js';
+import { getMyKhata, downloadMyKhataBill } from '../controllers/khata.controller.js';
 import auth from '../middlewares/auth.js';
 
 const router = express.Router();
@@ -26,4 +36,19 @@ router.get('/orders', getOrderHistory);
 router.put('/address', updateDeliveryAddress);
 router.put('/address/coordinates', addAddressCoordinates);
 
+// Vacation routes
+router.post('/vacations', addVacation);
+router.get('/vacations', getVacations);
+router.delete('/vacations/:vacationId', cancelVacation);
+
+// Wallet routes
+router.get('/wallet', getWallet);
+router.get('/wallet/statement', getWalletStatement);
+router.post('/wallet/top-up', startWalletTopUp);
+router.post('/wallet/top-up/verify', verifyWalletTopUp);
+
+// Khata (monthly credit) routes
+router.get('/khata', getMyKhata);
+router.get('/khata/bills/:billId/pdf', downloadMyKhataBill);
+
 export default router;
\ No newline at end of file
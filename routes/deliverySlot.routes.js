@@ -0,0 +1,14 @@
+// routes/deliverySlot.routes.js
+import express from 'express';
+import { getSlotAvailability } from '../controllers/deliverySlot.controller.js';
+import auth from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.get('/availability', getSlotAvailability);
+
+export default router;
@@ -6,11 +6,39 @@ import {
   addProductToInventory,
   updateInventoryStock,
   getLowStockAlerts,
+  getExpiringBatches,
   getInventoryLogs,
   updateInventoryItem,
   getInventoryAnalytics,
   addStockToInventory
 } from '../controllers/inventory.controller.js';
+import {
+  openStockTake,
+  getStockTakes,
+  getStockTake,
+  recordStockTakeCounts,
+  removeStockTakeLine,
+  submitStockTake,
+  reopenStockTake,
+  postStockTake,
+  cancelStockTake
+} from '../controllers/stockTake.controller.js';
+import {
+  createSupplier,
+  getSuppliers,
+  getSupplier,
+  updateSupplier,
+  deactivateSupplier,
+  getSupplierPurchases
+} from '../controllers/supplier.controller.js';
+import {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getOpenPurchaseOrders,
+  getPurchaseOrder,
+  receivePurchaseOrder,
+  closePurchaseOrder
+} from '../controllers/purchaseOrder.controller.js';
 
 const router = express.Router();
 
@@ -39,8 +67,34 @@ router.post('/stock/add', addStockToInventory);
 router.put('/stock', updateInventoryStock);
 router.put('/products/:inventoryId', updateInventoryItem);
 
+// Stock takes: count, submit, then post the variances
+router.post('/stock-takes', openStockTake);
+router.get('/stock-takes', getStockTakes);
+router.get('/stock-takes/:id', getStockTake);
+router.post('/stock-takes/:id/counts', recordStockTakeCounts);
+router.delete('/stock-takes/:id/counts/:lineId', removeStockTakeLine);
+router.post('/stock-takes/:id/submit', submitStockTake);
+router.post('/stock-takes/:id/reopen', reopenStockTake);
+router.post('/stock-takes/:id/post', postStockTake);
+router.delete('/stock-takes/:id', cancelStockTake);
+
+// Suppliers and purchase orders
+router.post('/suppliers', createSupplier);
+router.get('/suppliers', getSuppliers);
+router.get('/suppliers/:id', getSupplier);
+router.put('/suppliers/:id', updateSupplier);
+router.delete('/suppliers/:id', deactivateSupplier);
+router.get('/suppliers/:id/purchases', getSupplierPurchases);
+router.post('/purchase-orders', createPurchaseOrder);
+router.get('/purchase-orders', getPurchaseOrders);
+router.get('/purchase-orders/open', getOpenPurchaseOrders);
+router.get('/purchase-orders/:id', getPurchaseOrder);
+router.post('/purchase-orders/:id/receipts', receivePurchaseOrder);
+router.post('/purchase-orders/:id/close', closePurchaseOrder);
+
 // Reporting and analytics routes
 router.get('/alerts/low-stock', getLowStockAlerts);
+router.get('/batches/expiring', getExpiringBatches);
 router.get('/logs', getInventoryLogs);
 router.get('/analytics', getInventoryAnalytics);
 
@@ -0,0 +1,15 @@
+// routes/invoice.routes.js
+import express from 'express';
+import { getInvoices, downloadInvoice } from '../controllers/invoice.controller.js';
+import auth from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.get('/', getInvoices);
+router.get('/:number/pdf', downloadInvoice);
+
+export default router;
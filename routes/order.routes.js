@@ -13,9 +13,12 @@ import {
   getRetailerOrders,
   getRetailerOrderStats,
   updateOrderStatusByRetailer,
-  markOrderDelivered
+  markOrderDelivered,
+  updateOrderItems
 } from '../controllers/order.controller.js';
 import { generateInvoice } from '../controllers/invoice.controller.js';
+import { getOrderReceipt } from '../controllers/receipt.controller.js';
+import { previewCart } from '../controllers/promotion.controller.js';
 import auth from '../middlewares/auth.js';
 
 const router = express.Router();
@@ -25,14 +28,17 @@ router.use(auth);
 
 // ==================== CUSTOMER ROUTES ====================
 router.post('/', createOrder);
+router.post('/quote', previewCart);
 router.get('/', getCustomerOrders);
 router.get('/:id', getOrderById);
 router.get('/:id/invoice', generateInvoice);
 router.put('/:id/cancel', cancelOrder);
+router.patch('/:id/items', updateOrderItems);
 
 // ==================== RETAILER ROUTES ====================
 // Offline orders
 router.post('/offline', createOfflineOrder);
+router.get('/:id/receipt', getOrderReceipt);
 
 // Retailer order management
 router.get('/retailer/my-orders', getRetailerOrders); // 👈 MISSING ROUTE
@@ -5,13 +5,19 @@ import {
   createPayment,
   verifyPayment,
   getPaymentDetails,
-  getCustomerPayments
+  getCustomerPayments,
+  handlePaymentWebhook
 } from '../controllers/payment.controller.js';
+import { handleUpiWebhook } from '../controllers/upiQr.controller.js';
 import auth from '../middlewares/auth.js';
 
 const router = express.Router();
 
-// All routes are protected
+// Called by the gateway, authenticated by its signature
+router.post('/webhook', handlePaymentWebhook);
+router.post('/upi/webhook', handleUpiWebhook);
+
+// All other routes are protected
 router.use(auth);
 
 router.post('/', createPayment);
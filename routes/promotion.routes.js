@@ -0,0 +1,14 @@
+// routes/promotion.routes.js
+import express from 'express';
+import { previewCart } from '../controllers/promotion.controller.js';
+import auth from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.post('/preview', previewCart);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/returnRequest.routes.js
+import express from 'express';
+import {
+  createReturnRequest,
+  getMyReturns,
+  getReturnById
+} from '../controllers/returnRequest.controller.js';
+import auth from '../middlewares/auth.js';
+import upload from '../middlewares/upload.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.post('/', upload.array('photos', 5), createReturnRequest);
+router.get('/', getMyReturns);
+router.get('/:id', getReturnById);
+
+export default router;
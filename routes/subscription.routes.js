@@ -0,0 +1,30 @@
+// routes/subscription.routes.js
+import express from 'express';
+import {
+  createSubscription,
+  getMySubscriptions,
+  getSubscriptionById,
+  pauseSubscription,
+  resumeSubscription,
+  skipDelivery,
+  updateSubscriptionQuantity,
+  cancelSubscription
+} from '../controllers/subscription.controller.js';
+import auth from '../middlewares/auth.js';
+
+const router = express.Router();
+
+// All routes are protected
+router.use(auth);
+
+// ==================== CUSTOMER ROUTES ====================
+router.post('/', createSubscription);
+router.get('/', getMySubscriptions);
+router.get('/:id', getSubscriptionById);
+router.put('/:id/pause', pauseSubscription);
+router.put('/:id/resume', resumeSubscription);
+router.post('/:id/skip', skipDelivery);
+router.put('/:id/quantity', updateSubscriptionQuantity);
+router.put('/:id/cancel', cancelSubscription);
+
+export default router;
@@ -11,6 +11,15 @@ import { getActionLogs, clearOldLogs, exportLogs } from '../controllers/superadm
 import { getStockOrders,getStockOrderById,lockStockOrder ,releaseStockOrderLock,superAdminActOnOrder,getStockOrderTransactions,addNoteToStockOrder} from '../controllers/stockOrders.controller.js';
 import {createProduct,updateProduct,deleteProduct,uploadProductImages,deleteProductImage} from '../controllers/product.controller.js';
 import {createCategory,deleteCategory,updateCategory} from '../controllers/category.controller.js';
+import { generateSubscriptionOrders } from '../controllers/subscription.controller.js';
+import { updateOrderStatus } from '../controllers/order.controller.js';
+import { getPromotions, createPromotion, updatePromotion } from '../controllers/promotion.controller.js';
+import { getCreditNotes, generateCreditNotePdf } from '../controllers/creditNote.controller.js';
+import { createRefund, getRefunds } from '../controllers/refund.controller.js';
+import { getCustomerWallet, adjustCustomerWallet } from '../controllers/wallet.controller.js';
+import { getCashClosings } from '../controllers/cod.controller.js';
+import { getSettlements, getSettlement, generateSettlements, markSettlementPaid, voidSettlement, exportSettlement, getCommissionRates, updateRetailerCommission } from '../controllers/settlement.controller.js';
+import { getTransfers, getTransfer } from '../controllers/stockTransfer.controller.js';
 import auth from '../middlewares/auth.js';
 import upload from '../middlewares/upload.js';
 
@@ -55,6 +64,44 @@ router.post('/stock-orders/:id/notes', addNoteToStockOrder); // both sides can a
 router.get('/customers', getAllCustomers);
 router.get('/customers/:id', getCustomerDetails);
 router.get('/customers/:id/orders', getCustomerOrders);
+router.get('/customers/:id/wallet', getCustomerWallet);
+router.post('/customers/:id/wallet/adjustments', adjustCustomerWallet);
+
+// Subscriptions
+router.post('/subscriptions/generate', generateSubscriptionOrders);
+
+// Orders
+router.put('/orders/:id/status', updateOrderStatus);
+
+// Promotions
+router.get('/promotions', getPromotions);
+router.post('/promotions', createPromotion);
+router.put('/promotions/:id', updatePromotion);
+
+// Credit notes
+router.get('/credit-notes', getCreditNotes);
+router.get('/credit-notes/:id/pdf', generateCreditNotePdf);
+
+// Refunds
+router.get('/refunds', getRefunds);
+router.post('/payments/:id/refunds', createRefund);
+
+// Daily cash-on-delivery reconciliations of all retailers
+router.get('/cash-closings', getCashClosings);
+
+// Retailer settlements and commission rates
+router.get('/settlements', getSettlements);
+router.post('/settlements', generateSettlements);
+router.get('/settlements/:id', getSettlement);
+router.get('/settlements/:id/export', exportSettlement);
+router.post('/settlements/:id/payout', markSettlementPaid);
+router.delete('/settlements/:id', voidSettlement);
+router.get('/commission-rates', getCommissionRates);
+router.put('/retailers/:id/commission', updateRetailerCommission);
+
+// Stock transfers between retailers
+router.get('/transfers', getTransfers);
+router.get('/transfers/:id', getTransfer);
 
 // Reports
 router.get('/reports/sales', generateSalesReport);
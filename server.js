@@ -1,9 +1,8 @@
 // server.js - UPDATED
+// Loaded first: config/production.js reads the environment when it is imported
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import express from 'express';
 import connectDB from './config/db.js';
 import { productionConfig } from './config/production.js';
 import http from 'http';
@@ -19,15 +18,43 @@ import { initializeSuperAdmin } from './config/initializeSuperAdmin.js';
 // Import inventory routes (NEW)
 import inventoryRoutes from './routes/inventory.routes.js';
 import superadminRoutes from './routes/superadmin.routes.js';
+import subscriptionRoutes from './routes/subscription.routes.js';
+import deliverySlotRoutes from './routes/deliverySlot.routes.js';
+import returnRequestRoutes from './routes/returnRequest.routes.js';
+import promotionRoutes from './routes/promotion.routes.js';
+import creditNoteRoutes from './routes/creditNote.routes.js';
+import invoiceRoutes from './routes/invoice.routes.js';
+import { scheduleDaily, scheduleEvery } from './lib/scheduler.js';
+import { assertPaymentGatewayConfig } from './lib/paymentGateway.js';
+import subscriptionService from './services/subscription.service.js';
+import reservationSweeperService from './services/reservationSweeper.service.js';
+import khataService from './services/khata.service.js';
+import codService from './services/cod.service.js';
+import settlementService from './services/settlement.service.js';
+import inventoryBatchService from './services/inventoryBatch.service.js';
+import { startOfDay } from './utils/dateUtils.js';
+
+// Refuse to take payments with a gateway that cannot verify them
+try {
+  assertPaymentGatewayConfig();
+} catch (error) {
+  console.error('❌ Payment gateway:', error.message);
+  process.exit(1);
+}
 
-dotenv.config();
 const app = express();
 
 // Basic CORS configuration (use your existing one)
 app.use(cors(productionConfig.cors));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// The raw body is kept for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Connect to database (non-blocking)
@@ -45,6 +72,12 @@ app.use('/api/catalog/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/orders/retailer', retailerOrderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/delivery-slots', deliverySlotRoutes);
+app.use('/api/returns', returnRequestRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/invoices', invoiceRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/location', locationRoutes);
 
@@ -109,4 +142,43 @@ server.listen(PORT, HOST, () => {
   if (typeof initializeSuperAdmin === 'function') {
     initializeSuperAdmin().catch(err => console.warn('initializeSuperAdmin failed:', err));
   }
+
+  // Background jobs
+  scheduleDaily('subscription-orders', {
+    hour: productionConfig.subscriptions.generationHour,
+    minute: productionConfig.subscriptions.generationMinute,
+    catchUp: true
+  }, () => subscriptionService.generateOrdersForDate(startOfDay().plus({ days: 1 })));
+
+  scheduleEvery(
+    'reservation-sweeper',
+    productionConfig.reservations.sweepIntervalMinutes * 60 * 1000,
+    () => reservationSweeperService.sweep()
+  );
+
+  scheduleDaily('cash-closing', {
+    hour: productionConfig.cashClosing.hour,
+    minute: productionConfig.cashClosing.minute
+  }, () => codService.generateDailyClosings());
+
+  // Khata: bill last month (catching up if a run was missed), then flag overdue bills
+  scheduleDaily('khata-bills', {
+    hour: productionConfig.khata.billingHour,
+    catchUp: true
+  }, async () => ({
+    bills: await khataService.generateMonthlyBills(),
+    overdue: await khataService.flagOverdue()
+  }));
+
+  // Weekly retailer settlements; the service skips every day but the settlement weekday
+  scheduleDaily('settlements', {
+    hour: productionConfig.settlements.hour,
+    catchUp: true
+  }, () => settlementService.generateScheduled());
+
+  // Expired batches off the shelf, then warn retailers about what expires soon
+  scheduleDaily('stock-expiry', {
+    hour: productionConfig.stockExpiry.hour,
+    catchUp: true
+  }, () => inventoryBatchService.runDaily());
 });
@@ -0,0 +1,329 @@
+// services/cod.service.js
+import mongoose from 'mongoose';
+import Payment from '../models/payment.model.js';
+import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import CashClosing from '../models/cashClosing.model.js';
+import invoiceService from './invoice.service.js';
+import paymentService from './payment.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+import { dayRange, toDateKey } from '../utils/dateUtils.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Cash payments that were actually handed over (later refunds go to the wallet)
+const COLLECTED_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+class CodService {
+    /**
+     * Customer chose cash on delivery: a pending cash payment that the retailer
+     * completes on collection. A pending one for the order is reused.
+     * @returns {Promise<Object>} Payment document
+     */
+    async requestCashPayment(order, customer) {
+        if (order.orderType === 'offline') throw httpError('Counter sales are paid at the counter');
+
+        const due = await this.amountDue(order);
+        let payment = await Payment.findOne({ order: order._id, paymentMethod: 'cash', paymentStatus: 'pending' });
+        if (!payment) {
+            payment = await Payment.create({
+                paymentId: paymentService.generatePaymentId(),
+                order: order._id,
+                customer: customer._id,
+                amount: due,
+                paymentMethod: 'cash',
+                paymentStatus: 'pending',
+                cashCollection: { expectedAmount: due }
+            });
+        } else if (payment.amount !== due) {
+            payment.amount = due;
+            payment.cashCollection.expectedAmount = due;
+            await payment.save();
+        }
+
+        if (order.paymentMethod !== 'cash') {
+            order.paymentMethod = 'cash';
+            await order.save();
+        }
+        return payment;
+    }
+
+    /**
+     * Cash still to be collected for an order
+     */
+    async amountDue(order) {
+        const collected = await Payment.aggregate([
+            { $match: { order: order._id, paymentMethod: 'cash', paymentStatus: { $in: COLLECTED_STATUSES } } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } }
+        ]);
+        return Math.max(round(order.finalAmount - (collected[0]?.amount || 0)), 0);
+    }
+
+    /**
+     * The retailer collected cash for an order at delivery. The order is paid
+     * (and invoiced) once the collections cover it; a short collection leaves the
+     * rest pending so it can be collected later.
+     * @param {Object} order - Order document assigned to the retailer
+     * @param {{ amount: number, userId: ObjectId, note?: string }} opts
+     * @returns {Promise<{ payment: Object, order: Object, due: number, short: number, excess: number }>}
+     */
+    async recordCollection(order, { amount, userId, note }) {
+        if (order.orderType === 'offline') throw httpError('Counter sales are paid at the counter');
+        if (order.paymentMethod !== 'cash') throw httpError(`Order is paid by ${order.paymentMethod}, not cash on delivery`);
+        if (order.paymentStatus === 'paid') throw httpError('Order is already paid');
+        if (!['out_for_delivery', 'delivered'].includes(order.orderStatus)) {
+            throw httpError(`Cash is collected at delivery; order is ${order.orderStatus}`);
+        }
+
+        const value = round(Number(amount));
+        if (!(value > 0)) throw httpError('Collected amount must be greater than 0');
+
+        const due = await this.amountDue(order);
+        const now = new Date();
+        const update = {
+            amount: value,
+            paymentStatus: 'success',
+            capturedAt: now,
+            cashCollection: { expectedAmount: due, collectedBy: userId, collectedAt: now, note }
+        };
+
+        let payment = await Payment.findOneAndUpdate(
+            { order: order._id, paymentMethod: 'cash', paymentStatus: 'pending' },
+            { $set: update },
+            { new: true }
+        );
+        if (!payment) {
+            payment = await Payment.create({
+                paymentId: paymentService.generatePaymentId(),
+                order: order._id,
+                customer: order.customer,
+                paymentMethod: 'cash',
+                ...update
+            });
+        }
+
+        if (value >= due) {
+            order.paymentStatus = 'paid';
+            await order.save();
+            await invoiceService.issueSafely(order, 'payment');
+        }
+
+        const result = {
+            payment,
+            order,
+            due,
+            short: Math.max(round(due - value), 0),
+            excess: Math.max(round(value - due), 0)
+        };
+
+        const payload = { orderId: order.orderId, amount: value, due, paymentStatus: order.paymentStatus };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'payment:collected', payload);
+        notify(null, `retailer:${order.assignedRetailer}`, 'payment:collected', payload);
+
+        return result;
+    }
+
+    /**
+     * Figures for a retailer's day
+     * @param {ObjectId} retailerId
+     * @param {string} date - "YYYY-MM-DD" (IST)
+     */
+    async computeClosing(retailerId, date) {
+        const range = dayRange(date);
+        if (!range) throw httpError('Date must be in YYYY-MM-DD format');
+        const retailer = new mongoose.Types.ObjectId(String(retailerId));
+
+        const [codOrders, [todaysCollections], counterSales] = await Promise.all([
+            Order.find({
+                assignedRetailer: retailer,
+                orderType: { $ne: 'offline' },
+                paymentMethod: 'cash',
+                orderStatus: 'delivered',
+                deliveredAt: { $gte: range.start, $lte: range.end }
+            }).select('orderId finalAmount'),
+            // Cash handed over today for this retailer's orders; collections for
+            // orders delivered before today are late
+            Payment.aggregate([
+                {
+                    $match: {
+                        paymentMethod: 'cash',
+                        paymentStatus: { $in: COLLECTED_STATUSES },
+                        'cashCollection.collectedAt': { $gte: range.start, $lte: range.end }
+                    }
+                },
+                {
+                    $lookup: {
+                        from: Order.collection.name,
+                        let: { orderId: '$order' },
+                        pipeline: [
+                            { $match: { $expr: { $eq: ['$_id', '$$orderId'] }, assignedRetailer: retailer } },
+                            { $project: { deliveredAt: 1 } }
+                        ],
+                        as: 'order'
+                    }
+                },
+                { $unwind: '$order' },
+                {
+                    $addFields: {
+                        isLate: { $or: [{ $not: ['$order.deliveredAt'] }, { $lt: ['$order.deliveredAt', range.start] }] }
+                    }
+                },
+                {
+                    $group: {
+                        _id: null,
+                        amount: { $sum: '$amount' },
+                        lateCount: { $sum: { $cond: ['$isLate', 1, 0] } },
+                        lateAmount: { $sum: { $cond: ['$isLate', '$amount', 0] } }
+                    }
+                }
+            ]),
+            Order.aggregate([
+                {
+                    $match: {
+                        assignedRetailer: retailer,
+                        orderType: 'offline',
+                        orderStatus: { $ne: 'cancelled' },
+                        createdAt: { $gte: range.start, $lte: range.end }
+                    }
+                },
+                { $group: { _id: '$paymentMethod', orders: { $sum: 1 }, amount: { $sum: '$finalAmount' } } }
+            ])
+        ]);
+
+        // Everything collected for the day's deliveries, whenever it was collected
+        const collectedByOrder = new Map();
+        if (codOrders.length) {
+            const collected = await Payment.aggregate([
+                {
+                    $match: {
+                        order: { $in: codOrders.map(order => order._id) },
+                        paymentMethod: 'cash',
+                        paymentStatus: { $in: COLLECTED_STATUSES }
+                    }
+                },
+                { $group: { _id: '$order', amount: { $sum: '$amount' } } }
+            ]);
+            collected.forEach(row => collectedByOrder.set(String(row._id), row.amount));
+        }
+
+        const cod = { orders: codOrders.length, expected: 0, collected: 0, short: 0, excess: 0, pending: [] };
+        for (const order of codOrders) {
+            const collected = round(collectedByOrder.get(String(order._id)) || 0);
+            cod.expected += order.finalAmount;
+            cod.collected += collected;
+            if (collected < order.finalAmount) {
+                cod.short += order.finalAmount - collected;
+                cod.pending.push({ order: order._id, orderId: order.orderId, expected: order.finalAmount, collected });
+            } else {
+                cod.excess += collected - order.finalAmount;
+            }
+        }
+        ['expected', 'collected', 'short', 'excess'].forEach(key => { cod[key] = round(cod[key]); });
+
+        const lateCollections = {
+            count: todaysCollections?.lateCount || 0,
+            amount: round(todaysCollections?.lateAmount || 0)
+        };
+
+        const byMethod = counterSales.map(row => ({ method: row._id, orders: row.orders, amount: round(row.amount) }));
+        const counterCash = byMethod.find(row => row.method === 'cash')?.amount || 0;
+
+        const net = round(cod.excess - cod.short);
+        return {
+            retailer,
+            date: toDateKey(range.start),
+            cod,
+            lateCollections,
+            counterSales: {
+                orders: byMethod.reduce((sum, row) => sum + row.orders, 0),
+                amount: round(byMethod.reduce((sum, row) => sum + row.amount, 0)),
+                byMethod
+            },
+            expectedCash: round((todaysCollections?.amount || 0) + counterCash),
+            result: net < 0 ? 'short' : net > 0 ? 'excess' : 'balanced',
+            computedAt: new Date()
+        };
+    }
+
+    /**
+     * The day's closing, refreshed unless the retailer has already closed it
+     * @returns {Promise<Object>} CashClosing document
+     */
+    async getClosing(retailerId, date) {
+        const existing = await CashClosing.findOne({ retailer: retailerId, date: toDateKey(date) });
+        if (existing?.status === 'closed') return existing;
+
+        return this.saveClosing(await this.computeClosing(retailerId, date));
+    }
+
+    async saveClosing(figures) {
+        return CashClosing.findOneAndUpdate(
+            { retailer: figures.retailer, date: figures.date, status: { $ne: 'closed' } },
+            { $set: figures },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    /**
+     * Retailer closes the day with the cash they counted; the figures are frozen
+     * @param {{ declaredCash: number, note?: string, userId: ObjectId }} opts
+     */
+    async closeDay(retailerId, date, { declaredCash, note, userId }) {
+        const range = dayRange(date);
+        if (!range) throw httpError('Date must be in YYYY-MM-DD format');
+        if (range.start > new Date()) throw httpError('Cannot close a day that has not started');
+
+        const counted = round(Number(declaredCash));
+        if (!(counted >= 0)) throw httpError('Declared cash is required');
+
+        const closing = await this.getClosing(retailerId, date);
+        if (closing.status === 'closed') throw httpError(`Cash for ${closing.date} is already closed`);
+
+        closing.declaredCash = counted;
+        closing.cashVariance = round(counted - closing.expectedCash);
+        closing.note = note;
+        closing.status = 'closed';
+        closing.closedBy = userId;
+        closing.closedAt = new Date();
+        await closing.save();
+        return closing;
+    }
+
+    /**
+     * Scheduled at the end of the day: a closing for every active retailer that
+     * had cash business, so the superadmin can review them without waiting
+     * @returns {Promise<{ date: string, closings: number, short: number }>}
+     */
+    async generateDailyClosings(date = new Date()) {
+        const retailers = await Admin.find({ isActive: true }).select('_id');
+        const summary = { date: toDateKey(date), closings: 0, short: 0 };
+
+        for (const retailer of retailers) {
+            try {
+                const key = toDateKey(date);
+                if (await CashClosing.exists({ retailer: retailer._id, date: key, status: 'closed' })) continue;
+
+                const figures = await this.computeClosing(retailer._id, date);
+                if (!figures.cod.orders && !figures.counterSales.orders && !figures.expectedCash) continue;
+
+                const closing = await this.saveClosing(figures);
+                summary.closings++;
+                if (closing.result === 'short') summary.short++;
+
+                notify(null, `retailer:${retailer._id}`, 'cash-closing:ready', {
+                    date: closing.date,
+                    expected: closing.cod.expected,
+                    collected: closing.cod.collected,
+                    result: closing.result,
+                    expectedCash: closing.expectedCash
+                });
+            } catch (error) {
+                console.error(`Cash closing for retailer ${retailer._id} failed:`, error.message);
+            }
+        }
+        return summary;
+    }
+}
+
+export default new CodService();
@@ -0,0 +1,158 @@
+// services/creditNote.service.js
+import CreditNote from '../models/creditNote.model.js';
+import gstService from './gst.service.js';
+import notify from './notify.js';
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class CreditNoteService {
+    /**
+     * Credit line for `quantity` units of an order line worth `amount` (tax-inclusive)
+     */
+    buildItemLine(orderItem, quantity, amount) {
+        const rate = orderItem.gstRate || 0;
+        const { taxableValue, tax } = gstService.splitInclusive(amount, rate);
+        return {
+            orderItem: orderItem._id,
+            product: orderItem.product._id || orderItem.product,
+            hsnCode: orderItem.hsnCode,
+            gstRate: rate,
+            quantity,
+            unit: orderItem.unit,
+            amount: round(amount),
+            taxableValue,
+            taxAmount: tax
+        };
+    }
+
+    /**
+     * Create a credit note against an order's tax invoice. Orders that were never
+     * invoiced have nothing to correct, so null is returned for them.
+     * @param {Object} order - Order document
+     * @param {{ reason: 'cancellation'|'return', lines: Array, returnRequest?: ObjectId, userId?: ObjectId, notes?: string }} opts
+     */
+    async issue(order, { reason, lines, returnRequest, userId, notes }) {
+        if (!order.invoice?.number || lines.length === 0) return null;
+
+        const rows = new Map();
+        lines.forEach(line => {
+            const key = `${line.hsnCode || ''}|${line.gstRate}`;
+            const row = rows.get(key) || { hsnCode: line.hsnCode || '', rate: line.gstRate, taxableValue: 0, tax: 0 };
+            row.taxableValue = round(row.taxableValue + line.taxableValue);
+            row.tax = round(row.tax + line.taxAmount);
+            rows.set(key, row);
+        });
+        const supplyType = order.tax?.supplyType || 'intra_state';
+
+        const document = await gstService.nextDocumentNumber(order.assignedRetailer, 'credit_note', 'CN');
+
+        let creditNote;
+        try {
+            creditNote = await CreditNote.create({
+                creditNoteNumber: document.number,
+                financialYear: document.financialYear,
+                issuedAt: document.issuedAt,
+                reason,
+                order: order._id,
+                invoiceNumber: order.invoice.number,
+                invoiceDate: order.invoice.issuedAt,
+                returnRequest,
+                retailer: order.assignedRetailer,
+                customer: order.customer,
+                items: lines,
+                tax: {
+                    supplyType,
+                    sellerGstin: order.tax?.sellerGstin,
+                    placeOfSupply: order.tax?.placeOfSupply,
+                    ...gstService.summarize([...rows.values()], supplyType)
+                },
+                totalAmount: round(lines.reduce((sum, line) => sum + line.amount, 0)),
+                notes,
+                createdBy: userId
+            });
+        } catch (error) {
+            // Already issued by a concurrent request
+            if (error.code === 11000) {
+                return CreditNote.findOne(returnRequest ? { returnRequest } : { order: order._id, reason });
+            }
+            throw error;
+        }
+
+        const payload = {
+            creditNoteNumber: creditNote.creditNoteNumber,
+            orderId: order.orderId,
+            invoiceNumber: creditNote.invoiceNumber,
+            totalAmount: creditNote.totalAmount
+        };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'credit-note:issued', payload);
+        notify(null, `retailer:${order.assignedRetailer}`, 'credit-note:issued', payload);
+
+        return creditNote;
+    }
+
+    /**
+     * Reverse everything still billed on a cancelled order: the lines not
+     * already returned, and the delivery fee
+     */
+    async issueForCancellation(order, { userId, notes } = {}) {
+        if (!order.invoice?.number) return null;
+        const existing = await CreditNote.findOne({ order: order._id, reason: 'cancellation' });
+        if (existing) return existing;
+
+        const lines = [];
+        order.items.forEach(item => {
+            const quantity = item.quantity - (item.returnedQuantity || 0);
+            if (quantity <= 0) return;
+            // Invoiced value is after the order discount, which the tax breakup already spread over the lines
+            const lineValue = item.taxableValue != null
+                ? item.taxableValue + item.taxAmount
+                : item.price * item.quantity;
+            lines.push(this.buildItemLine(item, quantity, lineValue * quantity / item.quantity));
+        });
+
+        const deliveryAmount = order.deliveryFee?.amount || 0;
+        if (deliveryAmount > 0) {
+            const { deliveryFeeRate, deliveryFeeSac } = productionConfig.gst;
+            const { taxableValue, tax } = gstService.splitInclusive(deliveryAmount, deliveryFeeRate);
+            lines.push({
+                description: 'Delivery fee',
+                hsnCode: deliveryFeeSac,
+                gstRate: deliveryFeeRate,
+                quantity: 1,
+                amount: deliveryAmount,
+                taxableValue,
+                taxAmount: tax
+            });
+        }
+
+        return this.issue(order, {
+            reason: 'cancellation',
+            lines,
+            userId,
+            notes: notes || order.cancellationReason
+        });
+    }
+
+    /**
+     * Reverse the items of an approved return at the refunded amount
+     * @param {Object} returnRequest - Approved ReturnRequest document
+     * @param {Object} order - Order document (invoiced)
+     */
+    async issueForReturn(returnRequest, order, { userId } = {}) {
+        const lines = returnRequest.items.map(item => {
+            const orderItem = order.items.id(item.orderItem) || { product: item.product };
+            return this.buildItemLine(orderItem, item.quantity, item.unitPrice * item.quantity);
+        });
+
+        return this.issue(order, {
+            reason: 'return',
+            lines,
+            returnRequest: returnRequest._id,
+            userId,
+            notes: `Return ${returnRequest.returnId}`
+        });
+    }
+}
+
+export default new CreditNoteService();
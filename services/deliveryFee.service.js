@@ -0,0 +1,77 @@
+// services/deliveryFee.service.js
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class DeliveryFeeService {
+    /**
+     * Delivery rules for a retailer: their own settings where set, platform defaults otherwise
+     * @param {Object} retailer - Admin document (or lean object)
+     * @returns {{ minOrderAmount: number, freeDeliveryAbove: number, distanceBands: Array<{ upToKm: number, fee: number }> }}
+     */
+    getRules(retailer) {
+        const defaults = productionConfig.delivery;
+        const settings = retailer?.deliverySettings || {};
+        const bands = settings.distanceBands?.length ? settings.distanceBands : defaults.distanceBands;
+
+        return {
+            minOrderAmount: settings.minOrderAmount ?? defaults.minOrderAmount,
+            freeDeliveryAbove: settings.freeDeliveryAbove ?? defaults.freeDeliveryAbove,
+            distanceBands: bands
+                .map(band => ({ upToKm: band.upToKm, fee: band.fee }))
+                .sort((a, b) => a.upToKm - b.upToKm)
+        };
+    }
+
+    /**
+     * Fee for a distance; past the last band the last band's fee applies
+     */
+    getBandFee(distanceBands, distance) {
+        if (!distanceBands.length) return 0;
+        const band = distanceBands.find(b => distance <= b.upToKm) || distanceBands[distanceBands.length - 1];
+        return band.fee;
+    }
+
+    /**
+     * Work out the delivery charge for a cart.
+     * The distance fee is waived above the free-delivery threshold; an express
+     * slot's surge fee is always charged.
+     * @param {{ retailer: Object, distance: number, cartValue: number, slot?: Object }} params
+     *   cartValue is the item total after discounts
+     * @returns {{ amount, baseFee, surgeFee, distance, freeDeliveryApplied, minOrderAmount, freeDeliveryAbove, meetsMinimum, shortBy }}
+     */
+    quote({ retailer, distance = 0, cartValue, slot }) {
+        const rules = this.getRules(retailer);
+        const baseFee = this.getBandFee(rules.distanceBands, distance);
+        const surgeFee = slot?.surgeFee || 0;
+        const freeDeliveryApplied = rules.freeDeliveryAbove > 0 && cartValue >= rules.freeDeliveryAbove && baseFee > 0;
+        const shortBy = Math.max(round(rules.minOrderAmount - cartValue), 0);
+
+        return {
+            amount: round((freeDeliveryApplied ? 0 : baseFee) + surgeFee),
+            baseFee,
+            surgeFee,
+            distance: round(distance),
+            freeDeliveryApplied,
+            minOrderAmount: rules.minOrderAmount,
+            freeDeliveryAbove: rules.freeDeliveryAbove,
+            meetsMinimum: shortBy === 0,
+            shortBy
+        };
+    }
+
+    /**
+     * Subset stored on Order.deliveryFee
+     */
+    toOrderLine(quote) {
+        return {
+            amount: quote.amount,
+            baseFee: quote.baseFee,
+            surgeFee: quote.surgeFee,
+            distance: quote.distance,
+            freeDeliveryApplied: quote.freeDeliveryApplied
+        };
+    }
+}
+
+export default new DeliveryFeeService();
@@ -0,0 +1,188 @@
+// services/deliverySlot.service.js
+import mongoose from 'mongoose';
+import DeliverySlot from '../models/deliverySlot.model.js';
+import DeliverySlotBooking from '../models/deliverySlotBooking.model.js';
+import Order from '../models/order.model.js';
+import { httpError } from '../utils/httpError.js';
+import { startOfDay, dayRange, toDateKey } from '../utils/dateUtils.js';
+
+class DeliverySlotService {
+    /**
+     * Start, end and booking cutoff of a slot on a given day (luxon DateTimes, IST)
+     */
+    getSlotWindow(slot, day) {
+        const [startHour, startMinute] = slot.startTime.split(':').map(Number);
+        const [endHour, endMinute] = slot.endTime.split(':').map(Number);
+        const start = day.set({ hour: startHour, minute: startMinute });
+        const end = day.set({ hour: endHour, minute: endMinute });
+        return { start, end, cutoff: start.minus({ minutes: slot.cutoffMinutes || 0 }) };
+    }
+
+    isOfferedOn(slot, day) {
+        return !slot.daysOfWeek?.length || slot.daysOfWeek.includes(day.weekday);
+    }
+
+    /**
+     * Count live (non-cancelled) orders booked into each slot on a day
+     * @returns {Map<string, number>} slotId -> booked orders
+     */
+    async countBookings(slotIds, day) {
+        const { start } = dayRange(day);
+        const counts = await Order.aggregate([
+            {
+                $match: {
+                    'deliverySlot.slot': { $in: slotIds.map(id => new mongoose.Types.ObjectId(id)) },
+                    'deliverySlot.date': start,
+                    orderStatus: { $ne: 'cancelled' }
+                }
+            },
+            { $group: { _id: '$deliverySlot.slot', count: { $sum: 1 } } }
+        ]);
+        return new Map(counts.map(c => [String(c._id), c.count]));
+    }
+
+    /**
+     * Places taken in each slot on a day, as held by the booking counters that
+     * checkout takes places from. Slots whose counter has not been started yet
+     * fall back to counting their orders, which is what the counter starts from.
+     * @returns {Map<string, number>} slotId -> booked orders
+     */
+    async getBookedCounts(slotIds, day) {
+        const date = day.toJSDate();
+        const counters = await DeliverySlotBooking.find({ slot: { $in: slotIds }, date })
+            .select('slot booked')
+            .lean();
+        const booked = new Map(counters.map(c => [String(c.slot), c.booked]));
+
+        const uncounted = slotIds.filter(id => !booked.has(String(id)));
+        if (uncounted.length) {
+            const orders = await this.countBookings(uncounted, day);
+            for (const id of uncounted) booked.set(String(id), orders.get(String(id)) || 0);
+        }
+        return booked;
+    }
+
+    /**
+     * Availability of every active slot a retailer offers on a day
+     */
+    async getAvailability(retailerId, date) {
+        const day = startOfDay(date);
+        if (!day) throw new Error('Invalid date');
+
+        const slots = await DeliverySlot.find({ retailer: retailerId, isActive: true })
+            .sort({ startTime: 1 })
+            .lean();
+        const offered = slots.filter(slot => this.isOfferedOn(slot, day));
+        const bookings = await this.getBookedCounts(offered.map(s => s._id), day);
+        const now = new Date();
+
+        return offered.map(slot => {
+            const { start, end, cutoff } = this.getSlotWindow(slot, day);
+            const booked = bookings.get(String(slot._id)) || 0;
+            const remaining = Math.max(slot.capacity - booked, 0);
+            const cutoffPassed = cutoff.toJSDate() <= now;
+
+            return {
+                slotId: slot._id,
+                label: slot.label,
+                date: toDateKey(day),
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                windowStart: start.toISO(),
+                windowEnd: end.toISO(),
+                cutoffAt: cutoff.toISO(),
+                capacity: slot.capacity,
+                surgeFee: slot.surgeFee || 0,
+                booked,
+                remaining,
+                cutoffPassed,
+                available: remaining > 0 && !cutoffPassed
+            };
+        });
+    }
+
+    /**
+     * Check that a slot can take one more order on a day.
+     * @returns {{ available: boolean, message?: string, slot?: Object, day?: DateTime, window?: Object }}
+     */
+    async checkSlotBooking(retailerId, slotId, date) {
+        const day = startOfDay(date);
+        if (!day) return { available: false, message: 'Invalid delivery date' };
+        if (!mongoose.Types.ObjectId.isValid(slotId)) return { available: false, message: 'Invalid delivery slot' };
+
+        const slot = await DeliverySlot.findOne({ _id: slotId, retailer: retailerId, isActive: true });
+        if (!slot) return { available: false, message: 'Delivery slot not offered by your assigned retailer' };
+
+        if (!this.isOfferedOn(slot, day)) {
+            return { available: false, message: `${slot.label} is not available on ${toDateKey(day)}` };
+        }
+
+        const window = this.getSlotWindow(slot, day);
+        if (window.cutoff.toJSDate() <= new Date()) {
+            return { available: false, message: `Booking for ${slot.label} on ${toDateKey(day)} closed at ${window.cutoff.toFormat('dd LLL HH:mm')}` };
+        }
+
+        const booked = (await this.getBookedCounts([slot._id], day)).get(String(slot._id));
+        if (booked >= slot.capacity) {
+            return { available: false, message: `${slot.label} on ${toDateKey(day)} is full` };
+        }
+
+        return { available: true, slot, day, window };
+    }
+
+    /**
+     * Take a place in the slot for a new order, inside the order's transaction.
+     * checkSlotBooking only reads the count; this is what holds capacity when
+     * checkouts race. The day's counter is started from the orders already booked.
+     * @param {{ slot: Object, day: DateTime }} booking - from checkSlotBooking
+     * @param {{ session: ClientSession }} opts
+     * @throws 409 when the slot is full or another checkout is booking it
+     */
+    async bookSlot({ slot, day }, { session }) {
+        const date = day.toJSDate();
+        let booking;
+        try {
+            if (!(await DeliverySlotBooking.exists({ slot: slot._id, date }).session(session))) {
+                const booked = (await this.countBookings([slot._id], day)).get(String(slot._id)) || 0;
+                await DeliverySlotBooking.updateOne(
+                    { slot: slot._id, date },
+                    { $setOnInsert: { booked } },
+                    { upsert: true, session }
+                );
+            }
+
+            booking = await DeliverySlotBooking.findOneAndUpdate(
+                { slot: slot._id, date, booked: { $lt: slot.capacity } },
+                { $inc: { booked: 1 } },
+                { new: true, session }
+            );
+        } catch (error) {
+            // Another checkout is writing the same counter (or started it first)
+            if (error.code === 11000 || error.hasErrorLabel?.('TransientTransactionError')) {
+                throw httpError(`${slot.label} on ${toDateKey(day)} is being booked by someone else, please try again`, 409);
+            }
+            throw error;
+        }
+        if (!booking) throw httpError(`${slot.label} on ${toDateKey(day)} is full`, 409);
+        return booking;
+    }
+
+    /**
+     * Give back a cancelled order's place in its slot. The cancellation has
+     * happened either way, so a failure is only logged.
+     */
+    async releaseSlotSafely(order) {
+        const slot = order.deliverySlot;
+        if (!slot?.slot || !slot.date) return;
+        try {
+            await DeliverySlotBooking.updateOne(
+                { slot: slot.slot, date: slot.date, booked: { $gt: 0 } },
+                { $inc: { booked: -1 } }
+            );
+        } catch (error) {
+            console.error(`Releasing slot booking for order ${order.orderId} failed:`, error.message);
+        }
+    }
+}
+
+export default new DeliverySlotService();
@@ -0,0 +1,204 @@
+// services/gst.service.js
+import Admin from '../models/admin.model.js';
+import Product from '../models/product.model.js';
+import Order from '../models/order.model.js';
+import InvoiceCounter from '../models/invoiceCounter.model.js';
+import { productionConfig } from '../config/production.js';
+import { getFinancialYear } from '../utils/dateUtils.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+class GstService {
+    /**
+     * HSN code and GST rate for a product; the product's own values win over its category's
+     * @param {Object} product - Product with `category` populated (hsnCode, gstRate)
+     */
+    getTaxInfo(product) {
+        return {
+            hsnCode: product?.hsnCode || product?.category?.hsnCode || '',
+            rate: product?.gstRate ?? product?.category?.gstRate ?? 0
+        };
+    }
+
+    /**
+     * Intra-state when the customer is in the retailer's state (or either state is
+     * unknown, e.g. counter sales), inter-state otherwise
+     */
+    getSupplyType(sellerState, placeOfSupply) {
+        const seller = normalizeState(sellerState);
+        const buyer = normalizeState(placeOfSupply);
+        return seller && buyer && seller !== buyer ? 'inter_state' : 'intra_state';
+    }
+
+    /**
+     * Back the tax out of a tax-inclusive amount
+     * @returns {{ taxableValue: number, tax: number }}
+     */
+    splitInclusive(amount, rate) {
+        const taxableValue = round(amount * 100 / (100 + rate));
+        return { taxableValue, tax: round(amount - taxableValue) };
+    }
+
+    /**
+     * Compute the GST breakup of an order and write it onto the order (not saved).
+     * Item prices and the delivery fee are tax-inclusive. The order discount is
+     * spread over the lines in proportion to their value before tax is backed out.
+     * @param {Object} order - Order document
+     * @param {{ retailer?: Object }} opts - Retailer (Admin) if already loaded
+     * @returns {Promise<Object>} order.tax
+     */
+    async applyToOrder(order, { retailer } = {}) {
+        if (!retailer && order.assignedRetailer) {
+            retailer = await Admin.findById(order.assignedRetailer).select('gstin location');
+        }
+
+        const productIds = order.items.map(item => item.product._id || item.product);
+        const products = await Product.find({ _id: { $in: productIds } })
+            .select('hsnCode gstRate category')
+            .populate('category', 'hsnCode gstRate');
+
+        const sellerState = retailer?.location?.state || '';
+        const placeOfSupply = order.deliveryAddress?.state || sellerState;
+        const supplyType = this.getSupplyType(sellerState, placeOfSupply);
+
+        const goodsTotal = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const discount = Math.min(order.discount || 0, goodsTotal);
+        let discountLeft = discount;
+
+        const summary = new Map();
+        const addToSummary = (hsnCode, rate, taxableValue, tax) => {
+            const key = `${hsnCode}|${rate}`;
+            const row = summary.get(key) || { hsnCode, rate, taxableValue: 0, tax: 0 };
+            row.taxableValue = round(row.taxableValue + taxableValue);
+            row.tax = round(row.tax + tax);
+            summary.set(key, row);
+        };
+
+        order.items.forEach((item, index) => {
+            const product = products.find(p => String(p._id) === String(item.product._id || item.product));
+            const { hsnCode, rate } = this.getTaxInfo(product);
+            const gross = item.price * item.quantity;
+            const share = index === order.items.length - 1
+                ? discountLeft
+                : round(goodsTotal > 0 ? discount * gross / goodsTotal : 0);
+            discountLeft = round(discountLeft - share);
+
+            const { taxableValue, tax } = this.splitInclusive(Math.max(gross - share, 0), rate);
+            item.hsnCode = hsnCode;
+            item.gstRate = rate;
+            item.taxableValue = taxableValue;
+            item.taxAmount = tax;
+            addToSummary(hsnCode, rate, taxableValue, tax);
+        });
+
+        const deliveryAmount = order.deliveryFee?.amount || 0;
+        if (deliveryAmount > 0) {
+            const { deliveryFeeRate, deliveryFeeSac } = productionConfig.gst;
+            const { taxableValue, tax } = this.splitInclusive(deliveryAmount, deliveryFeeRate);
+            addToSummary(deliveryFeeSac, deliveryFeeRate, taxableValue, tax);
+        }
+
+        order.tax = {
+            supplyType,
+            sellerGstin: retailer?.gstin,
+            sellerState,
+            placeOfSupply,
+            ...this.summarize([...summary.values()], supplyType),
+            computedAt: new Date()
+        };
+        return order.tax;
+    }
+
+    /**
+     * Split tax per HSN/rate row into CGST + SGST or IGST and total it up
+     * @param {Array<{ hsnCode, rate, taxableValue, tax }>} rows
+     * @param {'intra_state'|'inter_state'} supplyType
+     * @returns {{ taxableValue, cgst, sgst, igst, totalTax, summary: Array }}
+     */
+    summarize(rows, supplyType) {
+        const summary = rows.map(row => {
+            if (supplyType === 'inter_state') {
+                return { hsnCode: row.hsnCode, rate: row.rate, taxableValue: row.taxableValue, cgst: 0, sgst: 0, igst: row.tax };
+            }
+            const cgst = round(row.tax / 2);
+            return { hsnCode: row.hsnCode, rate: row.rate, taxableValue: row.taxableValue, cgst, sgst: round(row.tax - cgst), igst: 0 };
+        });
+
+        const sum = (field) => round(summary.reduce((total, row) => total + row[field], 0));
+        return {
+            taxableValue: sum('taxableValue'),
+            cgst: sum('cgst'),
+            sgst: sum('sgst'),
+            igst: sum('igst'),
+            totalTax: round(sum('cgst') + sum('sgst') + sum('igst')),
+            summary
+        };
+    }
+
+    /**
+     * Next number in a retailer's document series for the current financial year
+     * @param {ObjectId} retailerId
+     * @param {'invoice'|'credit_note'|'khata_bill'} series
+     * @param {string} prefix - e.g. "D9" or "CN"
+     * @returns {Promise<{ number: string, financialYear: string, sequence: number, issuedAt: Date }>}
+     */
+    async nextDocumentNumber(retailerId, series, prefix) {
+        const issuedAt = new Date();
+        const financialYear = getFinancialYear(issuedAt);
+
+        const counter = await InvoiceCounter.findOneAndUpdate(
+            { retailer: retailerId, financialYear, series },
+            { $inc: { sequence: 1 } },
+            { new: true, upsert: true }
+        );
+
+        return {
+            number: `${prefix}/${financialYear.slice(2)}/${String(counter.sequence).padStart(5, '0')}`,
+            financialYear,
+            sequence: counter.sequence,
+            issuedAt
+        };
+    }
+
+    /**
+     * Give an order its tax invoice number (once). Numbers run per retailer and
+     * financial year: <prefix>/<yy-yy>/<00001>, at most 16 characters as GST requires.
+     * @param {Object} order - Order document with assignedRetailer
+     * @returns {Promise<Object>} order.invoice
+     */
+    async assignInvoiceNumber(order) {
+        if (order.invoice?.number) return order.invoice;
+
+        const retailer = await Admin.findById(order.assignedRetailer).select('invoicePrefix');
+        const invoice = await this.nextDocumentNumber(order.assignedRetailer, 'invoice', retailer?.invoicePrefix || 'D9');
+
+        // Another request may have numbered this order in the meantime; keep theirs
+        const result = await Order.updateOne(
+            { _id: order._id, 'invoice.number': { $exists: false } },
+            { $set: { invoice } }
+        );
+        if (result.modifiedCount === 0) {
+            const stored = await Order.findById(order._id).select('invoice').lean();
+            order.set('invoice', stored.invoice);
+            return order.invoice;
+        }
+        order.set('invoice', invoice);
+        return order.invoice;
+    }
+
+    /**
+     * Everything an invoice needs: tax breakup (computed for older orders) and a number
+     */
+    async prepareInvoice(order) {
+        if (!order.tax?.computedAt) {
+            await this.applyToOrder(order);
+            await order.save();
+        }
+        await this.assignInvoiceNumber(order);
+        return order;
+    }
+}
+
+export default new GstService();
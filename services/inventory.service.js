@@ -4,6 +4,28 @@ import InventoryLog from '../models/inventoryLog.model.js';
 import Product from '../models/product.model.js';
 import mongoose from 'mongoose';
 import CacheService from './cache.service.js';
+import inventoryBatchService from './inventoryBatch.service.js';
+
+// Logs for stock moved batch by batch, stock running on from `stock` by `direction` per unit
+const batchLogs = (base, movements, stock, direction = 0) => movements.map(movement => {
+    const previousStock = stock;
+    stock += direction * movement.quantity;
+    return {
+        ...base,
+        quantity: movement.quantity,
+        previousStock,
+        newStock: stock,
+        batchNumber: movement.batchNumber,
+        expiryDate: movement.expiryDate
+    };
+});
+
+// Releases are logged in full even if the stock item no longer had it committed,
+// so the order's reservation still nets out to zero
+const releasedInFull = (movements, quantity) => {
+    const rest = quantity - movements.reduce((total, movement) => total + movement.quantity, 0);
+    return rest > 0 ? [...movements, { quantity: rest }] : movements;
+};
 
 class InventoryService {
     constructor() {
@@ -42,8 +64,8 @@ class InventoryService {
                     continue;
                 }
 
-                // Calculate available stock (current - committed)
-                const availableStock = inventory.currentStock - inventory.committedStock;
+                // Available stock: not committed and not expired
+                const availableStock = inventoryBatchService.available(inventory);
 
                 if (availableStock < item.quantity) {
                     stockResults.push({
@@ -82,13 +104,15 @@ class InventoryService {
     }
 
     /**
-     * Update stock with transaction safety
+     * Update stock with transaction safety. Given a session, the update joins the
+     * caller's transaction, and the caller commits and invalidates the cache.
      */
     async updateStock(params) {
-        const session = await mongoose.startSession();
+        const ownSession = !params.session;
+        const session = params.session || await mongoose.startSession();
 
         try {
-            session.startTransaction();
+            if (ownSession) session.startTransaction();
 
             const {
                 retailerId,
@@ -127,132 +151,146 @@ class InventoryService {
             const previousStock = inventoryItem.currentStock || 0;
             const previousCommitted = inventoryItem.committedStock || 0;
 
-            // We'll build atomic updates for inventory
-            const updateOps = {};
-            const incOps = {};
-            const setOps = {
-                lastUpdated: new Date(),
-                updatedBy: userId
-            };
-
-            // Handle transaction types
+            // Stock moves batch by batch: in as a batch, out earliest expiry first
+            let movements;
+            let direction;
             switch (transactionType) {
                 case 'STOCK_IN':
-                    // increase currentStock
-                    incOps.currentStock = qty;
-                    setOps.lastRestocked = new Date();
+                    movements = [inventoryBatchService.receive(inventoryItem, { quantity: qty, batchNumber, expiryDate, unitCost })];
+                    direction = 1;
+                    inventoryItem.lastRestocked = new Date();
                     // update costPrice if provided
-                    if (typeof unitCost === 'number' && unitCost >= 0) setOps.costPrice = unitCost;
+                    if (typeof unitCost === 'number' && unitCost >= 0) inventoryItem.costPrice = unitCost;
                     break;
 
                 case 'STOCK_OUT':
-                    // ensure enough stock before decrement
-                    if (previousStock < qty) {
-                        throw new Error('Insufficient stock');
-                    }
-                    incOps.currentStock = -qty;
+                    movements = inventoryBatchService.take(inventoryItem, qty, { batchNumber });
+                    direction = -1;
                     // sale accounting
                     if (reason === 'SALE') {
-                        incOps.totalSold = qty;
-                        setOps.lastSoldDate = new Date();
+                        inventoryItem.totalSold += qty;
+                        inventoryItem.lastSoldDate = new Date();
                     }
                     break;
 
-                case 'STOCK_ADJUSTMENT':
+                case 'STOCK_ADJUSTMENT': {
                     // set absolute stock
                     if (typeof quantity !== 'number') throw new Error('For STOCK_ADJUSTMENT quantity must be a number (new absolute stock)');
-                    if (qty < 0) throw new Error('Stock cannot be negative');
-                    setOps.currentStock = qty;
+                    const difference = qty - previousStock;
+                    direction = Math.sign(difference);
+                    if (difference > 0) {
+                        movements = [inventoryBatchService.receive(inventoryItem, { quantity: difference, batchNumber, expiryDate, unitCost })];
+                    } else if (difference < 0) {
+                        movements = inventoryBatchService.take(inventoryItem, -difference, { batchNumber, includeExpired: true });
+                    } else {
+                        movements = [];
+                    }
                     break;
+                }
 
                 case 'COMMITMENT':
                     // reserve stock: check available
-                    const available = previousStock - previousCommitted;
-                    if (available < qty) throw new Error('Insufficient available stock for commitment');
-                    incOps.committedStock = qty;
+                    if (inventoryBatchService.available(inventoryItem) < qty) throw new Error('Insufficient available stock for commitment');
+                    movements = inventoryBatchService.commit(inventoryItem, qty);
+                    direction = 0;
                     break;
 
                 case 'RELEASE_COMMITMENT':
                     if (previousCommitted < qty) throw new Error('Cannot release more than committed stock');
-                    incOps.committedStock = -qty;
+                    movements = inventoryBatchService.release(inventoryItem, qty, batchNumber ? [{ batchNumber, quantity: qty }] : []);
+                    direction = 0;
+                    break;
+
+                case 'RETURN':
+                    // goods handed back by a customer go back on the shelf
+                    movements = [inventoryBatchService.receive(inventoryItem, { quantity: qty, batchNumber, expiryDate })];
+                    direction = 1;
+                    // stock sold before totalSold was tracked can come back too
+                    inventoryItem.totalSold = Math.max((inventoryItem.totalSold || 0) - qty, 0);
+                    break;
+
+                case 'DAMAGE':
+                case 'EXPIRY':
+                    // write-off, expired stock included
+                    movements = inventoryBatchService.take(inventoryItem, qty, { batchNumber, includeExpired: true });
+                    direction = -1;
                     break;
 
                 default:
                     throw new Error('Invalid transaction type');
             }
 
-            // Build final update operation
-            if (Object.keys(incOps).length) updateOps.$inc = incOps;
-            if (Object.keys(setOps).length) updateOps.$set = setOps;
-
-            // Apply atomic update (returns updated doc)
-            const updatedInventory = await RetailerInventory.findOneAndUpdate(
-                { _id: inventoryItem._id, retailer: retailerId },
-                updateOps,
-                { new: true, session }
-            ).populate('product', 'name sku unit unitSize image');
-
-            // Recompute lowStockAlert using method and persist if changed
-            if (updatedInventory) {
-                updatedInventory.checkLowStock();
-                // If checkLowStock modified lowStockAlert, save the field (without altering stock again)
-                await RetailerInventory.updateOne({ _id: updatedInventory._id }, { $set: { lowStockAlert: updatedInventory.lowStockAlert } }, { session });
-            }
-
-            // Compose values for log
-            const finalStock = (updatedInventory && typeof updatedInventory.currentStock === 'number') ? updatedInventory.currentStock : (previousStock + (incOps.currentStock || 0));
-            const logDoc = new InventoryLog({
-                retailer: retailerId,
-                product: productId,
-                inventoryItem: inventoryItem._id,
-                transactionType,
-                quantity: qty,
-                previousStock,
-                newStock: finalStock,
-                unitCost: typeof unitCost === 'number' && unitCost >= 0 ? unitCost : (inventoryItem.costPrice || 0),
-                totalValue: (typeof unitCost === 'number' && unitCost >= 0) ? (unitCost * qty) : ((inventoryItem.costPrice || 0) * qty),
-                referenceType,
-                referenceId,
-                batchNumber,
-                expiryDate,
-                reason,
-                notes,
-                createdBy: userId,
-                ipAddress,
-                userAgent
-            });
-
-            await logDoc.save({ session });
-
-            await session.commitTransaction();
-            session.endSession();
+            inventoryItem.lastUpdated = new Date();
+            inventoryItem.updatedBy = userId;
+            // lowStockAlert is recomputed on save
+            await inventoryItem.save({ session });
 
-            // Invalidate cache after commit
-            await CacheService.invalidateInventoryCache(retailerId);
+            // One log per batch touched
+            const logUnitCost = typeof unitCost === 'number' && unitCost >= 0 ? unitCost : (inventoryItem.costPrice || 0);
+            let runningStock = previousStock;
+            const logDocs = await InventoryLog.create((movements.length ? movements : [{ quantity: qty }]).map(movement => {
+                const logPrevious = runningStock;
+                runningStock += direction * movement.quantity;
+                return {
+                    retailer: retailerId,
+                    product: productId,
+                    inventoryItem: inventoryItem._id,
+                    transactionType,
+                    quantity: movement.quantity,
+                    previousStock: logPrevious,
+                    newStock: movements.length ? runningStock : inventoryItem.currentStock,
+                    unitCost: logUnitCost,
+                    totalValue: logUnitCost * movement.quantity,
+                    referenceType,
+                    referenceId,
+                    batchNumber: movement.batchNumber,
+                    expiryDate: movement.expiryDate,
+                    reason,
+                    notes,
+                    createdBy: userId,
+                    ipAddress,
+                    userAgent
+                };
+            }), { session });
+
+            if (ownSession) {
+                await session.commitTransaction();
+                session.endSession();
+
+                // Invalidate cache after commit
+                await CacheService.invalidateInventoryCache(retailerId);
+            }
 
             return {
                 success: true,
-                inventoryItem: await RetailerInventory.findById(inventoryItem._id).populate('product', 'name sku unit unitSize image'),
-                inventoryLog: logDoc,
-                stockChange: finalStock - previousStock
+                inventoryItem: await RetailerInventory.findById(inventoryItem._id)
+                    .populate('product', 'name sku unit unitSize image')
+                    .session(ownSession ? null : session),
+                inventoryLog: logDocs[0],
+                batches: movements,
+                stockChange: inventoryItem.currentStock - previousStock
             };
 
         } catch (error) {
-            await session.abortTransaction();
-            session.endSession();
+            if (ownSession) {
+                await session.abortTransaction();
+                session.endSession();
+            }
             console.error('❌ updateStock failed (improved):', error);
             throw error;
         }
     }
 
     /**
-     * Add product to retailer inventory
+     * Add product to retailer inventory. Given a session, joins the caller's
+     * transaction, like updateStock.
      */
-    async addProductToInventory(retailerId, productData, userId) {
-        const session = await mongoose.startSession();
+    async addProductToInventory(retailerId, productData, userId, { session: outerSession } = {}) {
+        const ownSession = !outerSession;
+        const session = outerSession || await mongoose.startSession();
 
         try {
-            session.startTransaction();
+            if (ownSession) session.startTransaction();
 
             const {
                 productId,
@@ -260,7 +298,9 @@ class InventoryService {
                 sellingPrice,
                 costPrice,
                 minStockLevel,
-                maxStockLevel
+                maxStockLevel,
+                batchNumber,
+                expiryDate
             } = productData;
 
             // Check if product already exists in inventory
@@ -284,18 +324,20 @@ class InventoryService {
                 retailer: retailerId,
                 product: productId,
                 productName: product.name,
-                currentStock: initialStock,
                 sellingPrice: sellingPrice || product.price || 0,
                 costPrice: costPrice || product.costPrice || 0,
                 minStockLevel: minStockLevel || product.minStockLevel || 10,
                 maxStockLevel: maxStockLevel || product.maxStockLevel || 100,
                 updatedBy: userId
             });
+            const batch = initialStock > 0
+                ? inventoryBatchService.receive(inventoryItem, { quantity: initialStock, batchNumber, expiryDate, unitCost: costPrice })
+                : null;
 
             await inventoryItem.save({ session });
 
             // Create initial stock log if stock is added - WITH VALID REASON
-            if (initialStock > 0) {
+            if (batch) {
                 const inventoryLog = new InventoryLog({
                     retailer: retailerId,
                     product: productId,
@@ -304,6 +346,8 @@ class InventoryService {
                     quantity: initialStock,
                     previousStock: 0,
                     newStock: initialStock,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
                     reason: 'INITIAL_SETUP',
                     notes: 'Initial stock setup',
                     createdBy: userId
@@ -311,19 +355,22 @@ class InventoryService {
                 await inventoryLog.save({ session });
             }
 
-            await session.commitTransaction();
+            if (ownSession) {
+                await session.commitTransaction();
 
-            // Invalidate cache
-            await CacheService.invalidateInventoryCache(retailerId);
+                // Invalidate cache
+                await CacheService.invalidateInventoryCache(retailerId);
+            }
 
             return await RetailerInventory.findById(inventoryItem._id)
-                .populate('product', 'name sku unit unitSize image category');
+                .populate('product', 'name sku unit unitSize image category')
+                .session(ownSession ? null : session);
 
         } catch (error) {
-            await session.abortTransaction();
+            if (ownSession) await session.abortTransaction();
             throw error;
         } finally {
-            session.endSession();
+            if (ownSession) session.endSession();
         }
     }
 
@@ -336,6 +383,9 @@ class InventoryService {
             reason = 'PURCHASE',
             notes,
             unitCost: incomingUnitCost,
+            sellingPrice,
+            batchNumber,
+            expiryDate,
             userId,
             ipAddress,
             userAgent
@@ -376,9 +426,14 @@ class InventoryService {
                 }
             }
 
-            // Update stock and related fields
-            const newStock = previousStock + quantity;
-            inventoryItem.currentStock = newStock;
+            // Stock comes in as a batch with its own expiry
+            const batch = inventoryBatchService.receive(inventoryItem, {
+                quantity,
+                batchNumber,
+                expiryDate,
+                unitCost: incomingUnitCost
+            });
+            const newStock = inventoryItem.currentStock;
             inventoryItem.lastRestocked = new Date();
             inventoryItem.lastUpdated = new Date();
             inventoryItem.updatedBy = userId;
@@ -387,6 +442,14 @@ class InventoryService {
             if (typeof incomingUnitCost === 'number' && incomingUnitCost >= 0) {
                 inventoryItem.costPrice = incomingUnitCost;
             }
+            if (typeof sellingPrice === 'number' && sellingPrice >= 0) {
+                inventoryItem.sellingPrice = sellingPrice;
+            }
+
+            // Restocking brings an inactive item back
+            if (inventoryItem.isActive === false) {
+                inventoryItem.isActive = true;
+            }
 
             // Recalculate low stock alert using your method
             inventoryItem.checkLowStock(); // sets lowStockAlert
@@ -406,6 +469,8 @@ class InventoryService {
                 unitCost,
                 totalValue: unitCost * quantity,
                 referenceType: 'MANUAL',
+                batchNumber: batch.batchNumber,
+                expiryDate: batch.expiryDate,
                 reason,
                 notes,
                 createdBy: userId,
@@ -439,6 +504,7 @@ class InventoryService {
                 lastRestocked: inventoryItem.lastRestocked,
                 lastUpdated: inventoryItem.lastUpdated,
                 lowStockAlert: inventoryItem.lowStockAlert,
+                batch,
                 log: {
                     _id: logDoc._id,
                     transactionType: logDoc.transactionType,
@@ -753,12 +819,14 @@ class InventoryService {
     }
 
     /**
-     * Reserve stock for order
+     * Reserve stock for order. Given a session, joins the caller's transaction,
+     * like updateStock.
      */
-    async reserveStockForOrder(orderId, retailerId, items, userId) {
-        const session = await mongoose.startSession();
+    async reserveStockForOrder(orderId, retailerId, items, userId, { session: outerSession } = {}) {
+        const ownSession = !outerSession;
+        const session = outerSession || await mongoose.startSession();
         try {
-            session.startTransaction();
+            if (ownSession) session.startTransaction();
 
             const results = [];
 
@@ -773,41 +841,41 @@ class InventoryService {
 
                 if (!inventory) throw new Error(`Product ${productId} not found in retailer inventory`);
 
-                const available = inventory.currentStock - inventory.committedStock;
+                const available = inventoryBatchService.available(inventory);
                 if (available < item.quantity) {
                     throw new Error(`Insufficient stock for ${productId}: available ${available}, requested ${item.quantity}`);
                 }
 
-                // Reserve
-                inventory.committedStock += item.quantity;
+                // Reserve, earliest expiry first
+                const batches = inventoryBatchService.commit(inventory, item.quantity);
                 await inventory.save({ session });
 
-                // Log
-                await InventoryLog.create([{
+                // Log per batch so delivery draws down the same batches
+                await InventoryLog.create(batchLogs({
                     retailer: retailerId,
                     product: productId,
                     inventoryItem: inventory._id,
                     transactionType: 'COMMITMENT',
-                    quantity: item.quantity,
-                    previousStock: inventory.currentStock,
-                    newStock: inventory.currentStock,
                     reason: 'ORDER_RESERVATION',
                     referenceType: 'ORDER',
                     referenceId: orderId,
                     notes: `Reserved for order ${orderId}`,
                     createdBy: userId
-                }], { session });
+                }, batches, inventory.currentStock), { session });
 
                 results.push({
                     product: productId,
                     reservedQty: item.quantity,
-                    committedStock: inventory.committedStock
+                    committedStock: inventory.committedStock,
+                    batches
                 });
             }
 
 
-            await session.commitTransaction();
-            await CacheService.invalidateInventoryCache(retailerId);
+            if (ownSession) {
+                await session.commitTransaction();
+                await CacheService.invalidateInventoryCache(retailerId);
+            }
 
             return {
                 success: true,
@@ -815,96 +883,267 @@ class InventoryService {
                 reservedItems: results
             };
         } catch (err) {
-            await session.abortTransaction();
+            if (ownSession) await session.abortTransaction();
             throw err;
         } finally {
-            session.endSession();
+            if (ownSession) session.endSession();
         }
     }
 
     /**
-     * Confirm delivery - Deduct reserved stock when order is delivered
+     * Stock still committed to an order per product: reservations minus releases
+     * @returns {Promise<Map<string, number>>} productId -> held quantity (> 0 only)
      */
-    async confirmOrderDelivery(orderId, retailerId, userId) {
-        const session = await mongoose.startSession();
+    async getHeldQuantities(orderId, retailerId, session = null) {
+        const logs = await InventoryLog.find({
+            retailer: retailerId,
+            referenceId: orderId,
+            $or: [
+                { transactionType: 'COMMITMENT', reason: 'ORDER_RESERVATION' },
+                { transactionType: 'RELEASE_COMMITMENT' }
+            ]
+        }).session(session);
+
+        const held = new Map();
+        for (const log of logs) {
+            const productId = String(log.product);
+            const sign = log.transactionType === 'COMMITMENT' ? 1 : -1;
+            held.set(productId, (held.get(productId) || 0) + sign * log.quantity);
+        }
+        for (const [productId, quantity] of held) {
+            if (quantity <= 0) held.delete(productId);
+        }
+        return held;
+    }
+
+    /**
+     * Batches still reserved for an order per product, from the batch numbers on its
+     * reservation logs. Reservations made before batches were tracked have none.
+     * @returns {Promise<Map<string, Array<{ batchNumber: string, quantity: number }>>>}
+     */
+    async getHeldBatches(orderId, retailerId, session = null) {
+        const logs = await InventoryLog.find({
+            retailer: retailerId,
+            referenceId: orderId,
+            batchNumber: { $exists: true, $ne: null },
+            $or: [
+                { transactionType: 'COMMITMENT', reason: 'ORDER_RESERVATION' },
+                { transactionType: 'RELEASE_COMMITMENT' }
+            ]
+        }).session(session);
+
+        const held = new Map();
+        for (const log of logs) {
+            const productId = String(log.product);
+            const batches = held.get(productId) || new Map();
+            const sign = log.transactionType === 'COMMITMENT' ? 1 : -1;
+            batches.set(log.batchNumber, (batches.get(log.batchNumber) || 0) + sign * log.quantity);
+            held.set(productId, batches);
+        }
+
+        const result = new Map();
+        for (const [productId, batches] of held) {
+            result.set(productId, [...batches]
+                .filter(([, quantity]) => quantity > 0)
+                .map(([batchNumber, quantity]) => ({ batchNumber, quantity })));
+        }
+        return result;
+    }
+
+    /**
+     * Batches an order's delivered stock of a product came out of, less what has
+     * already come back from each, with their expiry dates. Orders delivered
+     * before batches were tracked have none.
+     * @returns {Promise<Array<{ batchNumber: string, expiryDate?: Date, quantity: number }>>}
+     */
+    async getSoldBatches(orderId, retailerId, productId, session = null) {
+        const logs = await InventoryLog.find({
+            retailer: retailerId,
+            product: productId,
+            referenceId: String(orderId),
+            batchNumber: { $exists: true, $ne: null },
+            $or: [
+                { transactionType: 'STOCK_OUT', reason: 'SALE' },
+                { transactionType: 'RETURN' }
+            ]
+        }).sort({ createdAt: 1 }).session(session);
+
+        const sold = new Map();
+        for (const log of logs) {
+            const row = sold.get(log.batchNumber) || { batchNumber: log.batchNumber, expiryDate: log.expiryDate, quantity: 0 };
+            row.quantity += log.transactionType === 'RETURN' ? -log.quantity : log.quantity;
+            sold.set(log.batchNumber, row);
+        }
+        return [...sold.values()].filter(row => row.quantity > 0);
+    }
+
+    /**
+     * Re-balance an order's reservation to new quantities: commit the extra or
+     * release the difference per product. Given a session, joins the caller's
+     * transaction, like updateStock.
+     * @param {Array<{ productId, quantity }>} items - Full new item list of the order
+     */
+    async adjustOrderReservation(orderId, retailerId, items, userId, { session: outerSession } = {}) {
+        const ownSession = !outerSession;
+        const session = outerSession || await mongoose.startSession();
         try {
-            session.startTransaction();
+            if (ownSession) session.startTransaction();
 
-            const reservationLogs = await InventoryLog.find({
-                retailer: retailerId,
-                referenceId: orderId,
-                transactionType: 'COMMITMENT',
-                reason: 'ORDER_RESERVATION'
-            }).session(session);
+            const held = await this.getHeldQuantities(orderId, retailerId, session);
+            const heldBatches = await this.getHeldBatches(orderId, retailerId, session);
+            const wanted = new Map();
+            for (const item of items) {
+                const productId = String(item.productId);
+                wanted.set(productId, (wanted.get(productId) || 0) + item.quantity);
+            }
+
+            const changes = [];
+            const productIds = new Set([...held.keys(), ...wanted.keys()]);
+
+            for (const productId of productIds) {
+                const delta = (wanted.get(productId) || 0) - (held.get(productId) || 0);
+                if (delta === 0) continue;
+
+                const inventory = await RetailerInventory.findOne({
+                    retailer: retailerId,
+                    product: productId,
+                    isActive: true
+                }).session(session);
+
+                if (!inventory) throw new Error(`Product ${productId} not found in retailer inventory`);
+
+                let batches;
+                if (delta > 0) {
+                    const available = inventoryBatchService.available(inventory);
+                    if (available < delta) {
+                        throw new Error(`Insufficient stock for ${productId}: available ${available}, requested ${delta} more`);
+                    }
+                    batches = inventoryBatchService.commit(inventory, delta);
+                } else {
+                    // Give back the latest-expiring of the order's batches first
+                    const reserved = [...(heldBatches.get(productId) || [])].reverse();
+                    batches = releasedInFull(inventoryBatchService.release(inventory, -delta, reserved), -delta);
+                }
+                await inventory.save({ session });
+
+                await InventoryLog.create(batchLogs({
+                    retailer: retailerId,
+                    product: productId,
+                    inventoryItem: inventory._id,
+                    transactionType: delta > 0 ? 'COMMITMENT' : 'RELEASE_COMMITMENT',
+                    reason: delta > 0 ? 'ORDER_RESERVATION' : 'ORDER_MODIFIED',
+                    referenceType: 'ORDER',
+                    referenceId: orderId,
+                    notes: `Order ${orderId} edited - reservation ${delta > 0 ? 'increased' : 'reduced'} by ${Math.abs(delta)}`,
+                    createdBy: userId
+                }, batches, inventory.currentStock), { session });
+
+                changes.push({
+                    product: productId,
+                    delta,
+                    committedStock: inventory.committedStock,
+                    batches
+                });
+            }
+
+            if (ownSession) {
+                await session.commitTransaction();
+                if (changes.length) await CacheService.invalidateInventoryCache(retailerId);
+            }
 
-            if (reservationLogs.length === 0)
+            return {
+                success: true,
+                message: `Adjusted reservation for ${changes.length} items`,
+                changes
+            };
+        } catch (err) {
+            if (ownSession) await session.abortTransaction();
+            throw err;
+        } finally {
+            if (ownSession) session.endSession();
+        }
+    }
+
+    /**
+     * Confirm delivery - Deduct reserved stock when order is delivered. Given a
+     * session, joins the caller's transaction, like updateStock.
+     */
+    async confirmOrderDelivery(orderId, retailerId, userId, { session: outerSession } = {}) {
+        const ownSession = !outerSession;
+        const session = outerSession || await mongoose.startSession();
+        try {
+            if (ownSession) session.startTransaction();
+
+            const held = await this.getHeldQuantities(orderId, retailerId, session);
+            const heldBatches = await this.getHeldBatches(orderId, retailerId, session);
+
+            if (held.size === 0)
                 throw new Error('No reserved stock found for this order');
 
             const delivered = [];
 
-            for (const log of reservationLogs) {
+            for (const [productId, quantity] of held) {
                 const inventory = await RetailerInventory.findOne({
                     retailer: retailerId,
-                    product: log.product
+                    product: productId
                 }).session(session);
 
-                if (!inventory) throw new Error(`Inventory not found for product ${log.product}`);
-
-                // Release commitment
-                inventory.committedStock = Math.max(inventory.committedStock - log.quantity, 0);
+                if (!inventory) throw new Error(`Inventory not found for product ${productId}`);
 
                 // Deduct stock
-                if (inventory.currentStock < log.quantity)
-                    throw new Error(`Insufficient current stock for ${log.product}`);
+                if (inventory.currentStock < quantity)
+                    throw new Error(`Insufficient current stock for ${productId}`);
 
-                inventory.currentStock -= log.quantity;
+                // Release commitment and draw down the batches it held
+                const previousStock = inventory.currentStock;
+                const { released, sold } = inventoryBatchService.fulfil(inventory, quantity, heldBatches.get(productId));
 
                 // Update sales
-                inventory.totalSold += log.quantity;
+                inventory.totalSold += quantity;
                 inventory.lastSoldDate = new Date();
 
                 await inventory.save({ session });
 
-                // Log release
-                await InventoryLog.create([{
-                    retailer: retailerId,
-                    product: log.product,
-                    inventoryItem: inventory._id,
-                    transactionType: 'RELEASE_COMMITMENT',
-                    quantity: log.quantity,
-                    previousStock: inventory.currentStock + log.quantity,
-                    newStock: inventory.currentStock + log.quantity,
-                    reason: 'ORDER_DELIVERED',
-                    referenceType: 'ORDER',
-                    referenceId: orderId,
-                    notes: `Released reservation for delivery - order ${orderId}`,
-                    createdBy: userId
-                }, {
-                    retailer: retailerId,
-                    product: log.product,
-                    inventoryItem: inventory._id,
-                    transactionType: 'STOCK_OUT',
-                    quantity: log.quantity,
-                    previousStock: inventory.currentStock + log.quantity,
-                    newStock: inventory.currentStock,
-                    reason: 'SALE',
-                    referenceType: 'ORDER',
-                    referenceId: orderId,
-                    notes: `Order ${orderId} delivered - stock deducted`,
-                    createdBy: userId
-                }], { session });
+                // Log release and sale
+                await InventoryLog.create([
+                    ...batchLogs({
+                        retailer: retailerId,
+                        product: productId,
+                        inventoryItem: inventory._id,
+                        transactionType: 'RELEASE_COMMITMENT',
+                        reason: 'ORDER_DELIVERED',
+                        referenceType: 'ORDER',
+                        referenceId: orderId,
+                        notes: `Released reservation for delivery - order ${orderId}`,
+                        createdBy: userId
+                    }, releasedInFull(released, quantity), previousStock),
+                    ...batchLogs({
+                        retailer: retailerId,
+                        product: productId,
+                        inventoryItem: inventory._id,
+                        transactionType: 'STOCK_OUT',
+                        reason: 'SALE',
+                        referenceType: 'ORDER',
+                        referenceId: orderId,
+                        notes: `Order ${orderId} delivered - stock deducted`,
+                        createdBy: userId
+                    }, sold, previousStock, -1)
+                ], { session });
 
                 delivered.push({
-                    product: log.product,
-                    quantity: log.quantity,
+                    product: productId,
+                    quantity,
                     currentStock: inventory.currentStock,
                     committedStock: inventory.committedStock,
-                    totalSold: inventory.totalSold
+                    totalSold: inventory.totalSold,
+                    batches: sold
                 });
             }
 
-            await session.commitTransaction();
-            await CacheService.invalidateInventoryCache(retailerId);
+            if (ownSession) {
+                await session.commitTransaction();
+                await CacheService.invalidateInventoryCache(retailerId);
+            }
 
             return {
                 success: true,
@@ -912,70 +1151,69 @@ class InventoryService {
                 deliveredItems: delivered
             };
         } catch (err) {
-            await session.abortTransaction();
+            if (ownSession) await session.abortTransaction();
             throw err;
         } finally {
-            session.endSession();
+            if (ownSession) session.endSession();
         }
     }
 
     /**
-     * Cancel order - Release reserved stock
+     * Cancel order - Release reserved stock. Given a session, joins the caller's
+     * transaction, like updateStock.
      */
 
-    async cancelOrderReservation(orderId, retailerId, userId, reason = 'ORDER_CANCELLED') {
-        const session = await mongoose.startSession();
+    async cancelOrderReservation(orderId, retailerId, userId, reason = 'ORDER_CANCELLED', { session: outerSession } = {}) {
+        const ownSession = !outerSession;
+        const session = outerSession || await mongoose.startSession();
         try {
-            session.startTransaction();
+            if (ownSession) session.startTransaction();
 
-            const reservationLogs = await InventoryLog.find({
-                retailer: retailerId,
-                referenceId: orderId,
-                transactionType: 'COMMITMENT',
-                reason: 'ORDER_RESERVATION'
-            }).session(session);
+            // Net of earlier releases, so calling this twice does not release twice
+            const held = await this.getHeldQuantities(orderId, retailerId, session);
+            const heldBatches = await this.getHeldBatches(orderId, retailerId, session);
 
-            if (reservationLogs.length === 0) {
-                return { success: true, message: 'No reserved stock found to release' };
+            if (held.size === 0) {
+                if (ownSession) await session.abortTransaction();
+                return { success: true, message: 'No reserved stock found to release', releasedItems: [] };
             }
 
             const released = [];
 
-            for (const log of reservationLogs) {
+            for (const [productId, quantity] of held) {
                 const inventory = await RetailerInventory.findOne({
                     retailer: retailerId,
-                    product: log.product
+                    product: productId
                 }).session(session);
 
                 if (!inventory) continue;
 
-                inventory.committedStock = Math.max(inventory.committedStock - log.quantity, 0);
+                const batches = releasedInFull(inventoryBatchService.release(inventory, quantity, heldBatches.get(productId)), quantity);
                 await inventory.save({ session });
 
-                await InventoryLog.create([{
+                await InventoryLog.create(batchLogs({
                     retailer: retailerId,
-                    product: log.product,
+                    product: productId,
                     inventoryItem: inventory._id,
                     transactionType: 'RELEASE_COMMITMENT',
-                    quantity: log.quantity,
-                    previousStock: inventory.currentStock,
-                    newStock: inventory.currentStock,
                     reason,
                     referenceType: 'ORDER',
                     referenceId: orderId,
                     notes: `Cancelled order ${orderId} - stock released`,
                     createdBy: userId
-                }], { session });
+                }, batches, inventory.currentStock), { session });
 
                 released.push({
-                    product: log.product,
-                    releasedQty: log.quantity,
+                    product: productId,
+                    releasedQty: quantity,
                     committedStock: inventory.committedStock
                 });
             }
 
-            await session.commitTransaction();
-            await CacheService.invalidateInventoryCache(retailerId);
+            if (ownSession) {
+                await session.commitTransaction();
+                await CacheService.invalidateInventoryCache(retailerId);
+            }
 
             return {
                 success: true,
@@ -983,10 +1221,10 @@ class InventoryService {
                 releasedItems: released
             };
         } catch (err) {
-            await session.abortTransaction();
+            if (ownSession) await session.abortTransaction();
             throw err;
         } finally {
-            session.endSession();
+            if (ownSession) session.endSession();
         }
     }
 
@@ -1045,7 +1283,9 @@ class InventoryService {
             newStock,
             ipAddress,
             userAgent,
-            unitCost // optional
+            unitCost, // optional
+            batchNumber,
+            expiryDate
         } = payload;
 
         const log = new InventoryLog({
@@ -1058,6 +1298,8 @@ class InventoryService {
             newStock: typeof newStock === 'number' ? newStock : 0,
             unitCost: typeof unitCost === 'number' ? unitCost : 0,
             totalValue: (typeof unitCost === 'number' ? unitCost : 0) * (Math.abs(quantity || 0)),
+            batchNumber,
+            expiryDate,
             reason,
             notes,
             createdBy: userId,
@@ -0,0 +1,444 @@
+// services/inventoryBatch.service.js
+import mongoose from 'mongoose';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import InventoryLog from '../models/inventoryLog.model.js';
+import Admin from '../models/admin.model.js';
+import CacheService from './cache.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+import { startOfDay, toDateKey } from '../utils/dateUtils.js';
+import { productionConfig } from '../config/production.js';
+
+// Stock counted before batches were tracked
+const UNBATCHED = 'UNBATCHED';
+
+const sum = (rows, field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+const expiryTime = (batch) => (batch.expiryDate ? new Date(batch.expiryDate).getTime() : Infinity);
+const sameDay = (a, b) => (a ? toDateKey(a) : null) === (b ? toDateKey(b) : null);
+
+// Add a batch movement to a list, one row per batch
+const addMovement = (movements, batch, quantity) => {
+    const row = movements.find(movement => movement.batchNumber === batch.batchNumber);
+    if (row) row.quantity += quantity;
+    else movements.push({ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity });
+};
+
+/**
+ * Batch bookkeeping on RetailerInventory documents. The methods that change stock
+ * work on a loaded document and keep currentStock / committedStock equal to the
+ * batch totals; the caller saves it (inside its transaction) and writes the logs.
+ */
+class InventoryBatchService {
+    /**
+     * Batches in picking order: earliest expiry first, then oldest receipt;
+     * batches that do not expire go last
+     */
+    fefo(item) {
+        return [...item.batches].sort((a, b) =>
+            (expiryTime(a) - expiryTime(b)) || (new Date(a.receivedAt) - new Date(b.receivedAt)));
+    }
+
+    isExpired(batch, now = new Date()) {
+        return Boolean(batch.expiryDate) && batch.expiryDate < startOfDay(now).toJSDate();
+    }
+
+    /**
+     * Stock from before batches were tracked is held as an UNBATCHED batch without
+     * expiry, and commitments made then are spread over the batches
+     */
+    reconcile(item) {
+        const untracked = (item.currentStock || 0) - sum(item.batches, 'quantity');
+        if (untracked > 0) {
+            const batch = item.batches.find(row => row.batchNumber === UNBATCHED);
+            if (batch) batch.quantity += untracked;
+            else item.batches.push({ batchNumber: UNBATCHED, quantity: untracked, receivedAt: item.createdAt || new Date() });
+        }
+
+        let uncommitted = (item.committedStock || 0) - sum(item.batches, 'committed');
+        for (const batch of this.fefo(item)) {
+            if (uncommitted <= 0) break;
+            const share = Math.max(Math.min(batch.quantity - batch.committed, uncommitted), 0);
+            batch.committed += share;
+            uncommitted -= share;
+        }
+    }
+
+    /**
+     * Totals follow the batches; emptied batches are dropped
+     */
+    sync(item) {
+        item.batches.filter(batch => batch.quantity <= 0).forEach(batch => item.batches.pull(batch._id));
+        item.currentStock = sum(item.batches, 'quantity');
+        item.committedStock = sum(item.batches, 'committed');
+    }
+
+    /**
+     * Stock that can still be sold: unreserved quantity in batches that have not expired
+     */
+    available(item, now = new Date()) {
+        this.reconcile(item);
+        return item.batches
+            .filter(batch => !this.isExpired(batch, now))
+            .reduce((total, batch) => total + batch.quantity - batch.committed, 0);
+    }
+
+    /**
+     * Batches to draw a quantity from, FEFO
+     * @param {{ free?: boolean, includeExpired?: boolean, batchNumber?: string, partial?: boolean, now?: Date }} opts
+     *   free - only unreserved stock; batchNumber - only that batch;
+     *   partial - return what there is instead of failing when short
+     * @returns {Array<{ batch: Object, quantity: number }>}
+     */
+    pick(item, quantity, { free = true, includeExpired = false, batchNumber, partial = false, now = new Date() } = {}) {
+        let remaining = quantity;
+        const picks = [];
+        for (const batch of this.fefo(item)) {
+            if (remaining <= 0) break;
+            if (batchNumber && batch.batchNumber !== batchNumber) continue;
+            if (!includeExpired && this.isExpired(batch, now)) continue;
+
+            const amount = Math.min(free ? batch.quantity - batch.committed : batch.quantity, remaining);
+            if (amount > 0) {
+                picks.push({ batch, quantity: amount });
+                remaining -= amount;
+            }
+        }
+
+        if (remaining > 0 && !partial) {
+            const source = batchNumber ? `batch ${batchNumber}` : includeExpired ? 'stock' : 'unexpired stock';
+            throw httpError(`Insufficient ${source} for ${item.productName || item.product}: short by ${remaining}`);
+        }
+        return picks;
+    }
+
+    defaultBatchNumber(receivedAt, expiryDate) {
+        const compact = (date) => toDateKey(date).replace(/-/g, '');
+        return expiryDate ? `${compact(receivedAt)}-EXP${compact(expiryDate)}` : compact(receivedAt);
+    }
+
+    /**
+     * Stock in as a batch. The same batch number (with the same expiry) adds to the
+     * batch already in stock; without a number the receipt and expiry dates name it.
+     * @param {{ quantity: number, batchNumber?: string, expiryDate?: Date|string, unitCost?: number, receivedAt?: Date }} receipt
+     * @returns {{ batchNumber: string, expiryDate?: Date, quantity: number }}
+     */
+    receive(item, { quantity, batchNumber, expiryDate, unitCost, receivedAt = new Date() }) {
+        let expiry;
+        if (expiryDate) {
+            const day = startOfDay(expiryDate instanceof Date ? expiryDate : String(expiryDate));
+            if (!day) throw httpError('Invalid expiry date');
+            expiry = day.toJSDate();
+        }
+
+        this.reconcile(item);
+        const number = batchNumber ? String(batchNumber).trim() : this.defaultBatchNumber(receivedAt, expiry);
+        const cost = typeof unitCost === 'number' && unitCost >= 0 ? unitCost : undefined;
+
+        const existing = item.batches.find(batch => batch.batchNumber === number);
+        if (existing && !sameDay(existing.expiryDate, expiry)) {
+            throw httpError(`Batch ${number} is already in stock with expiry ${existing.expiryDate ? toDateKey(existing.expiryDate) : 'none'}`);
+        }
+        if (existing) {
+            existing.quantity += quantity;
+            if (cost !== undefined) existing.unitCost = cost;
+        } else {
+            item.batches.push({ batchNumber: number, expiryDate: expiry, quantity, unitCost: cost, receivedAt });
+        }
+
+        this.sync(item);
+        return { batchNumber: number, expiryDate: expiry, quantity };
+    }
+
+    /**
+     * Reserve stock for an order from the earliest-expiring unexpired batches
+     * @returns {Array<{ batchNumber, expiryDate, quantity }>} batches reserved
+     */
+    commit(item, quantity, now = new Date()) {
+        this.reconcile(item);
+        const reserved = [];
+        for (const { batch, quantity: amount } of this.pick(item, quantity, { now })) {
+            batch.committed += amount;
+            addMovement(reserved, batch, amount);
+        }
+        this.sync(item);
+        return reserved;
+    }
+
+    /**
+     * Hand back reserved stock. The batches named (what the order reserved, from its
+     * COMMITMENT logs) are released first, the rest from the latest-expiring reservations.
+     * @param {Array<{ batchNumber: string, quantity: number }>} reserved
+     * @returns {Array<{ batchNumber, expiryDate, quantity }>} batches released
+     */
+    release(item, quantity, reserved = []) {
+        this.reconcile(item);
+        let remaining = quantity;
+        const released = [];
+        const releaseFrom = (batch, wanted) => {
+            const amount = Math.min(batch.committed, wanted, remaining);
+            if (amount <= 0) return;
+            batch.committed -= amount;
+            remaining -= amount;
+            addMovement(released, batch, amount);
+        };
+
+        for (const row of reserved) {
+            const batch = item.batches.find(candidate => candidate.batchNumber === row.batchNumber);
+            if (batch) releaseFrom(batch, row.quantity);
+        }
+        for (const batch of this.fefo(item).reverse()) {
+            if (remaining <= 0) break;
+            releaseFrom(batch, remaining);
+        }
+
+        this.sync(item);
+        return released;
+    }
+
+    /**
+     * Reserved stock leaves the shop: the reservation is released and the same
+     * batches are drawn down, falling back to FEFO if a reserved batch is gone
+     * @returns {{ released: Object[], sold: Object[] }} batch movements ({ batchNumber, expiryDate, quantity })
+     */
+    fulfil(item, quantity, reserved = [], now = new Date()) {
+        const released = this.release(item, quantity, reserved);
+        let remaining = quantity;
+        const sold = [];
+
+        for (const row of released) {
+            const batch = item.batches.find(candidate => candidate.batchNumber === row.batchNumber);
+            const amount = batch ? Math.min(batch.quantity - batch.committed, row.quantity, remaining) : 0;
+            if (amount <= 0) continue;
+            batch.quantity -= amount;
+            remaining -= amount;
+            addMovement(sold, batch, amount);
+        }
+        if (remaining > 0) {
+            for (const { batch, quantity: amount } of this.pick(item, remaining, { now })) {
+                batch.quantity -= amount;
+                addMovement(sold, batch, amount);
+            }
+        }
+
+        this.sync(item);
+        return { released, sold };
+    }
+
+    /**
+     * Take unreserved stock out (counter sale, damage, correction), from one batch or
+     * FEFO. Write-offs may take expired stock.
+     * @param {{ batchNumber?: string, includeExpired?: boolean, now?: Date }} opts
+     * @returns {Array<{ batchNumber, expiryDate, quantity }>} batches taken from
+     */
+    take(item, quantity, { batchNumber, includeExpired = false, now = new Date() } = {}) {
+        this.reconcile(item);
+        const taken = [];
+        for (const { batch, quantity: amount } of this.pick(item, quantity, { batchNumber, includeExpired, now })) {
+            batch.quantity -= amount;
+            addMovement(taken, batch, amount);
+        }
+        this.sync(item);
+        return taken;
+    }
+
+    /**
+     * Stock found missing on a count: free stock goes first, expired included, then
+     * reserved stock, whose reservations shrink with it. Takes what there is.
+     * @returns {Array<{ batchNumber, expiryDate, quantity }>} batches written down
+     */
+    writeDown(item, quantity, now = new Date()) {
+        this.reconcile(item);
+        let remaining = quantity;
+        const taken = [];
+        for (const free of [true, false]) {
+            for (const { batch, quantity: amount } of this.pick(item, remaining, { free, includeExpired: true, partial: true, now })) {
+                batch.quantity -= amount;
+                batch.committed = Math.min(batch.committed, batch.quantity);
+                remaining -= amount;
+                addMovement(taken, batch, amount);
+            }
+        }
+        this.sync(item);
+        return taken;
+    }
+
+    /**
+     * User the system's own stock movements are logged as: the retailer's login
+     */
+    async getSystemUser(retailerId, cache = new Map()) {
+        const key = String(retailerId);
+        if (!cache.has(key)) {
+            const retailer = await Admin.findById(retailerId).select('user');
+            cache.set(key, retailer?.user);
+        }
+        return cache.get(key);
+    }
+
+    /**
+     * Write off batches past their expiry date with EXPIRY logs. Stock they held for
+     * orders is re-reserved from fresher batches where there is enough.
+     * @returns {Promise<{ items: number, batches: number, quantity: number, unreserved: number, failed: number }>}
+     */
+    async expireDue(now = new Date()) {
+        const today = startOfDay(now).toJSDate();
+        const candidates = await RetailerInventory.find({ 'batches.expiryDate': { $lt: today } }).select('_id');
+        const summary = { items: 0, batches: 0, quantity: 0, unreserved: 0, failed: 0 };
+        const users = new Map();
+        const byRetailer = new Map();
+
+        for (const { _id } of candidates) {
+            const session = await mongoose.startSession();
+            try {
+                session.startTransaction();
+
+                const item = await RetailerInventory.findById(_id).session(session);
+                const userId = await this.getSystemUser(item.retailer, users);
+                this.reconcile(item);
+
+                const logs = [];
+                const expired = [];
+                let stock = item.currentStock;
+                for (const batch of item.batches.filter(row => this.isExpired(row, now))) {
+                    const { quantity, committed } = batch;
+                    batch.quantity = 0;
+                    batch.committed = 0;
+
+                    // Orders that had this batch reserved get fresher stock if there is any
+                    let moved = 0;
+                    for (const pick of this.pick(item, committed, { partial: true, now })) {
+                        pick.batch.committed += pick.quantity;
+                        moved += pick.quantity;
+                    }
+
+                    const unitCost = batch.unitCost ?? item.costPrice ?? 0;
+                    logs.push({
+                        retailer: item.retailer,
+                        product: item.product,
+                        inventoryItem: item._id,
+                        transactionType: 'EXPIRY',
+                        quantity,
+                        previousStock: stock,
+                        newStock: stock - quantity,
+                        unitCost,
+                        totalValue: unitCost * quantity,
+                        referenceType: 'SYSTEM',
+                        batchNumber: batch.batchNumber,
+                        expiryDate: batch.expiryDate,
+                        reason: 'EXPIRY',
+                        notes: `Batch ${batch.batchNumber} expired on ${toDateKey(batch.expiryDate)}`
+                            + (committed ? `; ${moved} of ${committed} reserved re-reserved from other batches` : ''),
+                        createdBy: userId
+                    });
+                    expired.push({ batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, quantity, unreserved: committed - moved });
+                    stock -= quantity;
+                    summary.unreserved += committed - moved;
+                }
+
+                this.sync(item);
+                item.lastUpdated = new Date();
+                await item.save({ session });
+                await InventoryLog.insertMany(logs, { session });
+                await session.commitTransaction();
+                await CacheService.invalidateInventoryCache(item.retailer);
+
+                summary.items++;
+                summary.batches += expired.length;
+                summary.quantity += sum(expired, 'quantity');
+
+                const key = String(item.retailer);
+                byRetailer.set(key, [...(byRetailer.get(key) || []), ...expired.map(row => ({
+                    inventoryId: item._id,
+                    productName: item.productName,
+                    ...row
+                }))]);
+            } catch (error) {
+                await session.abortTransaction();
+                console.error(`Expiring batches of inventory item ${_id} failed:`, error.message);
+                summary.failed++;
+            } finally {
+                session.endSession();
+            }
+        }
+
+        for (const [retailerId, batches] of byRetailer) {
+            notify(null, `retailer:${retailerId}`, 'inventory:expired', {
+                batches,
+                quantity: sum(batches, 'quantity'),
+                // Reserved for orders and not covered by other stock
+                unreserved: sum(batches, 'unreserved')
+            });
+        }
+        return summary;
+    }
+
+    /**
+     * Batches expiring from today up to `days` days ahead, soonest first
+     * @returns {Promise<Object[]>}
+     */
+    async getExpiring(retailerId, days = productionConfig.stockExpiry.alertDays, now = new Date()) {
+        const today = startOfDay(now);
+        const from = today.toJSDate();
+        const until = today.plus({ days }).toJSDate();
+
+        const items = await RetailerInventory.find({
+            retailer: retailerId,
+            isActive: true,
+            'batches.expiryDate': { $gte: from, $lte: until }
+        }).populate('product', 'name unit unitSize image');
+
+        return items
+            .flatMap(item => item.batches
+                .filter(batch => batch.expiryDate >= from && batch.expiryDate <= until)
+                .map(batch => ({
+                    inventoryId: item._id,
+                    product: item.product,
+                    productName: item.productName,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    daysLeft: Math.round(startOfDay(batch.expiryDate).diff(today, 'days').days),
+                    quantity: batch.quantity,
+                    committed: batch.committed,
+                    free: batch.quantity - batch.committed
+                })))
+            .sort((a, b) => a.expiryDate - b.expiryDate);
+    }
+
+    /**
+     * Tell each retailer what expires in the next few days
+     * @returns {Promise<{ retailers: number, batches: number }>}
+     */
+    async alertExpiring(now = new Date(), days = productionConfig.stockExpiry.alertDays) {
+        const today = startOfDay(now);
+        const retailerIds = await RetailerInventory.distinct('retailer', {
+            isActive: true,
+            'batches.expiryDate': { $gte: today.toJSDate(), $lte: today.plus({ days }).toJSDate() }
+        });
+
+        const summary = { retailers: 0, batches: 0 };
+        for (const retailerId of retailerIds) {
+            const batches = await this.getExpiring(retailerId, days, now);
+            if (!batches.length) continue;
+
+            notify(null, `retailer:${retailerId}`, 'inventory:expiring', {
+                days,
+                quantity: sum(batches, 'quantity'),
+                batches: batches.map(({ product, ...batch }) => batch)
+            });
+            summary.retailers++;
+            summary.batches += batches.length;
+        }
+        return summary;
+    }
+
+    /**
+     * Scheduled every morning: expired stock out first, then the heads-up
+     */
+    async runDaily(now = new Date()) {
+        return {
+            expired: await this.expireDue(now),
+            expiring: await this.alertExpiring(now)
+        };
+    }
+}
+
+export default new InventoryBatchService();
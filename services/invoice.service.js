@@ -0,0 +1,194 @@
+// services/invoice.service.js
+import Invoice from '../models/invoice.model.js';
+import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import Customer from '../models/customer.model.js';
+import Product from '../models/product.model.js';
+import gstService from './gst.service.js';
+import notify from './notify.js';
+import { getStorage } from '../lib/storage.js';
+import { renderInvoicePdf } from '../utils/invoicePdf.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class InvoiceService {
+    /**
+     * Whether an order has reached the point where it is invoiced
+     */
+    isInvoiceable(order) {
+        return order.orderStatus !== 'cancelled' &&
+            (order.orderStatus === 'delivered' || order.paymentStatus === 'paid');
+    }
+
+    /**
+     * Issue the tax invoice for an order, once. The order's invoice number and tax
+     * breakup are frozen into an Invoice snapshot and the rendered PDF is stored, so
+     * later re-downloads return the same document even if the order changes.
+     * @param {Object} order - Order document
+     * @param {'delivery'|'payment'|'return'|'on_request'} trigger
+     * @returns {Promise<Object>} Invoice document
+     * @throws when the order is cancelled, or neither delivered nor paid
+     */
+    async issue(order, trigger) {
+        if (!this.isInvoiceable(order)) {
+            throw new Error(`Order ${order.orderId} is ${order.orderStatus} and ${order.paymentStatus}, so it cannot be invoiced`);
+        }
+
+        const existing = await Invoice.findOne({ order: order._id });
+        if (existing) return existing;
+
+        if (!order.assignedRetailer) throw new Error(`Order ${order.orderId} has no assigned retailer`);
+        await gstService.prepareInvoice(order);
+
+        let invoice;
+        try {
+            invoice = await Invoice.create(await this.buildSnapshot(order, trigger));
+        } catch (error) {
+            // Issued by a concurrent request
+            if (error.code === 11000) return Invoice.findOne({ order: order._id });
+            throw error;
+        }
+
+        await Order.updateOne({ _id: order._id }, { $set: { 'invoice.document': invoice._id } });
+        order.set('invoice.document', invoice._id);
+
+        try {
+            await this.storeFile(invoice);
+        } catch (error) {
+            // The snapshot is the record; the file is rendered again on first download
+            console.error(`Storing invoice ${invoice.invoiceNumber} failed:`, error.message);
+        }
+
+        const payload = {
+            invoiceNumber: invoice.invoiceNumber,
+            orderId: invoice.orderId,
+            total: invoice.total
+        };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'invoice:issued', payload);
+        notify(null, `retailer:${order.assignedRetailer}`, 'invoice:issued', payload);
+
+        return invoice;
+    }
+
+    /**
+     * issue() for side-effects of other actions (delivery, payment): the action has
+     * already happened, so a failure is only logged
+     */
+    async issueSafely(order, trigger) {
+        try {
+            return await this.issue(order, trigger);
+        } catch (error) {
+            console.error(`Invoice for order ${order.orderId} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Frozen copy of everything printed on the invoice
+     */
+    async buildSnapshot(order, trigger) {
+        const [retailer, customer, products] = await Promise.all([
+            Admin.findById(order.assignedRetailer).select('shopName address gstin location'),
+            order.customer
+                ? Customer.findById(order.customer._id || order.customer)
+                    .select('personalInfo user')
+                    .populate('user', 'phone')
+                : null,
+            Product.find({ _id: { $in: order.items.map(item => item.product._id || item.product) } })
+                .select('name unit')
+        ]);
+
+        const productFor = (item) => products.find(p => String(p._id) === String(item.product._id || item.product));
+
+        return {
+            invoiceNumber: order.invoice.number,
+            slug: order.invoice.number.replace(/\//g, '-'),
+            financialYear: order.invoice.financialYear,
+            sequence: order.invoice.sequence,
+            issuedAt: order.invoice.issuedAt,
+            trigger,
+            order: order._id,
+            orderId: order.orderId,
+            retailer: order.assignedRetailer,
+            customer: customer?._id,
+            seller: {
+                shopName: retailer?.shopName,
+                address: retailer?.address,
+                gstin: retailer?.gstin,
+                state: order.tax?.sellerState
+            },
+            buyer: {
+                name: customer?.personalInfo?.fullName || (order.orderType === 'offline' ? 'Walk-in customer' : 'Customer'),
+                phone: customer?.user?.phone,
+                email: customer?.personalInfo?.email
+            },
+            deliveryAddress: order.deliveryAddress,
+            items: order.items.map(item => ({
+                product: item.product._id || item.product,
+                name: productFor(item)?.name || 'Product',
+                unit: item.unit || productFor(item)?.unit,
+                quantity: item.quantity,
+                price: item.price,
+                hsnCode: item.hsnCode,
+                gstRate: item.gstRate,
+                taxableValue: item.taxableValue,
+                taxAmount: item.taxAmount,
+                total: round(item.price * item.quantity)
+            })),
+            subtotal: order.totalAmount,
+            discount: order.discount || 0,
+            appliedPromotions: (order.appliedPromotions || []).map(({ code, name, discount }) => ({ code, name, discount })),
+            deliveryFee: {
+                amount: order.deliveryFee?.amount || 0,
+                freeDeliveryApplied: order.deliveryFee?.freeDeliveryApplied
+            },
+            // The invoice keeps its original value; returns are corrected by credit notes
+            total: round(order.finalAmount + (order.returnedAmount || 0)),
+            tax: {
+                supplyType: order.tax?.supplyType,
+                placeOfSupply: order.tax?.placeOfSupply,
+                taxableValue: order.tax?.taxableValue || 0,
+                cgst: order.tax?.cgst || 0,
+                sgst: order.tax?.sgst || 0,
+                igst: order.tax?.igst || 0,
+                totalTax: order.tax?.totalTax || 0,
+                summary: order.tax?.summary || []
+            },
+            orderDate: order.createdAt,
+            deliveryDate: order.deliveredAt || order.deliveryDate,
+            orderStatus: order.orderStatus,
+            paymentMethod: order.paymentMethod,
+            paymentStatus: order.paymentStatus,
+            specialInstructions: order.specialInstructions
+        };
+    }
+
+    /**
+     * Render the invoice and put it in document storage
+     * @returns {Promise<Buffer>} The rendered PDF
+     */
+    async storeFile(invoice) {
+        const buffer = await renderInvoicePdf(invoice);
+        const key = `invoices/${invoice.retailer}/${invoice.financialYear}/${invoice.slug}.pdf`;
+        invoice.file = await getStorage().save(key, buffer, { contentType: 'application/pdf' });
+        await invoice.save();
+        return buffer;
+    }
+
+    /**
+     * The stored PDF of an invoice. Invoices whose file was never stored get it now;
+     * if storage cannot be read the PDF is rendered again from the snapshot.
+     * @returns {Promise<Buffer>}
+     */
+    async readFile(invoice) {
+        try {
+            if (!invoice.file?.provider) return await this.storeFile(invoice);
+            return await getStorage(invoice.file.provider).read(invoice.file);
+        } catch (error) {
+            console.error(`Reading invoice ${invoice.invoiceNumber} failed:`, error.message);
+            return renderInvoicePdf(invoice);
+        }
+    }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,426 @@
+// services/khata.service.js
+import { DateTime } from 'luxon';
+import KhataAccount from '../models/khataAccount.model.js';
+import KhataEntry from '../models/khataEntry.model.js';
+import KhataBill from '../models/khataBill.model.js';
+import Order from '../models/order.model.js';
+import gstService from './gst.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+import { TIMEZONE } from '../utils/dateUtils.js';
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Bills that still expect money
+const OPEN_BILL_STATUSES = ['unpaid', 'partially_paid', 'overdue'];
+
+class KhataService {
+    /**
+     * Start and end of a billing month ("YYYY-MM") in IST
+     * @returns {{ start: DateTime, end: DateTime }|null}
+     */
+    periodRange(period) {
+        const start = DateTime.fromFormat(String(period || ''), 'yyyy-LL', { zone: TIMEZONE });
+        if (!start.isValid) return null;
+        return { start, end: start.endOf('month') };
+    }
+
+    /**
+     * The month before `now`, which is the one billed at the start of a month
+     */
+    previousPeriod(now = new Date()) {
+        return DateTime.fromJSDate(now, { zone: TIMEZONE }).minus({ months: 1 }).toFormat('yyyy-LL');
+    }
+
+    getDueDays(account) {
+        return account.dueDays ?? productionConfig.khata.dueDays;
+    }
+
+    async findAccount(retailerId, customerId) {
+        return KhataAccount.findOne({ retailer: retailerId, customer: customerId });
+    }
+
+    /**
+     * Open a khata for a customer, or reopen and update an existing one
+     * @param {{ creditLimit: number, dueDays?: number, notes?: string, userId?: ObjectId }} opts
+     */
+    async enable(retailerId, customerId, { creditLimit, dueDays, notes, userId }) {
+        if (!(Number(creditLimit) > 0)) throw httpError('Credit limit must be greater than 0');
+
+        const update = { creditLimit: Number(creditLimit), status: 'active', enabledBy: userId };
+        if (dueDays !== undefined) update.dueDays = Number(dueDays);
+        if (notes !== undefined) update.notes = notes;
+
+        return KhataAccount.findOneAndUpdate(
+            { retailer: retailerId, customer: customerId },
+            { $set: update },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+    }
+
+    /**
+     * Change the limit, due days or status. A khata with money outstanding
+     * cannot be closed; suspend it instead.
+     */
+    async update(account, { creditLimit, dueDays, status, notes }) {
+        if (creditLimit !== undefined) {
+            if (!(Number(creditLimit) >= 0)) throw httpError('Credit limit cannot be negative');
+            account.creditLimit = Number(creditLimit);
+        }
+        if (dueDays !== undefined) account.dueDays = Number(dueDays);
+        if (notes !== undefined) account.notes = notes;
+        if (status !== undefined) {
+            if (status === 'closed' && account.outstanding > 0) {
+                throw httpError(`Khata has ₹${account.outstanding} outstanding; suspend it until it is settled`);
+            }
+            account.status = status;
+        }
+        await account.save();
+        return account;
+    }
+
+    /**
+     * Throw unless the customer can put `amount` more on their khata with this retailer
+     */
+    async assertCanCharge(retailerId, customerId, amount) {
+        const account = await this.findAccount(retailerId, customerId);
+        if (!account || account.status === 'closed') {
+            throw httpError('Khata is not enabled for this customer at this shop');
+        }
+        if (account.status === 'suspended') throw httpError('Khata is suspended; please contact the shop');
+        if (account.isOverdue && productionConfig.khata.blockWhenOverdue) {
+            throw httpError('Khata bill is overdue; please clear it to continue ordering on credit');
+        }
+
+        const available = round(account.creditLimit - account.outstanding);
+        if (round(amount) > available) {
+            throw httpError(`Order exceeds the khata credit available (₹${Math.max(available, 0)})`);
+        }
+        return account;
+    }
+
+    /**
+     * Write a ledger entry and move the outstanding balance. The entry is written
+     * first so a duplicate charge for the same order fails before the balance moves.
+     * @param {Object} account - KhataAccount document
+     * @param {Object} entry - type, amount (signed), and ledger fields
+     * @returns {Promise<Object>} KhataEntry
+     */
+    async post(account, entry) {
+        const created = await KhataEntry.create({
+            account: account._id,
+            retailer: account.retailer,
+            customer: account.customer,
+            ...entry,
+            amount: round(entry.amount)
+        });
+
+        const updated = await KhataAccount.findByIdAndUpdate(
+            account._id,
+            { $inc: { outstanding: created.amount } },
+            { new: true }
+        );
+        updated.outstanding = round(updated.outstanding);
+        account.outstanding = updated.outstanding;
+
+        created.balanceAfter = updated.outstanding;
+        await created.save();
+
+        const payload = {
+            accountId: account._id,
+            type: created.type,
+            amount: created.amount,
+            orderId: created.orderId,
+            outstanding: updated.outstanding
+        };
+        notify(null, `customer:${account.customer}`, 'khata:updated', payload);
+        notify(null, `retailer:${account.retailer}`, 'khata:updated', payload);
+        return created;
+    }
+
+    /**
+     * Put a delivered khata order on the customer's account (once)
+     * @returns {Promise<Object|null>} The charge, or null if the order is not a khata order
+     */
+    async accrueOrder(order) {
+        if (order.paymentMethod !== 'khata' || !order.customer || !order.assignedRetailer) return null;
+
+        const account = await this.findAccount(order.assignedRetailer, order.customer._id || order.customer);
+        if (!account) throw httpError('Khata account not found', 404);
+
+        try {
+            return await this.post(account, {
+                type: 'charge',
+                amount: order.finalAmount,
+                order: order._id,
+                orderId: order.orderId,
+                description: `Order ${order.orderId}`,
+                entryDate: order.deliveredAt || new Date()
+            });
+        } catch (error) {
+            if (error.code === 11000) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * accrueOrder() on delivery: the delivery has happened, so a failure is only logged
+     */
+    async accrueOrderSafely(order) {
+        try {
+            return await this.accrueOrder(order);
+        } catch (error) {
+            console.error(`Khata charge for order ${order.orderId} failed:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Take an approved return off a khata order that was already charged
+     */
+    async creditReturn(order, amount, { returnId, userId }) {
+        const charge = await KhataEntry.findOne({ order: order._id, type: 'charge' });
+        if (!charge || !(amount > 0)) return null;
+
+        const account = await KhataAccount.findById(charge.account);
+        return this.post(account, {
+            type: 'adjustment',
+            amount: -amount,
+            order: order._id,
+            orderId: order.orderId,
+            description: `Return ${returnId} - order ${order.orderId}`,
+            recordedBy: userId
+        });
+    }
+
+    /**
+     * Record money received against the khata. It goes towards the latest open
+     * bill; once that bill is paid in full (or nothing is owed) the billed orders
+     * are marked paid and the account is no longer overdue.
+     * @param {{ amount: number, method?: string, reference?: string, note?: string, userId?: ObjectId }} opts
+     * @returns {Promise<{ entry: Object, bill: Object|null, account: Object }>}
+     */
+    async recordPayment(account, { amount, method = 'cash', reference, note, userId }) {
+        const value = round(Number(amount));
+        if (!(value > 0)) throw httpError('Payment amount must be greater than 0');
+
+        const entry = await this.post(account, {
+            type: 'payment',
+            amount: -value,
+            method,
+            reference,
+            description: note || 'Payment received',
+            recordedBy: userId
+        });
+
+        const bill = await KhataBill.findOne({ account: account._id, status: { $in: OPEN_BILL_STATUSES } })
+            .sort({ periodEnd: -1 });
+
+        let settledUntil = null;
+        if (bill) {
+            bill.amountPaid = round(bill.amountPaid + Math.min(value, bill.amountDue - bill.amountPaid));
+            if (bill.amountPaid >= bill.amountDue) {
+                bill.status = 'paid';
+                bill.paidAt = new Date();
+                settledUntil = bill.periodEnd;
+            } else if (bill.status !== 'overdue') {
+                bill.status = 'partially_paid';
+            }
+            await bill.save();
+        }
+        if (account.outstanding <= 0) settledUntil = new Date();
+
+        if (settledUntil) {
+            await this.markOrdersPaid(account, settledUntil);
+            if (account.isOverdue) {
+                await KhataAccount.updateOne({ _id: account._id }, { $set: { isOverdue: false }, $unset: { overdueSince: 1 } });
+                account.isOverdue = false;
+                account.overdueSince = undefined;
+            }
+        }
+
+        return { entry, bill, account };
+    }
+
+    /**
+     * Orders charged to the khata up to `until` have been paid for
+     */
+    async markOrdersPaid(account, until) {
+        const orders = await KhataEntry.distinct('order', {
+            account: account._id,
+            type: 'charge',
+            entryDate: { $lte: until }
+        });
+        if (!orders.length) return;
+
+        await Order.updateMany(
+            { _id: { $in: orders }, paymentStatus: 'pending' },
+            { $set: { paymentStatus: 'paid' } }
+        );
+    }
+
+    /**
+     * Generate the bill for one month (once). The bill covers the month's entries
+     * and carries forward whatever was still owed, so an earlier open bill is
+     * replaced by this one.
+     * @param {Object} account - KhataAccount document
+     * @param {string} period - "YYYY-MM"; the month must be over
+     * @returns {Promise<Object|null>} The bill, or null when there is nothing to bill
+     */
+    async generateBill(account, period, { userId } = {}) {
+        const range = this.periodRange(period);
+        if (!range) throw httpError('Period must be in YYYY-MM format');
+        if (range.end > DateTime.now().setZone(TIMEZONE)) throw httpError('A bill can only be generated once the month is over');
+
+        const existing = await KhataBill.findOne({ account: account._id, period });
+        if (existing) return existing;
+
+        const periodStart = range.start.toJSDate();
+        const periodEnd = range.end.toJSDate();
+
+        const [openingTotals, entries] = await Promise.all([
+            KhataEntry.aggregate([
+                { $match: { account: account._id, entryDate: { $lt: periodStart } } },
+                { $group: { _id: null, amount: { $sum: '$amount' } } }
+            ]),
+            KhataEntry.find({ account: account._id, entryDate: { $gte: periodStart, $lte: periodEnd } })
+                .sort({ entryDate: 1 })
+        ]);
+
+        const openingBalance = round(openingTotals[0]?.amount || 0);
+        const sum = (type) => round(entries.filter(entry => entry.type === type).reduce((total, entry) => total + entry.amount, 0));
+        const charges = sum('charge');
+        const payments = -sum('payment');
+        const adjustments = sum('adjustment');
+        const closingBalance = round(openingBalance + charges - payments + adjustments);
+
+        if (!entries.length && closingBalance <= 0) return null;
+
+        const document = await gstService.nextDocumentNumber(account.retailer, 'khata_bill', 'KB');
+        const amountDue = Math.max(closingBalance, 0);
+
+        let bill;
+        try {
+            bill = await KhataBill.create({
+                billNumber: document.number,
+                account: account._id,
+                retailer: account.retailer,
+                customer: account.customer,
+                period,
+                periodStart,
+                periodEnd,
+                openingBalance,
+                charges,
+                payments,
+                adjustments,
+                closingBalance,
+                amountDue,
+                lines: entries.map(entry => ({
+                    date: entry.entryDate,
+                    type: entry.type,
+                    order: entry.order,
+                    orderId: entry.orderId,
+                    description: entry.description,
+                    method: entry.method,
+                    reference: entry.reference,
+                    amount: entry.amount
+                })),
+                dueDate: range.end.plus({ days: this.getDueDays(account) }).toJSDate(),
+                status: amountDue > 0 ? 'unpaid' : 'paid',
+                paidAt: amountDue > 0 ? undefined : new Date(),
+                generatedBy: userId
+            });
+        } catch (error) {
+            // Generated by another run in the meantime
+            if (error.code === 11000) return KhataBill.findOne({ account: account._id, period });
+            throw error;
+        }
+
+        await KhataBill.updateMany(
+            { account: account._id, _id: { $ne: bill._id }, periodEnd: { $lt: periodEnd }, status: { $in: OPEN_BILL_STATUSES } },
+            { $set: { status: 'carried_forward' } }
+        );
+        if (!account.lastBilledPeriod || account.lastBilledPeriod < period) {
+            await KhataAccount.updateOne({ _id: account._id }, { $set: { lastBilledPeriod: period } });
+        }
+
+        const payload = {
+            billId: bill._id,
+            billNumber: bill.billNumber,
+            period,
+            amountDue,
+            dueDate: bill.dueDate
+        };
+        notify(null, `customer:${account.customer}`, 'khata:bill', payload);
+        notify(null, `retailer:${account.retailer}`, 'khata:bill', payload);
+
+        return bill;
+    }
+
+    /**
+     * Scheduled: bill every khata for last month that has not been billed yet
+     * @returns {Promise<{ period: string, generated: number, skipped: number, failed: number }>}
+     */
+    async generateMonthlyBills(now = new Date()) {
+        const period = this.previousPeriod(now);
+        const accounts = await KhataAccount.find({
+            $and: [
+                { $or: [{ status: { $ne: 'closed' } }, { outstanding: { $ne: 0 } }] },
+                { $or: [{ lastBilledPeriod: { $exists: false } }, { lastBilledPeriod: { $lt: period } }] }
+            ]
+        });
+
+        const result = { period, generated: 0, skipped: 0, failed: 0 };
+        for (const account of accounts) {
+            try {
+                const bill = await this.generateBill(account, period);
+                if (bill) {
+                    result.generated++;
+                } else {
+                    // Nothing to bill; remember that so the account is not scanned again
+                    await KhataAccount.updateOne({ _id: account._id }, { $set: { lastBilledPeriod: period } });
+                    result.skipped++;
+                }
+            } catch (error) {
+                console.error(`Khata bill for account ${account._id} failed:`, error.message);
+                result.failed++;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Scheduled: bills past their due date become overdue and flag their account
+     * @returns {Promise<{ flagged: number }>}
+     */
+    async flagOverdue(now = new Date()) {
+        const bills = await KhataBill.find({
+            status: { $in: ['unpaid', 'partially_paid'] },
+            dueDate: { $lt: now }
+        });
+
+        for (const bill of bills) {
+            bill.status = 'overdue';
+            await bill.save();
+
+            await KhataAccount.updateOne(
+                { _id: bill.account, isOverdue: false },
+                { $set: { isOverdue: true, overdueSince: bill.dueDate } }
+            );
+
+            const payload = {
+                billId: bill._id,
+                billNumber: bill.billNumber,
+                period: bill.period,
+                amountDue: round(bill.amountDue - bill.amountPaid),
+                dueDate: bill.dueDate
+            };
+            notify(null, `customer:${bill.customer}`, 'khata:overdue', payload);
+            notify(null, `retailer:${bill.retailer}`, 'khata:overdue', payload);
+        }
+        return { flagged: bills.length };
+    }
+}
+
+export default new KhataService();
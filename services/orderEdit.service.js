@@ -0,0 +1,249 @@
+// services/orderEdit.service.js
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Product from '../models/product.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import Admin from '../models/admin.model.js';
+import inventoryService from './inventory.service.js';
+import CacheService from './cache.service.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import promotionService from './promotion.service.js';
+import deliveryFeeService from './deliveryFee.service.js';
+import gstService from './gst.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+
+// Orders can be edited until the retailer starts preparing them
+const EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+class OrderEditService {
+    /**
+     * Merge duplicate lines and drop zero quantities
+     * @returns {Map<string, number>} productId -> quantity
+     */
+    normalizeItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw httpError('items must be a non-empty array');
+        }
+
+        const wanted = new Map();
+        for (const item of items) {
+            const quantity = Number(item.quantity);
+            if (!item.productId || !Number.isInteger(quantity) || quantity < 0) {
+                throw httpError('Each item needs a productId and a whole quantity of 0 or more');
+            }
+            const productId = String(item.productId);
+            wanted.set(productId, (wanted.get(productId) || 0) + quantity);
+        }
+        for (const [productId, quantity] of wanted) {
+            if (quantity === 0) wanted.delete(productId);
+        }
+
+        if (wanted.size === 0) {
+            throw httpError('An order needs at least one item. Cancel the order instead.');
+        }
+        return wanted;
+    }
+
+    /**
+     * Replace an order's items before dispatch. Quantities missing from `items`
+     * (or set to 0) are removed. Stock is checked and the reservation re-balanced
+     * by the difference; all lines are re-priced at the retailer's selling price.
+     * The reservation change and the order write share one transaction that only
+     * applies while the order is still editable and unpaid.
+     * @param {Object} order - Order document
+     * @param {Array<{ productId: string, quantity: number }>} items - Full new item list
+     * @param {{ actor: Object, note?: string }} opts
+     * @throws 409 when the order moved on or was edited by someone else meanwhile
+     */
+    async updateItems(order, items, { actor, note }) {
+        orderLifecycleService.assertCanAct(order, actor);
+
+        if (!EDITABLE_STATUSES.includes(order.orderStatus)) {
+            throw httpError(`Order cannot be edited once it is ${order.orderStatus}`);
+        }
+        if (order.paymentStatus === 'paid') {
+            throw httpError('Paid orders cannot be edited');
+        }
+
+        const wanted = this.normalizeItems(items);
+        const current = new Map();
+        order.items.forEach(item => {
+            const productId = String(item.product._id || item.product);
+            current.set(productId, (current.get(productId) || 0) + item.quantity);
+        });
+
+        // Only the extra units need free stock; units already reserved are ours
+        const increases = [...wanted]
+            .map(([productId, quantity]) => ({ productId, quantity: quantity - (current.get(productId) || 0) }))
+            .filter(item => item.quantity > 0);
+
+        if (increases.length) {
+            const stockCheck = await inventoryService.checkStockAvailability(order.assignedRetailer, increases);
+            if (!stockCheck.allAvailable) {
+                const error = httpError('Some items are not available in the requested quantity');
+                error.stockDetails = stockCheck.items;
+                throw error;
+            }
+        }
+
+        const productIds = [...wanted.keys()];
+        const [products, inventoryItems] = await Promise.all([
+            Product.find({ _id: { $in: productIds } }).select('name price unit isAvailable discount category'),
+            RetailerInventory.find({
+                retailer: order.assignedRetailer,
+                product: { $in: productIds },
+                isActive: true
+            }).select('product sellingPrice')
+        ]);
+
+        const newItems = [];
+        for (const [productId, quantity] of wanted) {
+            const product = products.find(p => String(p._id) === productId);
+            if (!product) throw httpError(`Product not found: ${productId}`);
+            if (!product.isAvailable && quantity > (current.get(productId) || 0)) {
+                throw httpError(`Product not available: ${product.name}`);
+            }
+
+            const inventoryItem = inventoryItems.find(inv => String(inv.product) === productId);
+            const basePrice = inventoryItem?.sellingPrice || product.price;
+            const isPriceOverridden = basePrice !== product.price;
+            const price = promotionService.getUnitPrice(basePrice, product);
+            const isReserved = order.reservationStatus === 'reserved';
+
+            newItems.push({
+                product: product._id,
+                quantity,
+                price,
+                originalPrice: product.price,
+                isPriceOverridden,
+                priceSource: isPriceOverridden ? 'retailer_inventory' : 'catalog',
+                unit: product.unit,
+                reservedQuantity: isReserved ? quantity : 0,
+                isReserved
+            });
+        }
+
+        const changes = [];
+        for (const productId of new Set([...current.keys(), ...wanted.keys()])) {
+            const fromQuantity = current.get(productId) || 0;
+            const toQuantity = wanted.get(productId) || 0;
+            if (fromQuantity === toQuantity) continue;
+            const line = newItems.find(item => String(item.product) === productId);
+            const product = products.find(p => String(p._id) === productId);
+            changes.push({
+                product: productId,
+                productName: product?.name,
+                fromQuantity,
+                toQuantity,
+                price: line?.price
+            });
+        }
+
+        const previousTotal = order.totalAmount;
+        const totalAmount = newItems.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        if (changes.length === 0 && totalAmount === previousTotal) {
+            throw httpError('No changes to apply');
+        }
+
+        // Re-run promotions on the new cart, keeping the coupon the customer used
+        const pricing = await promotionService.evaluate({
+            retailerId: order.assignedRetailer,
+            customerId: order.customer,
+            lines: newItems.map(item => ({
+                product: products.find(p => String(p._id) === String(item.product)),
+                quantity: item.quantity,
+                price: item.price
+            })),
+            code: order.appliedPromotions.find(p => p.code)?.code,
+            excludeOrderId: order._id
+        });
+
+        // Re-quote delivery on the new cart value; orders placed before delivery
+        // fees existed stay free. The slot's surge fee is kept as charged.
+        let deliveryQuote = null;
+        if (order.deliveryFee?.distance != null) {
+            const retailer = await Admin.findById(order.assignedRetailer).select('deliverySettings');
+            deliveryQuote = deliveryFeeService.quote({
+                retailer,
+                distance: order.deliveryFee.distance,
+                cartValue: pricing.total,
+                slot: { surgeFee: order.deliveryFee.surgeFee }
+            });
+            if (!deliveryQuote.meetsMinimum) {
+                throw httpError(`Minimum order amount is ₹${deliveryQuote.minOrderAmount}. Add items worth ₹${deliveryQuote.shortBy} more.`);
+            }
+        }
+
+        order.items = newItems;
+        order.totalAmount = totalAmount;
+        order.discount = pricing.discount;
+        order.appliedPromotions = pricing.applied;
+        if (deliveryQuote) order.deliveryFee = deliveryFeeService.toOrderLine(deliveryQuote);
+        order.finalAmount = pricing.total + (order.deliveryFee?.amount || 0);
+        await gstService.applyToOrder(order);
+
+        const entry = {
+            by: { user: actor.user, role: actor.role },
+            changes,
+            previousTotal,
+            newTotal: totalAmount,
+            note,
+            at: new Date()
+        };
+        order.changeLog.push(entry);
+
+        let reservation = null;
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first, in the transaction: an order that was dispatched, paid or
+            // cancelled meanwhile is left alone, and a concurrent edit conflicts here
+            const claimed = await Order.updateOne(
+                { _id: order._id, orderStatus: { $in: EDITABLE_STATUSES }, paymentStatus: { $ne: 'paid' } },
+                { $set: { updatedAt: new Date() } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) {
+                throw httpError('Order can no longer be edited, reload it and try again', 409);
+            }
+
+            if (order.reservationStatus === 'reserved') {
+                try {
+                    reservation = await inventoryService.adjustOrderReservation(
+                        order._id,
+                        order.assignedRetailer,
+                        newItems.map(item => ({ productId: item.product, quantity: item.quantity })),
+                        actor.user,
+                        { session }
+                    );
+                } catch (error) {
+                    if (error.hasErrorLabel?.('TransientTransactionError')) throw error;
+                    throw httpError('Could not update reserved stock: ' + error.message);
+                }
+            }
+
+            await order.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            if (error.hasErrorLabel?.('TransientTransactionError')) {
+                throw httpError('Order is being changed by someone else, reload it and try again', 409);
+            }
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        if (reservation?.changes.length) await CacheService.invalidateInventoryCache(order.assignedRetailer);
+
+        const payload = { orderId: order.orderId, ...entry, finalAmount: order.finalAmount };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'order:items-updated', payload);
+        if (order.assignedRetailer) notify(null, `retailer:${order.assignedRetailer}`, 'order:items-updated', payload);
+
+        return { order, changes, reservation };
+    }
+}
+
+export default new OrderEditService();
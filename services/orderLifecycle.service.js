@@ -0,0 +1,289 @@
+// services/orderLifecycle.service.js
+import mongoose from 'mongoose';
+import Order from '../models/order.model.js';
+import Admin from '../models/admin.model.js';
+import Customer from '../models/customer.model.js';
+import inventoryService from './inventory.service.js';
+import CacheService from './cache.service.js';
+import creditNoteService from './creditNote.service.js';
+import deliverySlotService from './deliverySlot.service.js';
+import invoiceService from './invoice.service.js';
+import khataService from './khata.service.js';
+import refundService from './refund.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+
+export const ORDER_STATUSES = ['pending', 'confirmed', 'preparing', 'out_for_delivery', 'delivered', 'cancelled'];
+
+/**
+ * Allowed status changes per actor role; anything not listed is rejected.
+ * `system` covers background jobs (subscription changes, reservation sweeps).
+ */
+const TRANSITIONS = {
+    customer: {
+        pending: ['cancelled'],
+        confirmed: ['cancelled']
+    },
+    retailer: {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['preparing', 'cancelled'],
+        preparing: ['out_for_delivery'],
+        out_for_delivery: ['delivered']
+    },
+    superadmin: {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['preparing', 'cancelled'],
+        preparing: ['out_for_delivery', 'cancelled'],
+        out_for_delivery: ['delivered', 'cancelled']
+    },
+    system: {
+        pending: ['confirmed', 'cancelled'],
+        confirmed: ['cancelled']
+    }
+};
+
+class OrderLifecycleService {
+    /**
+     * Build the actor for a logged-in user, with the profile id used for ownership checks
+     * @param {Object} user - req.user
+     * @returns {Promise<{ role: string, user: ObjectId, customer?: ObjectId, retailer?: ObjectId }>}
+     */
+    async resolveActor(user) {
+        switch (user.role) {
+            case 'customer': {
+                const customer = await Customer.findOne({ user: user._id }).select('_id');
+                if (!customer) throw httpError('Customer profile not found', 404);
+                return { role: 'customer', user: user._id, customer: customer._id };
+            }
+            case 'admin':
+            case 'retailer': {
+                const retailer = await Admin.findOne({ user: user._id }).select('_id');
+                if (!retailer) throw httpError('Retailer profile not found', 404);
+                return { role: 'retailer', user: user._id, retailer: retailer._id };
+            }
+            case 'superadmin':
+                return { role: 'superadmin', user: user._id };
+            default:
+                throw httpError('Access denied', 403);
+        }
+    }
+
+    /**
+     * Actor for background jobs
+     * @param {ObjectId} [userId] - User the change is made on behalf of, if any
+     */
+    systemActor(userId) {
+        return { role: 'system', user: userId };
+    }
+
+    allowedTransitions(role, status) {
+        return TRANSITIONS[role]?.[status] || [];
+    }
+
+    canTransition(role, from, to) {
+        return this.allowedTransitions(role, from).includes(to);
+    }
+
+    assertCanAct(order, actor) {
+        if (actor.role === 'customer' && String(order.customer) !== String(actor.customer)) {
+            throw httpError('Access denied. You can only change your own orders.', 403);
+        }
+        if (actor.role === 'retailer' && String(order.assignedRetailer) !== String(actor.retailer)) {
+            throw httpError('Access denied. This order is not assigned to you.', 403);
+        }
+    }
+
+    /**
+     * Move an order to a new status: checks the transition for the actor's role,
+     * runs the inventory side-effect and appends a statusHistory entry, all in one
+     * transaction that only applies while the order still has the status it was read with.
+     * Delivered orders are invoiced; invoiced orders that get cancelled get a credit note,
+     * and paid ones that get cancelled are refunded.
+     * @param {Object} order - Order document
+     * @param {string} to - Target status
+     * @param {{ actor: Object, reason?: string }} opts
+     * @returns {Promise<{ order: Object, from: string, to: string, inventory: Object|null, creditNote: Object|null, refunds: Array }>}
+     * @throws 409 when another change got to the order first
+     */
+    async transition(order, to, { actor, reason } = {}) {
+        if (!ORDER_STATUSES.includes(to)) throw httpError('Invalid order status');
+        if (!actor || !TRANSITIONS[actor.role]) throw httpError('Access denied', 403);
+
+        this.assertCanAct(order, actor);
+
+        const from = order.orderStatus;
+        if (from === to) throw httpError(`Order is already ${to}`);
+        if (!this.canTransition(actor.role, from, to)) {
+            throw httpError(`Cannot change status from ${from} to ${to}`);
+        }
+
+        let inventory = null;
+        const userId = await this.getInventoryUser(order, actor.user);
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first: of two changes racing from the same status, only one
+            // gets to move stock
+            const claimed = await Order.updateOne(
+                { _id: order._id, orderStatus: from },
+                { $set: { orderStatus: to } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) {
+                throw httpError(`Order is no longer ${from}, reload it and try again`, 409);
+            }
+
+            switch (to) {
+                case 'confirmed':
+                    inventory = await this.reserve(order, userId, session);
+                    break;
+                case 'delivered':
+                    await this.reserve(order, userId, session);
+                    inventory = await this.deliver(order, userId, session);
+                    break;
+                case 'cancelled':
+                    inventory = await this.release(order, userId, session);
+                    if (reason) order.cancellationReason = reason;
+                    break;
+                default:
+                    break;
+            }
+
+            order.orderStatus = to;
+            order.statusHistory.push({
+                from,
+                to,
+                actor: { user: actor.user, role: actor.role },
+                reason,
+                at: new Date()
+            });
+            await order.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            if (error.hasErrorLabel?.('TransientTransactionError')) {
+                throw httpError('Order is being changed by someone else, reload it and try again', 409);
+            }
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        if (inventory && order.assignedRetailer) await CacheService.invalidateInventoryCache(order.assignedRetailer);
+
+        const payload = { orderId: order.orderId, from, to, reason };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'order:status', payload);
+        if (order.assignedRetailer) notify(null, `retailer:${order.assignedRetailer}`, 'order:status', payload);
+
+        if (to === 'cancelled') await deliverySlotService.releaseSlotSafely(order);
+
+        // Cancelling an order that was already invoiced leaves a credit note behind.
+        // The cancellation itself has happened, so a failure here is only logged.
+        let creditNote = null;
+        if (to === 'cancelled' && order.invoice?.number) {
+            try {
+                creditNote = await creditNoteService.issueForCancellation(order, { userId });
+            } catch (error) {
+                console.error(`Credit note for order ${order.orderId} failed:`, error.message);
+            }
+        }
+
+        // Money taken for a cancelled order goes back: wallet payments to the wallet,
+        // gateway payments to the card or UPI account they came from
+        let refunds = [];
+        if (to === 'cancelled' && ['paid', 'partially_refunded'].includes(order.paymentStatus)) {
+            refunds = await refundService.issueForCancellation(order, { actor: { user: actor.user, role: actor.role } });
+        }
+
+        // Delivery is when the tax invoice is issued (unless payment came first)
+        // and when a khata order goes on the customer's monthly account
+        if (to === 'delivered') {
+            await invoiceService.issueSafely(order, 'delivery');
+            await khataService.accrueOrderSafely(order);
+        }
+
+        return { order, from, to, inventory, creditNote, refunds };
+    }
+
+    /**
+     * User recorded on inventory logs: the actor, or for background jobs
+     * without one, the user who owns the assigned retailer
+     */
+    async getInventoryUser(order, userId) {
+        if (userId || !order.assignedRetailer) return userId;
+        const retailer = await Admin.findById(order.assignedRetailer).select('user');
+        return retailer?.user;
+    }
+
+    /**
+     * Reserve the order's stock unless it is already held
+     */
+    async reserve(order, userId, session) {
+        if (order.reservationStatus === 'reserved') return null;
+        if (!order.assignedRetailer) throw httpError('Order has no assigned retailer');
+
+        let result;
+        try {
+            result = await inventoryService.reserveStockForOrder(
+                order._id,
+                order.assignedRetailer,
+                order.items.map(item => ({ productId: item.product._id || item.product, quantity: item.quantity })),
+                userId,
+                { session }
+            );
+        } catch (error) {
+            if (error.hasErrorLabel?.('TransientTransactionError')) throw error;
+            throw httpError('Could not reserve stock: ' + error.message);
+        }
+
+        order.reservationStatus = 'reserved';
+        order.reservationDate = new Date();
+        order.items.forEach(item => {
+            item.reservedQuantity = item.quantity;
+            item.isReserved = true;
+        });
+        return result;
+    }
+
+    /**
+     * Deduct reserved stock for a delivered order
+     */
+    async deliver(order, userId, session) {
+        let result;
+        try {
+            result = await inventoryService.confirmOrderDelivery(order._id, order.assignedRetailer, userId, { session });
+        } catch (error) {
+            if (error.hasErrorLabel?.('TransientTransactionError')) throw error;
+            throw httpError('Failed to update inventory: ' + error.message);
+        }
+
+        order.reservationStatus = 'delivered';
+        order.deliveredAt = new Date();
+        return result;
+    }
+
+    /**
+     * Release held stock for a cancelled order
+     */
+    async release(order, userId, session) {
+        if (order.reservationStatus !== 'reserved') return null;
+
+        const result = await inventoryService.cancelOrderReservation(
+            order._id,
+            order.assignedRetailer,
+            userId,
+            'ORDER_CANCELLED',
+            { session }
+        );
+
+        order.reservationStatus = 'released';
+        order.releaseDate = new Date();
+        order.items.forEach(item => {
+            item.isReserved = false;
+        });
+        return result;
+    }
+}
+
+export default new OrderLifecycleService();
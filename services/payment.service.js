@@ -0,0 +1,308 @@
+// services/payment.service.js
+import crypto from 'crypto';
+import Payment from '../models/payment.model.js';
+import PaymentEvent from '../models/paymentEvent.model.js';
+import Order from '../models/order.model.js';
+import invoiceService from './invoice.service.js';
+import refundService from './refund.service.js';
+import walletService from './wallet.service.js';
+import notify from './notify.js';
+import { getPaymentGateway } from '../lib/paymentGateway.js';
+import { httpError } from '../utils/httpError.js';
+import { productionConfig } from '../config/production.js';
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+class PaymentService {
+    generatePaymentId() {
+        return 'PAY' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    /**
+     * Start an online payment: a pending Payment tied to a gateway order. A pending
+     * payment for the same amount is reused, so retrying checkout does not pile up orders.
+     * @param {Object} order - Order document
+     * @param {Object} customer - Customer document
+     * @param {string} paymentMethod - card or upi
+     * @returns {Promise<{ payment: Object, checkout: Object }>} checkout holds what the client SDK needs
+     */
+    async startOnlinePayment(order, customer, paymentMethod) {
+        const gateway = getPaymentGateway();
+
+        let payment = await Payment.findOne({
+            order: order._id,
+            gateway: gateway.name,
+            paymentStatus: 'pending',
+            amount: order.finalAmount
+        });
+
+        if (!payment) {
+            const gatewayOrder = await gateway.createOrder({
+                amount: toPaise(order.finalAmount),
+                currency: productionConfig.payments.currency,
+                receipt: order.orderId,
+                notes: { orderId: order.orderId }
+            });
+
+            payment = await Payment.create({
+                paymentId: this.generatePaymentId(),
+                order: order._id,
+                customer: customer._id,
+                amount: order.finalAmount,
+                currency: productionConfig.payments.currency,
+                paymentMethod,
+                paymentStatus: 'pending',
+                gateway: gateway.name,
+                razorpayOrderId: gatewayOrder.id
+            });
+        } else if (payment.paymentMethod !== paymentMethod) {
+            payment.paymentMethod = paymentMethod;
+            await payment.save();
+        }
+
+        return {
+            payment,
+            checkout: {
+                gateway: gateway.name,
+                keyId: gateway.keyId,
+                orderId: payment.razorpayOrderId,
+                amount: toPaise(payment.amount),
+                currency: payment.currency,
+                receipt: order.orderId
+            }
+        };
+    }
+
+    /**
+     * Pay an order from the customer's wallet: debit and payment record together,
+     * inside the caller's transaction. The order is claimed as paid first, so the same
+     * order is never debited twice; a retried checkout, which would be a new order,
+     * is stopped earlier by its idempotencyKey. The caller saves the order.
+     * @param {Object} order - Order document (paymentStatus is set to paid)
+     * @param {{ session?: ClientSession }} opts
+     * @returns {Promise<Object>} Payment document
+     * @throws 400 when the order is already paid
+     */
+    async payFromWallet(order, { session } = {}) {
+        const claimed = await Order.findOneAndUpdate(
+            { _id: order._id, paymentStatus: { $ne: 'paid' } },
+            { $set: { paymentStatus: 'paid' } },
+            { session, new: true }
+        );
+        if (!claimed) throw httpError('Order already paid');
+
+        const paymentId = this.generatePaymentId();
+        const [payment] = await Payment.create([{
+            paymentId,
+            order: order._id,
+            customer: order.customer,
+            amount: order.finalAmount,
+            paymentMethod: 'wallet',
+            paymentStatus: 'success',
+            capturedAt: new Date()
+        }], { session });
+
+        await walletService.debit(order.customer, order.finalAmount, {
+            category: 'order_payment',
+            description: `Order ${order.orderId}`,
+            order: order._id,
+            payment: payment._id,
+            session
+        });
+
+        order.paymentStatus = 'paid';
+        return payment;
+    }
+
+    /**
+     * Checkout callback: the client reports the gateway payment with its signature
+     * @param {Object} payment - Payment document (pending or already captured)
+     * @param {{ paymentId: string, signature: string }} callback
+     */
+    async verifyCheckout(payment, { paymentId, signature }) {
+        const gateway = getPaymentGateway(payment.gateway);
+        if (!gateway.verifyPaymentSignature({ orderId: payment.razorpayOrderId, paymentId, signature })) {
+            throw httpError('Payment verification failed');
+        }
+
+        payment.razorpaySignature = signature;
+        await this.markCaptured(payment, { gatewayPaymentId: paymentId });
+        return payment;
+    }
+
+    /**
+     * Money received: the payment succeeds and the order is paid (and invoiced).
+     * Safe to call again for the same payment, e.g. the checkout callback and the
+     * payment.captured webhook both arriving: the capture is claimed atomically and
+     * only the first applies. Money for an order cancelled in the meantime is
+     * refunded instead of invoiced.
+     * Fields the caller set on the payment document are written with the capture.
+     * @param {{ gatewayPaymentId?: string, amount?: number }} capture - amount in paise, when the gateway reports it
+     * @returns {Promise<{ outcome: 'applied'|'ignored', note?: string, order?: Object|null }>} order is the
+     * order this capture paid, null when something else had paid it already
+     */
+    async markCaptured(payment, { gatewayPaymentId, amount } = {}) {
+        if (['success', 'partially_refunded', 'refunded'].includes(payment.paymentStatus)) {
+            if (payment.isModified()) await payment.save();
+            return { outcome: 'ignored', note: `Payment already ${payment.paymentStatus}` };
+        }
+        if (amount != null && amount !== toPaise(payment.amount)) {
+            return { outcome: 'ignored', note: `Captured ${amount} paise, expected ${toPaise(payment.amount)}` };
+        }
+
+        const capture = { paymentStatus: 'success', capturedAt: new Date() };
+        if (gatewayPaymentId) capture.razorpayPaymentId = gatewayPaymentId;
+
+        // A failed attempt can still be followed by a capture on the same gateway order
+        const captured = await Payment.findOneAndUpdate(
+            { _id: payment._id, paymentStatus: { $in: ['pending', 'failed'] } },
+            { $set: { ...payment.getChanges().$set, ...capture }, $unset: { failureReason: 1 } },
+            { new: true }
+        );
+        if (!captured) {
+            const current = await Payment.findById(payment._id).select('paymentStatus').lean();
+            return { outcome: 'ignored', note: `Payment already ${current?.paymentStatus}` };
+        }
+        payment.set(capture);
+        payment.failureReason = undefined;
+
+        const order = await Order.findOneAndUpdate(
+            { _id: payment.order, paymentStatus: { $nin: ['paid', 'partially_refunded', 'refunded'] } },
+            { $set: { paymentStatus: 'paid' } },
+            { new: true }
+        );
+        if (order?.orderStatus === 'cancelled') {
+            await refundService.issueForCancellation(order, { actor: { role: 'system' } });
+        } else if (order?.assignedRetailer) {
+            await invoiceService.issueSafely(order, 'payment');
+        }
+
+        if (payment.customer) {
+            notify(null, `customer:${payment.customer}`, 'payment:captured', {
+                paymentId: payment.paymentId,
+                orderId: order?.orderId,
+                amount: payment.amount
+            });
+        }
+        return { outcome: 'applied', order };
+    }
+
+    /**
+     * The gateway gave up on a payment. Only pending payments fail; a capture that
+     * already arrived wins over a late failure event.
+     */
+    async markFailed(payment, { gatewayPaymentId, reason } = {}) {
+        if (payment.paymentStatus !== 'pending') {
+            return { outcome: 'ignored', note: `Payment already ${payment.paymentStatus}` };
+        }
+
+        payment.paymentStatus = 'failed';
+        if (gatewayPaymentId) payment.razorpayPaymentId = gatewayPaymentId;
+        payment.failureReason = reason;
+        await payment.save();
+
+        const order = await Order.findById(payment.order);
+        if (order && order.paymentStatus === 'pending') {
+            order.paymentStatus = 'failed';
+            await order.save();
+        }
+
+        notify(null, `customer:${payment.customer}`, 'payment:failed', {
+            paymentId: payment.paymentId,
+            orderId: order?.orderId,
+            reason
+        });
+        return { outcome: 'applied' };
+    }
+
+    /**
+     * Apply a gateway webhook. Each event is handled once: deliveries are recorded
+     * by event id, and a repeat is acknowledged without doing anything.
+     * @param {{ rawBody: string, signature: string, eventId?: string }} webhook
+     * @returns {Promise<{ event: string, outcome: string, duplicate?: boolean }>}
+     */
+    async handleWebhook({ rawBody, signature, eventId }) {
+        const gateway = getPaymentGateway();
+        if (!gateway.verifyWebhookSignature(rawBody, signature)) {
+            throw httpError('Invalid webhook signature');
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch (error) {
+            throw httpError('Webhook body is not valid JSON');
+        }
+
+        let record;
+        try {
+            record = await PaymentEvent.create({
+                eventId: eventId || crypto.createHash('sha256').update(rawBody).digest('hex'),
+                gateway: gateway.name,
+                event: body.event,
+                payload: body.payload
+            });
+        } catch (error) {
+            if (error.code === 11000) return { event: body.event, outcome: 'ignored', duplicate: true };
+            throw error;
+        }
+
+        try {
+            const { payment, outcome, note } = await this.applyEvent(body);
+            record.payment = payment?._id;
+            record.outcome = outcome;
+            record.note = note;
+            await record.save();
+            return { event: body.event, outcome };
+        } catch (error) {
+            // Let the gateway's retry handle it
+            await PaymentEvent.deleteOne({ _id: record._id });
+            throw error;
+        }
+    }
+
+    async applyEvent(body) {
+        const paymentEntity = body.payload?.payment?.entity;
+        const refundEntity = body.payload?.refund?.entity;
+
+        const findPayment = () => Payment.findOne(
+            paymentEntity?.order_id
+                ? { razorpayOrderId: paymentEntity.order_id }
+                : { razorpayPaymentId: paymentEntity?.id }
+        );
+
+        switch (body.event) {
+            case 'payment.captured': {
+                const payment = await findPayment();
+                if (!payment) {
+                    // Not an order payment; maybe a wallet top-up
+                    return walletService.completeTopUp(paymentEntity?.order_id, { gatewayPaymentId: paymentEntity?.id, amount: paymentEntity?.amount });
+                }
+                return { payment, ...await this.markCaptured(payment, { gatewayPaymentId: paymentEntity.id, amount: paymentEntity.amount }) };
+            }
+            case 'payment.failed': {
+                const payment = await findPayment();
+                if (!payment) {
+                    return walletService.failTopUp(paymentEntity?.order_id, { gatewayPaymentId: paymentEntity?.id, reason: paymentEntity?.error_description });
+                }
+                return { payment, ...await this.markFailed(payment, { gatewayPaymentId: paymentEntity.id, reason: paymentEntity.error_description }) };
+            }
+            case 'refund.processed': {
+                const payment = await Payment.findOne({ razorpayPaymentId: refundEntity?.payment_id });
+                if (!payment) return { outcome: 'unmatched', note: `No payment for ${refundEntity?.payment_id}` };
+                return {
+                    payment,
+                    ...await refundService.applyGatewayRefund(payment, {
+                        gatewayRefundId: refundEntity.id,
+                        refundId: refundEntity.notes?.refundId,
+                        amount: refundEntity.amount / 100
+                    })
+                };
+            }
+            default:
+                return { outcome: 'ignored', note: 'Event not handled' };
+        }
+    }
+}
+
+export default new PaymentService();
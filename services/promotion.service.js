@@ -0,0 +1,154 @@
+// services/promotion.service.js
+import Promotion from '../models/promotion.model.js';
+import Order from '../models/order.model.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class PromotionService {
+    /**
+     * Unit price after the catalog discount (Product.discount, percent)
+     * @param {number} basePrice - Retailer selling price or catalog price
+     * @param {Object} product - Product document
+     */
+    getUnitPrice(basePrice, product) {
+        const discount = product?.discount || 0;
+        return discount > 0 ? round(basePrice * (1 - discount / 100)) : basePrice;
+    }
+
+    /**
+     * Promotions running now at a retailer: automatic ones plus the given code
+     */
+    async findCandidates(retailerId, code, now = new Date()) {
+        const codeFilter = [{ code: { $exists: false } }, { code: null }];
+        if (code) codeFilter.push({ code: code.trim().toUpperCase() });
+
+        return Promotion.find({
+            isActive: true,
+            startsAt: { $lte: now },
+            $and: [
+                { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] },
+                { $or: [{ retailers: { $size: 0 } }, { retailers: retailerId }] },
+                { $or: codeFilter }
+            ]
+        });
+    }
+
+    isLineEligible(promotion, line) {
+        const hasScope = promotion.products?.length || promotion.categories?.length;
+        if (!hasScope) return true;
+        const productId = String(line.product._id || line.product);
+        const categoryId = String(line.product.category?._id || line.product.category || '');
+        return promotion.products.some(id => String(id) === productId) ||
+            promotion.categories.some(id => String(id) === categoryId);
+    }
+
+    /**
+     * Discount a promotion gives on its eligible lines
+     */
+    computeDiscount(promotion, lines) {
+        const eligible = lines.filter(line => this.isLineEligible(promotion, line));
+        const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.price * line.quantity, 0);
+        if (eligibleSubtotal <= 0) return 0;
+
+        switch (promotion.type) {
+            case 'percentage': {
+                const discount = eligibleSubtotal * promotion.value / 100;
+                return round(promotion.maxDiscount ? Math.min(discount, promotion.maxDiscount) : discount);
+            }
+            case 'flat':
+                return round(Math.min(promotion.value, eligibleSubtotal));
+            case 'buy_x_get_y': {
+                // Free units are the cheapest eligible ones
+                const units = eligible
+                    .flatMap(line => Array(line.quantity).fill(line.price))
+                    .sort((a, b) => a - b);
+                const groupSize = promotion.buyQuantity + promotion.getQuantity;
+                const freeUnits = Math.floor(units.length / groupSize) * promotion.getQuantity;
+                return round(units.slice(0, freeUnits).reduce((sum, price) => sum + price, 0));
+            }
+            default:
+                return 0;
+        }
+    }
+
+    /**
+     * Why a promotion cannot be used on this cart, or null when it can
+     */
+    async checkEligibility(promotion, { customerId, subtotal, excludeOrderId }) {
+        if (subtotal < (promotion.minOrderValue || 0)) {
+            return `Add items worth ₹${round(promotion.minOrderValue - subtotal)} more to use ${promotion.code || promotion.name}`;
+        }
+
+        if (promotion.totalUsageLimit || promotion.usageLimitPerCustomer) {
+            const filter = {
+                'appliedPromotions.promotion': promotion._id,
+                orderStatus: { $ne: 'cancelled' }
+            };
+            if (excludeOrderId) filter._id = { $ne: excludeOrderId };
+
+            if (promotion.totalUsageLimit) {
+                const used = await Order.countDocuments(filter);
+                if (used >= promotion.totalUsageLimit) return `${promotion.code || promotion.name} has been fully redeemed`;
+            }
+            if (promotion.usageLimitPerCustomer && customerId) {
+                const used = await Order.countDocuments({ ...filter, customer: customerId });
+                if (used >= promotion.usageLimitPerCustomer) return `You have already used ${promotion.code || promotion.name}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Price a cart against running promotions.
+     * Automatic promotions all apply; a coupon code applies on top. The total
+     * discount never exceeds the subtotal.
+     * @param {{ retailerId, customerId, lines: Array<{ product: Object, quantity: number, price: number }>, code?: string, excludeOrderId? }} cart
+     *   lines carry the charged unit price and the product (with category)
+     * @returns {Promise<{ subtotal, discount, total, applied: Array, couponError: string|null }>}
+     */
+    async evaluate({ retailerId, customerId, lines, code, excludeOrderId }) {
+        const subtotal = round(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+        const candidates = await this.findCandidates(retailerId, code);
+        const normalizedCode = code ? code.trim().toUpperCase() : null;
+
+        const applied = [];
+        let couponError = null;
+        let remaining = subtotal;
+
+        // Automatic offers first, then the coupon
+        candidates.sort((a, b) => (a.code ? 1 : 0) - (b.code ? 1 : 0));
+
+        for (const promotion of candidates) {
+            const isCoupon = Boolean(promotion.code);
+            const reason = await this.checkEligibility(promotion, { customerId, subtotal, excludeOrderId });
+            if (reason) {
+                if (isCoupon) couponError = reason;
+                continue;
+            }
+
+            const discount = Math.min(this.computeDiscount(promotion, lines), remaining);
+            if (discount <= 0) {
+                if (isCoupon) couponError = `${promotion.code} does not apply to the items in your cart`;
+                continue;
+            }
+
+            remaining = round(remaining - discount);
+            applied.push({
+                promotion: promotion._id,
+                code: promotion.code,
+                name: promotion.name,
+                type: promotion.type,
+                discount
+            });
+        }
+
+        if (normalizedCode && !couponError && !applied.some(p => p.code === normalizedCode)) {
+            couponError = 'Invalid or expired coupon code';
+        }
+
+        const discount = round(subtotal - remaining);
+        return { subtotal, discount, total: remaining, applied, couponError };
+    }
+}
+
+export default new PromotionService();
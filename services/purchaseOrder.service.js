@@ -0,0 +1,288 @@
+// services/purchaseOrder.service.js
+import mongoose from 'mongoose';
+import PurchaseOrder from '../models/purchaseOrder.model.js';
+import Supplier from '../models/supplier.model.js';
+import Product from '../models/product.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import InventoryLog from '../models/inventoryLog.model.js';
+import CacheService from './cache.service.js';
+import inventoryBatchService from './inventoryBatch.service.js';
+import { httpError } from '../utils/httpError.js';
+
+// Purchase orders still waiting for goods
+export const OPEN_STATUSES = ['open', 'partially_received'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class PurchaseOrderService {
+    generatePoNumber() {
+        return 'PO' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    /**
+     * Order stock from one of the retailer's suppliers
+     * @param {{ supplierId: string, items: Array<{ productId: string, quantity: number, unitPrice?: number }>, expectedDate?: string, notes?: string, userId: ObjectId }} order
+     *   unitPrice defaults to the shop's current cost price
+     */
+    async create(retailerId, { supplierId, items, expectedDate, notes, userId }) {
+        if (!mongoose.Types.ObjectId.isValid(supplierId)) throw httpError('supplierId is required');
+        const supplier = await Supplier.findOne({ _id: supplierId, retailer: retailerId, isActive: true });
+        if (!supplier) throw httpError('Supplier not found', 404);
+
+        if (!Array.isArray(items) || items.length === 0) throw httpError('At least one item is required');
+        const productIds = items.map(item => item.productId);
+        if (!productIds.every(id => mongoose.Types.ObjectId.isValid(id))) throw httpError('Each item needs a valid productId');
+        if (new Set(productIds.map(String)).size !== productIds.length) throw httpError('Each product can appear only once');
+
+        const [products, stocked] = await Promise.all([
+            Product.find({ _id: { $in: productIds } }).select('name'),
+            RetailerInventory.find({ retailer: retailerId, product: { $in: productIds } }).select('product costPrice')
+        ]);
+        const names = new Map(products.map(product => [String(product._id), product.name]));
+        const costs = new Map(stocked.map(row => [String(row.product), row.costPrice]));
+
+        const orderItems = items.map(item => {
+            const productId = String(item.productId);
+            if (!names.has(productId)) throw httpError(`Product ${productId} not found`, 404);
+
+            const orderedQty = parseInt(item.quantity, 10);
+            if (!orderedQty || orderedQty < 1) throw httpError('Quantity must be at least 1');
+
+            const unitPrice = item.unitPrice === undefined ? costs.get(productId) : Number(item.unitPrice);
+            if (!(unitPrice >= 0)) throw httpError(`A unit price is needed for ${names.get(productId)}`);
+
+            return { product: productId, productName: names.get(productId), orderedQty, unitPrice };
+        });
+
+        let expected;
+        if (expectedDate) {
+            expected = new Date(expectedDate);
+            if (isNaN(expected)) throw httpError('Invalid expected date');
+        }
+
+        return PurchaseOrder.create({
+            poNumber: this.generatePoNumber(),
+            retailer: retailerId,
+            supplier: supplier._id,
+            items: orderItems,
+            expectedDate: expected,
+            notes,
+            orderedValue: round(orderItems.reduce((total, item) => total + item.orderedQty * item.unitPrice, 0)),
+            createdBy: userId
+        });
+    }
+
+    /**
+     * Goods arrived. Each line's quantity is checked against what is still due on
+     * the order, comes into stock as a batch (STOCK_IN / PURCHASE, referenced to the
+     * PO) and sets the product's cost price; all in one transaction.
+     * @param {Object} purchaseOrder - PurchaseOrder document, open or partially received
+     * @param {{ items: Array<{ productId: string, quantity: number, unitCost?: number, batchNumber?: string, expiryDate?: string }>, invoiceNumber?: string, note?: string, userId: ObjectId }} receipt
+     *   unitCost defaults to the ordered price
+     * @returns {Promise<Object>} the receipt added to the order
+     */
+    async receive(purchaseOrder, { items, invoiceNumber, note, userId }) {
+        if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+            throw httpError(`Purchase order is ${purchaseOrder.status.replace('_', ' ')}`);
+        }
+        if (!Array.isArray(items) || items.length === 0) throw httpError('At least one received item is required');
+        if (new Set(items.map(entry => String(entry.productId))).size !== items.length) {
+            throw httpError('Each product can appear only once on a receipt');
+        }
+
+        const lines = items.map(entry => {
+            const line = purchaseOrder.items.find(item => String(item.product) === String(entry.productId));
+            if (!line) throw httpError(`Product ${entry.productId} is not on this purchase order`);
+
+            const quantity = parseInt(entry.quantity, 10);
+            if (!quantity || quantity < 1) throw httpError('Received quantity must be at least 1');
+            const due = line.orderedQty - line.receivedQty;
+            if (quantity > due) throw httpError(`Only ${due} of ${line.productName} still due on this order, received ${quantity}`);
+
+            const unitCost = entry.unitCost === undefined ? line.unitPrice : Number(entry.unitCost);
+            if (!(unitCost >= 0)) throw httpError('Unit cost must be 0 or more');
+
+            return { line, quantity, unitCost, batchNumber: entry.batchNumber, expiryDate: entry.expiryDate };
+        });
+
+        const session = await mongoose.startSession();
+        let receipt;
+        try {
+            session.startTransaction();
+
+            const logs = [];
+            const receiptItems = [];
+            for (const { line, quantity, unitCost, batchNumber, expiryDate } of lines) {
+                let inventoryItem = await RetailerInventory.findOne({
+                    retailer: purchaseOrder.retailer,
+                    product: line.product
+                }).session(session);
+                if (!inventoryItem) {
+                    // First purchase of the product; sold at its catalogue price until the shop sets its own
+                    const product = await Product.findById(line.product).select('name price').session(session);
+                    inventoryItem = new RetailerInventory({
+                        retailer: purchaseOrder.retailer,
+                        product: line.product,
+                        productName: product?.name || line.productName,
+                        sellingPrice: product?.price || 0,
+                        updatedBy: userId
+                    });
+                }
+
+                const previousStock = inventoryItem.currentStock || 0;
+                const batch = inventoryBatchService.receive(inventoryItem, { quantity, batchNumber, expiryDate, unitCost });
+                inventoryItem.costPrice = unitCost;
+                inventoryItem.isActive = true;
+                inventoryItem.lastRestocked = new Date();
+                inventoryItem.lastUpdated = new Date();
+                inventoryItem.updatedBy = userId;
+                inventoryItem.stockUpdateReason = `Purchase order ${purchaseOrder.poNumber}`;
+                await inventoryItem.save({ session });
+
+                line.receivedQty += quantity;
+                receiptItems.push({
+                    product: line.product,
+                    productName: line.productName,
+                    quantity,
+                    unitCost,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate
+                });
+                logs.push({
+                    retailer: purchaseOrder.retailer,
+                    product: line.product,
+                    inventoryItem: inventoryItem._id,
+                    transactionType: 'STOCK_IN',
+                    quantity,
+                    previousStock,
+                    newStock: inventoryItem.currentStock,
+                    unitCost,
+                    totalValue: round(unitCost * quantity),
+                    referenceType: 'PURCHASE_ORDER',
+                    referenceId: purchaseOrder.poNumber,
+                    batchNumber: batch.batchNumber,
+                    expiryDate: batch.expiryDate,
+                    reason: 'PURCHASE',
+                    notes: invoiceNumber
+                        ? `Received on ${purchaseOrder.poNumber}, supplier bill ${invoiceNumber}`
+                        : `Received on ${purchaseOrder.poNumber}`,
+                    createdBy: userId
+                });
+            }
+
+            await InventoryLog.insertMany(logs, { session });
+
+            const value = round(receiptItems.reduce((total, item) => total + item.quantity * item.unitCost, 0));
+            purchaseOrder.receipts.push({
+                receiptNumber: `${purchaseOrder.poNumber}-${purchaseOrder.receipts.length + 1}`,
+                invoiceNumber,
+                items: receiptItems,
+                value,
+                note,
+                receivedBy: userId
+            });
+            receipt = purchaseOrder.receipts[purchaseOrder.receipts.length - 1];
+            purchaseOrder.receivedValue = round(purchaseOrder.receivedValue + value);
+            purchaseOrder.status = purchaseOrder.items.every(item => item.receivedQty >= item.orderedQty)
+                ? 'received'
+                : 'partially_received';
+            await purchaseOrder.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await CacheService.invalidateInventoryCache(purchaseOrder.retailer);
+        return receipt;
+    }
+
+    /**
+     * Nothing more will come: a partly received order is short-closed, one with
+     * nothing received is cancelled
+     */
+    async close(purchaseOrder, reason) {
+        if (!OPEN_STATUSES.includes(purchaseOrder.status)) {
+            throw httpError(`Purchase order is already ${purchaseOrder.status.replace('_', ' ')}`);
+        }
+        purchaseOrder.status = purchaseOrder.receipts.length ? 'closed' : 'cancelled';
+        purchaseOrder.closedAt = new Date();
+        purchaseOrder.closeReason = reason;
+        return purchaseOrder.save();
+    }
+
+    /**
+     * Open orders with what is still due per line, oldest expected first
+     */
+    async getOpen(retailerId, { supplierId } = {}) {
+        const filter = { retailer: retailerId, status: { $in: OPEN_STATUSES } };
+        if (supplierId && mongoose.Types.ObjectId.isValid(supplierId)) filter.supplier = supplierId;
+
+        const orders = await PurchaseOrder.find(filter)
+            .select('-receipts')
+            .populate('supplier', 'name phone')
+            .sort({ expectedDate: 1, createdAt: 1 })
+            .lean();
+
+        const now = new Date();
+        return orders.map(order => {
+            const items = order.items.map(item => ({ ...item, dueQty: item.orderedQty - item.receivedQty }));
+            return {
+                ...order,
+                items,
+                dueValue: round(items.reduce((total, item) => total + item.dueQty * item.unitPrice, 0)),
+                overdue: Boolean(order.expectedDate && order.expectedDate < now)
+            };
+        });
+    }
+
+    /**
+     * What the retailer bought from a supplier: its orders with receipts, and totals
+     * @param {{ startDate?: string, endDate?: string }} range - on the order date
+     */
+    async getSupplierHistory(retailerId, supplierId, { startDate, endDate } = {}) {
+        const filter = { retailer: retailerId, supplier: supplierId };
+        if (startDate || endDate) {
+            filter.createdAt = {};
+            if (startDate) filter.createdAt.$gte = new Date(startDate);
+            if (endDate) filter.createdAt.$lte = new Date(endDate);
+        }
+
+        const orders = await PurchaseOrder.find(filter).sort({ createdAt: -1 }).lean();
+
+        const products = new Map();
+        let lastReceivedAt = null;
+        for (const order of orders) {
+            // Latest first, so the first cost seen per product is the last paid
+            for (const receipt of [...order.receipts].reverse()) {
+                if (!lastReceivedAt || receipt.receivedAt > lastReceivedAt) lastReceivedAt = receipt.receivedAt;
+                for (const item of receipt.items) {
+                    const key = String(item.product);
+                    const row = products.get(key) || { product: item.product, productName: item.productName, quantity: 0, value: 0 };
+                    row.quantity += item.quantity;
+                    row.value = round(row.value + item.quantity * item.unitCost);
+                    row.lastUnitCost = row.lastUnitCost ?? item.unitCost;
+                    products.set(key, row);
+                }
+            }
+        }
+
+        const counted = orders.filter(order => order.status !== 'cancelled');
+        return {
+            orders,
+            summary: {
+                orders: counted.length,
+                open: counted.filter(order => OPEN_STATUSES.includes(order.status)).length,
+                orderedValue: round(counted.reduce((total, order) => total + order.orderedValue, 0)),
+                receivedValue: round(counted.reduce((total, order) => total + order.receivedValue, 0)),
+                lastReceivedAt
+            },
+            products: [...products.values()].sort((a, b) => b.value - a.value)
+        };
+    }
+}
+
+export default new PurchaseOrderService();
@@ -0,0 +1,58 @@
+// services/receipt.service.js
+import Admin from '../models/admin.model.js';
+import Product from '../models/product.model.js';
+import { generateQRCode } from '../utils/QrGen.utils.js';
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class ReceiptService {
+    /**
+     * Everything printed on a counter receipt, independent of the output format
+     * (see utils/thermalReceipt.js)
+     * @param {Object} order - Order document with assignedRetailer
+     * @returns {Promise<Object>} Receipt data, including the order link QR as a PNG data URL
+     */
+    async build(order) {
+        const [retailer, products] = await Promise.all([
+            Admin.findById(order.assignedRetailer).select('shopName address contactNumber gstin'),
+            Product.find({ _id: { $in: order.items.map(item => item.product._id || item.product) } })
+                .select('name unit')
+        ]);
+
+        const orderUrl = `${productionConfig.receipts.orderLinkBase.replace(/\/$/, '')}/${order.orderId}`;
+        const productFor = (item) => products.find(p => String(p._id) === String(item.product._id || item.product));
+
+        return {
+            shop: {
+                name: retailer?.shopName || 'Dairy 9',
+                address: retailer?.address,
+                phone: retailer?.contactNumber,
+                gstin: retailer?.gstin
+            },
+            orderId: order.orderId,
+            invoiceNumber: order.invoice?.number,
+            date: order.createdAt || new Date(),
+            items: order.items.map(item => ({
+                name: productFor(item)?.name || 'Product',
+                unit: item.unit || productFor(item)?.unit,
+                quantity: item.quantity,
+                price: item.price,
+                // Counter price differs from the catalog price
+                originalPrice: item.isPriceOverridden && item.originalPrice !== item.price ? item.originalPrice : null,
+                total: round(item.price * item.quantity)
+            })),
+            subtotal: order.totalAmount,
+            discount: order.discount || 0,
+            deliveryFee: order.deliveryFee?.amount || 0,
+            total: order.finalAmount,
+            totalTax: order.tax?.totalTax || 0,
+            paymentMethod: order.paymentMethod,
+            paymentStatus: order.paymentStatus,
+            orderUrl,
+            qrCode: await generateQRCode(orderUrl)
+        };
+    }
+}
+
+export default new ReceiptService();
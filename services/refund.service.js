@@ -0,0 +1,249 @@
+// services/refund.service.js
+import Refund from '../models/refund.model.js';
+import Payment from '../models/payment.model.js';
+import Order from '../models/order.model.js';
+import walletService from './wallet.service.js';
+import notify from './notify.js';
+import { getPaymentGateway } from '../lib/paymentGateway.js';
+import { httpError } from '../utils/httpError.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const SUPERADMIN_ROOM = process.env.SUPERADMIN_SOCKET_ROOM || 'superadmin:1';
+
+// Payment status that follows from refundAmount, evaluated inside an update pipeline
+const refundedStatus = {
+    $cond: [
+        { $gte: ['$refundAmount', '$amount'] },
+        'refunded',
+        { $cond: [{ $gt: ['$refundAmount', 0] }, 'partially_refunded', 'success'] }
+    ]
+};
+
+class RefundService {
+    generateRefundId() {
+        return 'RFD' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    refundableAmount(payment) {
+        return round(payment.amount - (payment.refundAmount || 0));
+    }
+
+    /**
+     * Add `delta` to a payment's refundAmount and update its status in one atomic
+     * step. Positive deltas only apply while they fit in the captured amount, so
+     * concurrent refunds can never add up to more than was paid.
+     * @returns {Promise<Object|null>} Updated payment, or null if the refund did not fit
+     */
+    async adjustRefunded(paymentId, delta, { force = false } = {}) {
+        const filter = { _id: paymentId };
+        if (delta > 0 && !force) {
+            filter.paymentStatus = { $in: ['success', 'partially_refunded'] };
+            filter.$expr = { $lte: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, delta] }, { $add: ['$amount', 0.001] }] };
+        }
+
+        const payment = await Payment.findOneAndUpdate(filter, [
+            { $set: { refundAmount: { $round: [{ $add: [{ $ifNull: ['$refundAmount', 0] }, delta] }, 2] } } },
+            { $set: { paymentStatus: refundedStatus } }
+        ], { new: true });
+
+        if (payment) {
+            await Order.updateOne(
+                { _id: payment.order },
+                { $set: { paymentStatus: payment.paymentStatus === 'success' ? 'paid' : payment.paymentStatus } }
+            );
+        }
+        return payment;
+    }
+
+    /**
+     * Refund all or part of a captured payment. Gateway payments go back to the
+     * original method; cash, wallet and UPI QR (paid to the shop) payments are
+     * credited to the customer's wallet.
+     * @param {Object} payment - Payment document
+     * @param {{ amount?: number, reason?: string, actor?: { user, role }, source?: { type, id } }} opts
+     *   amount defaults to everything still refundable
+     * @returns {Promise<{ refund: Object, payment: Object }>}
+     */
+    async issue(payment, { amount, reason, actor, source = { type: 'manual' } } = {}) {
+        if (!['success', 'partially_refunded'].includes(payment.paymentStatus)) {
+            throw httpError(`Cannot refund a payment that is ${payment.paymentStatus}`);
+        }
+
+        const refundable = this.refundableAmount(payment);
+        const value = round(amount ?? refundable);
+        if (!(value > 0)) throw httpError('Refund amount must be greater than 0');
+        if (value > refundable) {
+            throw httpError(`Refund of ₹${value} exceeds the refundable amount of ₹${refundable}`);
+        }
+
+        const destination = payment.gateway && payment.gateway !== 'upi_qr' ? 'original_method' : 'wallet';
+        if (destination === 'original_method' && !payment.razorpayPaymentId) {
+            throw httpError('Payment has no gateway payment to refund');
+        }
+
+        // Reserve the amount first; a concurrent refund may have used it up
+        if (!await this.adjustRefunded(payment._id, value)) {
+            throw httpError('Refund exceeds the amount still refundable');
+        }
+
+        const order = await Order.findById(payment.order).select('orderId assignedRetailer');
+        const refund = await Refund.create({
+            refundId: this.generateRefundId(),
+            payment: payment._id,
+            order: payment.order,
+            customer: payment.customer,
+            retailer: order?.assignedRetailer,
+            amount: value,
+            destination,
+            reason,
+            source,
+            initiatedBy: { user: actor?.user, role: actor?.role }
+        });
+
+        try {
+            if (destination === 'original_method') {
+                const result = await getPaymentGateway(payment.gateway).refund(payment.razorpayPaymentId, {
+                    amount: Math.round(value * 100),
+                    notes: { refundId: refund.refundId, orderId: order?.orderId }
+                });
+                refund.gatewayRefundId = result.id;
+                if (result.status === 'processed') {
+                    refund.status = 'processed';
+                    refund.processedAt = new Date();
+                }
+            } else {
+                await this.creditWallet(refund);
+                refund.status = 'processed';
+                refund.processedAt = new Date();
+            }
+            await refund.save();
+        } catch (error) {
+            refund.status = 'failed';
+            refund.failureReason = error.message;
+            await refund.save();
+            await this.adjustRefunded(payment._id, -value);
+            throw httpError(`Refund failed: ${error.message}`, 502);
+        }
+
+        const updated = await Payment.findByIdAndUpdate(
+            payment._id,
+            { $set: { refundReason: [payment.refundReason, reason].filter(Boolean).join('; ') } },
+            { new: true }
+        );
+
+        notify(null, `customer:${payment.customer}`, 'refund:issued', {
+            refundId: refund.refundId,
+            orderId: order?.orderId,
+            amount: value,
+            destination,
+            status: refund.status
+        });
+
+        return { refund, payment: updated };
+    }
+
+    /**
+     * Give back everything captured on a cancelled order: gateway payments to the
+     * original method, wallet, cash and UPI QR payments to the wallet. The
+     * cancellation has happened either way, so a failed refund is raised with the
+     * superadmin to settle by hand rather than thrown.
+     * @param {Object} order - Cancelled Order document
+     * @param {{ actor?: { user, role } }} opts
+     * @returns {Promise<Array<Object>>} Refund documents issued
+     */
+    async issueForCancellation(order, { actor } = {}) {
+        const payments = await Payment.find({
+            order: order._id,
+            paymentStatus: { $in: ['success', 'partially_refunded'] }
+        });
+
+        const refunds = [];
+        for (const payment of payments) {
+            if (this.refundableAmount(payment) <= 0) continue;
+            try {
+                const { refund } = await this.issue(payment, {
+                    reason: `Order ${order.orderId} cancelled`,
+                    actor,
+                    source: { type: 'cancellation', id: order.orderId }
+                });
+                refunds.push(refund);
+            } catch (error) {
+                console.error(`Refund of ${payment.paymentId} for cancelled order ${order.orderId} failed:`, error.message);
+                notify(null, SUPERADMIN_ROOM, 'order:refund-failed', {
+                    orderId: order.orderId,
+                    paymentId: payment.paymentId,
+                    amount: this.refundableAmount(payment),
+                    message: error.message
+                });
+            }
+        }
+        return refunds;
+    }
+
+    /**
+     * Cash and wallet refunds land in the customer's wallet
+     */
+    async creditWallet(refund) {
+        await walletService.credit(refund.customer, refund.amount, {
+            category: 'refund',
+            description: `Refund ${refund.refundId}`,
+            refund: refund._id,
+            order: refund.order,
+            payment: refund.payment
+        });
+    }
+
+    /**
+     * refund.processed from the gateway: completes a refund started here, or records
+     * one made directly at the gateway (e.g. from its dashboard)
+     * @param {{ gatewayRefundId: string, refundId?: string, amount: number }} event - amount in rupees
+     */
+    async applyGatewayRefund(payment, { gatewayRefundId, refundId, amount }) {
+        const refund = await Refund.findOne({
+            $or: [{ gatewayRefundId }, ...(refundId ? [{ refundId }] : [])]
+        });
+
+        if (refund?.status === 'processed') {
+            return { outcome: 'ignored', note: `Refund ${refund.refundId} already processed` };
+        }
+
+        if (refund) {
+            refund.status = 'processed';
+            refund.gatewayRefundId = gatewayRefundId;
+            refund.processedAt = new Date();
+            refund.failureReason = undefined;
+            await refund.save();
+            return { outcome: 'applied' };
+        }
+
+        // The money has already left, so this is recorded even beyond the captured amount
+        await this.adjustRefunded(payment._id, amount, { force: true });
+        const order = await Order.findById(payment.order).select('orderId assignedRetailer');
+        await Refund.create({
+            refundId: this.generateRefundId(),
+            payment: payment._id,
+            order: payment.order,
+            customer: payment.customer,
+            retailer: order?.assignedRetailer,
+            amount,
+            destination: 'original_method',
+            status: 'processed',
+            reason: 'Refunded at the gateway',
+            source: { type: 'gateway', id: gatewayRefundId },
+            gatewayRefundId,
+            initiatedBy: { role: 'gateway' },
+            processedAt: new Date()
+        });
+
+        notify(null, `customer:${payment.customer}`, 'refund:issued', {
+            orderId: order?.orderId,
+            amount,
+            destination: 'original_method',
+            status: 'processed'
+        });
+        return { outcome: 'applied' };
+    }
+}
+
+export default new RefundService();
@@ -0,0 +1,177 @@
+// services/reservationSweeper.service.js
+import Order from '../models/order.model.js';
+import inventoryService from './inventory.service.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import notify from './notify.js';
+import { productionConfig } from '../config/production.js';
+import { startOfDay } from '../utils/dateUtils.js';
+
+const MINUTE = 60 * 1000;
+// Orders the customer has already paid for, in full or in part
+const PAID_STATUSES = ['paid', 'partially_refunded'];
+
+class ReservationSweeperService {
+    /**
+     * When an order entered its current status (last history entry, else creation)
+     */
+    getStatusEnteredAt(order) {
+        const last = order.statusHistory?.[order.statusHistory.length - 1];
+        return last?.to === order.orderStatus ? last.at : order.createdAt;
+    }
+
+    /**
+     * Until when a scheduled delivery may still wait for the retailer: the end of its
+     * booked slot, or for subscription orders (generated the evening before) a
+     * configurable time on the delivery day. Null for orders delivered on demand.
+     */
+    getScheduledUntil(order) {
+        const slot = order.deliverySlot;
+        if (slot?.slot && slot.date && slot.endTime) {
+            const [hour, minute] = slot.endTime.split(':').map(Number);
+            return startOfDay(slot.date).set({ hour, minute }).toJSDate();
+        }
+        if (order.subscription && order.deliveryDate) {
+            const [hour, minute] = productionConfig.reservations.subscriptionConfirmBy.split(':').map(Number);
+            return startOfDay(order.deliveryDate).set({ hour, minute }).toJSDate();
+        }
+        return null;
+    }
+
+    /**
+     * Time after which an order left in its current status is considered abandoned.
+     * Scheduled deliveries (subscriptions, booked slots) are not expired before
+     * getScheduledUntil, so a retailer can still confirm the morning of delivery.
+     */
+    getExpiresAt(order, timeoutMinutes) {
+        const expiresAt = new Date(new Date(this.getStatusEnteredAt(order)).getTime() + timeoutMinutes * MINUTE);
+        const scheduledUntil = this.getScheduledUntil(order);
+        return scheduledUntil && scheduledUntil > expiresAt ? scheduledUntil : expiresAt;
+    }
+
+    /**
+     * Cancel unpaid orders stuck in a status past its timeout and release their stock,
+     * then release reservations still held by already-cancelled orders.
+     * @param {{ timeouts?: Object<string, number>, batchSize?: number, now?: Date }} opts
+     */
+    async sweep({
+        timeouts = productionConfig.reservations.timeoutMinutes,
+        batchSize = productionConfig.reservations.batchSize,
+        now = new Date()
+    } = {}) {
+        const summary = { checked: 0, expired: 0, released: 0, failed: 0, failures: [] };
+
+        for (const [status, minutes] of Object.entries(timeouts)) {
+            if (!minutes) continue;
+
+            // createdAt is never later than the status change, and a scheduled order
+            // cannot expire before its delivery day starts, so these only narrow the scan
+            const notAfterNow = { $not: { $gt: now } };
+            const cursor = Order.find({
+                orderStatus: status,
+                orderType: { $ne: 'offline' },
+                // Paid orders are the retailer's to fulfil or cancel with a refund
+                paymentStatus: { $nin: PAID_STATUSES },
+                createdAt: { $lte: new Date(now.getTime() - minutes * MINUTE) },
+                $or: [
+                    { subscription: null, 'deliverySlot.slot': null },
+                    { 'deliverySlot.slot': { $ne: null }, 'deliverySlot.date': notAfterNow },
+                    { subscription: { $ne: null }, 'deliverySlot.slot': null, deliveryDate: notAfterNow }
+                ]
+            })
+                .sort({ createdAt: 1 })
+                .cursor();
+
+            // Orders still inside their scheduled window are passed over without
+            // using up the batch, so they cannot hold back older expired ones
+            let handled = 0;
+            try {
+                for await (const order of cursor) {
+                    summary.checked++;
+                    if (this.getExpiresAt(order, minutes) > now) continue;
+
+                    handled++;
+                    try {
+                        await this.expireOrder(order, status, minutes);
+                        summary.expired++;
+                    } catch (error) {
+                        summary.failed++;
+                        summary.failures.push({ orderId: order.orderId, message: error.message });
+                        console.error(`❌ Failed to expire order ${order.orderId}:`, error.message);
+                    }
+                    if (handled >= batchSize) break;
+                }
+            } finally {
+                await cursor.close();
+            }
+        }
+
+        summary.released = await this.releaseOrphanedReservations(batchSize, summary);
+
+        if (summary.expired || summary.released || summary.failed) {
+            console.log('🧹 Reservation sweep summary:', summary);
+        }
+        return summary;
+    }
+
+    /**
+     * Cancel one abandoned order through the lifecycle (which releases its stock)
+     */
+    async expireOrder(order, status, minutes) {
+        const reason = `Auto-cancelled: not progressed from ${status} within ${minutes} minutes`;
+        const { inventory } = await orderLifecycleService.transition(order, 'cancelled', {
+            actor: orderLifecycleService.systemActor(),
+            reason
+        });
+
+        const payload = {
+            orderId: order.orderId,
+            previousStatus: status,
+            reason,
+            releasedItems: inventory?.releasedItems || []
+        };
+        if (order.customer) notify(null, `customer:${order.customer}`, 'order:expired', payload);
+        if (order.assignedRetailer) notify(null, `retailer:${order.assignedRetailer}`, 'order:expired', payload);
+    }
+
+    /**
+     * Cancelled orders that still hold committed stock (e.g. cancelled before the lifecycle
+     * service existed) get their reservation released.
+     */
+    async releaseOrphanedReservations(batchSize, summary) {
+        const orders = await Order.find({
+            orderStatus: 'cancelled',
+            reservationStatus: 'reserved'
+        }).limit(batchSize);
+
+        let released = 0;
+        for (const order of orders) {
+            try {
+                const result = await inventoryService.cancelOrderReservation(
+                    order._id,
+                    order.assignedRetailer,
+                    await orderLifecycleService.getInventoryUser(order),
+                    'ORDER_CANCELLED'
+                );
+                order.reservationStatus = 'released';
+                order.releaseDate = new Date();
+                order.items.forEach(item => {
+                    item.isReserved = false;
+                });
+                await order.save();
+                released++;
+
+                notify(null, `retailer:${order.assignedRetailer}`, 'inventory:reservation-released', {
+                    orderId: order.orderId,
+                    releasedItems: result.releasedItems || []
+                });
+            } catch (error) {
+                summary.failed++;
+                summary.failures.push({ orderId: order.orderId, message: error.message });
+                console.error(`❌ Failed to release reservation for ${order.orderId}:`, error.message);
+            }
+        }
+        return released;
+    }
+}
+
+export default new ReservationSweeperService();
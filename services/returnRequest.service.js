@@ -0,0 +1,346 @@
+// services/returnRequest.service.js
+import mongoose from 'mongoose';
+import ReturnRequest, { RETURN_REASONS } from '../models/returnRequest.model.js';
+import Order from '../models/order.model.js';
+import Payment from '../models/payment.model.js';
+import inventoryService from './inventory.service.js';
+import CacheService from './cache.service.js';
+import invoiceService from './invoice.service.js';
+import creditNoteService from './creditNote.service.js';
+import refundService from './refund.service.js';
+import khataService from './khata.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+import { productionConfig } from '../config/production.js';
+
+const SUPERADMIN_ROOM = process.env.SUPERADMIN_SOCKET_ROOM || 'superadmin:1';
+
+// Reasons where the goods cannot be sold again
+const WRITE_OFF_REASONS = ['spoiled', 'damaged', 'expired', 'leaking'];
+
+const generateReturnId = () => {
+    return 'RET' + Date.now() + Math.floor(Math.random() * 1000);
+};
+
+class ReturnRequestService {
+    /**
+     * Units of an order line that can still be returned: delivered quantity minus
+     * approved returns and quantities in open requests
+     */
+    async getReturnableQuantities(order) {
+        const open = await ReturnRequest.find({ order: order._id, status: 'requested' }).select('items').lean();
+        const pending = new Map();
+        open.forEach(request => request.items.forEach(item => {
+            const key = String(item.orderItem);
+            pending.set(key, (pending.get(key) || 0) + item.quantity);
+        }));
+
+        return new Map(order.items.map(item => [
+            String(item._id),
+            Math.max(item.quantity - (item.returnedQuantity || 0) - (pending.get(String(item._id)) || 0), 0)
+        ]));
+    }
+
+    /**
+     * Open a return request for a delivered order
+     * @param {Object} order - Order document (owned by the customer)
+     * @param {Object} customer - Customer document
+     * @param {Array<{ orderItemId?: string, productId?: string, quantity: number, reason: string, note?: string }>} items
+     * @param {Array<{ url: string, publicId: string }>} photos
+     */
+    async createReturn(order, customer, items, photos = []) {
+        if (order.orderStatus !== 'delivered') {
+            throw httpError('Only delivered orders can be returned');
+        }
+
+        const deliveredAt = order.deliveredAt || order.updatedAt;
+        const windowHours = productionConfig.returns.windowHours;
+        if (Date.now() - new Date(deliveredAt).getTime() > windowHours * 60 * 60 * 1000) {
+            throw httpError(`Returns must be requested within ${windowHours} hours of delivery`);
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw httpError('At least one item is required');
+        }
+
+        const returnable = await this.getReturnableQuantities(order);
+        const returnItems = [];
+
+        for (const item of items) {
+            // Lines can be referenced by their _id or by product
+            const orderItem = order.items.find(line =>
+                (item.orderItemId && String(line._id) === String(item.orderItemId)) ||
+                (!item.orderItemId && item.productId && String(line.product._id || line.product) === String(item.productId))
+            );
+            if (!orderItem) throw httpError('Item not found in this order');
+
+            const quantity = parseInt(item.quantity, 10);
+            if (!quantity || quantity < 1) throw httpError('Return quantity must be at least 1');
+            if (!RETURN_REASONS.includes(item.reason)) {
+                throw httpError(`Invalid return reason. Use one of: ${RETURN_REASONS.join(', ')}`);
+            }
+
+            const available = returnable.get(String(orderItem._id)) || 0;
+            if (quantity > available) {
+                throw httpError(`Only ${available} unit(s) of this item can be returned`);
+            }
+            returnable.set(String(orderItem._id), available - quantity);
+
+            returnItems.push({
+                orderItem: orderItem._id,
+                product: orderItem.product._id || orderItem.product,
+                quantity,
+                unitPrice: orderItem.price,
+                reason: item.reason,
+                note: item.note
+            });
+        }
+
+        const returnRequest = await ReturnRequest.create({
+            returnId: generateReturnId(),
+            order: order._id,
+            customer: customer._id,
+            retailer: order.assignedRetailer,
+            items: returnItems,
+            photos,
+            refundAmount: returnItems.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0)
+        });
+
+        notify(null, `retailer:${order.assignedRetailer}`, 'return:requested', {
+            returnId: returnRequest.returnId,
+            orderId: order.orderId,
+            refundAmount: returnRequest.refundAmount
+        });
+
+        return returnRequest;
+    }
+
+    /**
+     * Approve a request: restock or write off each item, refund the customer,
+     * reduce the order's final amount and issue a credit note against the invoice
+     * @param {Object} returnRequest - ReturnRequest document
+     * @param {{ userId: ObjectId, dispositions?: Array<{ itemId: string, disposition: string }>, note?: string }} opts
+     */
+    async approveReturn(returnRequest, { userId, dispositions = [], note }) {
+        if (returnRequest.status !== 'requested') {
+            throw httpError(`Return request is already ${returnRequest.status}`);
+        }
+
+        const order = await Order.findById(returnRequest.order);
+        if (!order) throw httpError('Order not found', 404);
+
+        // A delivered order is a completed supply: make sure it has its tax invoice,
+        // which the credit note below corrects
+        await invoiceService.issue(order, 'return');
+
+        for (const item of returnRequest.items) {
+            const chosen = dispositions.find(d => String(d.itemId) === String(item._id))?.disposition;
+            if (chosen && !['restock', 'write_off'].includes(chosen)) {
+                throw httpError('Disposition must be restock or write_off');
+            }
+            item.disposition = chosen || (WRITE_OFF_REASONS.includes(item.reason) ? 'write_off' : 'restock');
+        }
+
+        // Stock, order and request change together, so a failure part way cannot
+        // leave returned goods counted twice on a retry
+        const amount = returnRequest.refundAmount;
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first, so of two approvals racing only one restocks
+            const claimed = await ReturnRequest.updateOne(
+                { _id: returnRequest._id, status: 'requested' },
+                { $set: { status: 'approved' } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) throw httpError('Return request has already been reviewed', 409);
+
+            // Goods come back in first, into the batches they were sold from (keeping
+            // their expiry); unsellable ones are then written off from those batches
+            for (const item of returnRequest.items) {
+                const base = {
+                    retailerId: returnRequest.retailer,
+                    productId: item.product,
+                    referenceType: 'ORDER',
+                    referenceId: String(order._id),
+                    userId,
+                    session
+                };
+
+                const sources = [];
+                let rest = item.quantity;
+                const sold = await inventoryService.getSoldBatches(order._id, returnRequest.retailer, item.product, session);
+                for (const batch of sold) {
+                    if (rest <= 0) break;
+                    const quantity = Math.min(batch.quantity, rest);
+                    sources.push({ ...batch, quantity });
+                    rest -= quantity;
+                }
+                // Sold before batches were tracked
+                if (rest > 0) sources.push({ quantity: rest });
+
+                for (const source of sources) {
+                    const restocked = await inventoryService.updateStock({
+                        ...base,
+                        quantity: source.quantity,
+                        transactionType: 'RETURN',
+                        reason: 'RETURN',
+                        batchNumber: source.batchNumber,
+                        expiryDate: source.expiryDate,
+                        notes: `Return ${returnRequest.returnId} (${item.reason}) - order ${order.orderId}`
+                    });
+
+                    if (item.disposition === 'write_off') {
+                        await inventoryService.updateStock({
+                            ...base,
+                            quantity: source.quantity,
+                            transactionType: 'DAMAGE',
+                            reason: 'DAMAGE',
+                            // the batch the return just went into, not the shop's fresh stock
+                            batchNumber: restocked.batches[0]?.batchNumber,
+                            notes: `Written off from return ${returnRequest.returnId} (${item.reason})`
+                        });
+                    }
+                }
+
+                const orderItem = order.items.id(item.orderItem);
+                if (orderItem) orderItem.returnedQuantity = (orderItem.returnedQuantity || 0) + item.quantity;
+            }
+
+            order.finalAmount = Math.max(order.finalAmount - amount, 0);
+            order.returnedAmount = (order.returnedAmount || 0) + amount;
+            await order.save({ session });
+
+            returnRequest.status = 'approved';
+            returnRequest.reviewedBy = userId;
+            returnRequest.reviewedAt = new Date();
+            returnRequest.reviewNote = note;
+            await returnRequest.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        await CacheService.invalidateInventoryCache(returnRequest.retailer);
+
+        await this.settleRefund(returnRequest, order, { userId });
+
+        const creditNote = await creditNoteService.issueForReturn(returnRequest, order, { userId });
+
+        notify(null, `customer:${returnRequest.customer}`, 'return:approved', {
+            returnId: returnRequest.returnId,
+            orderId: order.orderId,
+            refundAmount: amount,
+            refundStatus: returnRequest.refund.status,
+            creditNoteNumber: creditNote?.creditNoteNumber
+        });
+
+        return { returnRequest, order, creditNote };
+    }
+
+    /**
+     * Give an approved return's money back: paid orders through a refund, khata
+     * orders off the customer's account; unpaid ones just owe less. A failure
+     * leaves the refund 'failed' for retryRefund and alerts the superadmin.
+     */
+    async settleRefund(returnRequest, order, { userId }) {
+        const amount = returnRequest.refundAmount;
+        const payment = await Payment.findOne({ order: order._id, paymentStatus: { $in: ['success', 'partially_refunded'] } });
+        let refund = null;
+        let refundStatus = 'adjusted';
+        let failureReason;
+        try {
+            if (payment && refundService.refundableAmount(payment) > 0) {
+                ({ refund } = await refundService.issue(payment, {
+                    amount: Math.min(amount, refundService.refundableAmount(payment)),
+                    reason: `Return ${returnRequest.returnId}`,
+                    actor: { user: userId, role: 'admin' },
+                    source: { type: 'return', id: returnRequest.returnId }
+                }));
+                refundStatus = 'refunded';
+            } else if (order.paymentMethod === 'khata') {
+                // Khata orders are taken off the customer's account instead
+                await khataService.creditReturn(order, amount, { returnId: returnRequest.returnId, userId });
+            }
+        } catch (error) {
+            // The return stands; the refund is retried from the return
+            console.error(`Refund for return ${returnRequest.returnId} failed:`, error.message);
+            refundStatus = 'failed';
+            failureReason = error.message;
+            notify(null, SUPERADMIN_ROOM, 'return:refund-failed', {
+                returnId: returnRequest.returnId,
+                orderId: order.orderId,
+                amount,
+                message: error.message
+            });
+        }
+
+        returnRequest.refund = {
+            amount,
+            status: refundStatus,
+            failureReason,
+            payment: payment?._id,
+            record: refund?._id,
+            processedAt: new Date()
+        };
+        await returnRequest.save();
+        return returnRequest.refund;
+    }
+
+    /**
+     * Try a failed return refund again
+     */
+    async retryRefund(returnRequest, { userId }) {
+        if (returnRequest.status !== 'approved' || returnRequest.refund?.status !== 'failed') {
+            throw httpError('Only a failed refund of an approved return can be retried');
+        }
+
+        const order = await Order.findById(returnRequest.order);
+        if (!order) throw httpError('Order not found', 404);
+
+        // Claimed, so two retries cannot both refund
+        const claimed = await ReturnRequest.updateOne(
+            { _id: returnRequest._id, 'refund.status': 'failed' },
+            { $set: { 'refund.status': 'pending' } }
+        );
+        if (claimed.matchedCount === 0) throw httpError('This refund is already being retried', 409);
+
+        const refund = await this.settleRefund(returnRequest, order, { userId });
+
+        notify(null, `customer:${returnRequest.customer}`, 'return:refunded', {
+            returnId: returnRequest.returnId,
+            orderId: order.orderId,
+            refundAmount: refund.amount,
+            refundStatus: refund.status
+        });
+        return refund;
+    }
+
+    /**
+     * Reject a request; nothing moves in inventory or payments
+     */
+    async rejectReturn(returnRequest, { userId, note }) {
+        if (returnRequest.status !== 'requested') {
+            throw httpError(`Return request is already ${returnRequest.status}`);
+        }
+        if (!note) throw httpError('A reason is required to reject a return');
+
+        const review = { status: 'rejected', reviewedBy: userId, reviewedAt: new Date(), reviewNote: note };
+        const claimed = await ReturnRequest.updateOne({ _id: returnRequest._id, status: 'requested' }, { $set: review });
+        if (claimed.matchedCount === 0) throw httpError('Return request has already been reviewed', 409);
+        returnRequest.set(review);
+
+        notify(null, `customer:${returnRequest.customer}`, 'return:rejected', {
+            returnId: returnRequest.returnId,
+            reason: note
+        });
+
+        return returnRequest;
+    }
+}
+
+export default new ReturnRequestService();
@@ -0,0 +1,332 @@
+// services/settlement.service.js
+import { DateTime } from 'luxon';
+import Settlement from '../models/settlement.model.js';
+import Order from '../models/order.model.js';
+import Payment from '../models/payment.model.js';
+import Refund from '../models/refund.model.js';
+import Product from '../models/product.model.js';
+import Category from '../models/category.model.js';
+import Admin from '../models/admin.model.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+import { TIMEZONE } from '../utils/dateUtils.js';
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Payments where the money actually came in (refunds are counted separately)
+const CAPTURED_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const TOTAL_FIELDS = ['gross', 'platformCollected', 'retailerCollected', 'refunds', 'commission', 'net'];
+
+class SettlementService {
+    generateSettlementId() {
+        return 'STL' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    /**
+     * Commission rates for a retailer: its own rate wins over category rates,
+     * which win over the platform default
+     * @returns {Promise<(categoryId) => number>}
+     */
+    async getRateResolver(retailerId) {
+        const [retailer, categories] = await Promise.all([
+            Admin.findById(retailerId).select('commissionRate'),
+            Category.find({ commissionRate: { $ne: null } }).select('+commissionRate')
+        ]);
+        const byCategory = new Map(categories.map(category => [String(category._id), category.commissionRate]));
+        const fallback = productionConfig.settlements.defaultCommissionRate;
+
+        return (categoryId) => retailer?.commissionRate ?? byCategory.get(String(categoryId)) ?? fallback;
+    }
+
+    /**
+     * Orders that are due for settlement: delivered platform orders not on a statement yet
+     */
+    unsettledOrderFilter(retailerId, until) {
+        const deliveredAt = { $lte: until };
+        if (productionConfig.settlements.since) deliveredAt.$gte = new Date(productionConfig.settlements.since);
+        return {
+            assignedRetailer: retailerId,
+            orderType: { $ne: 'offline' },
+            orderStatus: 'delivered',
+            deliveredAt,
+            settlement: { $exists: false }
+        };
+    }
+
+    /**
+     * Processed refunds not netted off yet, limited to orders that are (being) settled
+     */
+    async findUnsettledRefunds(retailerId, until, settledOrderIds = []) {
+        const refunds = await Refund.find({
+            retailer: retailerId,
+            status: 'processed',
+            settlement: { $exists: false },
+            processedAt: { $lte: until }
+        }).populate('order', 'settlement');
+
+        const pending = new Set(settledOrderIds.map(String));
+        return refunds.filter(refund => refund.order?.settlement || pending.has(String(refund.order?._id)));
+    }
+
+    /**
+     * Statement lines for orders and refunds
+     * @param {ObjectId} retailerId
+     * @param {Object[]} orders - delivered orders settled on this statement
+     * @param {Object[]} refunds - refunds netted off on this statement
+     * @returns {Promise<Object[]>}
+     */
+    async buildLines(retailerId, orders, refunds) {
+        const rateFor = await this.getRateResolver(retailerId);
+
+        const refundOrderIds = refunds.map(refund => refund.order?._id || refund.order);
+        const [payments, lateOrders] = await Promise.all([
+            Payment.find({ order: { $in: orders.map(order => order._id) }, paymentStatus: { $in: CAPTURED_STATUSES } })
+                .select('order amount paymentMethod gateway'),
+            Order.find({ _id: { $in: refundOrderIds }, settlement: { $exists: true } })
+                .select('orderId items deliveredAt paymentMethod settlement')
+        ]);
+
+        const productIds = [...orders, ...lateOrders].flatMap(order => order.items.map(item => item.product));
+        const products = await Product.find({ _id: { $in: productIds } }).select('category');
+        const categoryOf = new Map(products.map(product => [String(product._id), product.category]));
+
+        // Commission rate weighted by item value, so mixed baskets pay each category's rate
+        const orderRate = (order) => {
+            const value = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+            if (!value) return rateFor(null);
+            const weighted = order.items.reduce(
+                (sum, item) => sum + item.price * item.quantity * rateFor(categoryOf.get(String(item.product))), 0);
+            return round(weighted / value);
+        };
+
+        const refundsByOrder = new Map();
+        refunds.forEach(refund => {
+            const key = String(refund.order?._id || refund.order);
+            refundsByOrder.set(key, [...(refundsByOrder.get(key) || []), refund]);
+        });
+        const sumOf = (list, filter = () => true) => round(list.filter(filter).reduce((sum, row) => sum + row.amount, 0));
+
+        const settling = new Set(orders.map(order => String(order._id)));
+        const lines = orders.map(order => {
+            const orderRefunds = refundsByOrder.get(String(order._id)) || [];
+            const orderPayments = payments.filter(payment => String(payment.order) === String(order._id));
+
+            // finalAmount already has approved returns taken off; add back the ones refunded
+            // here so the refund is not counted twice
+            const gross = round(order.finalAmount + sumOf(orderRefunds, refund => refund.source?.type === 'return'));
+            // UPI QR payments go straight to the shop's own UPI ID
+            const platformCollected = sumOf(orderPayments, payment => payment.paymentMethod !== 'cash' && payment.gateway !== 'upi_qr');
+            const refundTotal = sumOf(orderRefunds);
+            const rate = orderRate(order);
+            const commission = round(Math.max(gross - refundTotal, 0) * rate / 100);
+
+            return {
+                type: 'order',
+                order: order._id,
+                orderId: order.orderId,
+                deliveredAt: order.deliveredAt,
+                paymentMethod: order.paymentMethod,
+                rate,
+                gross,
+                platformCollected,
+                // Whatever the platform did not collect was taken by the shop in cash, on khata or by UPI QR
+                retailerCollected: round(Math.max(gross - platformCollected, 0)),
+                refunds: refundTotal,
+                commission,
+                net: round(platformCollected - refundTotal - commission)
+            };
+        });
+
+        // Refunds on orders settled on an earlier statement; the commission on them is returned
+        for (const order of lateOrders) {
+            if (settling.has(String(order._id))) continue;
+            const refundTotal = sumOf(refundsByOrder.get(String(order._id)) || []);
+            const rate = orderRate(order);
+            const commission = -round(refundTotal * rate / 100);
+            lines.push({
+                type: 'refund_adjustment',
+                order: order._id,
+                orderId: order.orderId,
+                deliveredAt: order.deliveredAt,
+                paymentMethod: order.paymentMethod,
+                rate,
+                gross: 0,
+                platformCollected: 0,
+                retailerCollected: 0,
+                refunds: refundTotal,
+                commission,
+                net: round(-refundTotal - commission)
+            });
+        }
+
+        return lines;
+    }
+
+    computeTotals(lines) {
+        const totals = { orders: lines.filter(line => line.type === 'order').length };
+        TOTAL_FIELDS.forEach(field => {
+            totals[field] = round(lines.reduce((sum, line) => sum + (line[field] || 0), 0));
+        });
+        const { net, ...rest } = totals;
+        return { ...rest, netPayable: net };
+    }
+
+    /**
+     * Build a statement for a retailer and claim its orders and refunds, so each
+     * is settled exactly once. Orders delivered before the period that were
+     * never settled are picked up too.
+     * @param {ObjectId} retailerId
+     * @param {{ periodStart: Date, periodEnd: Date, userId?: ObjectId }} period
+     * @returns {Promise<Object|null>} Settlement, the existing one for the period, or null if nothing was due
+     */
+    async generate(retailerId, { periodStart, periodEnd, userId }) {
+        if (!(periodStart < periodEnd)) throw httpError('Settlement period is invalid');
+        if (periodEnd > new Date()) throw httpError('A settlement period must be over before it is settled');
+
+        const existing = await Settlement.findOne({ retailer: retailerId, periodStart });
+        if (existing) return existing;
+
+        let settlement;
+        try {
+            settlement = await Settlement.create({
+                settlementId: this.generateSettlementId(),
+                retailer: retailerId,
+                periodStart,
+                periodEnd,
+                generatedBy: userId
+            });
+        } catch (error) {
+            if (error.code === 11000) return Settlement.findOne({ retailer: retailerId, periodStart });
+            throw error;
+        }
+
+        await Order.updateMany(this.unsettledOrderFilter(retailerId, periodEnd), { $set: { settlement: settlement._id } });
+        const orders = await Order.find({ settlement: settlement._id })
+            .select('orderId items finalAmount deliveredAt paymentMethod');
+
+        const candidates = await this.findUnsettledRefunds(retailerId, periodEnd);
+        await Refund.updateMany(
+            { _id: { $in: candidates.map(refund => refund._id) }, settlement: { $exists: false } },
+            { $set: { settlement: settlement._id } }
+        );
+        const refunds = await Refund.find({ settlement: settlement._id }).select('order amount source');
+
+        if (!orders.length && !refunds.length) {
+            await Settlement.deleteOne({ _id: settlement._id });
+            return null;
+        }
+
+        settlement.lines = await this.buildLines(retailerId, orders, refunds);
+        settlement.totals = this.computeTotals(settlement.lines);
+        await settlement.save();
+
+        notify(null, `retailer:${retailerId}`, 'settlement:generated', {
+            settlementId: settlement.settlementId,
+            periodStart,
+            periodEnd,
+            netPayable: settlement.totals.netPayable
+        });
+        return settlement;
+    }
+
+    /**
+     * Statements for every active retailer for one period
+     * @returns {Promise<{ generated: number, empty: number, failed: number }>}
+     */
+    async generateForAll({ periodStart, periodEnd, userId }) {
+        const retailers = await Admin.find({ isActive: true }).select('_id');
+        const summary = { generated: 0, empty: 0, failed: 0 };
+
+        for (const retailer of retailers) {
+            try {
+                const settlement = await this.generate(retailer._id, { periodStart, periodEnd, userId });
+                if (settlement) summary.generated++;
+                else summary.empty++;
+            } catch (error) {
+                console.error(`Settlement for retailer ${retailer._id} failed:`, error.message);
+                summary.failed++;
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Previous Monday-to-Sunday week in IST
+     */
+    previousWeek(now = new Date()) {
+        const start = DateTime.fromJSDate(now, { zone: TIMEZONE }).startOf('week').minus({ weeks: 1 });
+        return { periodStart: start.toJSDate(), periodEnd: start.endOf('week').toJSDate() };
+    }
+
+    /**
+     * Scheduled daily; settles last week on the configured weekday
+     */
+    async generateScheduled(now = new Date()) {
+        const weekday = DateTime.fromJSDate(now, { zone: TIMEZONE }).weekday;
+        if (weekday !== productionConfig.settlements.weekday) return { skipped: 'not settlement day' };
+        return this.generateForAll(this.previousWeek(now));
+    }
+
+    /**
+     * Record the payout (or the retailer's payment, when the balance is negative)
+     * @param {{ method: string, reference?: string, note?: string, paidAt?: Date, userId: ObjectId }} payout
+     */
+    async markPaid(settlement, { method, reference, note, paidAt, userId }) {
+        if (settlement.status === 'paid') throw httpError('Settlement is already paid');
+        if (!method) throw httpError('Payout method is required');
+
+        settlement.status = 'paid';
+        settlement.payout = { method, reference, note, paidAt: paidAt ? new Date(paidAt) : new Date(), paidBy: userId };
+        await settlement.save();
+
+        notify(null, `retailer:${settlement.retailer}`, 'settlement:paid', {
+            settlementId: settlement.settlementId,
+            netPayable: settlement.totals.netPayable,
+            reference
+        });
+        return settlement;
+    }
+
+    /**
+     * Discard a pending statement; its orders and refunds go back to being unsettled
+     */
+    async void(settlement) {
+        if (settlement.status === 'paid') throw httpError('A paid settlement cannot be voided');
+
+        await Promise.all([
+            Order.updateMany({ settlement: settlement._id }, { $unset: { settlement: 1 } }),
+            Refund.updateMany({ settlement: settlement._id }, { $unset: { settlement: 1 } })
+        ]);
+        await Settlement.deleteOne({ _id: settlement._id });
+    }
+
+    /**
+     * What the retailer is owed right now: pending statements plus an estimate
+     * for orders and refunds that are not on a statement yet
+     * @returns {Promise<{ pendingStatements: number, statementsPayable: number, unsettled: number, balance: number }>}
+     */
+    async getPendingBalance(retailerId) {
+        const now = new Date();
+        const [pending, orders] = await Promise.all([
+            Settlement.find({ retailer: retailerId, status: 'pending' }).select('totals.netPayable'),
+            Order.find(this.unsettledOrderFilter(retailerId, now)).select('orderId items finalAmount deliveredAt paymentMethod')
+        ]);
+        const refunds = await this.findUnsettledRefunds(retailerId, now, orders.map(order => order._id));
+
+        const statementsPayable = round(pending.reduce((sum, settlement) => sum + settlement.totals.netPayable, 0));
+        const unsettled = orders.length || refunds.length
+            ? this.computeTotals(await this.buildLines(retailerId, orders, refunds)).netPayable
+            : 0;
+
+        return {
+            pendingStatements: pending.length,
+            statementsPayable,
+            unsettled,
+            balance: round(statementsPayable + unsettled)
+        };
+    }
+}
+
+export default new SettlementService();
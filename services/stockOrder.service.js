@@ -0,0 +1,142 @@
+// services/stockOrder.service.js
+import mongoose from 'mongoose';
+import StockOrder from '../models/stockOrder.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import Admin from '../models/admin.model.js';
+import inventoryService from './inventory.service.js';
+import CacheService from './cache.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+
+const SUPERADMIN_ROOM = process.env.SUPERADMIN_SOCKET_ROOM || 'superadmin:1';
+
+const toCount = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : Number(value));
+
+class StockOrderService {
+    /**
+     * Retailer confirms what arrived of a dispatched stock order. Good units go into
+     * its RetailerInventory as STOCK_IN / PURCHASE referenced to the order; damaged
+     * and missing units are reported to the superadmin. Stock and order are written
+     * in one transaction, so a confirmation that failed can be sent again.
+     * @param {Object} order - StockOrder document, in transit
+     * @param {{ items?: Array<{ product: string, receivedQty?: number, damagedQty?: number, batchNumber?: string, expiryDate?: string, note?: string }>, userId: ObjectId }} receipt
+     *   receivedQty defaults to everything dispatched that is not reported damaged
+     * @returns {Promise<Object>} the order
+     */
+    async confirmReceipt(order, { items = [], userId }) {
+        if (order.status !== 'in_transit') {
+            throw httpError(`Only a stock order in transit can be received, this one is ${order.status}`);
+        }
+
+        // StockOrder.retailer holds the retailer's user id
+        const retailer = await Admin.findOne({ user: order.retailer }).select('_id');
+        if (!retailer) throw httpError('Retailer profile not found', 404);
+
+        const reported = new Map((Array.isArray(items) ? items : [])
+            .map(entry => [String(entry.product ?? entry.productId), entry]));
+
+        const lines = order.items.filter(item => item.fulfilledQty > 0 && !item.stockPosted);
+        for (const item of lines) {
+            const entry = reported.get(String(item.product)) || {};
+            const damagedQty = toCount(entry.damagedQty, 0);
+            const receivedQty = toCount(entry.receivedQty, item.fulfilledQty - damagedQty);
+            if (![receivedQty, damagedQty].every(qty => Number.isInteger(qty) && qty >= 0)) {
+                throw httpError('Received and damaged quantities must be whole numbers, 0 or more');
+            }
+            if (receivedQty + damagedQty > item.fulfilledQty) {
+                throw httpError(`Only ${item.fulfilledQty} of product ${item.product} were dispatched`);
+            }
+            item.receivedQty = receivedQty;
+            item.damagedQty = damagedQty;
+        }
+
+        const discrepancies = order.items
+            .filter(item => item.fulfilledQty > 0)
+            .map(item => ({
+                product: item.product,
+                dispatchedQty: item.fulfilledQty,
+                receivedQty: item.receivedQty,
+                damagedQty: item.damagedQty,
+                missingQty: item.fulfilledQty - item.receivedQty - item.damagedQty,
+                note: reported.get(String(item.product))?.note
+            }))
+            .filter(row => row.damagedQty > 0 || row.missingQty > 0);
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first, so of two confirmations racing only one posts stock
+            const claimed = await StockOrder.findOneAndUpdate(
+                { _id: order._id, status: 'in_transit' },
+                { $set: { status: 'received' } },
+                { session }
+            );
+            if (!claimed) throw httpError('This stock order has already been received');
+
+            for (const item of lines) {
+                const entry = reported.get(String(item.product)) || {};
+                if (item.receivedQty > 0) {
+                    const stocked = await RetailerInventory.exists({ retailer: retailer._id, product: item.product }).session(session);
+                    if (!stocked) {
+                        await inventoryService.addProductToInventory(retailer._id, {
+                            productId: item.product,
+                            costPrice: item.unitPrice
+                        }, userId, { session });
+                    }
+
+                    await inventoryService.updateStock({
+                        retailerId: retailer._id,
+                        productId: item.product,
+                        quantity: item.receivedQty,
+                        transactionType: 'STOCK_IN',
+                        reason: 'PURCHASE',
+                        referenceType: 'PURCHASE_ORDER',
+                        referenceId: order.orderNumber,
+                        batchNumber: entry.batchNumber,
+                        expiryDate: entry.expiryDate,
+                        unitCost: item.unitPrice,
+                        notes: `Stock order ${order.orderNumber} received`,
+                        userId,
+                        session
+                    });
+                }
+                item.stockPosted = true;
+            }
+            order.markModified('items');
+
+            order.status = 'received';
+            order.receivedAt = new Date();
+            order.receivedBy = userId;
+            order.discrepancies = discrepancies;
+            order.hasDiscrepancy = discrepancies.length > 0;
+            order.logs.push({
+                by: userId,
+                action: 'received',
+                note: discrepancies.length ? `${discrepancies.length} item(s) short or damaged` : 'received in full',
+                at: new Date()
+            });
+            await order.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+        await CacheService.invalidateInventoryCache(retailer._id);
+
+        notify(null, SUPERADMIN_ROOM, 'stock-order:received', { id: order._id, orderNumber: order.orderNumber });
+        if (discrepancies.length) {
+            notify(null, SUPERADMIN_ROOM, 'stock-order:discrepancy', {
+                id: order._id,
+                orderNumber: order.orderNumber,
+                discrepancies
+            });
+        }
+        return order;
+    }
+}
+
+export default new StockOrderService();
@@ -0,0 +1,274 @@
+// services/stockTake.service.js
+import mongoose from 'mongoose';
+import StockTake from '../models/stockTake.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import InventoryLog from '../models/inventoryLog.model.js';
+import Product from '../models/product.model.js';
+import CacheService from './cache.service.js';
+import inventoryBatchService from './inventoryBatch.service.js';
+import { httpError } from '../utils/httpError.js';
+
+// A retailer counts one stock take at a time
+const ACTIVE_STATUSES = ['open', 'submitted'];
+const COUNT_MODES = ['set', 'add'];
+// Saves of counts entered at the same moment by different people
+const SAVE_ATTEMPTS = 3;
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class StockTakeService {
+    generateStockTakeId() {
+        return 'STK' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    /**
+     * Start counting
+     */
+    async open(retailerId, { userId, notes }) {
+        const active = await StockTake.findOne({ retailer: retailerId, status: { $in: ACTIVE_STATUSES } }).select('stockTakeId');
+        if (active) throw httpError(`Stock take ${active.stockTakeId} is still in progress`, 409);
+
+        return StockTake.create({
+            stockTakeId: this.generateStockTakeId(),
+            retailer: retailerId,
+            notes,
+            openedBy: userId
+        });
+    }
+
+    /**
+     * Units and value (at cost) over and short, for the whole count
+     */
+    summarize(stockTake) {
+        const totals = { lines: stockTake.lines.length, surplus: 0, shortage: 0, surplusValue: 0, shortageValue: 0 };
+        for (const line of stockTake.lines) {
+            if (line.variance > 0) {
+                totals.surplus += line.variance;
+                totals.surplusValue += line.varianceValue;
+            } else {
+                totals.shortage -= line.variance;
+                totals.shortageValue -= line.varianceValue;
+            }
+        }
+        totals.surplusValue = round(totals.surplusValue);
+        totals.shortageValue = round(totals.shortageValue);
+        totals.netValue = round(totals.surplusValue - totals.shortageValue);
+        stockTake.totals = totals;
+    }
+
+    /**
+     * The retailer's stock item for a count entry, by product or scanned barcode
+     */
+    async resolveItem(retailerId, entry) {
+        let productId = entry.productId;
+        if (!productId && entry.barcode) {
+            const product = await Product.findByBarcode(String(entry.barcode).trim());
+            if (!product) throw httpError(`No product with barcode ${entry.barcode}`, 404);
+            productId = product._id;
+        }
+        if (!productId || !mongoose.Types.ObjectId.isValid(productId)) {
+            throw httpError('Each count needs a productId or a barcode');
+        }
+
+        const item = await RetailerInventory.findOne({ retailer: retailerId, product: productId });
+        if (!item) throw httpError(`Product ${entry.barcode || productId} is not in your inventory`, 404);
+        return item;
+    }
+
+    /**
+     * Enter counts. 'set' (the default when typing a quantity) replaces a product's
+     * count and takes its stock at this moment as expected; 'add' (the default when
+     * scanning, one unit a scan) adds to the count, negative to undo a scan.
+     * @param {Object} stockTake - StockTake document, open
+     * @param {Array<{ productId?: string, barcode?: string, quantity?: number, mode?: 'set'|'add' }>} entries
+     * @returns {Promise<Object>} the saved stock take
+     */
+    async recordCounts(stockTake, entries, userId) {
+        if (!Array.isArray(entries) || entries.length === 0) throw httpError('At least one count is required');
+
+        const counts = [];
+        for (const entry of entries) {
+            const mode = entry.mode || (entry.barcode ? 'add' : 'set');
+            if (!COUNT_MODES.includes(mode)) throw httpError(`Count mode must be one of: ${COUNT_MODES.join(', ')}`);
+
+            const quantity = entry.quantity === undefined && mode === 'add' ? 1 : Number(entry.quantity);
+            if (!Number.isInteger(quantity) || (mode === 'set' && quantity < 0)) {
+                throw httpError('Counted quantity must be a whole number, 0 or more');
+            }
+            counts.push({ item: await this.resolveItem(stockTake.retailer, entry), mode, quantity });
+        }
+
+        for (let attempt = 1; ; attempt++) {
+            if (stockTake.status !== 'open') {
+                throw httpError(`Stock take is ${stockTake.status}; counts can only be entered while it is open`);
+            }
+
+            for (const { item, mode, quantity } of counts) {
+                let line = stockTake.lines.find(row => String(row.inventoryItem) === String(item._id));
+                if (!line) {
+                    stockTake.lines.push({
+                        inventoryItem: item._id,
+                        product: item.product,
+                        productName: item.productName,
+                        counted: 0,
+                        expected: item.currentStock
+                    });
+                    line = stockTake.lines[stockTake.lines.length - 1];
+                }
+
+                if (mode === 'set') {
+                    line.counted = quantity;
+                    line.expected = item.currentStock;
+                } else {
+                    line.counted += quantity;
+                }
+                if (line.counted < 0) throw httpError(`Count for ${item.productName} cannot go below 0`);
+
+                line.unitCost = item.costPrice || 0;
+                line.variance = line.counted - line.expected;
+                line.varianceValue = round(line.variance * line.unitCost);
+                line.countedBy = userId;
+                line.countedAt = new Date();
+            }
+            this.summarize(stockTake);
+
+            try {
+                return await stockTake.save();
+            } catch (error) {
+                if (error.name !== 'VersionError' || attempt >= SAVE_ATTEMPTS) throw error;
+                stockTake = await StockTake.findById(stockTake._id);
+            }
+        }
+    }
+
+    /**
+     * Take a product off the count (counted by mistake)
+     */
+    async removeLine(stockTake, lineId) {
+        if (stockTake.status !== 'open') throw httpError(`Stock take is ${stockTake.status}`);
+        const line = stockTake.lines.id(lineId);
+        if (!line) throw httpError('Count line not found', 404);
+
+        stockTake.lines.pull(line._id);
+        this.summarize(stockTake);
+        return stockTake.save();
+    }
+
+    /**
+     * Counting done; the variances wait for approval
+     */
+    async submit(stockTake, userId) {
+        if (stockTake.status !== 'open') throw httpError(`Stock take is already ${stockTake.status}`);
+        if (stockTake.lines.length === 0) throw httpError('Nothing has been counted yet');
+
+        stockTake.status = 'submitted';
+        stockTake.submittedBy = userId;
+        stockTake.submittedAt = new Date();
+        return stockTake.save();
+    }
+
+    /**
+     * Variances not accepted: back to counting
+     */
+    async reopen(stockTake) {
+        if (stockTake.status !== 'submitted') throw httpError(`Only a submitted stock take can be reopened, this one is ${stockTake.status}`);
+        stockTake.status = 'open';
+        return stockTake.save();
+    }
+
+    async cancel(stockTake) {
+        if (!ACTIVE_STATUSES.includes(stockTake.status)) throw httpError(`Stock take is already ${stockTake.status}`);
+        stockTake.status = 'cancelled';
+        stockTake.cancelledAt = new Date();
+        return stockTake.save();
+    }
+
+    /**
+     * Approve the variances: every product's stock moves by its variance in one
+     * transaction, logged as STOCK_TAKE / PHYSICAL_COUNT under the stock take's id.
+     * The variance is applied to the stock as it is now, so sales made since the
+     * count are kept. Found stock comes in as a new batch, missing stock goes
+     * earliest expiry first (see inventoryBatchService.writeDown).
+     * @param {Object} stockTake - StockTake document, submitted
+     * @returns {Promise<Object>} the posted stock take
+     */
+    async post(stockTake, userId) {
+        if (stockTake.status !== 'submitted') {
+            throw httpError(stockTake.status === 'open'
+                ? 'Submit the stock take before posting it'
+                : `Stock take is already ${stockTake.status}`);
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            const logs = [];
+            for (const line of stockTake.lines) {
+                if (line.variance === 0) {
+                    line.adjustment = 0;
+                    continue;
+                }
+
+                const item = await RetailerInventory.findById(line.inventoryItem).session(session);
+                if (!item) throw httpError(`${line.productName || line.product} is no longer in your inventory`, 404);
+
+                const previousStock = item.currentStock;
+                const direction = Math.sign(line.variance);
+                const movements = direction > 0
+                    ? [inventoryBatchService.receive(item, { quantity: line.variance, unitCost: line.unitCost })]
+                    : inventoryBatchService.writeDown(item, -line.variance);
+
+                item.lastUpdated = new Date();
+                item.updatedBy = userId;
+                item.stockUpdateReason = `Stock take ${stockTake.stockTakeId}`;
+                await item.save({ session });
+                line.adjustment = item.currentStock - previousStock;
+
+                let runningStock = previousStock;
+                for (const movement of movements) {
+                    const logPrevious = runningStock;
+                    runningStock += direction * movement.quantity;
+                    logs.push({
+                        retailer: stockTake.retailer,
+                        product: line.product,
+                        inventoryItem: item._id,
+                        transactionType: 'STOCK_TAKE',
+                        quantity: movement.quantity,
+                        previousStock: logPrevious,
+                        newStock: runningStock,
+                        unitCost: line.unitCost,
+                        totalValue: round(line.unitCost * movement.quantity),
+                        referenceType: 'STOCK_ADJUSTMENT',
+                        referenceId: stockTake.stockTakeId,
+                        batchNumber: movement.batchNumber,
+                        expiryDate: movement.expiryDate,
+                        reason: 'PHYSICAL_COUNT',
+                        notes: `Stock take ${stockTake.stockTakeId}: counted ${line.counted}, expected ${line.expected}`,
+                        createdBy: userId
+                    });
+                }
+            }
+
+            if (logs.length) await InventoryLog.insertMany(logs, { session });
+
+            stockTake.status = 'posted';
+            stockTake.postedBy = userId;
+            stockTake.postedAt = new Date();
+            await stockTake.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            if (error.name === 'VersionError') throw httpError('Stock take was changed by someone else, reload it and try again', 409);
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await CacheService.invalidateInventoryCache(stockTake.retailer);
+        return stockTake;
+    }
+}
+
+export default new StockTakeService();
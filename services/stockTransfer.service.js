@@ -0,0 +1,384 @@
+// services/stockTransfer.service.js
+import mongoose from 'mongoose';
+import StockTransfer from '../models/stockTransfer.model.js';
+import StockTransaction from '../models/stockTransaction.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import InventoryLog from '../models/inventoryLog.model.js';
+import Admin from '../models/admin.model.js';
+import CacheService from './cache.service.js';
+import inventoryBatchService from './inventoryBatch.service.js';
+import notify from './notify.js';
+import { httpError } from '../utils/httpError.js';
+
+const SUPERADMIN_ROOM = process.env.SUPERADMIN_SOCKET_ROOM || 'superadmin:1';
+
+// Quantities sent with an approval or receipt, by product
+const quantitiesByProduct = (items = []) => new Map(
+    items.map(item => [String(item.productId), Number(item.quantity)])
+);
+
+const transferLog = (transfer, item, inventoryItem, userId) => ({
+    retailer: inventoryItem.retailer,
+    product: item.product,
+    inventoryItem: inventoryItem._id,
+    transactionType: 'STOCK_TRANSFER',
+    unitCost: item.unitCost || 0,
+    referenceType: 'STOCK_TRANSFER',
+    referenceId: transfer.transferId,
+    createdBy: userId
+});
+
+class StockTransferService {
+    generateTransferId() {
+        return 'TRF' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    /**
+     * Only the shop on the given side of the transfer may act
+     * @param {'fromRetailer'|'toRetailer'} side
+     */
+    assertParty(transfer, retailerId, side) {
+        if (String(transfer[side]) !== String(retailerId)) {
+            throw httpError(side === 'fromRetailer'
+                ? 'Only the supplying shop can do this'
+                : 'Only the requesting shop can do this', 403);
+        }
+    }
+
+    notifyParties(transfer, event, extra = {}) {
+        const payload = { transferId: transfer.transferId, status: transfer.status, ...extra };
+        notify(null, `retailer:${transfer.fromRetailer}`, event, payload);
+        notify(null, `retailer:${transfer.toRetailer}`, event, payload);
+    }
+
+    /**
+     * Ask another shop for stock
+     * @param {ObjectId} requesterId - Admin _id of the shop asking
+     * @param {{ supplierId: string, items: Array<{ productId: string, quantity: number }>, notes?: string, userId: ObjectId }} request
+     */
+    async request(requesterId, { supplierId, items, notes, userId }) {
+        if (!supplierId || !mongoose.Types.ObjectId.isValid(supplierId)) throw httpError('supplierId is required');
+        if (String(supplierId) === String(requesterId)) throw httpError('Cannot request stock from your own shop');
+        if (!Array.isArray(items) || items.length === 0) throw httpError('At least one item is required');
+
+        const supplier = await Admin.findOne({ _id: supplierId, isActive: true }).select('shopName');
+        if (!supplier) throw httpError('Supplying retailer not found', 404);
+
+        const wanted = new Map();
+        for (const item of items) {
+            const quantity = parseInt(item.quantity, 10);
+            if (!mongoose.Types.ObjectId.isValid(item.productId)) throw httpError('Each item needs a valid productId');
+            if (!quantity || quantity < 1) throw httpError('Quantity must be at least 1');
+            wanted.set(String(item.productId), (wanted.get(String(item.productId)) || 0) + quantity);
+        }
+
+        const stocked = await RetailerInventory.find({
+            retailer: supplier._id,
+            product: { $in: [...wanted.keys()] },
+            isActive: true
+        }).select('product productName');
+        const names = new Map(stocked.map(row => [String(row.product), row.productName]));
+
+        const transferItems = [...wanted].map(([productId, quantity]) => {
+            if (!names.has(productId)) throw httpError(`${supplier.shopName} does not stock product ${productId}`);
+            return { product: productId, productName: names.get(productId), requestedQty: quantity };
+        });
+
+        const transfer = await StockTransfer.create({
+            transferId: this.generateTransferId(),
+            fromRetailer: supplier._id,
+            toRetailer: requesterId,
+            items: transferItems,
+            notes,
+            requestedBy: userId
+        });
+
+        notify(null, `retailer:${supplier._id}`, 'transfer:requested', {
+            transferId: transfer.transferId,
+            items: transferItems.length
+        });
+        return transfer;
+    }
+
+    /**
+     * Supplier agrees, to all or less of what was asked
+     * @param {{ items?: Array<{ productId: string, quantity: number }>, retailerId: ObjectId, userId: ObjectId }} opts
+     */
+    async approve(transfer, { items, retailerId, userId }) {
+        this.assertParty(transfer, retailerId, 'fromRetailer');
+        if (transfer.status !== 'requested') throw httpError(`Transfer is already ${transfer.status}`);
+
+        const overrides = quantitiesByProduct(items);
+        for (const item of transfer.items) {
+            const override = overrides.get(String(item.product));
+            const quantity = override === undefined ? item.requestedQty : override;
+            if (!Number.isInteger(quantity) || quantity < 0) throw httpError('Approved quantity must be a whole number, 0 or more');
+            item.approvedQty = Math.min(quantity, item.requestedQty);
+        }
+        if (transfer.items.every(item => item.approvedQty === 0)) {
+            throw httpError('Nothing approved; reject the request instead');
+        }
+
+        transfer.status = 'approved';
+        transfer.approvedBy = userId;
+        transfer.approvedAt = new Date();
+        await transfer.save();
+
+        this.notifyParties(transfer, 'transfer:approved');
+        return transfer;
+    }
+
+    async reject(transfer, { reason, retailerId, userId }) {
+        this.assertParty(transfer, retailerId, 'fromRetailer');
+        if (!['requested', 'approved'].includes(transfer.status)) throw httpError(`Transfer is already ${transfer.status}`);
+
+        transfer.status = 'rejected';
+        transfer.rejectionReason = reason;
+        transfer.approvedBy = userId;
+        await transfer.save();
+
+        this.notifyParties(transfer, 'transfer:rejected', { reason });
+        return transfer;
+    }
+
+    /**
+     * Requester changed its mind before the stock left
+     */
+    async cancel(transfer, { retailerId }) {
+        this.assertParty(transfer, retailerId, 'toRetailer');
+        if (!['requested', 'approved'].includes(transfer.status)) throw httpError(`Transfer is already ${transfer.status}`);
+
+        // Conditional, so a dispatch that got there first is not overwritten
+        const cancellation = { status: 'cancelled', cancelledAt: new Date() };
+        const claimed = await StockTransfer.updateOne(
+            { _id: transfer._id, status: { $in: ['requested', 'approved'] } },
+            { $set: cancellation }
+        );
+        if (claimed.matchedCount === 0) throw httpError('Transfer has already been dispatched', 409);
+        transfer.set(cancellation);
+
+        this.notifyParties(transfer, 'transfer:cancelled');
+        return transfer;
+    }
+
+    /**
+     * Approved stock leaves the supplier, earliest expiry first (TRANSFER_OUT)
+     */
+    async dispatch(transfer, { retailerId, userId }) {
+        this.assertParty(transfer, retailerId, 'fromRetailer');
+        if (transfer.status !== 'approved') throw httpError(`Only an approved transfer can be dispatched, this one is ${transfer.status}`);
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first, so of two dispatches racing only one takes the stock
+            const claimed = await StockTransfer.updateOne(
+                { _id: transfer._id, status: 'approved' },
+                { $set: { status: 'in_transit' } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) throw httpError('Transfer has already been dispatched or cancelled', 409);
+
+            const logs = [];
+            for (const item of transfer.items) {
+                if (!item.approvedQty) {
+                    item.dispatchedQty = 0;
+                    continue;
+                }
+
+                const inventoryItem = await RetailerInventory.findOne({
+                    retailer: transfer.fromRetailer,
+                    product: item.product
+                }).session(session);
+                if (!inventoryItem) throw httpError(`${item.productName} is no longer in your inventory`, 404);
+
+                const available = inventoryBatchService.available(inventoryItem);
+                if (available < item.approvedQty) {
+                    throw httpError(`Insufficient stock for ${item.productName}: available ${available}, approved ${item.approvedQty}`);
+                }
+
+                const previousStock = inventoryItem.currentStock;
+                const batches = inventoryBatchService.take(inventoryItem, item.approvedQty);
+                inventoryItem.lastUpdated = new Date();
+                inventoryItem.updatedBy = userId;
+                await inventoryItem.save({ session });
+
+                item.dispatchedQty = item.approvedQty;
+                item.unitCost = inventoryItem.costPrice || 0;
+                item.batches = batches;
+
+                let runningStock = previousStock;
+                for (const batch of batches) {
+                    logs.push({
+                        ...transferLog(transfer, item, inventoryItem, userId),
+                        quantity: batch.quantity,
+                        previousStock: runningStock,
+                        newStock: runningStock - batch.quantity,
+                        totalValue: item.unitCost * batch.quantity,
+                        batchNumber: batch.batchNumber,
+                        expiryDate: batch.expiryDate,
+                        reason: 'TRANSFER_OUT',
+                        notes: `Transfer ${transfer.transferId} dispatched`
+                    });
+                    runningStock -= batch.quantity;
+                }
+            }
+
+            await InventoryLog.insertMany(logs, { session });
+
+            transfer.status = 'in_transit';
+            transfer.dispatchedBy = userId;
+            transfer.dispatchedAt = new Date();
+            await transfer.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await CacheService.invalidateInventoryCache(transfer.fromRetailer);
+        this.notifyParties(transfer, 'transfer:dispatched');
+        notify(null, SUPERADMIN_ROOM, 'transfer:in-transit', { transferId: transfer.transferId });
+        return transfer;
+    }
+
+    /**
+     * Requester confirms what arrived (all of it unless said otherwise). The stock
+     * joins its inventory in the dispatched batches (TRANSFER_IN) and each product's
+     * movement is recorded as a StockTransaction.
+     * @param {{ items?: Array<{ productId: string, quantity: number }>, note?: string, retailerId: ObjectId, userId: ObjectId }} opts
+     */
+    async receive(transfer, { items, note, retailerId, userId }) {
+        this.assertParty(transfer, retailerId, 'toRetailer');
+        if (transfer.status !== 'in_transit') throw httpError(`Only a transfer in transit can be received, this one is ${transfer.status}`);
+
+        const overrides = quantitiesByProduct(items);
+        for (const item of transfer.items) {
+            const override = overrides.get(String(item.product));
+            const quantity = override === undefined ? item.dispatchedQty : override;
+            if (!Number.isInteger(quantity) || quantity < 0 || quantity > item.dispatchedQty) {
+                throw httpError(`Received quantity for ${item.productName} must be between 0 and ${item.dispatchedQty}`);
+            }
+            item.receivedQty = quantity;
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            session.startTransaction();
+
+            // Claimed first, so of two receipts racing only one adds the stock
+            const claimed = await StockTransfer.updateOne(
+                { _id: transfer._id, status: 'in_transit' },
+                { $set: { status: 'received' } },
+                { session }
+            );
+            if (claimed.matchedCount === 0) throw httpError('Transfer has already been received', 409);
+
+            const logs = [];
+            for (const item of transfer.items) {
+                if (!item.receivedQty) continue;
+
+                let inventoryItem = await RetailerInventory.findOne({
+                    retailer: transfer.toRetailer,
+                    product: item.product
+                }).session(session);
+                if (!inventoryItem) {
+                    // First time this shop holds the product; prices as the supplier had them
+                    const source = await RetailerInventory.findOne({ retailer: transfer.fromRetailer, product: item.product })
+                        .select('sellingPrice')
+                        .session(session);
+                    inventoryItem = new RetailerInventory({
+                        retailer: transfer.toRetailer,
+                        product: item.product,
+                        productName: item.productName,
+                        sellingPrice: source?.sellingPrice || 0,
+                        costPrice: item.unitCost || 0,
+                        updatedBy: userId
+                    });
+                }
+
+                const previousStock = inventoryItem.currentStock || 0;
+                let remaining = item.receivedQty;
+                const received = [];
+                for (const batch of item.batches) {
+                    if (remaining <= 0) break;
+                    const quantity = Math.min(batch.quantity, remaining);
+                    const receipt = { quantity, batchNumber: batch.batchNumber, expiryDate: batch.expiryDate, unitCost: item.unitCost };
+                    try {
+                        received.push(inventoryBatchService.receive(inventoryItem, receipt));
+                    } catch (error) {
+                        // The shop already has a batch by that number with another expiry
+                        if (!error.statusCode) throw error;
+                        received.push(inventoryBatchService.receive(inventoryItem, { ...receipt, batchNumber: undefined }));
+                    }
+                    remaining -= quantity;
+                }
+
+                inventoryItem.isActive = true;
+                inventoryItem.lastRestocked = new Date();
+                inventoryItem.lastUpdated = new Date();
+                inventoryItem.updatedBy = userId;
+                await inventoryItem.save({ session });
+
+                let runningStock = previousStock;
+                for (const batch of received) {
+                    logs.push({
+                        ...transferLog(transfer, item, inventoryItem, userId),
+                        quantity: batch.quantity,
+                        previousStock: runningStock,
+                        newStock: runningStock + batch.quantity,
+                        totalValue: (item.unitCost || 0) * batch.quantity,
+                        batchNumber: batch.batchNumber,
+                        expiryDate: batch.expiryDate,
+                        reason: 'TRANSFER_IN',
+                        notes: `Transfer ${transfer.transferId} received`
+                    });
+                    runningStock += batch.quantity;
+                }
+
+                await StockTransaction.create([{
+                    product: item.product,
+                    from: 'retailer',
+                    fromRef: transfer.fromRetailer,
+                    to: 'retailer',
+                    toRef: transfer.toRetailer,
+                    qty: item.receivedQty,
+                    type: 'transfer',
+                    orderRef: transfer._id,
+                    orderRefModel: 'StockTransfer',
+                    traceId: `${transfer.transferId}:${item.product}`,
+                    note: item.receivedQty < item.dispatchedQty
+                        ? `Transfer ${transfer.transferId}: ${item.dispatchedQty} dispatched, ${item.receivedQty} received`
+                        : `Transfer ${transfer.transferId}`
+                }], { session });
+            }
+
+            if (logs.length) await InventoryLog.insertMany(logs, { session });
+
+            transfer.status = 'received';
+            transfer.receivedBy = userId;
+            transfer.receivedAt = new Date();
+            transfer.receiptNote = note;
+            await transfer.save({ session });
+
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+
+        await CacheService.invalidateInventoryCache(transfer.toRetailer);
+        const short = transfer.items.reduce((total, item) => total + item.dispatchedQty - item.receivedQty, 0);
+        this.notifyParties(transfer, 'transfer:received', { short });
+        notify(null, SUPERADMIN_ROOM, 'transfer:received', { transferId: transfer.transferId, short });
+        return transfer;
+    }
+}
+
+export default new StockTransferService();
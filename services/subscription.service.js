@@ -0,0 +1,261 @@
+// services/subscription.service.js
+import Subscription from '../models/subscription.model.js';
+import Order from '../models/order.model.js';
+import RetailerInventory from '../models/retailerInventory.model.js';
+import inventoryService from './inventory.service.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import promotionService from './promotion.service.js';
+import gstService from './gst.service.js';
+import khataService from './khata.service.js';
+import notify from './notify.js';
+import { generateOrderId } from '../utils/generateOrderId.js';
+import { startOfDay, dayRange, toDateKey } from '../utils/dateUtils.js';
+
+class SubscriptionService {
+    /**
+     * Whether a subscription has a delivery on the given day
+     * @param {Object} subscription - Subscription document
+     * @param {DateTime} day - luxon DateTime at start of an IST day
+     */
+    isDeliveryDue(subscription, day) {
+        if (subscription.status !== 'active') return false;
+
+        const start = startOfDay(subscription.startDate);
+        if (day < start) return false;
+        if (subscription.endDate && day > startOfDay(subscription.endDate)) return false;
+
+        const dayKey = toDateKey(day);
+        if ((subscription.skipDates || []).some(d => toDateKey(d) === dayKey)) return false;
+        if (this.isOnVacation(subscription.customer, day)) return false;
+
+        switch (subscription.frequency) {
+            case 'daily':
+                return true;
+            case 'alternate_days':
+                return Math.round(day.diff(start, 'days').days) % 2 === 0;
+            case 'weekdays':
+                return (subscription.daysOfWeek || []).includes(day.weekday);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Whether a customer (with `vacations` loaded) is away on the given day
+     * @param {Object} customer - Customer document
+     * @param {DateTime} day - luxon DateTime at start of an IST day
+     */
+    isOnVacation(customer, day) {
+        return (customer?.vacations || []).some(vacation =>
+            day >= startOfDay(vacation.startDate) && day <= startOfDay(vacation.endDate)
+        );
+    }
+
+    /**
+     * Generate and reserve the orders for every subscription due on a day.
+     * Safe to run more than once for the same day.
+     * @param {Date|string|DateTime} date - Delivery day (defaults to today, IST)
+     */
+    async generateOrdersForDate(date = new Date()) {
+        const day = startOfDay(date);
+        if (!day) throw new Error('Invalid delivery date');
+        const { start, end } = dayRange(day);
+
+        // Paused subscriptions come back on their resume day
+        await Subscription.updateMany(
+            { status: 'paused', resumeOn: { $ne: null, $lte: end } },
+            {
+                $set: { status: 'active', resumeOn: null, pausedAt: null },
+                $push: { logs: { action: 'auto_resumed', note: `Resumed on ${toDateKey(day)}`, at: new Date() } }
+            }
+        );
+
+        const subscriptions = await Subscription.find({
+            status: 'active',
+            startDate: { $lte: end },
+            $or: [{ endDate: null }, { endDate: { $gte: start } }]
+        })
+            .populate('customer', 'user personalInfo.fullName vacations')
+            .populate('product', 'name price unit isAvailable discount')
+            .populate('retailer', 'fullName shopName serviceRadius isActive gstin location');
+
+        const summary = { date: toDateKey(day), due: 0, created: 0, existing: 0, failed: 0, failures: [] };
+
+        for (const subscription of subscriptions) {
+            if (!this.isDeliveryDue(subscription, day)) continue;
+            summary.due++;
+
+            try {
+                const result = await this.createOrderForDay(subscription, day);
+                if (result.created) summary.created++;
+                else summary.existing++;
+            } catch (error) {
+                summary.failed++;
+                summary.failures.push({ subscriptionId: subscription.subscriptionId, message: error.message });
+                console.error(`❌ Subscription ${subscription.subscriptionId} order generation failed:`, error.message);
+
+                subscription.logs.push({ action: 'generation_failed', note: `${summary.date}: ${error.message}`, at: new Date() });
+                await subscription.save();
+
+                notify(null, `customer:${subscription.customer._id}`, 'subscription:order-failed', {
+                    subscriptionId: subscription.subscriptionId,
+                    date: summary.date,
+                    message: error.message
+                });
+            }
+        }
+
+        console.log('🥛 Subscription order generation summary:', summary);
+        return summary;
+    }
+
+    /**
+     * Create the order for one subscription and day and reserve its stock.
+     * Expects customer, product and retailer to be populated.
+     */
+    async createOrderForDay(subscription, day) {
+        const { start } = dayRange(day);
+
+        const existing = await Order.exists({ subscription: subscription._id, deliveryDate: start });
+        if (existing) return { created: false, orderId: existing._id };
+
+        const { product, retailer, customer } = subscription;
+        if (!product || !product.isAvailable) throw new Error('Product is not available');
+        if (!retailer || !retailer.isActive) throw new Error('Assigned retailer is inactive');
+
+        // Charge the retailer's selling price, like one-off orders do
+        const inventoryItem = await RetailerInventory.findOne({
+            retailer: retailer._id,
+            product: product._id,
+            isActive: true
+        });
+        const basePrice = inventoryItem?.sellingPrice || product.price;
+        const isPriceOverridden = basePrice !== product.price;
+        const price = promotionService.getUnitPrice(basePrice, product);
+        const totalAmount = price * subscription.quantity;
+
+        if (subscription.paymentMethod === 'khata') {
+            await khataService.assertCanCharge(retailer._id, customer._id, totalAmount);
+        }
+
+        const order = new Order({
+            orderId: generateOrderId(),
+            customer: customer._id,
+            items: [{
+                product: product._id,
+                quantity: subscription.quantity,
+                price,
+                originalPrice: product.price,
+                isPriceOverridden,
+                priceSource: isPriceOverridden ? 'retailer_inventory' : 'catalog',
+                unit: subscription.unit || product.unit
+            }],
+            totalAmount,
+            finalAmount: totalAmount,
+            deliveryAddress: subscription.deliveryAddress,
+            deliveryTime: subscription.deliveryTime,
+            deliveryDate: start,
+            paymentMethod: subscription.paymentMethod,
+            specialInstructions: subscription.specialInstructions,
+            assignedRetailer: retailer._id,
+            assignmentDetails: {
+                assignedAt: new Date(),
+                retailerName: retailer.fullName,
+                retailerShop: retailer.shopName,
+                serviceRadius: retailer.serviceRadius
+            },
+            subscription: subscription._id,
+            reservationStatus: 'not_reserved',
+            orderStatus: 'pending'
+        });
+        await gstService.applyToOrder(order, { retailer });
+
+        try {
+            await order.save();
+        } catch (error) {
+            // Another run created it between the check and the insert
+            if (error.code === 11000) return { created: false };
+            throw error;
+        }
+
+        try {
+            await inventoryService.reserveStockForOrder(
+                order._id,
+                retailer._id,
+                [{ productId: product._id, quantity: subscription.quantity }],
+                customer.user
+            );
+        } catch (reservationError) {
+            await Order.findByIdAndDelete(order._id);
+            throw new Error('Could not reserve stock. ' + reservationError.message);
+        }
+
+        order.reservationStatus = 'reserved';
+        order.reservationDate = new Date();
+        order.items[0].reservedQuantity = subscription.quantity;
+        order.items[0].isReserved = true;
+        await order.save();
+
+        subscription.lastGeneratedDate = start;
+        subscription.logs.push({ action: 'order_generated', note: order.orderId, at: new Date() });
+        await subscription.save();
+
+        notify(null, `customer:${customer._id}`, 'subscription:order-created', {
+            subscriptionId: subscription.subscriptionId,
+            orderId: order.orderId,
+            deliveryDate: toDateKey(day)
+        });
+        notify(null, `retailer:${retailer._id}`, 'order:new', {
+            orderId: order.orderId,
+            subscriptionId: subscription.subscriptionId,
+            deliveryDate: toDateKey(day)
+        });
+
+        return { created: true, order };
+    }
+
+    /**
+     * Cancel generated orders that have not been dispatched yet and release their stock
+     * @param {Object} subscription - Subscription document
+     * @param {{ from?: Date|string, to?: Date|string, reason?: string, userId: ObjectId }} opts
+     */
+    async cancelUpcomingOrders(subscription, { from = new Date(), to, reason = 'Subscription change', userId }) {
+        return this.cancelOrdersInWindow({ subscription: subscription._id }, { from, to, reason, userId });
+    }
+
+    /**
+     * Cancel a customer's undispatched orders (one-off and subscription) due in a date window
+     * @param {ObjectId} customerId - Customer _id
+     * @param {{ from: Date|string, to?: Date|string, reason?: string, userId: ObjectId }} opts
+     */
+    async cancelCustomerOrders(customerId, { from, to, reason = 'Customer unavailable', userId }) {
+        return this.cancelOrdersInWindow({ customer: customerId }, { from, to, reason, userId });
+    }
+
+    /**
+     * Cancel pending/confirmed orders matching `match` whose delivery day falls in [from, to]
+     */
+    async cancelOrdersInWindow(match, { from, to, reason, userId }) {
+        const filter = {
+            ...match,
+            orderStatus: { $in: ['pending', 'confirmed'] },
+            deliveryDate: { $gte: dayRange(from).start }
+        };
+        if (to) filter.deliveryDate.$lte = dayRange(to).end;
+
+        const orders = await Order.find(filter);
+        const cancelled = [];
+
+        for (const order of orders) {
+            await orderLifecycleService.transition(order, 'cancelled', {
+                actor: orderLifecycleService.systemActor(userId),
+                reason
+            });
+            cancelled.push(order.orderId);
+        }
+
+        return cancelled;
+    }
+}
+
+export default new SubscriptionService();
@@ -0,0 +1,300 @@
+// services/upiQr.service.js
+import crypto from 'crypto';
+import Payment from '../models/payment.model.js';
+import PaymentEvent from '../models/paymentEvent.model.js';
+import Order from '../models/order.model.js';
+import paymentService from './payment.service.js';
+import notify from './notify.js';
+import { generateQRCode } from '../utils/QrGen.utils.js';
+import { addTextToQR } from '../utils/Qrinfo.utils.js';
+import { httpError } from '../utils/httpError.js';
+import { productionConfig } from '../config/production.js';
+
+const GATEWAY = 'upi_qr';
+const SUPERADMIN_ROOM = process.env.SUPERADMIN_SOCKET_ROOM || 'superadmin:1';
+// addTextToQR lays the caption out under a 300px code
+const QR_WIDTH = 300;
+const PAID_STATUSES = ['success', 'partially_refunded', 'refunded'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// UPI apps expect percent-encoding but not of the @ in the UPI ID
+const encodeParam = (value) => encodeURIComponent(value).replace(/%40/g, '@');
+
+class UpiQrService {
+    /**
+     * A upi://pay intent as understood by UPI apps (NPCI linking spec)
+     * @param {{ vpa: string, payeeName: string, amount: number, reference: string, note?: string }} intent
+     * @returns {string}
+     */
+    buildIntent({ vpa, payeeName, amount, reference, note }) {
+        const params = {
+            pa: vpa,
+            pn: payeeName,
+            am: amount.toFixed(2),
+            cu: productionConfig.payments.currency,
+            tr: reference,
+            tn: note
+        };
+        return 'upi://pay?' + Object.entries(params)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `${key}=${encodeParam(value)}`)
+            .join('&');
+    }
+
+    /**
+     * What is still to be paid on an order, after payments already received
+     */
+    async amountDue(order) {
+        const paid = await Payment.aggregate([
+            { $match: { order: order._id, paymentStatus: { $in: PAID_STATUSES } } },
+            { $group: { _id: null, amount: { $sum: '$amount' } } }
+        ]);
+        return Math.max(round(order.finalAmount - (paid[0]?.amount || 0)), 0);
+    }
+
+    /**
+     * A QR code for the exact amount due on an order, paid to the retailer's UPI ID.
+     * Online orders can be paid this way at the doorstep, counter sales billed to UPI
+     * at the counter. A pending QR payment for the order is reused.
+     * @param {Object} order - Order document assigned to the retailer
+     * @param {Object} retailer - Admin document with shopName and upi
+     * @returns {Promise<{ payment: Object, amount: number, intent: string, qrCode: string }>} qrCode is a PNG data URL
+     */
+    async createQr(order, retailer) {
+        if (!retailer.upi?.vpa) throw httpError('Add your UPI ID before showing a UPI QR code');
+        if (order.orderStatus === 'cancelled') throw httpError('Order is cancelled');
+        if (['wallet', 'khata'].includes(order.paymentMethod)) {
+            throw httpError(`Order is paid by ${order.paymentMethod}, not at delivery`);
+        }
+        if (order.orderType === 'offline') {
+            if (order.paymentMethod !== 'upi') throw httpError(`Counter sale was billed to ${order.paymentMethod}, not UPI`);
+        } else if (order.paymentStatus === 'paid') {
+            throw httpError('Order is already paid');
+        }
+
+        const amount = await this.amountDue(order);
+        if (!(amount > 0)) throw httpError('Order is already paid');
+
+        const vpa = retailer.upi.vpa;
+        let payment = await Payment.findOne({ order: order._id, gateway: GATEWAY, paymentStatus: 'pending' });
+        if (!payment) {
+            const paymentId = paymentService.generatePaymentId();
+            payment = await Payment.create({
+                paymentId,
+                order: order._id,
+                customer: order.customer,
+                amount,
+                currency: productionConfig.payments.currency,
+                paymentMethod: 'upi',
+                paymentStatus: 'pending',
+                gateway: GATEWAY,
+                upiQr: { vpa, reference: paymentId }
+            });
+        } else if (payment.amount !== amount || payment.upiQr.vpa !== vpa) {
+            payment.amount = amount;
+            payment.upiQr.vpa = vpa;
+            await payment.save();
+        }
+
+        const intent = this.buildIntent({
+            vpa,
+            payeeName: retailer.upi.payeeName || retailer.shopName,
+            amount,
+            reference: payment.upiQr.reference,
+            note: `Order ${order.orderId}`
+        });
+
+        return {
+            payment,
+            amount,
+            intent,
+            qrCode: await generateQRCode(intent, { width: QR_WIDTH, margin: 2 })
+        };
+    }
+
+    /**
+     * The QR code as a PNG with the amount printed under it
+     * @returns {Promise<Buffer>}
+     */
+    async renderImage({ qrCode, amount }) {
+        return addTextToQR(qrCode, `Pay Rs ${amount.toFixed(2)}`);
+    }
+
+    /**
+     * Latest QR payment on an order still waiting for the money
+     */
+    async findPending(order) {
+        return Payment.findOne({ order: order._id, gateway: GATEWAY, paymentStatus: 'pending' })
+            .sort({ createdAt: -1 });
+    }
+
+    /**
+     * Money arrived on the retailer's UPI ID: the payment succeeds and the order is
+     * paid (see paymentService.markCaptured). Safe to repeat. A transfer for the
+     * wrong amount, or for an order something else paid first, is flagged for
+     * review rather than applied.
+     * @param {Object} payment - Payment document with gateway 'upi_qr'
+     * @param {{ utr?: string, amount?: number, confirmation: 'manual'|'webhook', userId?: ObjectId }} opts - amount in rupees, when the bank reports it
+     * @returns {Promise<{ outcome: 'applied'|'ignored'|'review', note?: string }>}
+     */
+    async confirm(payment, { utr, amount, confirmation, userId }) {
+        if (payment.gateway !== GATEWAY) throw httpError('Not a UPI QR payment');
+        if (PAID_STATUSES.includes(payment.paymentStatus)) {
+            return { outcome: 'ignored', note: `Payment already ${payment.paymentStatus}` };
+        }
+        const reference = utr ? String(utr).trim() : undefined;
+        if (amount != null && round(Number(amount)) !== payment.amount) {
+            return this.flagForReview(payment, {
+                reason: `Received ₹${amount}, expected ₹${payment.amount}`,
+                receivedAmount: round(Number(amount)),
+                utr: reference
+            });
+        }
+
+        payment.upiQr.utr = reference;
+        payment.upiQr.confirmation = confirmation;
+        payment.upiQr.confirmedBy = userId;
+        payment.upiQr.confirmedAt = new Date();
+        const result = await paymentService.markCaptured(payment);
+        if (result.outcome !== 'applied') return result;
+
+        const order = await Order.findById(payment.order);
+        if (!order) return { outcome: 'applied' };
+
+        // Counter sales are billed as paid; any other order already paid was paid twice
+        if (!result.order && order.orderType !== 'offline') {
+            return this.flagForReview(payment, {
+                reason: `Order ${order.orderId} was already paid, so this transfer needs refunding`,
+                receivedAmount: payment.amount,
+                utr: reference
+            }, order);
+        }
+
+        // Cash and QR payments still open on the order are now moot; a gateway
+        // payment in flight is left to its own capture or failure
+        await Payment.updateMany(
+            {
+                order: order._id,
+                _id: { $ne: payment._id },
+                paymentStatus: 'pending',
+                $or: [{ gateway: GATEWAY }, { paymentMethod: 'cash' }]
+            },
+            { $set: { paymentStatus: 'failed', failureReason: 'Paid by UPI QR' } }
+        );
+
+        // Cash on delivery paid by UPI instead; part-paid in cash stays cash for the day's closing
+        const cashTaken = await Payment.exists({ order: order._id, paymentMethod: 'cash', paymentStatus: { $in: PAID_STATUSES } });
+        if (order.paymentMethod !== 'upi' && !cashTaken) {
+            await Order.updateOne({ _id: order._id, paymentMethod: { $ne: 'upi' } }, { $set: { paymentMethod: 'upi' } });
+        }
+
+        notify(null, `retailer:${order.assignedRetailer}`, 'payment:upi-confirmed', {
+            orderId: order.orderId,
+            amount: payment.amount,
+            utr: payment.upiQr.utr,
+            confirmation
+        });
+        return { outcome: 'applied' };
+    }
+
+    /**
+     * Record why a transfer could not be applied and tell the retailer and the
+     * platform, so someone checks the bank statement
+     * @param {{ reason: string, receivedAmount: number, utr?: string }} review
+     * @returns {Promise<{ outcome: 'review', note: string }>}
+     */
+    async flagForReview(payment, review, order) {
+        const flagged = { ...review, flaggedAt: new Date() };
+        await Payment.updateOne({ _id: payment._id }, { $set: { 'upiQr.review': flagged } });
+        payment.upiQr.review = flagged;
+
+        const { orderId, assignedRetailer } = order || await Order.findById(payment.order).select('orderId assignedRetailer') || {};
+        const alert = { paymentId: payment.paymentId, orderId, ...review };
+        if (assignedRetailer) notify(null, `retailer:${assignedRetailer}`, 'payment:upi-review', alert);
+        notify(null, SUPERADMIN_ROOM, 'payment:upi-review', alert);
+
+        return { outcome: 'review', note: review.reason };
+    }
+
+    /**
+     * Payment callback from the bank behind the retailers' UPI IDs, signed with the
+     * shared secret. Each transfer is applied once.
+     * Body: { reference, status: 'success'|'failed', utr?, amount?, reason? } where
+     * reference is the tr of the intent and amount is in rupees
+     * @param {{ rawBody: string, signature: string }} webhook
+     * @returns {Promise<{ event: string, outcome: string, duplicate?: boolean }>}
+     */
+    async handleWebhook({ rawBody, signature }) {
+        const secret = productionConfig.payments.upiQr.webhookSecret;
+        if (!secret) throw httpError('UPI callback is not configured', 503);
+
+        const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+        if (typeof signature !== 'string' || signature.length !== expected.length
+            || !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature))) {
+            throw httpError('Invalid webhook signature');
+        }
+
+        let body;
+        try {
+            body = JSON.parse(rawBody);
+        } catch (error) {
+            throw httpError('Webhook body is not valid JSON');
+        }
+        if (!body.reference || !['success', 'failed'].includes(body.status)) {
+            throw httpError('Webhook needs a reference and a status of success or failed');
+        }
+
+        const event = `upi.${body.status}`;
+        let record;
+        try {
+            record = await PaymentEvent.create({
+                eventId: `${GATEWAY}:${body.utr || crypto.createHash('sha256').update(rawBody).digest('hex')}:${body.status}`,
+                gateway: GATEWAY,
+                event,
+                payload: body
+            });
+        } catch (error) {
+            if (error.code === 11000) return { event, outcome: 'ignored', duplicate: true };
+            throw error;
+        }
+
+        try {
+            const payment = await Payment.findOne({ gateway: GATEWAY, 'upiQr.reference': body.reference });
+            let result;
+            if (!payment) {
+                result = { outcome: 'unmatched', note: `No UPI QR payment for ${body.reference}` };
+            } else if (body.status === 'success') {
+                result = await this.confirm(payment, { utr: body.utr, amount: body.amount, confirmation: 'webhook' });
+            } else {
+                result = await this.markFailed(payment, body.reason);
+            }
+
+            record.payment = payment?._id;
+            record.outcome = result.outcome;
+            record.note = result.note;
+            await record.save();
+            return { event, outcome: result.outcome };
+        } catch (error) {
+            // Let the bank's retry handle it
+            await PaymentEvent.deleteOne({ _id: record._id });
+            throw error;
+        }
+    }
+
+    /**
+     * The payer's transfer failed. Only the QR payment fails; the order stays
+     * payable, by a new QR code or in cash.
+     */
+    async markFailed(payment, reason) {
+        if (payment.paymentStatus !== 'pending') {
+            return { outcome: 'ignored', note: `Payment already ${payment.paymentStatus}` };
+        }
+        payment.paymentStatus = 'failed';
+        payment.failureReason = reason || 'UPI transfer failed';
+        await payment.save();
+        return { outcome: 'applied' };
+    }
+}
+
+export default new UpiQrService();
@@ -0,0 +1,289 @@
+// services/wallet.service.js
+import mongoose from 'mongoose';
+import WalletTransaction from '../models/walletTransaction.model.js';
+import Customer from '../models/customer.model.js';
+import notify from './notify.js';
+import { getPaymentGateway } from '../lib/paymentGateway.js';
+import { httpError } from '../utils/httpError.js';
+import { productionConfig } from '../config/production.js';
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+class WalletService {
+    generateTransactionId() {
+        return 'WTX' + Date.now() + Math.floor(Math.random() * 1000);
+    }
+
+    async getBalance(customerId) {
+        const customer = await Customer.findById(customerId).select('walletBalance');
+        if (!customer) throw httpError('Customer not found', 404);
+        return customer.walletBalance || 0;
+    }
+
+    /**
+     * Write a ledger entry and move the balance. The entry is written first so a
+     * duplicate (e.g. the same refund credited twice) fails before any money moves;
+     * debits only apply while the balance covers them, so it never goes negative.
+     * @param {ObjectId} customerId
+     * @param {'credit'|'debit'} type
+     * @param {number} amount
+     * @param {Object} entry - category, description, reason, order, payment, refund, createdBy
+     * @param {ClientSession} [session] - join an ongoing transaction (e.g. order checkout)
+     * @returns {Promise<Object>} Completed WalletTransaction
+     */
+    async post(customerId, type, amount, entry, session) {
+        const value = round(amount);
+        if (!(value > 0)) throw httpError('Amount must be greater than 0');
+
+        const [transaction] = await WalletTransaction.create([{
+            transactionId: this.generateTransactionId(),
+            customer: customerId,
+            type,
+            amount: value,
+            status: 'pending',
+            ...entry
+        }], { session });
+
+        const filter = { _id: customerId };
+        if (type === 'debit') filter.walletBalance = { $gte: value };
+        const customer = await Customer.findOneAndUpdate(
+            filter,
+            { $inc: { walletBalance: type === 'debit' ? -value : value } },
+            { new: true, session }
+        ).select('walletBalance');
+
+        if (!customer) {
+            transaction.status = 'failed';
+            transaction.failureReason = type === 'debit' ? 'Insufficient wallet balance' : 'Customer not found';
+            await transaction.save({ session });
+            throw httpError(transaction.failureReason, type === 'debit' ? 400 : 404);
+        }
+
+        transaction.status = 'completed';
+        transaction.balanceAfter = customer.walletBalance;
+        transaction.completedAt = new Date();
+        await transaction.save({ session });
+
+        notify(null, `customer:${customerId}`, 'wallet:updated', {
+            transactionId: transaction.transactionId,
+            type,
+            category: transaction.category,
+            amount: value,
+            balance: customer.walletBalance
+        });
+        return transaction;
+    }
+
+    /**
+     * @param {{ category: 'top_up'|'refund'|'cashback'|'adjustment', session?: ClientSession }} opts - plus ledger fields
+     */
+    async credit(customerId, amount, { session, ...entry }) {
+        return this.post(customerId, 'credit', amount, entry, session);
+    }
+
+    /**
+     * @param {{ category: 'order_payment'|'adjustment', session?: ClientSession }} opts - plus ledger fields
+     */
+    async debit(customerId, amount, { session, ...entry }) {
+        return this.post(customerId, 'debit', amount, entry, session);
+    }
+
+    /**
+     * Manual correction by an admin: positive amounts credit, negative debit.
+     * Always needs a reason, which stays on the ledger entry for audit.
+     * @param {{ reason: string, actor: { user, role }, category?: 'adjustment'|'cashback' }} opts
+     */
+    async adjust(customerId, amount, { reason, actor, category = 'adjustment' }) {
+        if (!reason || !reason.trim()) throw httpError('A reason is required for wallet adjustments');
+        if (!['adjustment', 'cashback'].includes(category)) throw httpError('Category must be adjustment or cashback');
+        if (category === 'cashback' && amount < 0) throw httpError('Cashback must be a credit');
+
+        const entry = {
+            category,
+            reason: reason.trim(),
+            description: category === 'cashback' ? 'Cashback' : 'Balance adjustment',
+            createdBy: { user: actor?.user, role: actor?.role }
+        };
+        return amount < 0
+            ? this.debit(customerId, -amount, entry)
+            : this.credit(customerId, amount, entry);
+    }
+
+    /**
+     * Start a top-up: a gateway order plus a pending ledger entry that is credited
+     * once the payment is confirmed (checkout callback or webhook)
+     * @returns {Promise<{ transaction: Object, checkout: Object }>}
+     */
+    async startTopUp(customer, amount) {
+        const value = round(amount);
+        const { minTopUp, maxTopUp } = productionConfig.wallet;
+        if (!(value >= minTopUp && value <= maxTopUp)) {
+            throw httpError(`Top-up amount must be between ₹${minTopUp} and ₹${maxTopUp}`);
+        }
+
+        const gateway = getPaymentGateway();
+        const transactionId = this.generateTransactionId();
+        const gatewayOrder = await gateway.createOrder({
+            amount: Math.round(value * 100),
+            currency: productionConfig.payments.currency,
+            receipt: transactionId,
+            notes: { walletTopUp: transactionId }
+        });
+
+        const transaction = await WalletTransaction.create({
+            transactionId,
+            customer: customer._id,
+            type: 'credit',
+            category: 'top_up',
+            amount: value,
+            status: 'pending',
+            description: 'Wallet top-up',
+            gateway: gateway.name,
+            gatewayOrderId: gatewayOrder.id
+        });
+
+        return {
+            transaction,
+            checkout: {
+                gateway: gateway.name,
+                keyId: gateway.keyId,
+                orderId: gatewayOrder.id,
+                amount: gatewayOrder.amount,
+                currency: productionConfig.payments.currency,
+                receipt: transactionId
+            }
+        };
+    }
+
+    /**
+     * Checkout callback for a top-up
+     */
+    async verifyTopUp(customer, { orderId, paymentId, signature }) {
+        const pending = await WalletTransaction.findOne({ customer: customer._id, gatewayOrderId: orderId, category: 'top_up' });
+        if (!pending) throw httpError('Top-up not found', 404);
+
+        const gateway = getPaymentGateway(pending.gateway);
+        if (!gateway.verifyPaymentSignature({ orderId, paymentId, signature })) {
+            throw httpError('Payment verification failed');
+        }
+
+        await this.completeTopUp(orderId, { gatewayPaymentId: paymentId });
+        return WalletTransaction.findById(pending._id);
+    }
+
+    /**
+     * Credit a confirmed top-up. Claiming the pending entry is atomic, so the
+     * checkout callback and the webhook cannot both credit it.
+     * @param {string} gatewayOrderId
+     * @param {{ gatewayPaymentId?: string, amount?: number }} capture - amount in paise, when the gateway reports it
+     * @returns {Promise<{ outcome: 'applied'|'ignored'|'unmatched', note?: string }>}
+     */
+    async completeTopUp(gatewayOrderId, { gatewayPaymentId, amount } = {}) {
+        const pending = await WalletTransaction.findOne({ gatewayOrderId, category: 'top_up' });
+        if (!pending) return { outcome: 'unmatched', note: `No top-up for ${gatewayOrderId}` };
+        if (amount != null && amount !== Math.round(pending.amount * 100)) {
+            return { outcome: 'ignored', note: `Captured ${amount} paise, expected ${Math.round(pending.amount * 100)}` };
+        }
+
+        const session = await mongoose.startSession();
+        try {
+            let outcome = { outcome: 'ignored', note: 'Top-up already credited' };
+            await session.withTransaction(async () => {
+                const claimed = await WalletTransaction.findOneAndUpdate(
+                    { _id: pending._id, status: { $in: ['pending', 'failed'] } },
+                    { $set: { status: 'completed', gatewayPaymentId, completedAt: new Date() }, $unset: { failureReason: 1 } },
+                    { new: true, session }
+                );
+                if (!claimed) return;
+
+                const customer = await Customer.findByIdAndUpdate(
+                    claimed.customer,
+                    { $inc: { walletBalance: claimed.amount } },
+                    { new: true, session }
+                ).select('walletBalance');
+                claimed.balanceAfter = customer.walletBalance;
+                await claimed.save({ session });
+                outcome = { outcome: 'applied', balance: customer.walletBalance };
+            });
+
+            if (outcome.outcome === 'applied') {
+                notify(null, `customer:${pending.customer}`, 'wallet:updated', {
+                    transactionId: pending.transactionId,
+                    type: 'credit',
+                    category: 'top_up',
+                    amount: pending.amount,
+                    balance: outcome.balance
+                });
+            }
+            return { outcome: outcome.outcome, note: outcome.note };
+        } finally {
+            session.endSession();
+        }
+    }
+
+    /**
+     * payment.failed for a top-up; a top-up that was already credited stays credited
+     */
+    async failTopUp(gatewayOrderId, { gatewayPaymentId, reason } = {}) {
+        const result = await WalletTransaction.updateOne(
+            { gatewayOrderId, category: 'top_up', status: 'pending' },
+            { $set: { status: 'failed', gatewayPaymentId, failureReason: reason } }
+        );
+        if (result.matchedCount === 0) {
+            const exists = await WalletTransaction.exists({ gatewayOrderId, category: 'top_up' });
+            return exists
+                ? { outcome: 'ignored', note: 'Top-up is no longer pending' }
+                : { outcome: 'unmatched', note: `No top-up for ${gatewayOrderId}` };
+        }
+        return { outcome: 'applied' };
+    }
+
+    /**
+     * Ledger entries for a period with opening and closing balances
+     * @param {{ from?: Date, to?: Date, page?: number, limit?: number, includePending?: boolean }} opts
+     */
+    async getStatement(customerId, { from, to, page = 1, limit = 20, includePending = false } = {}) {
+        const filter = { customer: customerId };
+        filter.status = includePending ? { $in: ['completed', 'pending'] } : 'completed';
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const [transactions, total, balance, opening] = await Promise.all([
+            WalletTransaction.find(filter)
+                .select('-__v')
+                .populate('order', 'orderId')
+                .sort({ createdAt: -1 })
+                .limit(limit * 1)
+                .skip((page - 1) * limit),
+            WalletTransaction.countDocuments(filter),
+            this.getBalance(customerId),
+            from
+                ? WalletTransaction.findOne({ customer: customerId, status: 'completed', completedAt: { $lt: from } })
+                    .sort({ completedAt: -1 })
+                    .select('balanceAfter')
+                : null
+        ]);
+
+        const totals = await WalletTransaction.aggregate([
+            { $match: { ...filter, status: 'completed', customer: new mongoose.Types.ObjectId(String(customerId)) } },
+            { $group: { _id: '$type', amount: { $sum: '$amount' } } }
+        ]);
+        const sum = (type) => round(totals.find(row => row._id === type)?.amount || 0);
+
+        return {
+            balance,
+            openingBalance: from ? opening?.balanceAfter || 0 : null,
+            credits: sum('credit'),
+            debits: sum('debit'),
+            transactions,
+            totalPages: Math.ceil(total / limit),
+            currentPage: parseInt(page),
+            total
+        };
+    }
+}
+
+export default new WalletService();
@@ -0,0 +1,61 @@
+// test/controllers/customer.controller.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Customer from '../../models/customer.model.js';
+import subscriptionService from '../../services/subscription.service.js';
+import { addVacation } from '../../controllers/customer.controller.js';
+import { startOfDay, toDateKey } from '../../utils/dateUtils.js';
+import { query, mockSaves } from '../helpers/mongoose.js';
+import { mockRequest, mockResponse } from '../helpers/express.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+const inDays = (days) => toDateKey(startOfDay().plus({ days }));
+
+const customerDoc = () => new Customer({
+    user: user._id,
+    personalInfo: { fullName: 'Asha Rao', phone: '9876543210' }
+});
+
+describe('addVacation', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('pauses deliveries and cancels what was already scheduled inside the window', async () => {
+        const customer = customerDoc();
+        mock.method(Customer, 'findOne', () => query(customer));
+        mockSaves(Customer);
+        const cancel = mock.method(subscriptionService, 'cancelCustomerOrders', async () => ['ORD1']);
+        const res = mockResponse();
+
+        await addVacation(mockRequest({ user, body: { startDate: inDays(2), endDate: inDays(5), reason: 'Travel' } }), res);
+
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(res.body.cancelledOrders, ['ORD1']);
+        assert.equal(customer.vacations.length, 1);
+        const [customerId, window] = cancel.mock.calls[0].arguments;
+        assert.equal(customerId, customer._id);
+        assert.equal(toDateKey(window.from), inDays(2));
+        assert.equal(toDateKey(window.to), inDays(5));
+        assert.equal(window.reason, 'Customer on vacation');
+    });
+
+    it('refuses a vacation overlapping another one', async () => {
+        const customer = customerDoc();
+        customer.vacations.push({ startDate: startOfDay().plus({ days: 4 }).toJSDate(), endDate: startOfDay().plus({ days: 8 }).toJSDate() });
+        mock.method(Customer, 'findOne', () => query(customer));
+        const cancel = mock.method(subscriptionService, 'cancelCustomerOrders', async () => []);
+        const res = mockResponse();
+
+        await addVacation(mockRequest({ user, body: { startDate: inDays(2), endDate: inDays(5) } }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /^Overlaps an existing vacation/);
+        assert.equal(cancel.mock.callCount(), 0);
+    });
+
+    it('refuses a vacation in the past', async () => {
+        const res = mockResponse();
+        await addVacation(mockRequest({ user, body: { startDate: inDays(-2), endDate: inDays(1) } }), res);
+        assert.equal(res.statusCode, 400);
+    });
+});
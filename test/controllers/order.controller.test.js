@@ -0,0 +1,62 @@
+// test/controllers/order.controller.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Customer from '../../models/customer.model.js';
+import Order from '../../models/order.model.js';
+import Admin from '../../models/admin.model.js';
+import paymentService from '../../services/payment.service.js';
+import { createOrder } from '../../controllers/order.controller.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+import { mockRequest, mockResponse } from '../helpers/express.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+const customer = { _id: new mongoose.Types.ObjectId(), user: user._id };
+
+describe('createOrder with an idempotency key', () => {
+    let sessions;
+    let saved;
+    let walletPayments;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        saved = mockSaves(Order);
+        mock.method(Customer, 'findOne', () => query(customer));
+        mock.method(Order.prototype, 'populate', async function () {
+            return this;
+        });
+        walletPayments = mock.method(paymentService, 'payFromWallet', async () => ({}));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('returns the order a retried checkout already placed, without charging again', async () => {
+        const placed = new Order({
+            orderId: 'ORD1001',
+            customer: customer._id,
+            items: [],
+            totalAmount: 120,
+            finalAmount: 120,
+            paymentMethod: 'wallet',
+            paymentStatus: 'paid',
+            idempotencyKey: 'checkout-7f3a'
+        });
+        const lookup = mock.method(Order, 'findOne', () => query(placed));
+        const retailers = mock.method(Admin, 'find', () => query([]));
+        const res = mockResponse();
+
+        await createOrder(mockRequest({
+            user,
+            body: { items: [{ productId: new mongoose.Types.ObjectId(), quantity: 1 }], paymentMethod: 'wallet', idempotencyKey: 'checkout-7f3a' }
+        }), res);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.message, 'Order already placed');
+        assert.equal(res.body.order.orderId, 'ORD1001');
+        assert.deepEqual(lookup.mock.calls[0].arguments[0], { customer: customer._id, idempotencyKey: 'checkout-7f3a' });
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(retailers.mock.callCount(), 0);
+        assert.equal(saved.length, 0);
+        assert.equal(walletPayments.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,50 @@
+// test/controllers/subscription.controller.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Customer from '../../models/customer.model.js';
+import Subscription from '../../models/subscription.model.js';
+import { createSubscription, getSubscriptionById } from '../../controllers/subscription.controller.js';
+import { query } from '../helpers/mongoose.js';
+import { mockRequest, mockResponse } from '../helpers/express.js';
+
+const user = { _id: new mongoose.Types.ObjectId(), role: 'customer' };
+
+describe('subscription controller', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('answers a malformed subscription id with 400', async () => {
+        mock.method(Customer, 'findOne', () => query({ _id: new mongoose.Types.ObjectId() }));
+        const find = mock.method(Subscription, 'findOne', () => query(null));
+        const res = mockResponse();
+
+        await getSubscriptionById(mockRequest({ user, params: { id: 'not-an-id' } }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.message, 'Invalid subscription id');
+        assert.equal(find.mock.callCount(), 0);
+    });
+
+    it('finds a subscription by its SUB number', async () => {
+        mock.method(Customer, 'findOne', () => query({ _id: new mongoose.Types.ObjectId() }));
+        const find = mock.method(Subscription, 'findOne', () => query(null));
+        const res = mockResponse();
+
+        await getSubscriptionById(mockRequest({ user, params: { id: 'SUB123' } }), res);
+
+        assert.equal(find.mock.calls[0].arguments[0].subscriptionId, 'SUB123');
+        assert.equal(res.statusCode, 404);
+    });
+
+    it('answers an unknown payment method with 400', async () => {
+        const res = mockResponse();
+
+        await createSubscription(mockRequest({
+            user,
+            body: { productId: new mongoose.Types.ObjectId(), quantity: 1, paymentMethod: 'cheque' }
+        }), res);
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.message, /^Payment method must be one of: cash, card, upi, wallet, khata/);
+    });
+});
@@ -0,0 +1,41 @@
+// test/helpers/express.js
+// Request and response stand-ins for calling controllers directly.
+
+/**
+ * A response that records the status and JSON body a controller sends
+ */
+export const mockResponse = () => {
+    const res = {
+        statusCode: 200,
+        body: undefined,
+        headers: {},
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        send(body) {
+            this.body = body;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name.toLowerCase()] = value;
+            return this;
+        }
+    };
+    return res;
+};
+
+/**
+ * A request from a logged-in user
+ */
+export const mockRequest = ({ user, params = {}, query = {}, body = {} } = {}) => ({
+    user,
+    params,
+    query,
+    body,
+    app: { get: () => null }
+});
@@ -0,0 +1,76 @@
+// test/helpers/mongoose.js
+// Stand-ins for the database side of Mongoose, so services can be tested without
+// a MongoDB server: model statics are mocked to return query(...) and transactions
+// run on fakeSession().
+import mongoose from 'mongoose';
+import { mock } from 'node:test';
+
+/**
+ * A chainable Query look-alike that resolves to `result` (or what it returns, when
+ * a function). Query methods the services chain are accepted and recorded.
+ */
+export const query = (result) => {
+    const chain = {
+        calls: [],
+        then: (resolve, reject) => Promise.resolve()
+            .then(() => (typeof result === 'function' ? result() : result))
+            .then(resolve, reject)
+    };
+    for (const method of ['session', 'select', 'populate', 'sort', 'limit', 'skip', 'lean']) {
+        chain[method] = (...args) => {
+            chain.calls.push([method, ...args]);
+            return chain;
+        };
+    }
+    return chain;
+};
+
+/**
+ * A ClientSession look-alike that records whether the transaction was committed
+ */
+export const fakeSession = () => ({
+    committed: false,
+    aborted: false,
+    ended: false,
+    startTransaction() {},
+    async commitTransaction() {
+        this.committed = true;
+    },
+    async abortTransaction() {
+        this.aborted = true;
+    },
+    endSession() {
+        this.ended = true;
+    },
+    async withTransaction(fn) {
+        await fn(this);
+        this.committed = true;
+    }
+});
+
+/**
+ * Route mongoose.startSession to fake sessions; returns the sessions handed out
+ */
+export const mockSessions = () => {
+    const sessions = [];
+    mock.method(mongoose, 'startSession', async () => {
+        const session = fakeSession();
+        sessions.push(session);
+        return session;
+    });
+    return sessions;
+};
+
+/**
+ * Document saves succeed without a database; returns the saved documents
+ */
+export const mockSaves = (...models) => {
+    const saved = [];
+    for (const Model of models) {
+        mock.method(Model.prototype, 'save', async function () {
+            saved.push(this);
+            return this;
+        });
+    }
+    return saved;
+};
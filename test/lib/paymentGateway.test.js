@@ -0,0 +1,139 @@
+// test/lib/paymentGateway.test.js
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import axios from 'axios';
+import { productionConfig } from '../../config/production.js';
+import { getPaymentGateway, assertPaymentGatewayConfig } from '../../lib/paymentGateway.js';
+
+const { payments } = productionConfig;
+const original = { gateway: payments.gateway, razorpay: { ...payments.razorpay } };
+
+const sign = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+describe('paymentGateway', () => {
+    afterEach(() => {
+        payments.gateway = original.gateway;
+        Object.assign(payments.razorpay, original.razorpay);
+    });
+
+    it('uses Razorpay unless the mock is asked for', { skip: Boolean(process.env.PAYMENT_GATEWAY) }, () => {
+        assert.equal(original.gateway, 'razorpay');
+        assert.equal(getPaymentGateway().name, 'razorpay');
+    });
+
+    describe('mock gateway', () => {
+        const gateway = getPaymentGateway('mock');
+
+        it('creates orders and refunds without a network', async () => {
+            const order = await gateway.createOrder({ amount: 12500, currency: 'INR' });
+            assert.match(order.id, /^order_mock/);
+            assert.equal(order.amount, 12500);
+
+            const refund = await gateway.refund('pay_1', { amount: 500 });
+            assert.equal(refund.status, 'processed');
+        });
+
+        it('accepts its own checkout signature and rejects others', () => {
+            const signature = gateway.signPayment('order_1', 'pay_1');
+            assert.equal(gateway.verifyPaymentSignature({ orderId: 'order_1', paymentId: 'pay_1', signature }), true);
+            assert.equal(gateway.verifyPaymentSignature({ orderId: 'order_1', paymentId: 'pay_2', signature }), false);
+            assert.equal(gateway.verifyPaymentSignature({ orderId: 'order_1', paymentId: 'pay_1' }), false);
+        });
+
+        it('checks webhook bodies byte for byte', () => {
+            const body = JSON.stringify({ event: 'payment.captured' });
+            const signature = gateway.signWebhook(body);
+            assert.equal(gateway.verifyWebhookSignature(body, signature), true);
+            assert.equal(gateway.verifyWebhookSignature(body + ' ', signature), false);
+        });
+    });
+
+    describe('razorpay gateway', () => {
+        const gateway = getPaymentGateway('razorpay');
+
+        it('verifies signatures made with the configured secrets', () => {
+            Object.assign(payments.razorpay, { keySecret: 'key_secret', webhookSecret: 'hook_secret' });
+            assert.equal(gateway.verifyPaymentSignature({
+                orderId: 'order_1',
+                paymentId: 'pay_1',
+                signature: sign('key_secret', 'order_1|pay_1')
+            }), true);
+            assert.equal(gateway.verifyWebhookSignature('{}', sign('hook_secret', '{}')), true);
+        });
+
+        it('calls the Razorpay API with the key as basic auth', async () => {
+            const adapter = axios.defaults.adapter;
+            Object.assign(payments.razorpay, { keyId: 'rzp_test_1', keySecret: 'key_secret' });
+            let request;
+            axios.defaults.adapter = async (config) => {
+                request = config;
+                return { data: { id: 'order_1', amount: 12500, currency: 'INR' }, status: 200, statusText: 'OK', headers: {}, config };
+            };
+
+            try {
+                const order = await gateway.createOrder({ amount: 12500, currency: 'INR', receipt: 'ORD1001' });
+
+                assert.deepEqual(order, { id: 'order_1', amount: 12500, currency: 'INR' });
+                assert.equal(request.url, `${payments.razorpay.apiBase}/orders`);
+                assert.deepEqual(request.auth, { username: 'rzp_test_1', password: 'key_secret' });
+                assert.equal(JSON.parse(request.data).receipt, 'ORD1001');
+            } finally {
+                axios.defaults.adapter = adapter;
+            }
+        });
+
+        it("reports Razorpay's error description", async () => {
+            const adapter = axios.defaults.adapter;
+            axios.defaults.adapter = async (config) => {
+                throw new axios.AxiosError('Request failed with status code 400', 'ERR_BAD_REQUEST', config, null, {
+                    status: 400,
+                    data: { error: { description: 'The amount must be at least INR 1.00' } },
+                    headers: {},
+                    config
+                });
+            };
+
+            try {
+                await assert.rejects(
+                    gateway.refund('pay_1', { amount: 10 }),
+                    { message: 'Razorpay /payments/pay_1/refund failed (400): The amount must be at least INR 1.00' }
+                );
+            } finally {
+                axios.defaults.adapter = adapter;
+            }
+        });
+
+        it('rejects every signature when a secret is missing, without throwing', () => {
+            Object.assign(payments.razorpay, { keySecret: undefined, webhookSecret: undefined });
+            assert.equal(gateway.verifyWebhookSignature('{}', sign('anything', '{}')), false);
+            assert.equal(gateway.verifyPaymentSignature({ orderId: 'order_1', paymentId: 'pay_1', signature: 'x' }), false);
+        });
+    });
+
+    describe('assertPaymentGatewayConfig', () => {
+        it('lets development run on the mock gateway', () => {
+            payments.gateway = 'mock';
+            assert.doesNotThrow(() => assertPaymentGatewayConfig('development'));
+        });
+
+        it('refuses the mock gateway in production', () => {
+            payments.gateway = 'mock';
+            assert.throws(() => assertPaymentGatewayConfig('production'), /mock payment gateway cannot be used in production/);
+        });
+
+        it('refuses Razorpay in production without all of its secrets', () => {
+            payments.gateway = 'razorpay';
+            Object.assign(payments.razorpay, { keyId: 'rzp_live_1', keySecret: 'secret', webhookSecret: undefined });
+            assert.throws(() => assertPaymentGatewayConfig('production'), /RAZORPAY_WEBHOOK_SECRET missing/);
+
+            payments.razorpay.webhookSecret = 'hook_secret';
+            assert.doesNotThrow(() => assertPaymentGatewayConfig('production'));
+        });
+
+        it('refuses a gateway that does not exist', () => {
+            payments.gateway = 'paypal';
+            assert.throws(() => assertPaymentGatewayConfig('development'), /Unknown payment gateway/);
+        });
+    });
+});
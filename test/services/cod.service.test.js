@@ -0,0 +1,132 @@
+// test/services/cod.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import Payment from '../../models/payment.model.js';
+import CashClosing from '../../models/cashClosing.model.js';
+import codService from '../../services/cod.service.js';
+import invoiceService from '../../services/invoice.service.js';
+import { query, mockSaves } from '../helpers/mongoose.js';
+
+const retailerId = new mongoose.Types.ObjectId();
+
+const codOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    assignedRetailer: retailerId,
+    items: [],
+    totalAmount: 300,
+    finalAmount: 300,
+    paymentMethod: 'cash',
+    orderStatus: 'out_for_delivery',
+    ...fields
+});
+
+describe('codService.recordCollection', () => {
+    let invoiced;
+
+    beforeEach(() => {
+        mockSaves(Order);
+        invoiced = mock.method(invoiceService, 'issueSafely', async () => null);
+        mock.method(Payment, 'findOneAndUpdate', (filter, update) => query({ _id: new mongoose.Types.ObjectId(), ...update.$set }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('marks the order paid and invoices it once the cash covers it', async () => {
+        mock.method(Payment, 'aggregate', async () => []);
+        const order = codOrder();
+
+        const result = await codService.recordCollection(order, { amount: '320', userId: new mongoose.Types.ObjectId() });
+
+        assert.equal(order.paymentStatus, 'paid');
+        assert.equal(invoiced.mock.callCount(), 1);
+        assert.equal(result.due, 300);
+        assert.equal(result.excess, 20);
+        assert.equal(result.payment.cashCollection.expectedAmount, 300);
+    });
+
+    it('leaves the rest pending on a short collection', async () => {
+        mock.method(Payment, 'aggregate', async () => [{ _id: null, amount: 100 }]);
+        const order = codOrder({ orderStatus: 'delivered' });
+
+        const result = await codService.recordCollection(order, { amount: 150 });
+
+        assert.equal(order.paymentStatus, 'pending');
+        assert.equal(invoiced.mock.callCount(), 0);
+        assert.equal(result.due, 200);
+        assert.equal(result.short, 50);
+    });
+
+    it('only collects at delivery', async () => {
+        await assert.rejects(codService.recordCollection(codOrder({ orderStatus: 'confirmed' }), { amount: 300 }), /collected at delivery/);
+        await assert.rejects(codService.recordCollection(codOrder({ paymentMethod: 'upi' }), { amount: 300 }), /not cash on delivery/);
+    });
+});
+
+describe('codService.computeClosing', () => {
+    afterEach(() => mock.restoreAll());
+
+    it("totals the day's deliveries, late collections and counter sales for the retailer", async () => {
+        const paid = codOrder({ orderId: 'ORD1', finalAmount: 300 });
+        const short = codOrder({ orderId: 'ORD2', finalAmount: 200 });
+        const deliveries = mock.method(Order, 'find', () => query([paid, short]));
+        const payments = mock.method(Payment, 'aggregate', async (pipeline) => (
+            pipeline.some(stage => stage.$lookup)
+                ? [{ _id: null, amount: 580, lateCount: 1, lateAmount: 130 }]
+                : [{ _id: paid._id, amount: 310 }, { _id: short._id, amount: 140 }]
+        ));
+        mock.method(Order, 'aggregate', async () => [
+            { _id: 'cash', orders: 2, amount: 90 },
+            { _id: 'upi', orders: 1, amount: 60 }
+        ]);
+
+        const closing = await codService.computeClosing(retailerId, '2026-10-18');
+
+        assert.equal(deliveries.mock.calls[0].arguments[0].assignedRetailer.toString(), retailerId.toString());
+
+        // The retailer filter runs in the database, in the lookup on the payment's order
+        const [match, lookup] = payments.mock.calls[0].arguments[0];
+        assert.deepEqual(match.$match.paymentMethod, 'cash');
+        assert.equal(lookup.$lookup.from, Order.collection.name);
+        assert.equal(lookup.$lookup.pipeline[0].$match.assignedRetailer.toString(), retailerId.toString());
+
+        assert.deepEqual(
+            { ...closing.cod, pending: closing.cod.pending.map(row => row.orderId) },
+            { orders: 2, expected: 500, collected: 450, short: 60, excess: 10, pending: ['ORD2'] }
+        );
+        assert.deepEqual(closing.lateCollections, { count: 1, amount: 130 });
+        assert.equal(closing.counterSales.orders, 3);
+        assert.equal(closing.counterSales.amount, 150);
+        assert.equal(closing.expectedCash, 670);
+        assert.equal(closing.result, 'short');
+    });
+
+    it('balances a day without cash business', async () => {
+        mock.method(Order, 'find', () => query([]));
+        mock.method(Payment, 'aggregate', async () => []);
+        mock.method(Order, 'aggregate', async () => []);
+
+        const closing = await codService.computeClosing(retailerId, '2026-10-18');
+
+        assert.equal(closing.expectedCash, 0);
+        assert.deepEqual(closing.lateCollections, { count: 0, amount: 0 });
+        assert.equal(closing.result, 'balanced');
+    });
+});
+
+describe('codService.closeDay', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('freezes the figures with the variance against the expected cash', async () => {
+        const closing = new CashClosing({ retailer: retailerId, date: '2026-10-18', expectedCash: 670 });
+        mock.method(codService, 'getClosing', async () => closing);
+        mockSaves(CashClosing);
+
+        await codService.closeDay(retailerId, '2026-10-18', { declaredCash: '650', userId: new mongoose.Types.ObjectId() });
+
+        assert.equal(closing.status, 'closed');
+        assert.equal(closing.cashVariance, -20);
+    });
+});
@@ -0,0 +1,96 @@
+// test/services/creditNote.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import CreditNote from '../../models/creditNote.model.js';
+import Order from '../../models/order.model.js';
+import creditNoteService from '../../services/creditNote.service.js';
+import gstService from '../../services/gst.service.js';
+
+const invoicedOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    assignedRetailer: new mongoose.Types.ObjectId(),
+    orderStatus: 'cancelled',
+    items: [
+        { product: new mongoose.Types.ObjectId(), quantity: 4, price: 50, hsnCode: '0401', gstRate: 5, taxableValue: 190.48, taxAmount: 9.52, returnedQuantity: 1 },
+        { product: new mongoose.Types.ObjectId(), quantity: 1, price: 118, hsnCode: '1905', gstRate: 18, taxableValue: 100, taxAmount: 18 }
+    ],
+    totalAmount: 318,
+    finalAmount: 348,
+    deliveryFee: { amount: 30 },
+    invoice: { number: 'D9/26-27/00012', issuedAt: new Date('2026-10-01') },
+    tax: { supplyType: 'intra_state', sellerGstin: '27ABCDE1234F1Z5', placeOfSupply: 'Maharashtra' },
+    cancellationReason: 'Customer not home',
+    ...fields
+});
+
+describe('creditNoteService', () => {
+    let created;
+
+    beforeEach(() => {
+        mock.method(gstService, 'nextDocumentNumber', async () => ({
+            number: 'CN/26-27/00003',
+            financialYear: '2026-27',
+            issuedAt: new Date()
+        }));
+        created = mock.method(CreditNote, 'create', async (doc) => doc);
+        mock.method(CreditNote, 'findOne', async () => null);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('credits the units still billed on a cancelled order, and its delivery fee', async () => {
+        const order = invoicedOrder();
+
+        const note = await creditNoteService.issueForCancellation(order);
+
+        assert.equal(note.creditNoteNumber, 'CN/26-27/00003');
+        assert.equal(note.invoiceNumber, 'D9/26-27/00012');
+        assert.equal(note.notes, 'Customer not home');
+        assert.deepEqual(note.items.map(line => [line.hsnCode, line.quantity, line.amount]), [
+            ['0401', 3, 150],
+            ['1905', 1, 118],
+            ['996813', 1, 30]
+        ]);
+        assert.equal(note.totalAmount, 298);
+        assert.equal(note.tax.cgst + note.tax.sgst, note.tax.totalTax);
+        assert.equal(note.tax.igst, 0);
+    });
+
+    it('issues nothing for an order that was never invoiced', async () => {
+        const order = invoicedOrder({ invoice: undefined });
+
+        assert.equal(await creditNoteService.issueForCancellation(order), null);
+        assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('returns the credit note a concurrent request already issued', async () => {
+        const existing = { creditNoteNumber: 'CN/26-27/00002' };
+        let lookups = 0;
+        mock.method(CreditNote, 'findOne', async () => (lookups++ === 0 ? null : existing));
+        mock.method(CreditNote, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+
+        const note = await creditNoteService.issueForCancellation(invoicedOrder());
+
+        assert.equal(note, existing);
+    });
+
+    it('credits a return at the refunded unit price', async () => {
+        const order = invoicedOrder({ orderStatus: 'delivered' });
+        const returnRequest = {
+            _id: new mongoose.Types.ObjectId(),
+            returnId: 'RET1001',
+            items: [{ orderItem: order.items[1]._id, product: order.items[1].product, quantity: 1, unitPrice: 118 }]
+        };
+
+        const note = await creditNoteService.issueForReturn(returnRequest, order);
+
+        assert.equal(note.reason, 'return');
+        assert.equal(note.returnRequest, returnRequest._id);
+        assert.deepEqual(note.items.map(line => [line.gstRate, line.taxableValue, line.taxAmount]), [[18, 100, 18]]);
+        assert.equal(note.totalAmount, 118);
+    });
+});
@@ -0,0 +1,70 @@
+// test/services/deliveryFee.service.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import deliveryFeeService from '../../services/deliveryFee.service.js';
+import { productionConfig } from '../../config/production.js';
+
+const retailer = {
+    deliverySettings: {
+        minOrderAmount: 100,
+        freeDeliveryAbove: 500,
+        distanceBands: [
+            { upToKm: 5, fee: 20 },
+            { upToKm: 2, fee: 10 }
+        ]
+    }
+};
+
+describe('deliveryFeeService.getRules', () => {
+    it("uses the retailer's own bands, sorted by distance", () => {
+        const rules = deliveryFeeService.getRules(retailer);
+
+        assert.equal(rules.minOrderAmount, 100);
+        assert.deepEqual(rules.distanceBands.map(band => band.upToKm), [2, 5]);
+    });
+
+    it('falls back to the platform defaults', () => {
+        const rules = deliveryFeeService.getRules({ deliverySettings: { distanceBands: [] } });
+
+        assert.equal(rules.freeDeliveryAbove, productionConfig.delivery.freeDeliveryAbove);
+        assert.equal(rules.distanceBands.length, productionConfig.delivery.distanceBands.length);
+    });
+});
+
+describe('deliveryFeeService.quote', () => {
+    it('charges the band the distance falls in', () => {
+        assert.equal(deliveryFeeService.quote({ retailer, distance: 1.5, cartValue: 200 }).amount, 10);
+        assert.equal(deliveryFeeService.quote({ retailer, distance: 4, cartValue: 200 }).amount, 20);
+    });
+
+    it('charges the last band beyond the furthest one', () => {
+        assert.equal(deliveryFeeService.quote({ retailer, distance: 12, cartValue: 200 }).amount, 20);
+    });
+
+    it('waives the distance fee above the threshold but keeps the surge fee', () => {
+        const quote = deliveryFeeService.quote({ retailer, distance: 4, cartValue: 500, slot: { surgeFee: 25 } });
+
+        assert.equal(quote.freeDeliveryApplied, true);
+        assert.equal(quote.baseFee, 20);
+        assert.equal(quote.amount, 25);
+    });
+
+    it('says how much more is needed to reach the minimum order', () => {
+        const quote = deliveryFeeService.quote({ retailer, distance: 1, cartValue: 64.5 });
+
+        assert.equal(quote.meetsMinimum, false);
+        assert.equal(quote.shortBy, 35.5);
+    });
+
+    it('keeps only the stored fields for the order line', () => {
+        const quote = deliveryFeeService.quote({ retailer, distance: 4, cartValue: 200 });
+
+        assert.deepEqual(deliveryFeeService.toOrderLine(quote), {
+            amount: 20,
+            baseFee: 20,
+            surgeFee: 0,
+            distance: 4,
+            freeDeliveryApplied: false
+        });
+    });
+});
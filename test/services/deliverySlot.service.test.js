@@ -0,0 +1,140 @@
+// test/services/deliverySlot.service.test.js
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import DeliverySlot from '../../models/deliverySlot.model.js';
+import DeliverySlotBooking from '../../models/deliverySlotBooking.model.js';
+import deliverySlotService from '../../services/deliverySlot.service.js';
+import { startOfDay } from '../../utils/dateUtils.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const slot = { _id: new mongoose.Types.ObjectId(), label: 'Evening', capacity: 20 };
+const day = startOfDay('2026-03-10');
+
+describe('deliverySlotService', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('bookSlot', () => {
+        it('takes a place only while the slot is below capacity, inside the order transaction', async () => {
+            const session = fakeSession();
+            mock.method(DeliverySlotBooking, 'exists', () => query({ _id: 1 }));
+            const take = mock.method(DeliverySlotBooking, 'findOneAndUpdate', () => query({ booked: 20 }));
+
+            await deliverySlotService.bookSlot({ slot, day }, { session });
+
+            const [filter, update, options] = take.mock.calls[0].arguments;
+            assert.deepEqual(filter, { slot: slot._id, date: day.toJSDate(), booked: { $lt: 20 } });
+            assert.deepEqual(update, { $inc: { booked: 1 } });
+            assert.equal(options.session, session);
+        });
+
+        it('starts the counter from the orders already booked, in the same session', async () => {
+            const session = fakeSession();
+            mock.method(DeliverySlotBooking, 'exists', () => query(null));
+            mock.method(deliverySlotService, 'countBookings', async () => new Map([[String(slot._id), 7]]));
+            const seed = mock.method(DeliverySlotBooking, 'updateOne', () => query({}));
+            mock.method(DeliverySlotBooking, 'findOneAndUpdate', () => query({ booked: 8 }));
+
+            await deliverySlotService.bookSlot({ slot, day }, { session });
+
+            const [, update, options] = seed.mock.calls[0].arguments;
+            assert.deepEqual(update, { $setOnInsert: { booked: 7 } });
+            assert.equal(options.upsert, true);
+            assert.equal(options.session, session);
+        });
+
+        it('asks the customer to retry when another checkout started the counter first', async () => {
+            mock.method(DeliverySlotBooking, 'exists', () => query(null));
+            mock.method(deliverySlotService, 'countBookings', async () => new Map());
+            mock.method(DeliverySlotBooking, 'updateOne', () => query(() => Promise.reject(Object.assign(new Error('E11000'), { code: 11000 }))));
+
+            await assert.rejects(deliverySlotService.bookSlot({ slot, day }, { session: fakeSession() }), {
+                statusCode: 409,
+                message: /being booked by someone else/
+            });
+        });
+
+        it('refuses a full slot', async () => {
+            mock.method(DeliverySlotBooking, 'exists', () => query({ _id: 1 }));
+            mock.method(DeliverySlotBooking, 'findOneAndUpdate', () => query(null));
+
+            await assert.rejects(deliverySlotService.bookSlot({ slot, day }, { session: fakeSession() }), {
+                statusCode: 409,
+                message: 'Evening on 2026-03-10 is full'
+            });
+        });
+
+        it('asks the customer to retry when another checkout holds the counter', async () => {
+            const conflict = new mongoose.mongo.MongoServerError({ message: 'WriteConflict' });
+            conflict.addErrorLabel('TransientTransactionError');
+            mock.method(DeliverySlotBooking, 'exists', () => query({ _id: 1 }));
+            mock.method(DeliverySlotBooking, 'findOneAndUpdate', () => query(() => Promise.reject(conflict)));
+
+            await assert.rejects(deliverySlotService.bookSlot({ slot, day }, { session: fakeSession() }), {
+                statusCode: 409,
+                message: /being booked by someone else/
+            });
+        });
+    });
+
+    describe('getBookedCounts', () => {
+        it('reads the booking counters checkout takes places from', async () => {
+            const counted = mock.method(deliverySlotService, 'countBookings', async () => new Map());
+            mock.method(DeliverySlotBooking, 'find', () => query([{ slot: slot._id, booked: 20 }]));
+
+            const booked = await deliverySlotService.getBookedCounts([slot._id], day);
+
+            assert.equal(booked.get(String(slot._id)), 20);
+            assert.equal(counted.mock.callCount(), 0);
+        });
+
+        it('counts orders for slots whose counter has not started', async () => {
+            const other = new mongoose.Types.ObjectId();
+            mock.method(DeliverySlotBooking, 'find', () => query([{ slot: slot._id, booked: 3 }]));
+            const counted = mock.method(deliverySlotService, 'countBookings', async () => new Map([[String(other), 2]]));
+
+            const booked = await deliverySlotService.getBookedCounts([slot._id, other], day);
+
+            assert.deepEqual([...booked.entries()], [[String(slot._id), 3], [String(other), 2]]);
+            assert.deepEqual(counted.mock.calls[0].arguments[0], [other]);
+        });
+
+        it('makes checkout and availability agree that a slot is full', async () => {
+            const slotDoc = { ...slot, startTime: '18:00', endTime: '20:00', cutoffMinutes: 0, daysOfWeek: [] };
+            const later = startOfDay().plus({ days: 2 });
+            mock.method(DeliverySlot, 'findOne', () => query(slotDoc));
+            mock.method(DeliverySlot, 'find', () => query([slotDoc]));
+            mock.method(DeliverySlotBooking, 'find', () => query([{ slot: slot._id, booked: 20 }]));
+
+            const check = await deliverySlotService.checkSlotBooking(new mongoose.Types.ObjectId(), String(slot._id), later);
+            const [availability] = await deliverySlotService.getAvailability(new mongoose.Types.ObjectId(), later);
+
+            assert.equal(check.available, false);
+            assert.match(check.message, /is full$/);
+            assert.equal(availability.remaining, 0);
+            assert.equal(availability.available, false);
+        });
+    });
+
+    describe('releaseSlotSafely', () => {
+        it('gives the place back without going below zero', async () => {
+            const release = mock.method(DeliverySlotBooking, 'updateOne', () => query({}));
+            const date = day.toJSDate();
+
+            await deliverySlotService.releaseSlotSafely({ deliverySlot: { slot: slot._id, date } });
+
+            const [filter, update] = release.mock.calls[0].arguments;
+            assert.deepEqual(filter, { slot: slot._id, date, booked: { $gt: 0 } });
+            assert.deepEqual(update, { $inc: { booked: -1 } });
+        });
+
+        it('only logs a failure, since the cancellation already happened', async () => {
+            mock.method(DeliverySlotBooking, 'updateOne', () => query(() => Promise.reject(new Error('down'))));
+            const logged = mock.method(console, 'error', () => {});
+
+            await deliverySlotService.releaseSlotSafely({ orderId: 'ORD1', deliverySlot: { slot: slot._id, date: new Date() } });
+
+            assert.equal(logged.mock.callCount(), 1);
+        });
+    });
+});
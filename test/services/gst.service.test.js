@@ -0,0 +1,122 @@
+// test/services/gst.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Admin from '../../models/admin.model.js';
+import Product from '../../models/product.model.js';
+import Order from '../../models/order.model.js';
+import InvoiceCounter from '../../models/invoiceCounter.model.js';
+import gstService from '../../services/gst.service.js';
+import { getFinancialYear } from '../../utils/dateUtils.js';
+import { query } from '../helpers/mongoose.js';
+
+const milk = { _id: new mongoose.Types.ObjectId(), category: { hsnCode: '0401', gstRate: 5 } };
+const cake = { _id: new mongoose.Types.ObjectId(), hsnCode: '1905', gstRate: 18, category: { hsnCode: '1905', gstRate: 5 } };
+const retailer = { gstin: '27ABCDE1234F1Z5', location: { state: 'Maharashtra' } };
+
+const order = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    assignedRetailer: new mongoose.Types.ObjectId(),
+    items: [
+        { product: milk._id, quantity: 2, price: 50 },
+        { product: cake._id, quantity: 1, price: 100 }
+    ],
+    totalAmount: 200,
+    finalAmount: 190,
+    discount: 30,
+    deliveryFee: { amount: 20 },
+    deliveryAddress: { state: 'maharashtra ' },
+    ...fields
+});
+
+describe('gstService helpers', () => {
+    it("prefers the product's own HSN code and rate over its category's", () => {
+        assert.deepEqual(gstService.getTaxInfo(cake), { hsnCode: '1905', rate: 18 });
+        assert.deepEqual(gstService.getTaxInfo(milk), { hsnCode: '0401', rate: 5 });
+        assert.deepEqual(gstService.getTaxInfo({ gstRate: 0, category: { gstRate: 12 } }), { hsnCode: '', rate: 0 });
+    });
+
+    it('treats an unknown state as intra-state', () => {
+        assert.equal(gstService.getSupplyType('Maharashtra', ' maharashtra'), 'intra_state');
+        assert.equal(gstService.getSupplyType('Maharashtra', 'Karnataka'), 'inter_state');
+        assert.equal(gstService.getSupplyType('', 'Karnataka'), 'intra_state');
+    });
+
+    it('backs the tax out of an inclusive amount', () => {
+        assert.deepEqual(gstService.splitInclusive(118, 18), { taxableValue: 100, tax: 18 });
+    });
+});
+
+describe('gstService.applyToOrder', () => {
+    beforeEach(() => {
+        mock.method(Product, 'find', () => query([milk, cake]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('spreads the discount over the lines and taxes the delivery fee as a service', async () => {
+        const found = mock.method(Admin, 'findById', () => query(retailer));
+        const placed = order();
+
+        const tax = await gstService.applyToOrder(placed);
+
+        assert.equal(found.mock.callCount(), 1);
+        // ₹15 of the ₹30 discount falls on each line, as they are worth ₹100 each
+        assert.deepEqual(placed.items.map(item => [item.hsnCode, item.gstRate, item.taxableValue, item.taxAmount]), [
+            ['0401', 5, 80.95, 4.05],
+            ['1905', 18, 72.03, 12.97]
+        ]);
+        assert.deepEqual(tax.summary.map(row => [row.hsnCode, row.rate, row.taxableValue]), [
+            ['0401', 5, 80.95],
+            ['1905', 18, 72.03],
+            ['996813', 18, 16.95]
+        ]);
+        assert.equal(tax.supplyType, 'intra_state');
+        assert.equal(tax.sellerGstin, retailer.gstin);
+        assert.equal(tax.taxableValue, 169.93);
+        assert.equal(tax.totalTax, 20.07);
+        assert.equal(tax.igst, 0);
+        assert.equal(tax.cgst + tax.sgst, tax.totalTax);
+    });
+
+    it('charges IGST when delivering to another state', async () => {
+        const placed = order({ discount: 0, deliveryFee: { amount: 0 }, deliveryAddress: { state: 'Karnataka' } });
+
+        const tax = await gstService.applyToOrder(placed, { retailer });
+
+        assert.equal(tax.supplyType, 'inter_state');
+        assert.equal(tax.placeOfSupply, 'Karnataka');
+        assert.equal(tax.cgst, 0);
+        assert.equal(tax.igst, tax.totalTax);
+        assert.equal(tax.summary.length, 2);
+    });
+});
+
+describe('gstService invoice numbers', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('numbers documents per retailer, series and financial year', async () => {
+        const counter = mock.method(InvoiceCounter, 'findOneAndUpdate', async () => ({ sequence: 7 }));
+        const retailerId = new mongoose.Types.ObjectId();
+
+        const document = await gstService.nextDocumentNumber(retailerId, 'credit_note', 'CN');
+
+        const financialYear = getFinancialYear(new Date());
+        assert.deepEqual(counter.mock.calls[0].arguments[0], { retailer: retailerId, financialYear, series: 'credit_note' });
+        assert.equal(document.number, `CN/${financialYear.slice(2)}/00007`);
+        assert.ok(document.number.length <= 16);
+    });
+
+    it('keeps the number another request gave the order first', async () => {
+        mock.method(Admin, 'findById', () => query({ invoicePrefix: 'AB' }));
+        mock.method(InvoiceCounter, 'findOneAndUpdate', async () => ({ sequence: 8 }));
+        mock.method(Order, 'updateOne', async () => ({ matchedCount: 0, modifiedCount: 0 }));
+        mock.method(Order, 'findById', () => query({ invoice: { number: 'AB/26-27/00005' } }));
+        const placed = order();
+
+        const invoice = await gstService.assignInvoiceNumber(placed);
+
+        assert.equal(invoice.number, 'AB/26-27/00005');
+        assert.equal(placed.invoice.number, 'AB/26-27/00005');
+    });
+});
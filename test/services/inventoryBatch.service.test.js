@@ -0,0 +1,150 @@
+// test/services/inventoryBatch.service.test.js
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import inventoryBatchService from '../../services/inventoryBatch.service.js';
+
+const NOW = new Date('2026-03-10T06:00:00Z');
+
+const stockItem = (fields = {}) => new RetailerInventory({
+    retailer: new mongoose.Types.ObjectId(),
+    product: new mongoose.Types.ObjectId(),
+    productName: 'Toned Milk 500ml',
+    sellingPrice: 30,
+    costPrice: 25,
+    ...fields
+});
+
+// Milk in three batches: A expires first, C never
+const stockedItem = () => {
+    const item = stockItem();
+    inventoryBatchService.receive(item, { quantity: 5, batchNumber: 'B', expiryDate: '2026-03-14', receivedAt: NOW });
+    inventoryBatchService.receive(item, { quantity: 5, batchNumber: 'A', expiryDate: '2026-03-12', receivedAt: NOW });
+    inventoryBatchService.receive(item, { quantity: 5, batchNumber: 'C', receivedAt: NOW });
+    return item;
+};
+
+const batch = (item, batchNumber) => item.batches.find(row => row.batchNumber === batchNumber);
+
+describe('inventoryBatchService', () => {
+    describe('receive', () => {
+        it('adds a batch and keeps the stock total in step', () => {
+            const item = stockedItem();
+            assert.equal(item.currentStock, 15);
+            assert.equal(item.batches.length, 3);
+        });
+
+        it('adds to a batch received again with the same expiry', () => {
+            const item = stockedItem();
+            inventoryBatchService.receive(item, { quantity: 2, batchNumber: 'A', expiryDate: '2026-03-12' });
+            assert.equal(batch(item, 'A').quantity, 7);
+            assert.equal(item.currentStock, 17);
+        });
+
+        it('refuses a known batch number with another expiry', () => {
+            const item = stockedItem();
+            assert.throws(
+                () => inventoryBatchService.receive(item, { quantity: 1, batchNumber: 'A', expiryDate: '2026-04-01' }),
+                { statusCode: 400, message: /already in stock with expiry 2026-03-12/ }
+            );
+        });
+
+        it('keeps stock from before batches were tracked as UNBATCHED', () => {
+            const item = stockItem({ currentStock: 4 });
+            inventoryBatchService.receive(item, { quantity: 1, batchNumber: 'A', expiryDate: '2026-03-12' });
+            assert.equal(batch(item, 'UNBATCHED').quantity, 4);
+            assert.equal(item.currentStock, 5);
+        });
+    });
+
+    describe('commit', () => {
+        it('reserves the earliest expiry first', () => {
+            const item = stockedItem();
+            const reserved = inventoryBatchService.commit(item, 7, NOW);
+            assert.deepEqual(reserved.map(row => [row.batchNumber, row.quantity]), [['A', 5], ['B', 2]]);
+            assert.equal(item.committedStock, 7);
+            assert.equal(inventoryBatchService.available(item, NOW), 8);
+        });
+
+        it('does not reserve expired stock', () => {
+            const item = stockedItem();
+            const later = new Date('2026-03-13T06:00:00Z');
+            assert.equal(inventoryBatchService.available(item, later), 10);
+            const reserved = inventoryBatchService.commit(item, 6, later);
+            assert.deepEqual(reserved.map(row => [row.batchNumber, row.quantity]), [['B', 5], ['C', 1]]);
+        });
+
+        it('fails when unexpired stock is short', () => {
+            const item = stockedItem();
+            assert.throws(() => inventoryBatchService.commit(item, 16, NOW), { statusCode: 400, message: /short by 1/ });
+            assert.equal(item.committedStock, 0);
+        });
+    });
+
+    describe('release and fulfil', () => {
+        it('releases the batches the order reserved', () => {
+            const item = stockedItem();
+            const reserved = inventoryBatchService.commit(item, 7, NOW);
+            const released = inventoryBatchService.release(item, 2, [{ batchNumber: 'B', quantity: 2 }]);
+            assert.deepEqual(released.map(row => [row.batchNumber, row.quantity]), [['B', 2]]);
+            assert.equal(batch(item, 'A').committed, reserved[0].quantity);
+            assert.equal(item.committedStock, 5);
+        });
+
+        it('sells from the reserved batches and drops emptied ones', () => {
+            const item = stockedItem();
+            const reserved = inventoryBatchService.commit(item, 7, NOW);
+            const { released, sold } = inventoryBatchService.fulfil(item, 7, reserved, NOW);
+
+            assert.deepEqual(released.map(row => [row.batchNumber, row.quantity]), [['A', 5], ['B', 2]]);
+            assert.deepEqual(sold.map(row => [row.batchNumber, row.quantity]), [['A', 5], ['B', 2]]);
+            assert.equal(batch(item, 'A'), undefined);
+            assert.equal(item.currentStock, 8);
+            assert.equal(item.committedStock, 0);
+        });
+    });
+
+    describe('take', () => {
+        it('takes from a named batch', () => {
+            const item = stockedItem();
+            const taken = inventoryBatchService.take(item, 3, { batchNumber: 'C', now: NOW });
+            assert.deepEqual(taken.map(row => [row.batchNumber, row.quantity]), [['C', 3]]);
+            assert.equal(batch(item, 'A').quantity, 5);
+        });
+
+        it('leaves reserved stock alone', () => {
+            const item = stockedItem();
+            inventoryBatchService.commit(item, 12, NOW);
+            assert.throws(() => inventoryBatchService.take(item, 4, { now: NOW }), { message: /short by 1/ });
+        });
+
+        it('writes off expired stock only when asked to', () => {
+            const item = stockedItem();
+            const later = new Date('2026-03-13T06:00:00Z');
+            assert.throws(() => inventoryBatchService.take(item, 2, { batchNumber: 'A', now: later }), { message: /batch A/ });
+            const taken = inventoryBatchService.take(item, 2, { batchNumber: 'A', includeExpired: true, now: later });
+            assert.deepEqual(taken.map(row => row.quantity), [2]);
+        });
+    });
+
+    describe('writeDown', () => {
+        it('takes free stock first, then shrinks reservations, and never fails', () => {
+            const item = stockedItem();
+            inventoryBatchService.commit(item, 12, NOW);
+            const taken = inventoryBatchService.writeDown(item, 20, NOW);
+
+            assert.equal(taken.reduce((total, row) => total + row.quantity, 0), 15);
+            assert.equal(item.currentStock, 0);
+            assert.equal(item.committedStock, 0);
+        });
+
+        it('keeps reservations covered by what is left', () => {
+            const item = stockedItem();
+            inventoryBatchService.commit(item, 5, NOW);
+            inventoryBatchService.writeDown(item, 4, NOW);
+            assert.equal(item.currentStock, 11);
+            assert.equal(item.committedStock, 5);
+        });
+    });
+});
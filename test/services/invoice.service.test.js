@@ -0,0 +1,83 @@
+// test/services/invoice.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Invoice from '../../models/invoice.model.js';
+import Order from '../../models/order.model.js';
+import invoiceService from '../../services/invoice.service.js';
+import gstService from '../../services/gst.service.js';
+
+const order = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    assignedRetailer: new mongoose.Types.ObjectId(),
+    orderStatus: 'delivered',
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 1, price: 60 }],
+    totalAmount: 60,
+    finalAmount: 60,
+    invoice: { number: 'D9/26-27/00001', financialYear: '2026-27', sequence: 1, issuedAt: new Date() },
+    ...fields
+});
+
+describe('invoiceService.isInvoiceable', () => {
+    it('invoices delivered or paid orders that are not cancelled', () => {
+        assert.equal(invoiceService.isInvoiceable({ orderStatus: 'delivered', paymentStatus: 'pending' }), true);
+        assert.equal(invoiceService.isInvoiceable({ orderStatus: 'confirmed', paymentStatus: 'paid' }), true);
+        assert.equal(invoiceService.isInvoiceable({ orderStatus: 'confirmed', paymentStatus: 'pending' }), false);
+        assert.equal(invoiceService.isInvoiceable({ orderStatus: 'cancelled', paymentStatus: 'paid' }), false);
+    });
+});
+
+describe('invoiceService.issue', () => {
+    let created;
+    let stored;
+
+    beforeEach(() => {
+        mock.method(Invoice, 'findOne', async () => null);
+        mock.method(gstService, 'prepareInvoice', async (o) => o);
+        mock.method(invoiceService, 'buildSnapshot', async (o, trigger) => ({ invoiceNumber: o.invoice.number, orderId: o.orderId, trigger }));
+        created = mock.method(Invoice, 'create', async (snapshot) => ({ _id: new mongoose.Types.ObjectId(), ...snapshot }));
+        mock.method(Order, 'updateOne', async () => ({ matchedCount: 1 }));
+        stored = mock.method(invoiceService, 'storeFile', async () => Buffer.from(''));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('snapshots the invoice, links it to the order and stores the file', async () => {
+        const delivered = order();
+
+        const invoice = await invoiceService.issue(delivered, 'delivery');
+
+        assert.equal(invoice.trigger, 'delivery');
+        assert.equal(delivered.invoice.document, invoice._id);
+        assert.equal(stored.mock.calls[0].arguments[0], invoice);
+    });
+
+    it('returns the invoice already issued', async () => {
+        const existing = { invoiceNumber: 'D9/26-27/00001' };
+        mock.method(Invoice, 'findOne', async () => existing);
+
+        assert.equal(await invoiceService.issue(order(), 'on_request'), existing);
+        assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('does not invoice an order that was cancelled after payment', async () => {
+        const errors = mock.method(console, 'error', () => {});
+        const cancelled = order({ orderStatus: 'cancelled', paymentStatus: 'paid' });
+
+        await assert.rejects(invoiceService.issue(cancelled, 'payment'), /cannot be invoiced/);
+        assert.equal(await invoiceService.issueSafely(cancelled, 'payment'), null);
+        assert.equal(created.mock.callCount(), 0);
+        assert.equal(errors.mock.callCount(), 1);
+    });
+
+    it('keeps the invoice when storing the file fails', async () => {
+        mock.method(invoiceService, 'storeFile', async () => {
+            throw new Error('bucket unavailable');
+        });
+        mock.method(console, 'error', () => {});
+
+        const invoice = await invoiceService.issue(order(), 'delivery');
+
+        assert.equal(invoice.invoiceNumber, 'D9/26-27/00001');
+    });
+});
@@ -0,0 +1,186 @@
+// test/services/khata.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import KhataAccount from '../../models/khataAccount.model.js';
+import KhataEntry from '../../models/khataEntry.model.js';
+import KhataBill from '../../models/khataBill.model.js';
+import Order from '../../models/order.model.js';
+import khataService from '../../services/khata.service.js';
+import gstService from '../../services/gst.service.js';
+import { query, mockSaves } from '../helpers/mongoose.js';
+
+const khata = (fields = {}) => new KhataAccount({
+    retailer: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    creditLimit: 1000,
+    outstanding: 0,
+    ...fields
+});
+
+const entry = (type, amount, fields = {}) => new KhataEntry({
+    account: new mongoose.Types.ObjectId(),
+    retailer: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    type,
+    amount,
+    description: type,
+    entryDate: new Date('2026-09-10T06:00:00Z'),
+    ...fields
+});
+
+describe('khataService.assertCanCharge', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('allows orders up to the credit still available', async () => {
+        mock.method(KhataAccount, 'findOne', async () => khata({ outstanding: 700 }));
+
+        await khataService.assertCanCharge('r1', 'c1', 300);
+        await assert.rejects(khataService.assertCanCharge('r1', 'c1', 300.01), /credit available \(₹300\)/);
+    });
+
+    it('refuses suspended, closed and overdue khatas', async () => {
+        mock.method(KhataAccount, 'findOne', async () => khata({ status: 'suspended' }));
+        await assert.rejects(khataService.assertCanCharge('r1', 'c1', 10), /suspended/);
+
+        mock.method(KhataAccount, 'findOne', async () => null);
+        await assert.rejects(khataService.assertCanCharge('r1', 'c1', 10), /not enabled/);
+
+        mock.method(KhataAccount, 'findOne', async () => khata({ isOverdue: true }));
+        await assert.rejects(khataService.assertCanCharge('r1', 'c1', 10), /overdue/);
+    });
+});
+
+describe('khataService ledger', () => {
+    let account;
+    let posted;
+
+    beforeEach(() => {
+        account = khata({ outstanding: 400 });
+        posted = [];
+        mock.method(KhataEntry, 'create', async (doc) => {
+            const created = new KhataEntry(doc);
+            posted.push(created);
+            return created;
+        });
+        mockSaves(KhataEntry, KhataBill);
+        mock.method(KhataAccount, 'findByIdAndUpdate', (id, update) => query({ outstanding: account.outstanding + update.$inc.outstanding }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('charges a delivered khata order to the account', async () => {
+        mock.method(KhataAccount, 'findOne', async () => account);
+        const order = new Order({ orderId: 'ORD1001', customer: account.customer, assignedRetailer: account.retailer, paymentMethod: 'khata', items: [], totalAmount: 250, finalAmount: 250 });
+
+        const charge = await khataService.accrueOrder(order);
+
+        assert.equal(charge.type, 'charge');
+        assert.equal(charge.amount, 250);
+        assert.equal(charge.balanceAfter, 650);
+        assert.equal(account.outstanding, 650);
+    });
+
+    it('charges an order only once', async () => {
+        mock.method(KhataAccount, 'findOne', async () => account);
+        mock.method(KhataEntry, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+        });
+        const order = new Order({ orderId: 'ORD1001', customer: account.customer, assignedRetailer: account.retailer, paymentMethod: 'khata', items: [], totalAmount: 250, finalAmount: 250 });
+
+        assert.equal(await khataService.accrueOrder(order), null);
+        assert.equal(account.outstanding, 400);
+    });
+
+    it('settles the open bill and clears the overdue flag when it is paid in full', async () => {
+        account.isOverdue = true;
+        const bill = new KhataBill({
+            billNumber: 'KB/26-27/00001',
+            account: account._id,
+            retailer: account.retailer,
+            customer: account.customer,
+            period: '2026-09',
+            periodStart: new Date('2026-08-31T18:30:00Z'),
+            periodEnd: new Date('2026-09-30T18:29:59Z'),
+            amountDue: 400,
+            amountPaid: 100,
+            dueDate: new Date('2026-10-10T18:29:59Z'),
+            status: 'overdue'
+        });
+        mock.method(KhataBill, 'findOne', () => query(bill));
+        mock.method(KhataEntry, 'distinct', async () => ['order-1']);
+        const paid = mock.method(Order, 'updateMany', async () => ({}));
+        const cleared = mock.method(KhataAccount, 'updateOne', async () => ({}));
+
+        const result = await khataService.recordPayment(account, { amount: '300', method: 'upi' });
+
+        assert.equal(result.entry.amount, -300);
+        assert.equal(bill.status, 'paid');
+        assert.equal(bill.amountPaid, 400);
+        assert.deepEqual(paid.mock.calls[0].arguments[0], { _id: { $in: ['order-1'] }, paymentStatus: 'pending' });
+        assert.deepEqual(cleared.mock.calls[0].arguments[1], { $set: { isOverdue: false }, $unset: { overdueSince: 1 } });
+        assert.equal(account.isOverdue, false);
+    });
+
+    it('leaves a part-paid bill open', async () => {
+        const bill = new KhataBill({ amountDue: 400, amountPaid: 0, status: 'unpaid', periodEnd: new Date() });
+        mock.method(KhataBill, 'findOne', () => query(bill));
+        const paid = mock.method(Order, 'updateMany', async () => ({}));
+
+        await khataService.recordPayment(account, { amount: 150 });
+
+        assert.equal(bill.status, 'partially_paid');
+        assert.equal(bill.amountPaid, 150);
+        assert.equal(paid.mock.callCount(), 0);
+    });
+});
+
+describe('khataService.generateBill', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('carries the opening balance forward and sums the month by entry type', async () => {
+        const account = khata({ dueDays: 7 });
+        mock.method(KhataBill, 'findOne', async () => null);
+        mock.method(KhataEntry, 'aggregate', async () => [{ _id: null, amount: 120 }]);
+        mock.method(KhataEntry, 'find', () => query([
+            entry('charge', 300),
+            entry('payment', -200),
+            entry('adjustment', -20)
+        ]));
+        mock.method(gstService, 'nextDocumentNumber', async () => ({ number: 'KB/26-27/00004' }));
+        const created = mock.method(KhataBill, 'create', async (doc) => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+        const carried = mock.method(KhataBill, 'updateMany', async () => ({}));
+        mock.method(KhataAccount, 'updateOne', async () => ({}));
+
+        const bill = await khataService.generateBill(account, '2026-09');
+
+        assert.equal(created.mock.callCount(), 1);
+        assert.equal(bill.openingBalance, 120);
+        assert.equal(bill.charges, 300);
+        assert.equal(bill.payments, 200);
+        assert.equal(bill.adjustments, -20);
+        assert.equal(bill.closingBalance, 200);
+        assert.equal(bill.amountDue, 200);
+        assert.equal(bill.status, 'unpaid');
+        assert.equal(bill.lines.length, 3);
+        // Due seven days after the end of September, in IST
+        assert.equal(bill.dueDate.toISOString(), '2026-10-07T18:29:59.999Z');
+        assert.deepEqual(carried.mock.calls[0].arguments[1], { $set: { status: 'carried_forward' } });
+    });
+
+    it('refuses a month that is not over yet', async () => {
+        const nextMonth = khataService.previousPeriod(new Date(Date.now() + 62 * 24 * 60 * 60 * 1000));
+
+        await assert.rejects(khataService.generateBill(khata(), nextMonth), /once the month is over/);
+    });
+
+    it('bills nothing for a quiet month with nothing owed', async () => {
+        mock.method(KhataBill, 'findOne', async () => null);
+        mock.method(KhataEntry, 'aggregate', async () => []);
+        mock.method(KhataEntry, 'find', () => query([]));
+        const created = mock.method(KhataBill, 'create', async () => ({}));
+
+        assert.equal(await khataService.generateBill(khata(), '2026-09'), null);
+        assert.equal(created.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,157 @@
+// test/services/orderEdit.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import Product from '../../models/product.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import orderEditService from '../../services/orderEdit.service.js';
+import inventoryService from '../../services/inventory.service.js';
+import promotionService from '../../services/promotion.service.js';
+import gstService from '../../services/gst.service.js';
+import CacheService from '../../services/cache.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const retailerId = new mongoose.Types.ObjectId();
+const retailer = { role: 'retailer', user: new mongoose.Types.ObjectId(), retailer: retailerId };
+const milk = { _id: new mongoose.Types.ObjectId(), name: 'Milk', price: 30, unit: 'packet', isAvailable: true };
+const bread = { _id: new mongoose.Types.ObjectId(), name: 'Bread', price: 40, unit: 'piece', isAvailable: true };
+
+const confirmedOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    assignedRetailer: retailerId,
+    orderStatus: 'confirmed',
+    reservationStatus: 'reserved',
+    items: [{ product: milk._id, quantity: 2, price: 30 }],
+    totalAmount: 60,
+    finalAmount: 60,
+    ...fields
+});
+
+describe('orderEditService.normalizeItems', () => {
+    it('merges duplicate lines and drops zero quantities', () => {
+        const wanted = orderEditService.normalizeItems([
+            { productId: 'a', quantity: 1 },
+            { productId: 'a', quantity: 2 },
+            { productId: 'b', quantity: 0 }
+        ]);
+
+        assert.deepEqual([...wanted], [['a', 3]]);
+    });
+
+    it('rejects an edit that would leave the order empty', () => {
+        assert.throws(
+            () => orderEditService.normalizeItems([{ productId: 'a', quantity: 0 }]),
+            /Cancel the order instead/
+        );
+    });
+});
+
+describe('orderEditService.updateItems', () => {
+    let sessions;
+    let claim;
+    let stockCheck;
+    let adjust;
+    let saved;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        saved = mockSaves(Order);
+        claim = mock.method(Order, 'updateOne', () => query({ matchedCount: 1 }));
+        mock.method(Product, 'find', () => query([milk, bread]));
+        mock.method(RetailerInventory, 'find', () => query([]));
+        stockCheck = mock.method(inventoryService, 'checkStockAvailability', async () => ({ allAvailable: true, items: [] }));
+        adjust = mock.method(inventoryService, 'adjustOrderReservation', async () => ({ changes: [{ delta: 1 }] }));
+        mock.method(promotionService, 'evaluate', async ({ lines }) => {
+            const total = lines.reduce((sum, line) => sum + line.price * line.quantity, 0);
+            return { discount: 0, applied: [], total };
+        });
+        mock.method(gstService, 'applyToOrder', async () => {});
+        mock.method(CacheService, 'invalidateInventoryCache', async () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('re-balances the reservation by the difference, in the transaction that writes the order', async () => {
+        const order = confirmedOrder();
+
+        const result = await orderEditService.updateItems(order, [
+            { productId: milk._id, quantity: 1 },
+            { productId: bread._id, quantity: 2 }
+        ], { actor: retailer });
+
+        // Only the new bread needs free stock; one milk goes back
+        assert.deepEqual(stockCheck.mock.calls[0].arguments[1], [{ productId: String(bread._id), quantity: 2 }]);
+
+        const [filter, , options] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, {
+            _id: order._id,
+            orderStatus: { $in: ['pending', 'confirmed'] },
+            paymentStatus: { $ne: 'paid' }
+        });
+        assert.equal(options.session, sessions[0]);
+
+        const [, , items, , adjustOptions] = adjust.mock.calls[0].arguments;
+        assert.deepEqual(items.map(item => item.quantity), [1, 2]);
+        assert.equal(adjustOptions.session, sessions[0]);
+        assert.equal(saved[0], order);
+        assert.equal(sessions[0].committed, true);
+
+        assert.equal(order.totalAmount, 110);
+        assert.equal(order.finalAmount, 110);
+        assert.ok(order.items.every(item => item.isReserved));
+        assert.deepEqual(
+            result.changes.map(change => [change.productName, change.fromQuantity, change.toQuantity]),
+            [['Milk', 2, 1], ['Bread', 0, 2]]
+        );
+        assert.equal(CacheService.invalidateInventoryCache.mock.callCount(), 1);
+    });
+
+    it('leaves the reservation alone for an order that holds no stock', async () => {
+        const order = confirmedOrder({ orderStatus: 'pending', reservationStatus: 'not_reserved' });
+
+        await orderEditService.updateItems(order, [{ productId: milk._id, quantity: 3 }], { actor: retailer });
+
+        assert.equal(adjust.mock.callCount(), 0);
+        assert.equal(order.items[0].reservedQuantity, 0);
+        assert.equal(order.totalAmount, 90);
+    });
+
+    it('touches no stock when the order was dispatched meanwhile', async () => {
+        mock.method(Order, 'updateOne', () => query({ matchedCount: 0 }));
+        const order = confirmedOrder();
+
+        await assert.rejects(
+            orderEditService.updateItems(order, [{ productId: milk._id, quantity: 3 }], { actor: retailer }),
+            error => error.statusCode === 409
+        );
+        assert.equal(adjust.mock.callCount(), 0);
+        assert.equal(saved.length, 0);
+        assert.equal(sessions[0].aborted, true);
+    });
+
+    it('rolls the order back when the stock cannot be re-balanced', async () => {
+        mock.method(inventoryService, 'adjustOrderReservation', async () => {
+            throw new Error('Insufficient stock');
+        });
+        const order = confirmedOrder();
+
+        await assert.rejects(
+            orderEditService.updateItems(order, [{ productId: milk._id, quantity: 5 }], { actor: retailer }),
+            /Could not update reserved stock: Insufficient stock/
+        );
+        assert.equal(saved.length, 0);
+        assert.equal(sessions[0].aborted, true);
+    });
+
+    it('refuses orders that are being prepared', async () => {
+        const order = confirmedOrder({ orderStatus: 'preparing' });
+
+        await assert.rejects(
+            orderEditService.updateItems(order, [{ productId: milk._id, quantity: 3 }], { actor: retailer }),
+            /cannot be edited once it is preparing/
+        );
+        assert.equal(sessions.length, 0);
+    });
+});
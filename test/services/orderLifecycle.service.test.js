@@ -0,0 +1,146 @@
+// test/services/orderLifecycle.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import orderLifecycleService from '../../services/orderLifecycle.service.js';
+import inventoryService from '../../services/inventory.service.js';
+import deliverySlotService from '../../services/deliverySlot.service.js';
+import invoiceService from '../../services/invoice.service.js';
+import khataService from '../../services/khata.service.js';
+import refundService from '../../services/refund.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const retailerId = new mongoose.Types.ObjectId();
+const customerId = new mongoose.Types.ObjectId();
+const retailer = { role: 'retailer', user: new mongoose.Types.ObjectId(), retailer: retailerId };
+const customer = { role: 'customer', user: new mongoose.Types.ObjectId(), customer: customerId };
+
+const placedOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: customerId,
+    assignedRetailer: retailerId,
+    items: [{ product: new mongoose.Types.ObjectId(), quantity: 2, price: 30 }],
+    totalAmount: 60,
+    finalAmount: 60,
+    ...fields
+});
+
+describe('orderLifecycleService.transition', () => {
+    let released;
+    let sessions;
+    let claim;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        claim = mock.method(Order, 'updateOne', () => query({ matchedCount: 1 }));
+        mockSaves(Order);
+        released = mock.method(deliverySlotService, 'releaseSlotSafely', async () => {});
+        mock.method(inventoryService, 'reserveStockForOrder', async () => ({ reserved: true }));
+        mock.method(inventoryService, 'cancelOrderReservation', async () => ({ released: true }));
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('reserves stock when the retailer confirms, in the transaction that claims the status', async () => {
+        const order = placedOrder();
+        const reserve = mock.method(inventoryService, 'reserveStockForOrder', async () => ({ reserved: true }));
+
+        const result = await orderLifecycleService.transition(order, 'confirmed', { actor: retailer });
+
+        const [filter, update, options] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: order._id, orderStatus: 'pending' });
+        assert.deepEqual(update, { $set: { orderStatus: 'confirmed' } });
+        assert.equal(options.session, sessions[0]);
+        assert.equal(reserve.mock.calls[0].arguments[4].session, sessions[0]);
+        assert.equal(sessions[0].committed, true);
+
+        assert.deepEqual(result.inventory, { reserved: true });
+        assert.equal(order.reservationStatus, 'reserved');
+        assert.equal(order.statusHistory.at(-1).from, 'pending');
+        assert.equal(released.mock.callCount(), 0);
+    });
+
+    it('releases the stock and the delivery slot when cancelled', async () => {
+        const order = placedOrder({ orderStatus: 'confirmed', reservationStatus: 'reserved' });
+
+        await orderLifecycleService.transition(order, 'cancelled', { actor: customer, reason: 'Ordered twice' });
+
+        assert.equal(order.reservationStatus, 'released');
+        assert.equal(order.cancellationReason, 'Ordered twice');
+        assert.equal(released.mock.calls[0].arguments[0], order);
+    });
+
+    it('refunds a paid order when it is cancelled', async () => {
+        const refund = { refundId: 'RFD1', amount: 60, destination: 'wallet' };
+        const refunded = mock.method(refundService, 'issueForCancellation', async () => [refund]);
+        const order = placedOrder({ orderStatus: 'confirmed', reservationStatus: 'reserved', paymentMethod: 'wallet', paymentStatus: 'paid' });
+
+        const result = await orderLifecycleService.transition(order, 'cancelled', { actor: customer });
+
+        assert.equal(refunded.mock.calls[0].arguments[0], order);
+        assert.equal(refunded.mock.calls[0].arguments[1].actor.role, 'customer');
+        assert.deepEqual(result.refunds, [refund]);
+    });
+
+    it('refunds nothing on an unpaid order', async () => {
+        const refunded = mock.method(refundService, 'issueForCancellation', async () => []);
+
+        const result = await orderLifecycleService.transition(placedOrder(), 'cancelled', { actor: customer });
+
+        assert.equal(refunded.mock.callCount(), 0);
+        assert.deepEqual(result.refunds, []);
+    });
+
+    it('takes the stock and invoices on delivery', async () => {
+        const delivered = mock.method(inventoryService, 'confirmOrderDelivery', async () => ({}));
+        const invoiced = mock.method(invoiceService, 'issueSafely', async () => null);
+        mock.method(khataService, 'accrueOrderSafely', async () => null);
+        const order = placedOrder({ orderStatus: 'out_for_delivery', reservationStatus: 'reserved' });
+
+        await orderLifecycleService.transition(order, 'delivered', { actor: retailer });
+
+        assert.equal(delivered.mock.callCount(), 1);
+        assert.equal(invoiced.mock.calls[0].arguments[1], 'delivery');
+        assert.equal(order.reservationStatus, 'delivered');
+    });
+
+    it('moves no stock when another change got to the order first', async () => {
+        mock.method(Order, 'updateOne', () => query({ matchedCount: 0 }));
+        const reserve = mock.method(inventoryService, 'reserveStockForOrder', async () => ({}));
+        const order = placedOrder();
+
+        await assert.rejects(orderLifecycleService.transition(order, 'confirmed', { actor: retailer }), {
+            statusCode: 409,
+            message: 'Order is no longer pending, reload it and try again'
+        });
+        assert.equal(reserve.mock.callCount(), 0);
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(released.mock.callCount(), 0);
+    });
+
+    it('reports a write conflict with a concurrent change as 409', async () => {
+        const conflict = new mongoose.mongo.MongoServerError({ message: 'WriteConflict' });
+        conflict.addErrorLabel('TransientTransactionError');
+        mock.method(inventoryService, 'cancelOrderReservation', async () => {
+            throw conflict;
+        });
+        const order = placedOrder({ orderStatus: 'confirmed', reservationStatus: 'reserved' });
+
+        await assert.rejects(orderLifecycleService.transition(order, 'cancelled', { actor: retailer }), { statusCode: 409 });
+        assert.equal(sessions[0].aborted, true);
+    });
+
+    it('refuses changes the role may not make', async () => {
+        const order = placedOrder({ orderStatus: 'preparing' });
+        await assert.rejects(orderLifecycleService.transition(order, 'cancelled', { actor: customer }), {
+            message: 'Cannot change status from preparing to cancelled'
+        });
+    });
+
+    it('refuses another retailer\'s order', async () => {
+        const other = { ...retailer, retailer: new mongoose.Types.ObjectId() };
+        await assert.rejects(orderLifecycleService.transition(placedOrder(), 'confirmed', { actor: other }), { statusCode: 403 });
+    });
+});
@@ -0,0 +1,149 @@
+// test/services/payment.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import Payment from '../../models/payment.model.js';
+import paymentService from '../../services/payment.service.js';
+import invoiceService from '../../services/invoice.service.js';
+import refundService from '../../services/refund.service.js';
+import walletService from '../../services/wallet.service.js';
+import { query, fakeSession } from '../helpers/mongoose.js';
+
+const pendingPayment = (fields = {}) => Payment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    paymentId: 'PAY1',
+    order: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    amount: 125,
+    currency: 'INR',
+    refundAmount: 0,
+    paymentMethod: 'upi',
+    paymentStatus: 'pending',
+    gateway: 'razorpay',
+    razorpayOrderId: 'order_1',
+    ...fields
+});
+
+const walletOrder = () => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    items: [],
+    totalAmount: 120,
+    finalAmount: 120,
+    paymentMethod: 'wallet'
+});
+
+const paidOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    assignedRetailer: new mongoose.Types.ObjectId(),
+    items: [],
+    totalAmount: 125,
+    finalAmount: 125,
+    paymentStatus: 'paid',
+    ...fields
+});
+
+describe('paymentService.payFromWallet', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('claims the order, records the payment and debits the wallet in the session', async () => {
+        const order = walletOrder();
+        const session = fakeSession();
+        const claim = mock.method(Order, 'findOneAndUpdate', () => query({ _id: order._id, paymentStatus: 'paid' }));
+        mock.method(Payment, 'create', async (docs) => docs.map(doc => new Payment(doc)));
+        const debit = mock.method(walletService, 'debit', async () => ({}));
+
+        const payment = await paymentService.payFromWallet(order, { session });
+
+        const [filter, update, options] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: order._id, paymentStatus: { $ne: 'paid' } });
+        assert.deepEqual(update, { $set: { paymentStatus: 'paid' } });
+        assert.equal(options.session, session);
+
+        assert.equal(payment.amount, 120);
+        assert.equal(payment.paymentStatus, 'success');
+        const [customerId, amount, entry] = debit.mock.calls[0].arguments;
+        assert.equal(customerId, order.customer);
+        assert.equal(amount, 120);
+        assert.equal(entry.session, session);
+        assert.equal(entry.payment, payment._id);
+        assert.equal(order.paymentStatus, 'paid');
+    });
+
+    it('debits nothing when the order is already paid', async () => {
+        const order = walletOrder();
+        mock.method(Order, 'findOneAndUpdate', () => query(null));
+        const create = mock.method(Payment, 'create', async () => []);
+        const debit = mock.method(walletService, 'debit', async () => ({}));
+
+        await assert.rejects(paymentService.payFromWallet(order, { session: fakeSession() }), {
+            statusCode: 400,
+            message: 'Order already paid'
+        });
+        assert.equal(create.mock.callCount(), 0);
+        assert.equal(debit.mock.callCount(), 0);
+    });
+});
+
+describe('paymentService.markCaptured', () => {
+    let claim;
+    let invoiced;
+
+    beforeEach(() => {
+        claim = mock.method(Payment, 'findOneAndUpdate', (filter) => query({ _id: filter._id, paymentStatus: 'success' }));
+        invoiced = mock.method(invoiceService, 'issueSafely', async () => null);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('claims the capture, marks the order paid and invoices it', async () => {
+        const payment = pendingPayment();
+        payment.razorpaySignature = 'sig';
+        const order = paidOrder();
+        const orderClaim = mock.method(Order, 'findOneAndUpdate', () => query(order));
+
+        const result = await paymentService.markCaptured(payment, { gatewayPaymentId: 'pay_1', amount: 12500 });
+
+        assert.deepEqual(result, { outcome: 'applied', order });
+        const [filter, update] = claim.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: payment._id, paymentStatus: { $in: ['pending', 'failed'] } });
+        assert.equal(update.$set.paymentStatus, 'success');
+        assert.equal(update.$set.razorpayPaymentId, 'pay_1');
+        assert.equal(update.$set.razorpaySignature, 'sig');
+        assert.deepEqual(orderClaim.mock.calls[0].arguments[1], { $set: { paymentStatus: 'paid' } });
+        assert.equal(invoiced.mock.calls[0].arguments[0], order);
+        assert.equal(payment.paymentStatus, 'success');
+    });
+
+    it('applies a capture only once when the callback and webhook race', async () => {
+        mock.method(Payment, 'findOneAndUpdate', () => query(null));
+        mock.method(Payment, 'findById', () => query({ paymentStatus: 'success' }));
+        const orderClaim = mock.method(Order, 'findOneAndUpdate', () => query(paidOrder()));
+
+        const result = await paymentService.markCaptured(pendingPayment(), { gatewayPaymentId: 'pay_1' });
+
+        assert.deepEqual(result, { outcome: 'ignored', note: 'Payment already success' });
+        assert.equal(orderClaim.mock.callCount(), 0);
+        assert.equal(invoiced.mock.callCount(), 0);
+    });
+
+    it('ignores a capture for a different amount', async () => {
+        const result = await paymentService.markCaptured(pendingPayment(), { amount: 100 });
+
+        assert.equal(result.outcome, 'ignored');
+        assert.equal(claim.mock.callCount(), 0);
+    });
+
+    it('refunds money that arrives for a cancelled order instead of invoicing it', async () => {
+        const cancelled = paidOrder({ orderStatus: 'cancelled' });
+        mock.method(Order, 'findOneAndUpdate', () => query(cancelled));
+        const refundCancelled = mock.method(refundService, 'issueForCancellation', async () => []);
+
+        const result = await paymentService.markCaptured(pendingPayment(), { gatewayPaymentId: 'pay_1' });
+
+        assert.equal(result.outcome, 'applied');
+        assert.equal(invoiced.mock.callCount(), 0);
+        assert.equal(refundCancelled.mock.calls[0].arguments[0], cancelled);
+    });
+});
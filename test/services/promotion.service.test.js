@@ -0,0 +1,118 @@
+// test/services/promotion.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Promotion from '../../models/promotion.model.js';
+import Order from '../../models/order.model.js';
+import promotionService from '../../services/promotion.service.js';
+import { query } from '../helpers/mongoose.js';
+
+const dairy = new mongoose.Types.ObjectId();
+const milk = { _id: new mongoose.Types.ObjectId(), category: dairy };
+const bread = { _id: new mongoose.Types.ObjectId(), category: new mongoose.Types.ObjectId() };
+
+const promotion = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Offer',
+    products: [],
+    categories: [],
+    ...fields
+});
+
+describe('promotionService.getUnitPrice', () => {
+    it('takes the catalog discount off the base price', () => {
+        assert.equal(promotionService.getUnitPrice(45, { discount: 10 }), 40.5);
+        assert.equal(promotionService.getUnitPrice(45, {}), 45);
+    });
+});
+
+describe('promotionService.computeDiscount', () => {
+    const lines = [
+        { product: milk, quantity: 3, price: 30 },
+        { product: bread, quantity: 1, price: 40 }
+    ];
+
+    it('caps a percentage discount at maxDiscount', () => {
+        assert.equal(promotionService.computeDiscount(promotion({ type: 'percentage', value: 10 }), lines), 13);
+        assert.equal(promotionService.computeDiscount(promotion({ type: 'percentage', value: 10, maxDiscount: 5 }), lines), 5);
+    });
+
+    it('never takes a flat discount past the eligible subtotal', () => {
+        const flat = promotion({ type: 'flat', value: 100, categories: [dairy] });
+
+        assert.equal(promotionService.computeDiscount(flat, lines), 90);
+    });
+
+    it('gives the cheapest eligible units free on buy x get y', () => {
+        const buyTwoGetOne = promotion({ type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1 });
+
+        // Four units make one group of three; the free unit is a ₹30 milk
+        assert.equal(promotionService.computeDiscount(buyTwoGetOne, lines), 30);
+    });
+
+    it('gives nothing when no line is in scope', () => {
+        const breadOnly = promotion({ type: 'percentage', value: 50, products: [new mongoose.Types.ObjectId()] });
+
+        assert.equal(promotionService.computeDiscount(breadOnly, lines), 0);
+    });
+});
+
+describe('promotionService.evaluate', () => {
+    const lines = [{ product: milk, quantity: 4, price: 50 }];
+    let counts;
+
+    beforeEach(() => {
+        counts = mock.method(Order, 'countDocuments', async () => 0);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('applies automatic offers first, then the coupon, without going below zero', async () => {
+        mock.method(Promotion, 'find', () => query([
+            promotion({ code: 'SAVE150', name: 'Save', type: 'flat', value: 150 }),
+            promotion({ name: 'Dairy week', type: 'percentage', value: 50, categories: [dairy] })
+        ]));
+
+        const result = await promotionService.evaluate({ retailerId: 'r1', lines, code: 'save150' });
+
+        assert.equal(result.subtotal, 200);
+        assert.deepEqual(result.applied.map(p => [p.name, p.discount]), [['Dairy week', 100], ['Save', 100]]);
+        assert.equal(result.discount, 200);
+        assert.equal(result.total, 0);
+        assert.equal(result.couponError, null);
+    });
+
+    it('explains why a coupon does not apply', async () => {
+        mock.method(Promotion, 'find', () => query([
+            promotion({ code: 'BIG', type: 'flat', value: 50, minOrderValue: 250 })
+        ]));
+
+        const result = await promotionService.evaluate({ retailerId: 'r1', lines, code: 'BIG' });
+
+        assert.equal(result.discount, 0);
+        assert.equal(result.couponError, 'Add items worth ₹50 more to use BIG');
+    });
+
+    it('reports an unknown code as invalid', async () => {
+        mock.method(Promotion, 'find', () => query([]));
+
+        const result = await promotionService.evaluate({ retailerId: 'r1', lines, code: 'NOPE' });
+
+        assert.equal(result.total, 200);
+        assert.equal(result.couponError, 'Invalid or expired coupon code');
+    });
+
+    it('leaves the order being edited out of the usage count', async () => {
+        const orderId = new mongoose.Types.ObjectId();
+        const customerId = new mongoose.Types.ObjectId();
+        counts = mock.method(Order, 'countDocuments', async (filter) => (filter.customer ? 1 : 0));
+        mock.method(Promotion, 'find', () => query([
+            promotion({ code: 'ONCE', type: 'flat', value: 20, usageLimitPerCustomer: 1 })
+        ]));
+
+        const result = await promotionService.evaluate({ retailerId: 'r1', customerId, lines, code: 'ONCE', excludeOrderId: orderId });
+
+        assert.deepEqual(counts.mock.calls[0].arguments[0]._id, { $ne: orderId });
+        assert.equal(result.couponError, 'You have already used ONCE');
+    });
+});
@@ -0,0 +1,126 @@
+// test/services/purchaseOrder.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import PurchaseOrder from '../../models/purchaseOrder.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import InventoryLog from '../../models/inventoryLog.model.js';
+import Product from '../../models/product.model.js';
+import purchaseOrderService from '../../services/purchaseOrder.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const MILK = new mongoose.Types.ObjectId();
+const CURD = new mongoose.Types.ObjectId();
+const retailerId = new mongoose.Types.ObjectId();
+
+const openOrder = () => new PurchaseOrder({
+    poNumber: 'PO1001',
+    retailer: retailerId,
+    supplier: new mongoose.Types.ObjectId(),
+    items: [
+        { product: MILK, productName: 'Toned Milk 500ml', orderedQty: 10, unitPrice: 25 },
+        { product: CURD, productName: 'Curd 400g', orderedQty: 4, unitPrice: 40 }
+    ]
+});
+
+describe('purchaseOrderService.receive', () => {
+    let sessions;
+    let saved;
+    let logs;
+    let milkStock;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        saved = mockSaves(RetailerInventory, PurchaseOrder);
+        logs = [];
+        milkStock = new RetailerInventory({
+            retailer: retailerId,
+            product: MILK,
+            productName: 'Toned Milk 500ml',
+            sellingPrice: 30,
+            costPrice: 24,
+            currentStock: 2
+        });
+        mock.method(RetailerInventory, 'findOne', (filter) => query(String(filter.product) === String(MILK) ? milkStock : null));
+        mock.method(Product, 'findById', () => query({ name: 'Curd 400g', price: 50 }));
+        mock.method(InventoryLog, 'insertMany', async (docs) => {
+            logs.push(...docs);
+            return docs;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('adds the goods in their batches and logs each receipt line', async () => {
+        const purchaseOrder = openOrder();
+
+        const receipt = await purchaseOrderService.receive(purchaseOrder, {
+            items: [
+                { productId: MILK, quantity: 6, batchNumber: 'M1', expiryDate: '2026-03-14', unitCost: 26 },
+                { productId: CURD, quantity: 4 }
+            ],
+            invoiceNumber: 'BILL-7'
+        });
+
+        assert.equal(milkStock.currentStock, 8);
+        assert.equal(milkStock.costPrice, 26);
+        assert.ok(milkStock.batches.some(batch => batch.batchNumber === 'M1' && batch.quantity === 6));
+
+        const curdStock = saved.find(doc => doc instanceof RetailerInventory && String(doc.product) === String(CURD));
+        assert.equal(curdStock.currentStock, 4);
+        assert.equal(curdStock.sellingPrice, 50);
+
+        assert.deepEqual(logs.map(log => [log.quantity, log.previousStock, log.newStock, log.referenceId]), [
+            [6, 2, 8, 'PO1001'],
+            [4, 0, 4, 'PO1001']
+        ]);
+        assert.equal(receipt.value, 316);
+        assert.equal(purchaseOrder.status, 'partially_received');
+        assert.equal(sessions[0].committed, true);
+    });
+
+    it('closes the order once everything has arrived', async () => {
+        const purchaseOrder = openOrder();
+        purchaseOrder.items[0].receivedQty = 10;
+
+        await purchaseOrderService.receive(purchaseOrder, { items: [{ productId: CURD, quantity: 4 }] });
+
+        assert.equal(purchaseOrder.status, 'received');
+    });
+
+    it('refuses more than is still due', async () => {
+        const purchaseOrder = openOrder();
+        purchaseOrder.items[1].receivedQty = 3;
+
+        await assert.rejects(
+            purchaseOrderService.receive(purchaseOrder, { items: [{ productId: CURD, quantity: 2 }] }),
+            { statusCode: 400, message: 'Only 1 of Curd 400g still due on this order, received 2' }
+        );
+        assert.equal(sessions.length, 0);
+    });
+
+    it('refuses a product listed twice on one receipt', async () => {
+        await assert.rejects(
+            purchaseOrderService.receive(openOrder(), {
+                items: [{ productId: MILK, quantity: 5 }, { productId: String(MILK), quantity: 5 }]
+            }),
+            { message: 'Each product can appear only once on a receipt' }
+        );
+    });
+
+    it('leaves stock and order alone when the receipt fails part way', async () => {
+        mock.method(InventoryLog, 'insertMany', async () => {
+            throw new Error('write conflict');
+        });
+
+        await assert.rejects(purchaseOrderService.receive(openOrder(), { items: [{ productId: MILK, quantity: 1 }] }), /write conflict/);
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(sessions[0].committed, false);
+    });
+
+    it('only receives into an open order', async () => {
+        const purchaseOrder = openOrder();
+        purchaseOrder.status = 'cancelled';
+        await assert.rejects(purchaseOrderService.receive(purchaseOrder, { items: [] }), { message: 'Purchase order is cancelled' });
+    });
+});
@@ -0,0 +1,138 @@
+// test/services/refund.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Refund from '../../models/refund.model.js';
+import Payment from '../../models/payment.model.js';
+import Order from '../../models/order.model.js';
+import refundService from '../../services/refund.service.js';
+import walletService from '../../services/wallet.service.js';
+import { getPaymentGateway } from '../../lib/paymentGateway.js';
+import { query, mockSaves } from '../helpers/mongoose.js';
+
+const capturedPayment = (fields = {}) => new Payment({
+    paymentId: 'PAY1',
+    order: new mongoose.Types.ObjectId(),
+    customer: new mongoose.Types.ObjectId(),
+    amount: 200,
+    paymentMethod: 'upi',
+    paymentStatus: 'success',
+    ...fields
+});
+
+describe('refundService.issue', () => {
+    let adjustments;
+    let saved;
+
+    beforeEach(() => {
+        adjustments = [];
+        mock.method(refundService, 'adjustRefunded', async (paymentId, delta) => {
+            adjustments.push(delta);
+            return { _id: paymentId };
+        });
+        mock.method(Order, 'findById', () => query({ orderId: 'ORD1001' }));
+        mock.method(Refund, 'create', async (doc) => new Refund(doc));
+        mock.method(Payment, 'findByIdAndUpdate', () => query({}));
+        saved = mockSaves(Refund);
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('refuses more than is still refundable before reserving anything', async () => {
+        await assert.rejects(refundService.issue(capturedPayment({ refundAmount: 150 }), { amount: 60 }), {
+            statusCode: 400,
+            message: /exceeds the refundable amount of ₹50/
+        });
+        assert.deepEqual(adjustments, []);
+    });
+
+    it('stops when a concurrent refund used up the amount', async () => {
+        mock.method(refundService, 'adjustRefunded', async () => null);
+        const create = mock.method(Refund, 'create', async () => ({}));
+
+        await assert.rejects(refundService.issue(capturedPayment(), { amount: 200 }), {
+            message: 'Refund exceeds the amount still refundable'
+        });
+        assert.equal(create.mock.callCount(), 0);
+    });
+
+    it('credits the wallet for payments that were not made through the gateway', async () => {
+        const credit = mock.method(walletService, 'credit', async () => ({}));
+
+        const { refund } = await refundService.issue(capturedPayment(), { amount: 80, reason: 'Damaged' });
+
+        assert.equal(refund.destination, 'wallet');
+        assert.equal(refund.status, 'processed');
+        assert.equal(credit.mock.calls[0].arguments[1], 80);
+        assert.deepEqual(adjustments, [80]);
+    });
+
+    it('refunds gateway payments to the original method', async () => {
+        const gateway = getPaymentGateway('mock');
+        const gatewayRefund = mock.method(gateway, 'refund', async () => ({ id: 'rfnd_1', status: 'processed' }));
+
+        const { refund } = await refundService.issue(
+            capturedPayment({ gateway: 'mock', razorpayPaymentId: 'pay_1' }),
+            { amount: 12.5 }
+        );
+
+        assert.deepEqual(gatewayRefund.mock.calls[0].arguments[0], 'pay_1');
+        assert.equal(gatewayRefund.mock.calls[0].arguments[1].amount, 1250);
+        assert.equal(refund.destination, 'original_method');
+        assert.equal(refund.gatewayRefundId, 'rfnd_1');
+    });
+
+    it('gives the reserved amount back when the refund fails', async () => {
+        mock.method(walletService, 'credit', async () => {
+            throw new Error('wallet locked');
+        });
+
+        await assert.rejects(refundService.issue(capturedPayment(), { amount: 80 }), {
+            statusCode: 502,
+            message: 'Refund failed: wallet locked'
+        });
+        assert.deepEqual(adjustments, [80, -80]);
+        assert.equal(saved.at(-1).status, 'failed');
+    });
+});
+
+describe('refundService.issueForCancellation', () => {
+    const cancelledOrder = { _id: new mongoose.Types.ObjectId(), orderId: 'ORD1001' };
+
+    afterEach(() => mock.restoreAll());
+
+    it('refunds what is still refundable on every captured payment', async () => {
+        const payments = [
+            capturedPayment({ paymentId: 'PAY1', paymentMethod: 'wallet', amount: 100 }),
+            capturedPayment({ paymentId: 'PAY2', paymentStatus: 'partially_refunded', refundAmount: 50 })
+        ];
+        const find = mock.method(Payment, 'find', async () => payments);
+        const issued = mock.method(refundService, 'issue', async (payment) => ({ refund: { refundId: `RFD-${payment.paymentId}` } }));
+
+        const refunds = await refundService.issueForCancellation(cancelledOrder, { actor: { role: 'customer' } });
+
+        assert.deepEqual(find.mock.calls[0].arguments[0], {
+            order: cancelledOrder._id,
+            paymentStatus: { $in: ['success', 'partially_refunded'] }
+        });
+        assert.deepEqual(refunds.map(refund => refund.refundId), ['RFD-PAY1', 'RFD-PAY2']);
+        const [, opts] = issued.mock.calls[0].arguments;
+        assert.equal(opts.amount, undefined);
+        assert.deepEqual(opts.source, { type: 'cancellation', id: 'ORD1001' });
+    });
+
+    it('keeps going and only logs when a refund fails', async () => {
+        mock.method(Payment, 'find', async () => [capturedPayment({ paymentId: 'PAY1' }), capturedPayment({ paymentId: 'PAY2' })]);
+        mock.method(refundService, 'issue', async (payment) => {
+            if (payment.paymentId === 'PAY1') throw new Error('Refund failed: gateway down');
+            return { refund: { refundId: 'RFD2' } };
+        });
+        const errors = mock.method(console, 'error', () => {});
+
+        const refunds = await refundService.issueForCancellation(cancelledOrder);
+
+        assert.deepEqual(refunds.map(refund => refund.refundId), ['RFD2']);
+        assert.equal(errors.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,149 @@
+// test/services/reservationSweeper.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import reservationSweeperService from '../../services/reservationSweeper.service.js';
+
+const HOUR = 60 * 60 * 1000;
+// 21:00 IST on 9 March, when subscription orders for the 10th are generated
+const EVENING = new Date('2026-03-09T15:30:00Z');
+const TOMORROW = new Date('2026-03-09T18:30:00Z'); // 10 March, 00:00 IST
+
+const order = (fields = {}) => ({
+    orderId: `ORD${Math.random()}`,
+    orderStatus: 'pending',
+    createdAt: EVENING,
+    statusHistory: [],
+    ...fields
+});
+
+// Stands in for Order.find(...).sort(...).cursor()
+const mockCandidates = (orders) => {
+    const cursor = {
+        closed: false,
+        async close() {
+            this.closed = true;
+        },
+        async *[Symbol.asyncIterator]() {
+            for (const row of orders) yield row;
+        }
+    };
+    const find = mock.method(Order, 'find', () => ({ sort: () => ({ cursor: () => cursor }) }));
+    return { cursor, find };
+};
+
+describe('reservationSweeperService', () => {
+    describe('getExpiresAt', () => {
+        it('gives on-demand orders the status timeout', () => {
+            const expiresAt = reservationSweeperService.getExpiresAt(order(), 120);
+            assert.equal(expiresAt.getTime(), EVENING.getTime() + 2 * HOUR);
+        });
+
+        it('counts from the last status change', () => {
+            const confirmedAt = new Date(EVENING.getTime() + 5 * HOUR);
+            const confirmed = order({ orderStatus: 'confirmed', statusHistory: [{ to: 'confirmed', at: confirmedAt }] });
+            assert.equal(reservationSweeperService.getExpiresAt(confirmed, 60).getTime(), confirmedAt.getTime() + HOUR);
+        });
+
+        it('holds subscription orders until the confirm-by time on the delivery day', () => {
+            const subscriptionOrder = order({ subscription: new mongoose.Types.ObjectId(), deliveryDate: TOMORROW });
+            const expiresAt = reservationSweeperService.getExpiresAt(subscriptionOrder, 120);
+            // 10:00 IST by default
+            assert.equal(expiresAt.toISOString(), '2026-03-10T04:30:00.000Z');
+        });
+
+        it('holds slot orders until the slot ends', () => {
+            const slotOrder = order({
+                deliveryDate: new Date('2026-03-10T12:30:00Z'),
+                deliverySlot: { slot: new mongoose.Types.ObjectId(), date: TOMORROW, startTime: '18:00', endTime: '20:00' }
+            });
+            assert.equal(reservationSweeperService.getExpiresAt(slotOrder, 120).toISOString(), '2026-03-10T14:30:00.000Z');
+        });
+
+        it('never expires a scheduled order before its status timeout', () => {
+            const lateOrder = order({
+                createdAt: new Date('2026-03-10T04:00:00Z'),
+                subscription: new mongoose.Types.ObjectId(),
+                deliveryDate: TOMORROW
+            });
+            assert.equal(reservationSweeperService.getExpiresAt(lateOrder, 120).toISOString(), '2026-03-10T06:00:00.000Z');
+        });
+    });
+
+    describe('sweep', () => {
+        let expired;
+
+        beforeEach(() => {
+            expired = [];
+            mock.method(reservationSweeperService, 'expireOrder', async (row) => {
+                expired.push(row.orderId);
+            });
+            mock.method(reservationSweeperService, 'releaseOrphanedReservations', async () => 0);
+            mock.method(console, 'log', () => {});
+        });
+
+        afterEach(() => mock.restoreAll());
+
+        it('skips scheduled orders still waiting without using up the batch', async () => {
+            const now = new Date('2026-03-10T02:00:00Z'); // 07:30 IST
+            const waiting = Array.from({ length: 5 }, () => order({ subscription: new mongoose.Types.ObjectId(), deliveryDate: TOMORROW }));
+            const stale = [order({ orderId: 'STALE1' }), order({ orderId: 'STALE2' }), order({ orderId: 'STALE3' })];
+            const { cursor } = mockCandidates([...waiting, ...stale]);
+
+            const summary = await reservationSweeperService.sweep({ timeouts: { pending: 120 }, batchSize: 2, now });
+
+            assert.deepEqual(expired, ['STALE1', 'STALE2']);
+            assert.equal(summary.expired, 2);
+            assert.equal(summary.checked, 7);
+            assert.equal(cursor.closed, true);
+        });
+
+        it('leaves scheduled orders for future days out of the scan', async () => {
+            const now = new Date('2026-03-10T02:00:00Z');
+            const { find } = mockCandidates([]);
+
+            await reservationSweeperService.sweep({ timeouts: { pending: 120 }, batchSize: 10, now });
+
+            const [filter] = find.mock.calls[0].arguments;
+            assert.equal(filter.orderStatus, 'pending');
+            assert.deepEqual(filter.$or[2].deliveryDate, { $not: { $gt: now } });
+            assert.deepEqual(filter.$or[1]['deliverySlot.date'], { $not: { $gt: now } });
+        });
+
+        it('leaves paid orders alone', async () => {
+            const { find } = mockCandidates([]);
+
+            await reservationSweeperService.sweep({ timeouts: { pending: 120 }, batchSize: 10, now: new Date() });
+
+            assert.deepEqual(find.mock.calls[0].arguments[0].paymentStatus, { $nin: ['paid', 'partially_refunded'] });
+        });
+
+        it('only expires orders the retailer never confirmed by default', async () => {
+            const { find } = mockCandidates([]);
+
+            await reservationSweeperService.sweep({ batchSize: 10, now: new Date() });
+
+            assert.deepEqual(find.mock.calls.map(call => call.arguments[0].orderStatus), ['pending']);
+        });
+
+        it('counts failures and carries on', async () => {
+            mock.method(reservationSweeperService, 'expireOrder', async (row) => {
+                if (row.orderId === 'BAD') throw new Error('stock locked');
+                expired.push(row.orderId);
+            });
+            mock.method(console, 'error', () => {});
+            mockCandidates([order({ orderId: 'BAD' }), order({ orderId: 'GOOD' })]);
+
+            const summary = await reservationSweeperService.sweep({
+                timeouts: { pending: 120 },
+                batchSize: 10,
+                now: new Date('2026-03-10T02:00:00Z')
+            });
+
+            assert.deepEqual(expired, ['GOOD']);
+            assert.equal(summary.failed, 1);
+            assert.deepEqual(summary.failures, [{ orderId: 'BAD', message: 'stock locked' }]);
+        });
+    });
+});
@@ -0,0 +1,259 @@
+// test/services/returnRequest.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ReturnRequest from '../../models/returnRequest.model.js';
+import Order from '../../models/order.model.js';
+import Payment from '../../models/payment.model.js';
+import InventoryLog from '../../models/inventoryLog.model.js';
+import returnRequestService from '../../services/returnRequest.service.js';
+import inventoryService from '../../services/inventory.service.js';
+import invoiceService from '../../services/invoice.service.js';
+import creditNoteService from '../../services/creditNote.service.js';
+import refundService from '../../services/refund.service.js';
+import khataService from '../../services/khata.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const MILK = new mongoose.Types.ObjectId();
+const retailerId = new mongoose.Types.ObjectId();
+
+const deliveredOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    items: [{ product: MILK, quantity: 3, price: 30 }],
+    totalAmount: 90,
+    finalAmount: 90,
+    paymentMethod: 'cash',
+    ...fields
+});
+
+const requestFor = (order, reason) => new ReturnRequest({
+    returnId: 'RET1',
+    order: order._id,
+    customer: order.customer,
+    retailer: retailerId,
+    items: [{ orderItem: order.items[0]._id, product: MILK, quantity: 3, unitPrice: 30, reason }],
+    refundAmount: 90
+});
+
+const paidPayment = (order) => new Payment({
+    paymentId: 'PAY1',
+    order: order._id,
+    customer: order.customer,
+    amount: 90,
+    paymentMethod: 'upi',
+    paymentStatus: 'success'
+});
+
+describe('inventoryService.getSoldBatches', () => {
+    afterEach(() => mock.restoreAll());
+
+    it('nets returns off what the order was sold from each batch', async () => {
+        const logs = [
+            { transactionType: 'STOCK_OUT', batchNumber: 'A', expiryDate: new Date('2026-03-12'), quantity: 2 },
+            { transactionType: 'STOCK_OUT', batchNumber: 'B', expiryDate: new Date('2026-03-14'), quantity: 3 },
+            { transactionType: 'RETURN', batchNumber: 'A', quantity: 2 }
+        ];
+        const find = mock.method(InventoryLog, 'find', () => query(logs));
+
+        const sold = await inventoryService.getSoldBatches('order1', retailerId, MILK);
+
+        assert.deepEqual(sold, [{ batchNumber: 'B', expiryDate: new Date('2026-03-14'), quantity: 3 }]);
+        assert.equal(find.mock.calls[0].arguments[0].referenceId, 'order1');
+    });
+});
+
+describe('returnRequestService', () => {
+    let sessions;
+    let stock;
+    let saved;
+    let order;
+    let claim;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        stock = [];
+        order = deliveredOrder();
+        mock.method(Order, 'findById', () => query(order));
+        mock.method(invoiceService, 'issue', async () => ({}));
+        mock.method(inventoryService, 'getSoldBatches', async () => []);
+        mock.method(inventoryService, 'updateStock', async (params) => {
+            stock.push(params);
+            return { batches: [{ batchNumber: params.batchNumber || 'UNBATCHED' }] };
+        });
+        claim = mock.method(ReturnRequest, 'updateOne', () => query({ matchedCount: 1 }));
+        mock.method(Payment, 'findOne', () => query(null));
+        mock.method(creditNoteService, 'issueForReturn', async () => ({ creditNoteNumber: 'CN1' }));
+        saved = mockSaves(Order, ReturnRequest);
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('approveReturn', () => {
+        it('claims the request and restocks, adjusts the order and approves in one transaction', async () => {
+            const returnRequest = requestFor(order, 'wrong_item');
+
+            await returnRequestService.approveReturn(returnRequest, { userId: new mongoose.Types.ObjectId() });
+
+            const [filter, update, options] = claim.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: returnRequest._id, status: 'requested' });
+            assert.deepEqual(update, { $set: { status: 'approved' } });
+            assert.equal(options.session, sessions[0]);
+            assert.ok(stock.every(row => row.session === sessions[0] && row.transactionType === 'RETURN'));
+            assert.equal(sessions[0].committed, true);
+
+            assert.equal(order.items[0].returnedQuantity, 3);
+            assert.equal(order.finalAmount, 0);
+            assert.equal(returnRequest.status, 'approved');
+            assert.equal(returnRequest.refund.status, 'adjusted');
+        });
+
+        it('restocks nothing when another approval got there first', async () => {
+            mock.method(ReturnRequest, 'updateOne', () => query({ matchedCount: 0 }));
+
+            await assert.rejects(returnRequestService.approveReturn(requestFor(order, 'wrong_item'), {}), {
+                statusCode: 409,
+                message: 'Return request has already been reviewed'
+            });
+            assert.equal(stock.length, 0);
+            assert.equal(sessions[0].aborted, true);
+        });
+
+        it('writes unsellable goods off after taking them back', async () => {
+            await returnRequestService.approveReturn(requestFor(order, 'spoiled'), {});
+            assert.deepEqual(stock.map(row => [row.transactionType, row.quantity]), [['RETURN', 3], ['DAMAGE', 3]]);
+        });
+
+        it('restocks into the batches the order was sold from, with their expiry', async () => {
+            mock.method(inventoryService, 'getSoldBatches', async () => [
+                { batchNumber: 'A', expiryDate: new Date('2026-03-12'), quantity: 2 }
+            ]);
+
+            await returnRequestService.approveReturn(requestFor(order, 'wrong_item'), {});
+
+            assert.deepEqual(stock.map(row => [row.transactionType, row.quantity, row.batchNumber]), [
+                ['RETURN', 2, 'A'],
+                ['RETURN', 1, undefined]
+            ]);
+            assert.deepEqual(stock[0].expiryDate, new Date('2026-03-12'));
+        });
+
+        it('writes unsellable goods off from the batch they went back into', async () => {
+            mock.method(inventoryService, 'getSoldBatches', async () => [
+                { batchNumber: 'A', expiryDate: new Date('2026-03-12'), quantity: 2 }
+            ]);
+
+            await returnRequestService.approveReturn(requestFor(order, 'spoiled'), {});
+
+            assert.deepEqual(stock.map(row => [row.transactionType, row.quantity, row.batchNumber]), [
+                ['RETURN', 2, 'A'],
+                ['DAMAGE', 2, 'A'],
+                ['RETURN', 1, undefined],
+                ['DAMAGE', 1, 'UNBATCHED']
+            ]);
+        });
+
+        it('saves nothing when the stock change fails', async () => {
+            mock.method(inventoryService, 'updateStock', async () => {
+                throw new Error('write conflict');
+            });
+
+            await assert.rejects(returnRequestService.approveReturn(requestFor(order, 'wrong_item'), {}), /write conflict/);
+            assert.equal(sessions[0].aborted, true);
+            assert.equal(saved.length, 0);
+        });
+
+        it('refunds a paid order', async () => {
+            mock.method(Payment, 'findOne', () => query(paidPayment(order)));
+            const issue = mock.method(refundService, 'issue', async () => ({ refund: { _id: 'refund1' } }));
+            const returnRequest = requestFor(order, 'wrong_item');
+
+            await returnRequestService.approveReturn(returnRequest, {});
+
+            assert.equal(issue.mock.calls[0].arguments[1].amount, 90);
+            assert.equal(returnRequest.refund.status, 'refunded');
+        });
+
+        it('keeps the approval and records a refund that failed for retrying', async () => {
+            mock.method(Payment, 'findOne', () => query(paidPayment(order)));
+            mock.method(refundService, 'issue', async () => {
+                throw new Error('Refund failed: gateway timeout');
+            });
+            const returnRequest = requestFor(order, 'wrong_item');
+
+            await returnRequestService.approveReturn(returnRequest, {});
+
+            assert.equal(returnRequest.status, 'approved');
+            assert.equal(returnRequest.refund.status, 'failed');
+            assert.equal(returnRequest.refund.failureReason, 'Refund failed: gateway timeout');
+        });
+
+        it('takes a khata order\'s return off the customer\'s account', async () => {
+            order = deliveredOrder({ paymentMethod: 'khata' });
+            mock.method(Order, 'findById', () => query(order));
+            const credit = mock.method(khataService, 'creditReturn', async () => ({}));
+
+            await returnRequestService.approveReturn(requestFor(order, 'wrong_item'), {});
+
+            assert.equal(credit.mock.calls[0].arguments[1], 90);
+        });
+    });
+
+    describe('retryRefund', () => {
+        const failedReturn = () => {
+            const returnRequest = requestFor(order, 'wrong_item');
+            returnRequest.status = 'approved';
+            returnRequest.refund = { amount: 90, status: 'failed', failureReason: 'gateway timeout' };
+            return returnRequest;
+        };
+
+        it('claims the failed refund and issues it again', async () => {
+            mock.method(Payment, 'findOne', () => query(paidPayment(order)));
+            mock.method(refundService, 'issue', async () => ({ refund: { _id: 'refund1' } }));
+            const returnRequest = failedReturn();
+
+            const refund = await returnRequestService.retryRefund(returnRequest, {});
+
+            assert.deepEqual(claim.mock.calls[0].arguments.slice(0, 2), [
+                { _id: returnRequest._id, 'refund.status': 'failed' },
+                { $set: { 'refund.status': 'pending' } }
+            ]);
+            assert.equal(refund.status, 'refunded');
+            assert.equal(refund.failureReason, undefined);
+        });
+
+        it('does not refund twice when two retries race', async () => {
+            mock.method(ReturnRequest, 'updateOne', () => query({ matchedCount: 0 }));
+            const issue = mock.method(refundService, 'issue', async () => ({}));
+
+            await assert.rejects(returnRequestService.retryRefund(failedReturn(), {}), { statusCode: 409 });
+            assert.equal(issue.mock.callCount(), 0);
+        });
+
+        it('only retries failed refunds', async () => {
+            const returnRequest = failedReturn();
+            returnRequest.refund.status = 'refunded';
+            await assert.rejects(returnRequestService.retryRefund(returnRequest, {}), /Only a failed refund/);
+        });
+    });
+
+    describe('rejectReturn', () => {
+        it('only rejects a request nobody has reviewed yet', async () => {
+            mock.method(ReturnRequest, 'updateOne', () => query({ matchedCount: 0 }));
+            await assert.rejects(returnRequestService.rejectReturn(requestFor(order, 'other'), { note: 'Opened pack' }), {
+                statusCode: 409
+            });
+        });
+
+        it('records the review', async () => {
+            const returnRequest = requestFor(order, 'other');
+            await returnRequestService.rejectReturn(returnRequest, { note: 'Opened pack' });
+
+            assert.equal(claim.mock.calls[0].arguments[1].$set.status, 'rejected');
+            assert.equal(returnRequest.status, 'rejected');
+            assert.equal(returnRequest.reviewNote, 'Opened pack');
+        });
+    });
+});
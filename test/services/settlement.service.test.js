@@ -0,0 +1,171 @@
+// test/services/settlement.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Settlement from '../../models/settlement.model.js';
+import Order from '../../models/order.model.js';
+import Payment from '../../models/payment.model.js';
+import Refund from '../../models/refund.model.js';
+import Product from '../../models/product.model.js';
+import Category from '../../models/category.model.js';
+import Admin from '../../models/admin.model.js';
+import settlementService from '../../services/settlement.service.js';
+import { query } from '../helpers/mongoose.js';
+
+const retailerId = new mongoose.Types.ObjectId();
+const dairy = new mongoose.Types.ObjectId();
+const bakery = new mongoose.Types.ObjectId();
+const milk = { _id: new mongoose.Types.ObjectId(), category: dairy };
+const bread = { _id: new mongoose.Types.ObjectId(), category: bakery };
+
+const deliveredOrder = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    orderId: 'ORD1001',
+    deliveredAt: new Date('2026-10-14T05:00:00Z'),
+    paymentMethod: 'upi',
+    items: [{ product: milk._id, quantity: 1, price: 300 }, { product: bread._id, quantity: 1, price: 100 }],
+    finalAmount: 400,
+    ...fields
+});
+
+describe('settlementService.buildLines', () => {
+    beforeEach(() => {
+        mock.method(Admin, 'findById', () => query({ commissionRate: null }));
+        mock.method(Category, 'find', () => query([{ _id: dairy, commissionRate: 2 }, { _id: bakery, commissionRate: 10 }]));
+        mock.method(Product, 'find', () => query([milk, bread]));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('weights the commission by item value and nets off what the platform collected', async () => {
+        const order = deliveredOrder();
+        mock.method(Payment, 'find', () => query([{ order: order._id, amount: 400, paymentMethod: 'upi', gateway: 'razorpay' }]));
+        mock.method(Order, 'find', () => query([]));
+
+        const [line] = await settlementService.buildLines(retailerId, [order], []);
+
+        // (300 x 2% + 100 x 10%) / 400
+        assert.equal(line.rate, 4);
+        assert.equal(line.gross, 400);
+        assert.equal(line.platformCollected, 400);
+        assert.equal(line.retailerCollected, 0);
+        assert.equal(line.commission, 16);
+        assert.equal(line.net, 384);
+    });
+
+    it('counts cash and UPI QR money as collected by the shop', async () => {
+        const order = deliveredOrder({ paymentMethod: 'cash' });
+        mock.method(Payment, 'find', () => query([
+            { order: order._id, amount: 250, paymentMethod: 'cash' },
+            { order: order._id, amount: 150, paymentMethod: 'upi', gateway: 'upi_qr' }
+        ]));
+        mock.method(Order, 'find', () => query([]));
+
+        const [line] = await settlementService.buildLines(retailerId, [order], []);
+
+        assert.equal(line.platformCollected, 0);
+        assert.equal(line.retailerCollected, 400);
+        assert.equal(line.net, -16);
+    });
+
+    it('does not count a refunded return twice, and returns commission on refunds of earlier statements', async () => {
+        const order = deliveredOrder({ finalAmount: 300 });
+        const earlier = deliveredOrder({ orderId: 'ORD0999', settlement: new mongoose.Types.ObjectId() });
+        mock.method(Payment, 'find', () => query([{ order: order._id, amount: 400, paymentMethod: 'upi', gateway: 'razorpay' }]));
+        mock.method(Order, 'find', () => query([earlier]));
+
+        const lines = await settlementService.buildLines(retailerId, [order], [
+            { order: order._id, amount: 100, source: { type: 'return' } },
+            { order: earlier._id, amount: 50, source: { type: 'manual' } }
+        ]);
+
+        assert.equal(lines[0].gross, 400);
+        assert.equal(lines[0].refunds, 100);
+        assert.equal(lines[0].commission, 12);
+        assert.equal(lines[0].net, 288);
+
+        assert.equal(lines[1].type, 'refund_adjustment');
+        assert.equal(lines[1].commission, -2);
+        assert.equal(lines[1].net, -48);
+
+        assert.deepEqual(settlementService.computeTotals(lines), {
+            orders: 1,
+            gross: 400,
+            platformCollected: 400,
+            retailerCollected: 0,
+            refunds: 150,
+            commission: 10,
+            netPayable: 240
+        });
+    });
+
+    it("uses the retailer's own rate over category rates", async () => {
+        mock.method(Admin, 'findById', () => query({ commissionRate: 5 }));
+        const order = deliveredOrder();
+        mock.method(Payment, 'find', () => query([]));
+        mock.method(Order, 'find', () => query([]));
+
+        const [line] = await settlementService.buildLines(retailerId, [order], []);
+
+        assert.equal(line.rate, 5);
+    });
+});
+
+describe('settlementService.generate', () => {
+    const period = { periodStart: new Date('2026-10-12T18:30:00Z'), periodEnd: new Date('2026-10-18T18:29:59Z') };
+
+    afterEach(() => mock.restoreAll());
+
+    it('claims unsettled orders and drops the statement when nothing was due', async () => {
+        const settlement = new Settlement({ settlementId: 'STL1', retailer: retailerId, ...period });
+        mock.method(Settlement, 'findOne', async () => null);
+        mock.method(Settlement, 'create', async () => settlement);
+        const claimed = mock.method(Order, 'updateMany', async () => ({}));
+        mock.method(Order, 'find', () => query([]));
+        mock.method(Refund, 'find', () => query([]));
+        mock.method(Refund, 'updateMany', async () => ({}));
+        const dropped = mock.method(Settlement, 'deleteOne', async () => ({}));
+
+        const result = await settlementService.generate(retailerId, period);
+
+        assert.equal(result, null);
+        const [filter, update] = claimed.mock.calls[0].arguments;
+        assert.deepEqual(filter.settlement, { $exists: false });
+        assert.equal(filter.orderStatus, 'delivered');
+        assert.deepEqual(update, { $set: { settlement: settlement._id } });
+        assert.deepEqual(dropped.mock.calls[0].arguments[0], { _id: settlement._id });
+    });
+
+    it('returns the statement already generated for the period', async () => {
+        const existing = { settlementId: 'STL0' };
+        mock.method(Settlement, 'findOne', async () => existing);
+        const created = mock.method(Settlement, 'create', async () => ({}));
+
+        assert.equal(await settlementService.generate(retailerId, { periodStart: new Date('2026-10-05'), periodEnd: new Date('2026-10-12') }), existing);
+        assert.equal(created.mock.callCount(), 0);
+    });
+
+    it('refuses a period that is not over', async () => {
+        await assert.rejects(
+            settlementService.generate(retailerId, { periodStart: new Date(), periodEnd: new Date(Date.now() + 60000) }),
+            /must be over/
+        );
+    });
+});
+
+describe('settlementService.markPaid', () => {
+    it('pays a statement only once', async () => {
+        const settlement = new Settlement({ settlementId: 'STL1', retailer: retailerId, status: 'paid' });
+
+        await assert.rejects(settlementService.markPaid(settlement, { method: 'bank_transfer' }), /already paid/);
+    });
+});
+
+describe('settlementService.previousWeek', () => {
+    it('is last Monday to Sunday in IST', () => {
+        const { periodStart, periodEnd } = settlementService.previousWeek(new Date('2026-10-21T04:00:00Z'));
+
+        assert.equal(periodStart.toISOString(), '2026-10-11T18:30:00.000Z');
+        assert.equal(periodEnd.toISOString(), '2026-10-18T18:29:59.999Z');
+    });
+});
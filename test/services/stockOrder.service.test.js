@@ -0,0 +1,102 @@
+// test/services/stockOrder.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import StockOrder from '../../models/stockOrder.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import Admin from '../../models/admin.model.js';
+import stockOrderService from '../../services/stockOrder.service.js';
+import inventoryService from '../../services/inventory.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const MILK = new mongoose.Types.ObjectId();
+const CURD = new mongoose.Types.ObjectId();
+
+const inTransit = () => new StockOrder({
+    orderNumber: 'SO1001',
+    retailer: new mongoose.Types.ObjectId(),
+    status: 'in_transit',
+    items: [
+        { product: MILK, requestedQty: 10, fulfilledQty: 10, unitPrice: 25 },
+        { product: CURD, requestedQty: 4, fulfilledQty: 4, unitPrice: 40 }
+    ]
+});
+
+describe('stockOrderService.confirmReceipt', () => {
+    const retailerId = new mongoose.Types.ObjectId();
+    const userId = new mongoose.Types.ObjectId();
+    let sessions;
+    let posted;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        posted = [];
+        mock.method(Admin, 'findOne', () => query({ _id: retailerId }));
+        mock.method(RetailerInventory, 'exists', () => query({ _id: 1 }));
+        mock.method(inventoryService, 'updateStock', async (params) => {
+            posted.push(params);
+            return {};
+        });
+        mockSaves(StockOrder);
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('posts what arrived and records the shortfall, in one transaction', async () => {
+        mock.method(StockOrder, 'findOneAndUpdate', () => query({ _id: 1 }));
+        const order = inTransit();
+
+        await stockOrderService.confirmReceipt(order, {
+            items: [{ product: MILK, receivedQty: 8, damagedQty: 1, batchNumber: 'M1', expiryDate: '2026-03-14' }],
+            userId
+        });
+
+        assert.deepEqual(posted.map(row => [String(row.productId), row.quantity, row.batchNumber]), [
+            [String(MILK), 8, 'M1'],
+            [String(CURD), 4, undefined]
+        ]);
+        assert.ok(posted.every(row => row.session === sessions[0] && row.retailerId === retailerId));
+        assert.equal(sessions[0].committed, true);
+        assert.equal(order.status, 'received');
+        assert.equal(order.hasDiscrepancy, true);
+        assert.deepEqual(
+            order.discrepancies.map(row => [row.damagedQty, row.missingQty]),
+            [[1, 1]]
+        );
+        assert.ok(order.items.every(item => item.stockPosted));
+    });
+
+    it('adds products the retailer has not stocked before', async () => {
+        mock.method(StockOrder, 'findOneAndUpdate', () => query({ _id: 1 }));
+        mock.method(RetailerInventory, 'exists', () => query(null));
+        const added = mock.method(inventoryService, 'addProductToInventory', async () => ({}));
+
+        await stockOrderService.confirmReceipt(inTransit(), { userId });
+
+        assert.equal(added.mock.callCount(), 2);
+        const [retailer, product, , options] = added.mock.calls[0].arguments;
+        assert.equal(retailer, retailerId);
+        assert.deepEqual(product, { productId: MILK, costPrice: 25 });
+        assert.equal(options.session, sessions[0]);
+    });
+
+    it('posts nothing when another confirmation got there first', async () => {
+        mock.method(StockOrder, 'findOneAndUpdate', () => query(null));
+
+        await assert.rejects(stockOrderService.confirmReceipt(inTransit(), { userId }), {
+            message: 'This stock order has already been received'
+        });
+        assert.equal(posted.length, 0);
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(sessions[0].ended, true);
+    });
+
+    it('refuses more than was dispatched before touching stock', async () => {
+        await assert.rejects(
+            stockOrderService.confirmReceipt(inTransit(), { items: [{ product: CURD, receivedQty: 4, damagedQty: 1 }], userId }),
+            { message: /Only 4 of product/ }
+        );
+        assert.equal(sessions.length, 0);
+    });
+});
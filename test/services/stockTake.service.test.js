@@ -0,0 +1,122 @@
+// test/services/stockTake.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import StockTake from '../../models/stockTake.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import InventoryLog from '../../models/inventoryLog.model.js';
+import stockTakeService from '../../services/stockTake.service.js';
+import inventoryBatchService from '../../services/inventoryBatch.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const retailerId = new mongoose.Types.ObjectId();
+
+const shelfItem = (productName) => {
+    const item = new RetailerInventory({
+        retailer: retailerId,
+        product: new mongoose.Types.ObjectId(),
+        productName,
+        sellingPrice: 30,
+        costPrice: 25
+    });
+    inventoryBatchService.receive(item, { quantity: 5, batchNumber: 'B', expiryDate: '2099-03-14' });
+    inventoryBatchService.receive(item, { quantity: 5, batchNumber: 'A', expiryDate: '2099-03-12' });
+    return item;
+};
+
+const lineFor = (item, counted, expected = 10) => ({
+    inventoryItem: item._id,
+    product: item.product,
+    productName: item.productName,
+    counted,
+    expected,
+    variance: counted - expected,
+    unitCost: 25
+});
+
+describe('stockTakeService.post', () => {
+    let sessions;
+    let logs;
+    let shelf;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        mockSaves(RetailerInventory, StockTake);
+        logs = [];
+        shelf = new Map();
+        mock.method(RetailerInventory, 'findById', (id) => query(shelf.get(String(id)) || null));
+        mock.method(InventoryLog, 'insertMany', async (docs) => {
+            logs.push(...docs);
+            return docs;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const submitted = (...items) => new StockTake({
+        stockTakeId: 'STK1',
+        retailer: retailerId,
+        status: 'submitted',
+        lines: items.map(([item, counted]) => {
+            shelf.set(String(item._id), item);
+            return lineFor(item, counted);
+        })
+    });
+
+    it('moves each product by its variance and logs it under the stock take', async () => {
+        const milk = shelfItem('Milk');
+        const curd = shelfItem('Curd');
+        const bread = shelfItem('Bread');
+        const stockTake = submitted([milk, 12], [curd, 3], [bread, 10]);
+
+        await stockTakeService.post(stockTake);
+
+        assert.equal(milk.currentStock, 12);
+        assert.equal(curd.currentStock, 3);
+        assert.equal(bread.currentStock, 10);
+        assert.deepEqual(stockTake.lines.map(line => line.adjustment), [2, -7, 0]);
+        // Shortages come off the earliest expiry first
+        assert.deepEqual(
+            logs.filter(log => String(log.product) === String(curd.product)).map(log => [log.batchNumber, log.quantity, log.newStock]),
+            [['A', 5, 5], ['B', 2, 3]]
+        );
+        assert.ok(logs.every(log => log.referenceId === 'STK1' && log.reason === 'PHYSICAL_COUNT'));
+        assert.equal(stockTake.status, 'posted');
+        assert.equal(sessions[0].committed, true);
+    });
+
+    it('applies the variance to the stock as it is now, keeping sales made since the count', async () => {
+        const milk = shelfItem('Milk');
+        const stockTake = submitted([milk, 8]);
+        inventoryBatchService.take(milk, 3);
+
+        await stockTakeService.post(stockTake);
+
+        assert.equal(milk.currentStock, 5);
+    });
+
+    it('posts nothing when a product has gone from the inventory', async () => {
+        const milk = shelfItem('Milk');
+        const stockTake = submitted([milk, 12]);
+        shelf.clear();
+
+        await assert.rejects(stockTakeService.post(stockTake), { statusCode: 404, message: 'Milk is no longer in your inventory' });
+        assert.equal(sessions[0].aborted, true);
+        assert.equal(logs.length, 0);
+    });
+
+    it('reports a stock take changed by someone else as a conflict', async () => {
+        const stockTake = submitted([shelfItem('Milk'), 12]);
+        mock.method(StockTake.prototype, 'save', async () => {
+            throw new mongoose.Error.VersionError(stockTake, 1, []);
+        });
+
+        await assert.rejects(stockTakeService.post(stockTake), { statusCode: 409 });
+    });
+
+    it('needs the stock take submitted first', async () => {
+        const stockTake = submitted();
+        stockTake.status = 'open';
+        await assert.rejects(stockTakeService.post(stockTake), { message: 'Submit the stock take before posting it' });
+    });
+});
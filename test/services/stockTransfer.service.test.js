@@ -0,0 +1,189 @@
+// test/services/stockTransfer.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import StockTransfer from '../../models/stockTransfer.model.js';
+import StockTransaction from '../../models/stockTransaction.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import InventoryLog from '../../models/inventoryLog.model.js';
+import stockTransferService from '../../services/stockTransfer.service.js';
+import inventoryBatchService from '../../services/inventoryBatch.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+const MILK = new mongoose.Types.ObjectId();
+const supplierId = new mongoose.Types.ObjectId();
+const requesterId = new mongoose.Types.ObjectId();
+
+const transfer = (fields = {}) => new StockTransfer({
+    transferId: 'TRF1',
+    fromRetailer: supplierId,
+    toRetailer: requesterId,
+    items: [{ product: MILK, productName: 'Toned Milk 500ml', requestedQty: 6, approvedQty: 6 }],
+    status: 'approved',
+    ...fields
+});
+
+const shelf = (retailer) => new RetailerInventory({
+    retailer,
+    product: MILK,
+    productName: 'Toned Milk 500ml',
+    sellingPrice: 30,
+    costPrice: 25
+});
+
+describe('stockTransferService', () => {
+    let sessions;
+    let logs;
+    let claim;
+
+    beforeEach(() => {
+        sessions = mockSessions();
+        mockSaves(RetailerInventory, StockTransfer);
+        logs = [];
+        mock.method(InventoryLog, 'insertMany', async (docs) => {
+            logs.push(...docs);
+            return docs;
+        });
+        claim = mock.method(StockTransfer, 'updateOne', () => query({ matchedCount: 1 }));
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('dispatch', () => {
+        it('sends the earliest expiry first and logs each batch', async () => {
+            const stock = shelf(supplierId);
+            inventoryBatchService.receive(stock, { quantity: 4, batchNumber: 'B', expiryDate: '2099-03-14' });
+            inventoryBatchService.receive(stock, { quantity: 4, batchNumber: 'A', expiryDate: '2099-03-12' });
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+            const sent = transfer();
+
+            await stockTransferService.dispatch(sent, { retailerId: supplierId });
+
+            assert.deepEqual(sent.items[0].batches.map(batch => [batch.batchNumber, batch.quantity]), [['A', 4], ['B', 2]]);
+            assert.equal(stock.currentStock, 2);
+            assert.deepEqual(logs.map(log => [log.reason, log.quantity, log.previousStock, log.newStock]), [
+                ['TRANSFER_OUT', 4, 8, 4],
+                ['TRANSFER_OUT', 2, 4, 2]
+            ]);
+            assert.equal(sent.status, 'in_transit');
+            assert.equal(sessions[0].committed, true);
+
+            const [filter, update, options] = claim.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: sent._id, status: 'approved' });
+            assert.deepEqual(update, { $set: { status: 'in_transit' } });
+            assert.equal(options.session, sessions[0]);
+        });
+
+        it('takes no stock when another dispatch got there first', async () => {
+            const stock = shelf(supplierId);
+            inventoryBatchService.receive(stock, { quantity: 8 });
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+            mock.method(StockTransfer, 'updateOne', () => query({ matchedCount: 0 }));
+
+            await assert.rejects(stockTransferService.dispatch(transfer(), { retailerId: supplierId }), { statusCode: 409 });
+            assert.equal(stock.currentStock, 8);
+            assert.equal(sessions[0].aborted, true);
+            assert.equal(logs.length, 0);
+        });
+
+        it('refuses when the supplier no longer has the stock', async () => {
+            const stock = shelf(supplierId);
+            inventoryBatchService.receive(stock, { quantity: 5 });
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+
+            await assert.rejects(stockTransferService.dispatch(transfer(), { retailerId: supplierId }), {
+                message: 'Insufficient stock for Toned Milk 500ml: available 5, approved 6'
+            });
+            assert.equal(sessions[0].aborted, true);
+            assert.equal(logs.length, 0);
+        });
+
+        it('is only for the supplying shop', async () => {
+            await assert.rejects(stockTransferService.dispatch(transfer(), { retailerId: requesterId }), { statusCode: 403 });
+        });
+    });
+
+    describe('receive', () => {
+        const inTransit = () => transfer({
+            status: 'in_transit',
+            items: [{
+                product: MILK,
+                productName: 'Toned Milk 500ml',
+                requestedQty: 6,
+                approvedQty: 6,
+                dispatchedQty: 6,
+                unitCost: 25,
+                batches: [
+                    { batchNumber: 'A', expiryDate: new Date('2099-03-12'), quantity: 4 },
+                    { batchNumber: 'B', expiryDate: new Date('2099-03-14'), quantity: 2 }
+                ]
+            }]
+        });
+
+        it('receives the dispatched batches and records the shortfall', async () => {
+            const stock = shelf(requesterId);
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+            const movements = mock.method(StockTransaction, 'create', async (docs) => docs);
+            const received = inTransit();
+
+            await stockTransferService.receive(received, { items: [{ productId: MILK, quantity: 5 }], retailerId: requesterId });
+
+            assert.deepEqual(stock.batches.map(batch => [batch.batchNumber, batch.quantity]), [['A', 4], ['B', 1]]);
+            assert.deepEqual(logs.map(log => [log.reason, log.batchNumber, log.quantity]), [
+                ['TRANSFER_IN', 'A', 4],
+                ['TRANSFER_IN', 'B', 1]
+            ]);
+            const [[movement], options] = movements.mock.calls[0].arguments;
+            assert.equal(movement.qty, 5);
+            assert.match(movement.note, /6 dispatched, 5 received/);
+            assert.equal(options.session, sessions[0]);
+            assert.equal(received.status, 'received');
+            assert.deepEqual(claim.mock.calls[0].arguments[0], { _id: received._id, status: 'in_transit' });
+            assert.equal(claim.mock.calls[0].arguments[2].session, sessions[0]);
+        });
+
+        it('adds no stock when the transfer was already received', async () => {
+            const stock = shelf(requesterId);
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+            mock.method(StockTransfer, 'updateOne', () => query({ matchedCount: 0 }));
+
+            await assert.rejects(stockTransferService.receive(inTransit(), { retailerId: requesterId }), {
+                statusCode: 409,
+                message: 'Transfer has already been received'
+            });
+            assert.equal(stock.currentStock, 0);
+            assert.equal(sessions[0].aborted, true);
+        });
+
+        it('keeps the quantity but drops a batch number the shop already uses for another expiry', async () => {
+            const stock = shelf(requesterId);
+            inventoryBatchService.receive(stock, { quantity: 1, batchNumber: 'A', expiryDate: '2099-01-01' });
+            mock.method(RetailerInventory, 'findOne', () => query(stock));
+            mock.method(StockTransaction, 'create', async (docs) => docs);
+
+            await stockTransferService.receive(inTransit(), { retailerId: requesterId });
+
+            assert.equal(stock.currentStock, 7);
+            assert.equal(stock.batches.find(batch => batch.batchNumber === 'A').quantity, 1);
+        });
+
+        it('refuses more than was dispatched', async () => {
+            await assert.rejects(
+                stockTransferService.receive(inTransit(), { items: [{ productId: MILK, quantity: 7 }], retailerId: requesterId }),
+                { message: 'Received quantity for Toned Milk 500ml must be between 0 and 6' }
+            );
+            assert.equal(sessions.length, 0);
+        });
+    });
+
+    describe('cancel', () => {
+        it('does not cancel a transfer dispatched meanwhile', async () => {
+            mock.method(StockTransfer, 'updateOne', () => query({ matchedCount: 0 }));
+            const approved = transfer();
+
+            await assert.rejects(stockTransferService.cancel(approved, { retailerId: requesterId }), { statusCode: 409 });
+            assert.equal(approved.status, 'approved');
+        });
+    });
+});
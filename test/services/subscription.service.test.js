@@ -0,0 +1,175 @@
+// test/services/subscription.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import Subscription from '../../models/subscription.model.js';
+import RetailerInventory from '../../models/retailerInventory.model.js';
+import subscriptionService from '../../services/subscription.service.js';
+import inventoryService from '../../services/inventory.service.js';
+import orderLifecycleService from '../../services/orderLifecycle.service.js';
+import gstService from '../../services/gst.service.js';
+import { startOfDay } from '../../utils/dateUtils.js';
+import { query, mockSaves } from '../helpers/mongoose.js';
+
+// Tuesday
+const DAY = startOfDay('2026-03-10');
+
+const subscription = (fields = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    subscriptionId: 'SUB1',
+    status: 'active',
+    frequency: 'daily',
+    startDate: new Date('2026-03-02T00:00:00+05:30'),
+    quantity: 2,
+    paymentMethod: 'cash',
+    customer: { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId(), vacations: [] },
+    product: { _id: new mongoose.Types.ObjectId(), name: 'Toned Milk 500ml', price: 30, unit: 'packet', isAvailable: true },
+    retailer: { _id: new mongoose.Types.ObjectId(), shopName: 'Gokul Dairy', isActive: true },
+    logs: [],
+    save: async () => {},
+    ...fields
+});
+
+describe('subscriptionService', () => {
+    afterEach(() => mock.restoreAll());
+
+    describe('isDeliveryDue', () => {
+        it('delivers every day on a daily plan from its start date', () => {
+            assert.equal(subscriptionService.isDeliveryDue(subscription(), DAY), true);
+            assert.equal(subscriptionService.isDeliveryDue(subscription({ startDate: new Date('2026-03-11') }), DAY), false);
+        });
+
+        it('delivers every other day counted from the start date', () => {
+            const alternate = subscription({ frequency: 'alternate_days' });
+            assert.equal(subscriptionService.isDeliveryDue(alternate, DAY), true);
+            assert.equal(subscriptionService.isDeliveryDue(alternate, DAY.plus({ days: 1 })), false);
+        });
+
+        it('delivers on the chosen weekdays only', () => {
+            const weekdays = subscription({ frequency: 'weekdays', daysOfWeek: [1, 3, 5] });
+            assert.equal(subscriptionService.isDeliveryDue(weekdays, DAY), false);
+            assert.equal(subscriptionService.isDeliveryDue(weekdays, DAY.plus({ days: 1 })), true);
+        });
+
+        it('skips skipped days, days after the end date and vacations', () => {
+            assert.equal(subscriptionService.isDeliveryDue(subscription({ skipDates: [DAY.toJSDate()] }), DAY), false);
+            assert.equal(subscriptionService.isDeliveryDue(subscription({ endDate: new Date('2026-03-09') }), DAY), false);
+
+            const away = subscription();
+            away.customer.vacations = [{ startDate: new Date('2026-03-09'), endDate: new Date('2026-03-12') }];
+            assert.equal(subscriptionService.isDeliveryDue(away, DAY), false);
+        });
+
+        it('delivers nothing while paused', () => {
+            assert.equal(subscriptionService.isDeliveryDue(subscription({ status: 'paused' }), DAY), false);
+        });
+    });
+
+    describe('createOrderForDay', () => {
+        let saved;
+
+        beforeEach(() => {
+            saved = mockSaves(Order);
+            mock.method(Order, 'exists', () => query(null));
+            mock.method(RetailerInventory, 'findOne', () => query({ sellingPrice: 28 }));
+            mock.method(gstService, 'applyToOrder', async () => {});
+            mock.method(console, 'log', () => {});
+        });
+
+        it('creates the day\'s order at the retailer\'s price and reserves its stock', async () => {
+            const reserve = mock.method(inventoryService, 'reserveStockForOrder', async () => ({}));
+            const plan = subscription();
+
+            const { created, order } = await subscriptionService.createOrderForDay(plan, DAY);
+
+            assert.equal(created, true);
+            assert.equal(order.totalAmount, 56);
+            assert.equal(order.items[0].priceSource, 'retailer_inventory');
+            assert.deepEqual(order.deliveryDate, DAY.toJSDate());
+            assert.equal(order.reservationStatus, 'reserved');
+            assert.deepEqual(reserve.mock.calls[0].arguments[2], [{ productId: plan.product._id, quantity: 2 }]);
+            assert.deepEqual(plan.lastGeneratedDate, DAY.toJSDate());
+        });
+
+        it('does not create the order twice', async () => {
+            const existingId = new mongoose.Types.ObjectId();
+            mock.method(Order, 'exists', () => query({ _id: existingId }));
+
+            const result = await subscriptionService.createOrderForDay(subscription(), DAY);
+
+            assert.deepEqual(result, { created: false, orderId: existingId });
+            assert.equal(saved.length, 0);
+        });
+
+        it('removes the order again when its stock cannot be reserved', async () => {
+            mock.method(inventoryService, 'reserveStockForOrder', async () => {
+                throw new Error('short by 2');
+            });
+            const removed = mock.method(Order, 'findByIdAndDelete', () => query(null));
+
+            await assert.rejects(subscriptionService.createOrderForDay(subscription(), DAY), /Could not reserve stock. short by 2/);
+            assert.equal(removed.mock.calls[0].arguments[0], saved[0]._id);
+        });
+    });
+
+    describe('generateOrdersForDate', () => {
+        beforeEach(() => {
+            mock.method(Subscription, 'updateMany', () => query({}));
+            mock.method(console, 'log', () => {});
+            mock.method(console, 'error', () => {});
+        });
+
+        it('counts created, existing and failed orders for the subscriptions due', async () => {
+            const plans = [
+                subscription({ subscriptionId: 'SUB1' }),
+                subscription({ subscriptionId: 'SUB2' }),
+                subscription({ subscriptionId: 'SUB3' }),
+                subscription({ subscriptionId: 'SUB4', frequency: 'weekdays', daysOfWeek: [7] })
+            ];
+            mock.method(Subscription, 'find', () => query(plans));
+            mock.method(subscriptionService, 'createOrderForDay', async (plan) => {
+                if (plan.subscriptionId === 'SUB3') throw new Error('Assigned retailer is inactive');
+                return { created: plan.subscriptionId === 'SUB1' };
+            });
+
+            const summary = await subscriptionService.generateOrdersForDate('2026-03-10');
+
+            assert.deepEqual(
+                { due: summary.due, created: summary.created, existing: summary.existing, failed: summary.failed },
+                { due: 3, created: 1, existing: 1, failed: 1 }
+            );
+            assert.equal(plans[2].logs[0].action, 'generation_failed');
+        });
+    });
+
+    describe('cancelCustomerOrders', () => {
+        it('cancels the customer\'s undispatched orders due inside the window', async () => {
+            const orders = [{ orderId: 'ORD1' }, { orderId: 'ORD2' }];
+            const find = mock.method(Order, 'find', () => query(orders));
+            const transition = mock.method(orderLifecycleService, 'transition', async () => ({}));
+            const customerId = new mongoose.Types.ObjectId();
+            const userId = new mongoose.Types.ObjectId();
+
+            const cancelled = await subscriptionService.cancelCustomerOrders(customerId, {
+                from: '2026-03-10',
+                to: '2026-03-12',
+                reason: 'Customer on vacation',
+                userId
+            });
+
+            assert.deepEqual(cancelled, ['ORD1', 'ORD2']);
+            const [filter] = find.mock.calls[0].arguments;
+            assert.equal(filter.customer, customerId);
+            assert.deepEqual(filter.orderStatus, { $in: ['pending', 'confirmed'] });
+            assert.equal(filter.deliveryDate.$gte.toISOString(), '2026-03-09T18:30:00.000Z');
+            assert.equal(filter.deliveryDate.$lte.toISOString(), '2026-03-12T18:29:59.999Z');
+
+            const [order, to, { actor, reason }] = transition.mock.calls[0].arguments;
+            assert.equal(order, orders[0]);
+            assert.equal(to, 'cancelled');
+            assert.deepEqual(actor, { role: 'system', user: userId });
+            assert.equal(reason, 'Customer on vacation');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+// test/services/upiQr.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Order from '../../models/order.model.js';
+import Payment from '../../models/payment.model.js';
+import upiQrService from '../../services/upiQr.service.js';
+import paymentService from '../../services/payment.service.js';
+import { query } from '../helpers/mongoose.js';
+
+const qrOrder = (fields = {}) => new Order({
+    orderId: 'ORD1001',
+    customer: new mongoose.Types.ObjectId(),
+    assignedRetailer: new mongoose.Types.ObjectId(),
+    items: [],
+    totalAmount: 250,
+    finalAmount: 250,
+    paymentMethod: 'cash',
+    orderStatus: 'out_for_delivery',
+    ...fields
+});
+
+const qrPayment = (order) => Payment.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    paymentId: 'PAY1',
+    order: order._id,
+    customer: order.customer,
+    amount: 250,
+    paymentMethod: 'upi',
+    paymentStatus: 'pending',
+    gateway: 'upi_qr',
+    upiQr: { vpa: 'shop@upi', reference: 'PAY1' }
+});
+
+describe('upiQrService.buildIntent', () => {
+    it('builds a upi://pay link with the amount to two places', () => {
+        const intent = upiQrService.buildIntent({ vpa: 'shop@upi', payeeName: 'Fresh Mart', amount: 250, reference: 'PAY1', note: 'Order ORD1001' });
+
+        assert.equal(intent, 'upi://pay?pa=shop@upi&pn=Fresh%20Mart&am=250.00&cu=INR&tr=PAY1&tn=Order%20ORD1001');
+    });
+});
+
+describe('upiQrService.confirm', () => {
+    let order;
+    let payment;
+    let flagged;
+    let closed;
+    let switched;
+
+    beforeEach(() => {
+        order = qrOrder();
+        payment = qrPayment(order);
+        mock.method(Order, 'findById', () => query(order));
+        flagged = mock.method(Payment, 'updateOne', async () => ({}));
+        closed = mock.method(Payment, 'updateMany', async () => ({}));
+        mock.method(Payment, 'exists', async () => null);
+        switched = mock.method(Order, 'updateOne', async () => ({}));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    it('captures the payment and closes only the cash and QR payments left open', async () => {
+        const captured = mock.method(paymentService, 'markCaptured', async () => ({ outcome: 'applied', order }));
+
+        const result = await upiQrService.confirm(payment, { utr: ' 412345678901 ', amount: '250', confirmation: 'webhook' });
+
+        assert.deepEqual(result, { outcome: 'applied' });
+        assert.equal(captured.mock.calls[0].arguments[0], payment);
+        assert.equal(payment.upiQr.utr, '412345678901');
+        assert.equal(payment.upiQr.confirmation, 'webhook');
+
+        const [filter, update] = closed.mock.calls[0].arguments;
+        assert.deepEqual(filter.$or, [{ gateway: 'upi_qr' }, { paymentMethod: 'cash' }]);
+        assert.equal(update.$set.paymentStatus, 'failed');
+        assert.deepEqual(switched.mock.calls[0].arguments, [
+            { _id: order._id, paymentMethod: { $ne: 'upi' } },
+            { $set: { paymentMethod: 'upi' } }
+        ]);
+        assert.equal(flagged.mock.callCount(), 0);
+    });
+
+    it('flags a transfer for the wrong amount for review instead of capturing it', async () => {
+        const captured = mock.method(paymentService, 'markCaptured', async () => ({ outcome: 'applied', order }));
+
+        const result = await upiQrService.confirm(payment, { utr: '412345678901', amount: 200, confirmation: 'webhook' });
+
+        assert.deepEqual(result, { outcome: 'review', note: 'Received ₹200, expected ₹250' });
+        assert.equal(captured.mock.callCount(), 0);
+        const [filter, update] = flagged.mock.calls[0].arguments;
+        assert.deepEqual(filter, { _id: payment._id });
+        assert.equal(update.$set['upiQr.review'].receivedAmount, 200);
+        assert.equal(update.$set['upiQr.review'].utr, '412345678901');
+        assert.equal(payment.paymentStatus, 'pending');
+    });
+
+    it('flags a transfer for an order something else paid first', async () => {
+        mock.method(paymentService, 'markCaptured', async () => ({ outcome: 'applied', order: null }));
+
+        const result = await upiQrService.confirm(payment, { confirmation: 'manual' });
+
+        assert.equal(result.outcome, 'review');
+        assert.match(result.note, /ORD1001 was already paid/);
+        assert.equal(flagged.mock.calls[0].arguments[1].$set['upiQr.review'].receivedAmount, 250);
+        assert.equal(closed.mock.callCount(), 0);
+        assert.equal(switched.mock.callCount(), 0);
+    });
+
+    it('confirms a counter sale, which is billed as paid', async () => {
+        order = qrOrder({ orderType: 'offline', paymentMethod: 'upi', paymentStatus: 'paid', orderStatus: 'delivered' });
+        payment = qrPayment(order);
+        mock.method(paymentService, 'markCaptured', async () => ({ outcome: 'applied', order: null }));
+
+        const result = await upiQrService.confirm(payment, { confirmation: 'manual' });
+
+        assert.deepEqual(result, { outcome: 'applied' });
+        assert.equal(flagged.mock.callCount(), 0);
+        assert.equal(switched.mock.callCount(), 0);
+    });
+
+    it('does nothing more when another confirmation claimed the payment first', async () => {
+        mock.method(paymentService, 'markCaptured', async () => ({ outcome: 'ignored', note: 'Payment already success' }));
+
+        const result = await upiQrService.confirm(payment, { confirmation: 'manual' });
+
+        assert.deepEqual(result, { outcome: 'ignored', note: 'Payment already success' });
+        assert.equal(Order.findById.mock.callCount(), 0);
+        assert.equal(closed.mock.callCount(), 0);
+    });
+});
@@ -0,0 +1,129 @@
+// test/services/wallet.service.test.js
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import WalletTransaction from '../../models/walletTransaction.model.js';
+import Customer from '../../models/customer.model.js';
+import walletService from '../../services/wallet.service.js';
+import { query, mockSessions, mockSaves } from '../helpers/mongoose.js';
+
+describe('walletService', () => {
+    let customerId;
+    let ledger;
+
+    beforeEach(() => {
+        customerId = new mongoose.Types.ObjectId();
+        ledger = [];
+        mock.method(WalletTransaction, 'create', async (docs) => {
+            const created = docs.map(doc => new WalletTransaction(doc));
+            ledger.push(...created);
+            return created;
+        });
+        mockSaves(WalletTransaction);
+        mock.method(console, 'log', () => {});
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    describe('post', () => {
+        it('credits the balance and completes the ledger entry', async () => {
+            const update = mock.method(Customer, 'findOneAndUpdate', () => query({ walletBalance: 150 }));
+
+            const transaction = await walletService.credit(customerId, 50.004, { category: 'refund', description: 'Refund RFD1' });
+
+            const [filter, change] = update.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: customerId });
+            assert.deepEqual(change, { $inc: { walletBalance: 50 } });
+            assert.equal(transaction.status, 'completed');
+            assert.equal(transaction.amount, 50);
+            assert.equal(transaction.balanceAfter, 150);
+        });
+
+        it('only debits while the balance covers it', async () => {
+            const update = mock.method(Customer, 'findOneAndUpdate', () => query({ walletBalance: 30 }));
+
+            await walletService.debit(customerId, 70, { category: 'order_payment' });
+
+            const [filter, change] = update.mock.calls[0].arguments;
+            assert.deepEqual(filter, { _id: customerId, walletBalance: { $gte: 70 } });
+            assert.deepEqual(change, { $inc: { walletBalance: -70 } });
+        });
+
+        it('fails the entry when the balance is short', async () => {
+            mock.method(Customer, 'findOneAndUpdate', () => query(null));
+
+            await assert.rejects(walletService.debit(customerId, 500, { category: 'order_payment' }), {
+                statusCode: 400,
+                message: 'Insufficient wallet balance'
+            });
+            assert.equal(ledger[0].status, 'failed');
+            assert.equal(ledger[0].failureReason, 'Insufficient wallet balance');
+        });
+
+        it('refuses amounts that are not positive before writing anything', async () => {
+            await assert.rejects(walletService.credit(customerId, 0, { category: 'adjustment' }), { statusCode: 400 });
+            assert.equal(ledger.length, 0);
+        });
+    });
+
+    describe('adjust', () => {
+        it('needs a reason', async () => {
+            await assert.rejects(walletService.adjust(customerId, 10, { reason: ' ' }), /reason is required/);
+        });
+
+        it('debits negative adjustments', async () => {
+            const debit = mock.method(walletService, 'debit', async () => ({}));
+            await walletService.adjust(customerId, -25, { reason: 'Duplicate top-up', actor: { role: 'superadmin' } });
+            assert.equal(debit.mock.calls[0].arguments[1], 25);
+        });
+    });
+
+    describe('completeTopUp', () => {
+        const pending = () => new WalletTransaction({
+            transactionId: 'WTX1',
+            customer: new mongoose.Types.ObjectId(),
+            type: 'credit',
+            category: 'top_up',
+            amount: 200,
+            status: 'pending',
+            gatewayOrderId: 'order_1'
+        });
+
+        it('credits a pending top-up once', async () => {
+            const topUp = pending();
+            const sessions = mockSessions();
+            mock.method(WalletTransaction, 'findOne', () => query(topUp));
+            mock.method(WalletTransaction, 'findOneAndUpdate', () => query(topUp));
+            const balance = mock.method(Customer, 'findByIdAndUpdate', () => query({ walletBalance: 200 }));
+
+            const result = await walletService.completeTopUp('order_1', { gatewayPaymentId: 'pay_1', amount: 20000 });
+
+            assert.deepEqual(result, { outcome: 'applied', note: undefined });
+            assert.deepEqual(balance.mock.calls[0].arguments[1], { $inc: { walletBalance: 200 } });
+            assert.equal(sessions[0].committed, true);
+        });
+
+        it('ignores a top-up the webhook or callback already credited', async () => {
+            mockSessions();
+            mock.method(WalletTransaction, 'findOne', () => query(pending()));
+            mock.method(WalletTransaction, 'findOneAndUpdate', () => query(null));
+            const balance = mock.method(Customer, 'findByIdAndUpdate', () => query({ walletBalance: 0 }));
+
+            const result = await walletService.completeTopUp('order_1', { gatewayPaymentId: 'pay_1' });
+
+            assert.equal(result.outcome, 'ignored');
+            assert.equal(balance.mock.callCount(), 0);
+        });
+
+        it('ignores a capture for a different amount', async () => {
+            mock.method(WalletTransaction, 'findOne', () => query(pending()));
+            const claim = mock.method(WalletTransaction, 'findOneAndUpdate', () => query(null));
+
+            const result = await walletService.completeTopUp('order_1', { amount: 100 });
+
+            assert.equal(result.outcome, 'ignored');
+            assert.match(result.note, /expected 20000/);
+            assert.equal(claim.mock.callCount(), 0);
+        });
+    });
+});
@@ -0,0 +1,91 @@
+// test/utils/thermalReceipt.test.js
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderReceiptEscPos, renderReceiptPdf, PAPER_WIDTHS } from '../../utils/thermalReceipt.js';
+import { generateQRCode } from '../../utils/QrGen.utils.js';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+const receipt = (fields = {}) => ({
+    shop: { name: 'Sharma Dairy', address: 'Shop 4, Main Road', phone: '9800000000', gstin: '27ABCDE1234F1Z5' },
+    orderId: 'ORD1001',
+    invoiceNumber: 'D9/26-27/00001',
+    date: new Date('2026-10-19T06:30:00Z'),
+    items: [
+        { name: 'Toned Milk ₹ pack', unit: 'packet', quantity: 2, price: 27, originalPrice: 30, total: 54 },
+        { name: 'Paneer', unit: 'kg', quantity: 1, price: 400, originalPrice: null, total: 400 }
+    ],
+    subtotal: 454,
+    discount: 4,
+    deliveryFee: 0,
+    total: 450,
+    totalTax: 21.43,
+    paymentMethod: 'upi',
+    paymentStatus: 'paid',
+    ...fields
+});
+
+// Printed text lines, with the ESC/POS control sequences dropped
+const printedLines = (bytes) => bytes.toString('latin1')
+    .split('\n')
+    .map(line => line.replace(/\x1b@|(\x1b[aEd]|\x1d!)[\s\S]/g, ''))
+    .filter(Boolean);
+
+describe('renderReceiptEscPos', () => {
+    let qrCode;
+
+    before(async () => {
+        qrCode = await generateQRCode('https://example.com/orders/ORD1001');
+    });
+
+    it('initialises the printer, and feeds and cuts at the end', async () => {
+        const bytes = await renderReceiptEscPos(receipt({ qrCode }));
+
+        assert.deepEqual([...bytes.subarray(0, 2)], [ESC, 0x40]);
+        assert.deepEqual([...bytes.subarray(-4)], [GS, 0x56, 0x42, 0x00]);
+        assert.ok(bytes.includes(Buffer.from([ESC, 0x64, 4])));
+    });
+
+    it('keeps every line within the paper width and prints no rupee sign', async () => {
+        for (const width of [58, 80]) {
+            const bytes = await renderReceiptEscPos(receipt({ qrCode }), { width });
+            // Text up to the QR image, whose raster bytes are not text
+            const lines = printedLines(bytes.subarray(0, bytes.indexOf(Buffer.from([GS, 0x76, 0x30]))));
+
+            assert.ok(lines.every(line => line.length <= PAPER_WIDTHS[width].columns));
+            assert.ok(!lines.join('\n').includes('?'), 'the rupee sign is written as Rs.');
+            assert.ok(lines.some(line => line.includes('Toned Milk Rs. pack')));
+            assert.ok(lines.some(line => line.startsWith('TOTAL') && line.endsWith('Rs.450.00')));
+            assert.ok(lines.some(line => line.includes('(MRP 30.00)')));
+        }
+    });
+
+    it('sizes the QR raster to the paper', async () => {
+        const bytes = await renderReceiptEscPos(receipt({ qrCode }), { width: 58 });
+        const start = bytes.indexOf(Buffer.from([GS, 0x76, 0x30, 0x00]));
+
+        assert.ok(start > 0);
+        // 192 dots wide: 24 bytes per row, 192 rows
+        assert.deepEqual([...bytes.subarray(start + 4, start + 8)], [24, 0, 192, 0]);
+    });
+
+    it('marks unpaid orders on the payment line', async () => {
+        const bytes = await renderReceiptEscPos(receipt({ qrCode, paymentMethod: 'cod', paymentStatus: 'pending' }), { width: 80 });
+        const paidBy = printedLines(bytes).find(line => line.startsWith('Paid by'));
+
+        assert.ok(paidBy.endsWith('COD (pending)'));
+        assert.equal(paidBy.length, PAPER_WIDTHS[80].columns);
+    });
+});
+
+describe('renderReceiptPdf', () => {
+    it('renders a page as wide as the paper roll', async () => {
+        const qrCode = await generateQRCode('https://example.com/orders/ORD1001');
+
+        const pdf = await renderReceiptPdf(receipt({ qrCode }), { width: 58 });
+
+        assert.equal(pdf.subarray(0, 5).toString(), '%PDF-');
+        assert.match(pdf.toString('latin1'), new RegExp(`/MediaBox \\[0 0 ${PAPER_WIDTHS[58].points} `));
+    });
+});
@@ -1,10 +1,11 @@
 import QRCode from "qrcode";
 
-// data → object you want encoded (like { productId, retailerId })
-export const generateQRCode = async (data) => {
+// data → object you want encoded (like { productId, retailerId }), or a string (like a URL) encoded as is
+// options → passed to qrcode, e.g. { width: 300 }
+export const generateQRCode = async (data, options = {}) => {
   try {
-    const jsonData = JSON.stringify(data);
-    const qrDataUrl = await QRCode.toDataURL(jsonData); // returns base64 PNG
+    const jsonData = typeof data === 'string' ? data : JSON.stringify(data);
+    const qrDataUrl = await QRCode.toDataURL(jsonData, options); // returns base64 PNG
     return qrDataUrl;
   } catch (error) {
     console.error("QR generation failed:", error);
@@ -0,0 +1,58 @@
+// utils/dateUtils.js
+// Day-level date helpers. Deliveries, schedules and cut-offs are all reckoned
+// in the shop's local time (IST), not in the server's timezone.
+import { DateTime } from 'luxon';
+
+export const TIMEZONE = 'Asia/Kolkata';
+
+/**
+ * Convert a Date, ISO string ('2025-01-31') or luxon DateTime to the start of that day in IST
+ * @param {Date|string|DateTime} input - Value to convert (defaults to now)
+ * @returns {DateTime|null} Start of the IST day, or null if input is invalid
+ */
+export function startOfDay(input = new Date()) {
+  let dt;
+  if (DateTime.isDateTime(input)) {
+    dt = input.setZone(TIMEZONE);
+  } else if (input instanceof Date) {
+    dt = DateTime.fromJSDate(input, { zone: TIMEZONE });
+  } else if (typeof input === 'string') {
+    dt = DateTime.fromISO(input, { zone: TIMEZONE });
+  } else {
+    return null;
+  }
+  return dt.isValid ? dt.startOf('day') : null;
+}
+
+/**
+ * Start and end of an IST day as JS Dates, for Mongo range queries
+ * @param {Date|string|DateTime} input
+ * @returns {{ start: Date, end: Date }|null}
+ */
+export function dayRange(input) {
+  const day = startOfDay(input);
+  if (!day) return null;
+  return { start: day.toJSDate(), end: day.endOf('day').toJSDate() };
+}
+
+/**
+ * Format a date as an IST day key (yyyy-LL-dd)
+ * @param {Date|string|DateTime} input
+ * @returns {string|null}
+ */
+export function toDateKey(input) {
+  const day = startOfDay(input);
+  return day ? day.toFormat('yyyy-LL-dd') : null;
+}
+
+/**
+ * Indian financial year (April to March) a date falls in, e.g. "2025-26"
+ * @param {Date|string|DateTime} input
+ * @returns {string|null}
+ */
+export function getFinancialYear(input = new Date()) {
+  const day = startOfDay(input);
+  if (!day) return null;
+  const startYear = day.month >= 4 ? day.year : day.year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
@@ -0,0 +1,5 @@
+// utils/generateOrderId.js
+// Generate unique order ID
+export const generateOrderId = () => {
+  return 'ORD' + Date.now() + Math.floor(Math.random() * 1000);
+};
@@ -0,0 +1,11 @@
+// utils/httpError.js
+
+/**
+ * Error carrying the HTTP status a controller should answer with.
+ * Controllers check `error.statusCode` and fall back to 500 without it.
+ */
+export const httpError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
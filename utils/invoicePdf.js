@@ -0,0 +1,493 @@
+// utils/invoicePdf.js
+// Renders an issued invoice (models/invoice.model.js) from its snapshot, so a
+// re-rendered copy always matches what was issued
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const capitalize = (value = '') => value.charAt(0).toUpperCase() + value.slice(1);
+
+/**
+ * Render a tax invoice PDF
+ * @param {Object} invoice - Invoice document (or plain object with the same shape)
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) => new Promise((resolve, reject) => {
+  try {
+    const seller = invoice.seller || {};
+    const buyer = invoice.buyer || {};
+    const tax = invoice.tax || {};
+
+    // Create a new PDF document
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Invoice - ${invoice.invoiceNumber}`,
+        Author: 'Dairy 9',
+        Subject: 'Order Invoice',
+        Keywords: 'invoice, order, dairy, receipt',
+        Creator: 'Dairy 9 System',
+        CreationDate: new Date(invoice.issuedAt)
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Add professional diagonal watermark
+    const addWatermark = () => {
+      doc.save();
+      
+      // Set watermark properties
+      const watermarkText = 'DAIRY 9';
+      const watermarkOpacity = 0.05; // Increased opacity for better visibility on larger page
+      const rotationAngle = -30; // Diagonal angle
+      const fontSize = 150; // Larger font size for A4 page
+      
+      // Calculate center position
+      const centerX = doc.page.width / 2;
+      const centerY = doc.page.height / 2;
+      
+      doc.fillColor('black')
+         .font('Helvetica-Bold')
+         .fontSize(fontSize)
+         .opacity(watermarkOpacity)
+         .rotate(rotationAngle, { origin: [centerX, centerY] })
+         .text(watermarkText, centerX - 200, centerY - 30, {
+           align: 'center',
+           width: 400
+         })
+         .rotate(-rotationAngle, { origin: [centerX, centerY] });
+      
+      doc.restore();
+    };
+
+    // Call watermark on every page
+    doc.on('pageAdded', () => {
+      addWatermark();
+    });
+
+    // Add watermark to first page
+    addWatermark();
+
+    // Professional Header with proper logo handling
+    const headerTop = 50;
+
+    // Company logo with proper aspect ratio
+    const logoPath = path.join(__dirname, '../assets/images/logo.jpeg');
+    if (fs.existsSync(logoPath)) {
+      // Maintain original aspect ratio - larger size for better visibility
+      const logoWidth = 150;
+      const logoHeight = 150;
+
+      doc.image(logoPath, 50, headerTop, {
+        width: logoWidth,
+        height: logoHeight,
+        fit: [logoWidth, logoHeight],
+        align: 'left',
+        valign: 'top'
+      });
+
+      // Company info positioned below the logo with proper spacing
+      doc.fillColor('#87CEEB')
+         .fontSize(32)
+         .font('Courier-Bold')
+         .text('DAIRY 9', 220, headerTop + 25);
+
+      doc.fillColor('#666666')
+         .fontSize(10)
+         .font('Helvetica')
+         .text('Fresh Dairy Products Delivered Daily', 200, headerTop + 55)
+         .text('123 Dairy Lane, Milk City, MC 12345', 200, headerTop + 70)
+         .text('Phone: +1 (555) 123-4567 | Email: info@dairy9.com', 200, headerTop + 85);
+    } else {
+      // Fallback if logo doesn't exist
+      doc.fillColor('#87CEEB')
+         .fontSize(28)
+         .font('Courier-Bold')
+         .text('DAIRY 9', 50, headerTop);
+
+      doc.fillColor('#666666')
+         .fontSize(10)
+         .font('Helvetica')
+         .text('Fresh Dairy Products Delivered Daily', 50, headerTop + 35)
+         .text('123 Dairy Lane, Milk City, MC 12345', 50, headerTop + 50)
+         .text('Phone: +1 (555) 123-4567 | Email: info@dairy9.com', 50, headerTop + 65);
+    }
+
+    // Invoice title section - properly spaced below header
+    const invoiceTop = headerTop + 140;
+    doc.fillColor('#333333')
+       .fontSize(28)
+       .font('Helvetica-Bold')
+       .text('TAX INVOICE', 0, invoiceTop, { align: 'center' });
+    
+    doc.fillColor('#2E8B57')
+       .fontSize(12)
+       .font('Helvetica-Oblique')
+       .text('Order Confirmation & Invoice', 0, invoiceTop + 35, { align: 'center' });
+
+    // Separator line
+    doc.moveTo(50, invoiceTop + 60)
+       .lineTo(545, invoiceTop + 60)
+       .lineWidth(1)
+       .strokeColor('#2E8B57')
+       .stroke();
+
+    // Seller (the retailer that supplies the goods)
+    if (seller.shopName) {
+      doc.fillColor('#666666')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(`Sold by: ${seller.shopName}${seller.address ? `, ${seller.address}` : ''} | GSTIN: ${seller.gstin || 'Unregistered'}`, 50, invoiceTop + 68, { width: 495, align: 'center' });
+    }
+
+    // Invoice details section - Two column layout with better spacing
+    const detailsTop = invoiceTop + 90;
+
+    // Left column - Invoice Details
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('INVOICE DETAILS', 50, detailsTop);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Invoice Number: ${invoice.invoiceNumber}`, 50, detailsTop + 20, { width: 240 })
+       .text(`Order ID: ${invoice.orderId}`, 50, detailsTop + 35, { width: 240 })
+       .text(`Invoice Date: ${new Date(invoice.issuedAt).toLocaleDateString('en-IN', {
+         year: 'numeric',
+         month: 'long',
+         day: 'numeric'
+       })}`, 50, detailsTop + 50, { width: 240 })
+       .text(`Delivery Date: ${new Date(invoice.deliveryDate || invoice.issuedAt).toLocaleDateString('en-IN', {
+         year: 'numeric',
+         month: 'long',
+         day: 'numeric'
+       })}`, 50, detailsTop + 65, { width: 240 });
+
+    // Right column - Order Status
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('ORDER STATUS', 320, detailsTop);
+
+    const orderStatus = invoice.orderStatus || 'pending';
+    const statusColor = orderStatus === 'delivered' ? '#4CAF50' :
+                       orderStatus === 'cancelled' ? '#F44336' : '#FF9800';
+
+    doc.fillColor(statusColor)
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text(orderStatus.toUpperCase(), 320, detailsTop + 20, { width: 200 });
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Payment: ${capitalize(invoice.paymentStatus)}`, 320, detailsTop + 35, { width: 200 })
+       .text(`Method: ${capitalize(invoice.paymentMethod)}`, 320, detailsTop + 50, { width: 200 });
+
+    if (tax.placeOfSupply) {
+      doc.text(`Place of Supply: ${tax.placeOfSupply}`, 320, detailsTop + 65, { width: 200 });
+    }
+
+    // Customer information section
+    const customerTop = detailsTop + 90;
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('BILL TO', 50, customerTop);
+
+    // Customer info box - wider for better spacing
+    doc.rect(50, customerTop + 15, 245, 70)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    doc.fillColor('#333333')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text(buyer.name || 'Customer', 60, customerTop + 25, { width: 225 });
+
+    doc.fillColor('#666666')
+       .fontSize(9)
+       .font('Helvetica')
+       .text(`Phone: ${buyer.phone || 'N/A'}`, 60, customerTop + 40, { width: 225 });
+
+    if (buyer.email) {
+      doc.text(`Email: ${buyer.email}`, 60, customerTop + 52, { width: 225 });
+    }
+
+    // Delivery address section
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('DELIVERY ADDRESS', 305, customerTop);
+    
+    // Address box
+    doc.rect(305, customerTop + 15, 240, 70)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+    
+    if (invoice.deliveryAddress?.addressLine1 || invoice.deliveryAddress?.city) {
+      const addr = invoice.deliveryAddress;
+      doc.fillColor('#666666')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(addr.addressLine1 || '', 315, customerTop + 25, { width: 220 })
+         .text(addr.addressLine2 || '', 315, customerTop + 37, { width: 220 })
+         .text(`${addr.city || ''}, ${addr.state || ''} - ${addr.pincode || ''}`, 315, customerTop + 49);
+      
+      if (addr.landmark) {
+        doc.text(`Landmark: ${addr.landmark}`, 315, customerTop + 61);
+      }
+    } else {
+      doc.fillColor('#999999')
+         .fontSize(9)
+         .font('Helvetica-Oblique')
+         .text('Address not provided', 315, customerTop + 35);
+    }
+
+    // Order items table
+    const tableTop = customerTop + 120;
+    
+    // Table header
+    doc.rect(50, tableTop, 495, 20)
+       .fillColor('#2E8B57')
+       .fill();
+    
+    doc.fillColor('white')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text('PRODUCT', 60, tableTop + 6)
+       .text('HSN', 235, tableTop + 6, { width: 50 })
+       .text('GST', 285, tableTop + 6, { width: 40, align: 'center' })
+       .text('QTY', 325, tableTop + 6, { width: 55, align: 'center' })
+       .text('UNIT PRICE', 380, tableTop + 6, { width: 65, align: 'right' })
+       .text('TOTAL', 450, tableTop + 6, { width: 80, align: 'right' });
+
+    // Table rows
+    let currentY = tableTop + 25;
+    invoice.items.forEach((item, index) => {
+      // Alternate row colors
+      if (index % 2 === 0) {
+        doc.rect(50, currentY - 5, 495, 20)
+           .fillColor('#F8F9FA')
+           .fill();
+      }
+
+      const productName = item.name || 'Product';
+      const quantity = `${item.quantity} ${item.unit || 'unit'}`;
+      const unitPrice = `₹${item.price.toFixed(2)}`;
+      const total = `₹${(item.quantity * item.price).toFixed(2)}`;
+
+      doc.fillColor('#333333')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(productName, 60, currentY, { width: 170 })
+         .text(item.hsnCode || '-', 235, currentY, { width: 50 })
+         .text(item.gstRate != null ? `${item.gstRate}%` : '-', 285, currentY, { width: 40, align: 'center' })
+         .text(quantity, 325, currentY, { width: 55, align: 'center' })
+         .text(unitPrice, 380, currentY, { width: 65, align: 'right' })
+         .text(total, 450, currentY, { width: 80, align: 'right' });
+
+      currentY += 20;
+    });
+
+    // Table bottom border
+    doc.rect(50, currentY - 5, 495, 1)
+       .fillColor('#E0E0E0')
+       .fill();
+
+    // Totals section
+    const totalsTop = currentY + 20;
+    const subtotal = invoice.subtotal;
+    const discount = invoice.discount || 0;
+    const deliveryFee = invoice.deliveryFee || {};
+    const finalTotal = invoice.total;
+
+    const totalsRows = [['Subtotal:', `₹${subtotal.toFixed(2)}`]];
+    if (discount > 0) {
+      totalsRows.push(['Discount:', `-₹${discount.toFixed(2)}`]);
+    }
+    if (deliveryFee.amount > 0) {
+      totalsRows.push(['Delivery Fee:', `₹${deliveryFee.amount.toFixed(2)}`]);
+    } else if (deliveryFee.freeDeliveryApplied) {
+      totalsRows.push(['Delivery Fee:', 'FREE']);
+    }
+    const rowsHeight = totalsRows.length * 15;
+
+    // Totals box
+    doc.rect(345, totalsTop, 200, 30 + rowsHeight)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica');
+    totalsRows.forEach(([label, value], index) => {
+      doc.text(label, 355, totalsTop + 12 + index * 15)
+         .text(value, 495, totalsTop + 12 + index * 15, { align: 'right', width: 90 });
+    });
+
+    // Separator line
+    doc.moveTo(355, totalsTop + 10 + rowsHeight)
+       .lineTo(525, totalsTop + 10 + rowsHeight)
+       .strokeColor('#CCCCCC')
+       .stroke();
+
+    doc.fillColor('#333333')
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Total Amount:', 355, totalsTop + 17 + rowsHeight)
+       .text(`₹${finalTotal.toFixed(2)}`, 495, totalsTop + 17 + rowsHeight, { align: 'right', width: 90 });
+
+    // Keep a block above the footer, starting a new page when it would not fit
+    const footerLimit = doc.page.height - 110;
+    const fitBlock = (top, height) => {
+      if (top + height <= footerLimit) return top;
+      doc.addPage();
+      return 50;
+    };
+
+    // GST summary per HSN code and rate (prices are tax-inclusive)
+    let nextTop = totalsTop + 50 + rowsHeight;
+    if (tax.summary?.length) {
+      const taxTop = fitBlock(nextTop, 60 + tax.summary.length * 15);
+
+      doc.fillColor('#333333')
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text(`TAX SUMMARY (${tax.supplyType === 'inter_state' ? 'Inter-state: IGST' : 'Intra-state: CGST + SGST'})`, 50, taxTop);
+
+      doc.rect(50, taxTop + 15, 495, 18)
+         .fillColor('#2E8B57')
+         .fill();
+
+      doc.fillColor('white')
+         .fontSize(9)
+         .font('Helvetica-Bold')
+         .text('HSN/SAC', 60, taxTop + 20, { width: 80 })
+         .text('RATE', 150, taxTop + 20, { width: 50, align: 'center' })
+         .text('TAXABLE VALUE', 210, taxTop + 20, { width: 90, align: 'right' })
+         .text('CGST', 310, taxTop + 20, { width: 70, align: 'right' })
+         .text('SGST', 390, taxTop + 20, { width: 70, align: 'right' })
+         .text('IGST', 465, taxTop + 20, { width: 70, align: 'right' });
+
+      let taxY = taxTop + 38;
+      const taxRow = (cells, font) => {
+        doc.fillColor('#333333')
+           .fontSize(9)
+           .font(font)
+           .text(cells[0], 60, taxY, { width: 80 })
+           .text(cells[1], 150, taxY, { width: 50, align: 'center' })
+           .text(cells[2], 210, taxY, { width: 90, align: 'right' })
+           .text(cells[3], 310, taxY, { width: 70, align: 'right' })
+           .text(cells[4], 390, taxY, { width: 70, align: 'right' })
+           .text(cells[5], 465, taxY, { width: 70, align: 'right' });
+        taxY += 15;
+      };
+
+      tax.summary.forEach(row => taxRow([
+        row.hsnCode || '-',
+        `${row.rate}%`,
+        `₹${row.taxableValue.toFixed(2)}`,
+        `₹${row.cgst.toFixed(2)}`,
+        `₹${row.sgst.toFixed(2)}`,
+        `₹${row.igst.toFixed(2)}`
+      ], 'Helvetica'));
+      taxRow([
+        'Total',
+        '',
+        `₹${tax.taxableValue.toFixed(2)}`,
+        `₹${tax.cgst.toFixed(2)}`,
+        `₹${tax.sgst.toFixed(2)}`,
+        `₹${tax.igst.toFixed(2)}`
+      ], 'Helvetica-Bold');
+
+      nextTop = taxY + 15;
+    }
+
+    // Additional information section
+    if (invoice.specialInstructions) {
+      const notesTop = fitBlock(nextTop, 60);
+
+      doc.fillColor('#333333')
+         .fontSize(11)
+         .font('Helvetica-Bold')
+         .text('SPECIAL INSTRUCTIONS', 50, notesTop);
+      
+      doc.rect(50, notesTop + 15, 495, 40)
+         .fillColor('#FFFBF0')
+         .fill()
+         .strokeColor('#FFEBB2')
+         .stroke();
+      
+      doc.fillColor('#666666')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(invoice.specialInstructions, 60, notesTop + 25, { width: 475 });
+    }
+
+    // Footer section
+    const footerTop = doc.page.height - 100;
+    
+    // Footer separator
+    doc.moveTo(50, footerTop)
+       .lineTo(545, footerTop)
+       .strokeColor('#2E8B57')
+       .stroke();
+
+    // Footer content - center aligned greeting message
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text('Thank you for choosing Dairy 9!', 0, footerTop + 15, { align: 'center' });
+
+    doc.fillColor('#666666')
+       .fontSize(8)
+       .font('Helvetica')
+       .text('For any queries regarding this invoice, please contact our support team.', 0, footerTop + 30, { align: 'center' })
+       .text('Email: support@dairy9.com | Phone: +1 (555) 123-4567', 0, footerTop + 43, { align: 'center' })
+       .text(`Invoice generated on ${new Date().toLocaleDateString('en-IN')} at ${new Date().toLocaleTimeString('en-IN', {
+         hour: '2-digit',
+         minute: '2-digit'
+       })}`, 0, footerTop + 56, { align: 'center' })
+       .text('Fresh Dairy Products Delivered Daily', 0, footerTop + 69, { align: 'center' });
+
+    // Terms and conditions (if space permits)
+    if (doc.y < footerTop - 50) {
+      doc.moveDown(2);
+      doc.fillColor('#333333')
+         .fontSize(9)
+         .font('Helvetica-Bold')
+         .text('Terms & Conditions:', 50, doc.y);
+      
+      doc.fillColor('#666666')
+         .fontSize(8)
+         .font('Helvetica')
+         .text('• Prices are inclusive of all applicable taxes', 50, doc.y + 12, { width: 495 })
+         .text('• Goods once sold will not be taken back or exchanged', 50, doc.y + 24, { width: 495 })
+         .text('• Payment due upon receipt of invoice', 50, doc.y + 36, { width: 495 });
+    }
+
+    // Finalize the PDF
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
@@ -0,0 +1,233 @@
+// utils/khataBillPdf.js
+// Renders a monthly khata bill (models/khataBill.model.js) from the lines frozen
+// on the bill, with retailer and customer populated
+import PDFDocument from 'pdfkit';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+const formatAmount = (value = 0) => `${value < 0 ? '-' : ''}₹${Math.abs(value).toFixed(2)}`;
+
+/**
+ * Render a khata bill PDF
+ * @param {Object} bill - KhataBill document with `retailer` (shopName, address, contactNumber)
+ *   and `customer` (personalInfo, user.phone) populated
+ * @returns {Promise<Buffer>}
+ */
+export const renderKhataBillPdf = (bill) => new Promise((resolve, reject) => {
+  try {
+    const retailer = bill.retailer || {};
+    const customer = bill.customer || {};
+    const periodLabel = new Date(bill.periodStart).toLocaleDateString('en-IN', { month: 'long', year: 'numeric' });
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Monthly Bill - ${bill.billNumber}`,
+        Author: 'Dairy 9',
+        Subject: `Khata bill for ${periodLabel}`,
+        Keywords: 'khata, bill, credit, dairy',
+        Creator: 'Dairy 9 System',
+        CreationDate: new Date(bill.createdAt || Date.now())
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Diagonal watermark on every page
+    const addWatermark = () => {
+      const centerX = doc.page.width / 2;
+      const centerY = doc.page.height / 2;
+      doc.save();
+      doc.fillColor('black')
+         .font('Helvetica-Bold')
+         .fontSize(150)
+         .opacity(0.05)
+         .rotate(-30, { origin: [centerX, centerY] })
+         .text('DAIRY 9', centerX - 200, centerY - 30, { align: 'center', width: 400 })
+         .rotate(30, { origin: [centerX, centerY] });
+      doc.restore();
+    };
+    doc.on('pageAdded', addWatermark);
+    addWatermark();
+
+    // Header
+    doc.fillColor('#87CEEB')
+       .fontSize(28)
+       .font('Courier-Bold')
+       .text('DAIRY 9', 50, 50);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(retailer.shopName || 'Fresh Dairy Products Delivered Daily', 50, 85)
+       .text(retailer.address || '', 50, 100, { width: 300 })
+       .text(retailer.contactNumber ? `Phone: ${retailer.contactNumber}` : '', 50, 115);
+
+    doc.fillColor('#333333')
+       .fontSize(24)
+       .font('Helvetica-Bold')
+       .text('MONTHLY BILL', 0, 150, { align: 'center' });
+
+    doc.fillColor('#2E8B57')
+       .fontSize(12)
+       .font('Helvetica-Oblique')
+       .text(`Khata statement for ${periodLabel}`, 0, 180, { align: 'center' });
+
+    doc.moveTo(50, 205)
+       .lineTo(545, 205)
+       .lineWidth(1)
+       .strokeColor('#2E8B57')
+       .stroke();
+
+    // Bill details and customer
+    const detailsTop = 220;
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('BILL DETAILS', 50, detailsTop)
+       .text('BILL TO', 320, detailsTop);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(`Bill Number: ${bill.billNumber}`, 50, detailsTop + 20, { width: 240 })
+       .text(`Period: ${formatDate(bill.periodStart)} - ${formatDate(bill.periodEnd)}`, 50, detailsTop + 35, { width: 240 })
+       .text(`Due Date: ${bill.dueDate ? formatDate(bill.dueDate) : '-'}`, 50, detailsTop + 50, { width: 240 })
+       .text(`Status: ${bill.status.replace(/_/g, ' ').toUpperCase()}`, 50, detailsTop + 65, { width: 240 });
+
+    doc.fillColor('#333333')
+       .font('Helvetica-Bold')
+       .text(customer.personalInfo?.fullName || 'Customer', 320, detailsTop + 20, { width: 225 });
+    doc.fillColor('#666666')
+       .font('Helvetica')
+       .text(`Phone: ${customer.user?.phone || 'N/A'}`, 320, detailsTop + 35, { width: 225 });
+
+    // Entries table
+    const footerLimit = doc.page.height - 120;
+    const drawTableHeader = (top) => {
+      doc.rect(50, top, 495, 20)
+         .fillColor('#2E8B57')
+         .fill();
+      doc.fillColor('white')
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text('DATE', 60, top + 6, { width: 80 })
+         .text('DESCRIPTION', 145, top + 6, { width: 280 })
+         .text('AMOUNT', 430, top + 6, { width: 105, align: 'right' });
+      return top + 25;
+    };
+
+    let currentY = drawTableHeader(detailsTop + 100);
+    doc.fillColor('#333333')
+       .fontSize(9)
+       .font('Helvetica-Oblique')
+       .text('Opening balance', 145, currentY, { width: 280 })
+       .text(formatAmount(bill.openingBalance), 430, currentY, { width: 105, align: 'right' });
+    currentY += 20;
+
+    bill.lines.forEach((line, index) => {
+      if (currentY + 20 > footerLimit) {
+        doc.addPage();
+        currentY = drawTableHeader(50);
+      }
+      if (index % 2 === 0) {
+        doc.rect(50, currentY - 5, 495, 20)
+           .fillColor('#F8F9FA')
+           .fill();
+      }
+
+      const description = line.type === 'payment'
+        ? `${line.description || 'Payment received'}${line.method ? ` (${line.method.replace(/_/g, ' ')})` : ''}${line.reference ? ` - ${line.reference}` : ''}`
+        : line.description || line.orderId || '-';
+
+      doc.fillColor(line.type === 'charge' ? '#333333' : '#2E8B57')
+         .fontSize(9)
+         .font('Helvetica')
+         .text(formatDate(line.date), 60, currentY, { width: 80 })
+         .text(description, 145, currentY, { width: 280 })
+         .text(formatAmount(line.amount), 430, currentY, { width: 105, align: 'right' });
+      currentY += 20;
+    });
+
+    doc.rect(50, currentY - 5, 495, 1)
+       .fillColor('#E0E0E0')
+       .fill();
+
+    // Summary box
+    const rows = [
+      ['Opening balance:', formatAmount(bill.openingBalance)],
+      ['Deliveries:', formatAmount(bill.charges)],
+      ['Payments received:', formatAmount(-bill.payments)],
+      ['Returns & adjustments:', formatAmount(bill.adjustments)],
+      ['Closing balance:', formatAmount(bill.closingBalance)]
+    ];
+    const boxHeight = 40 + rows.length * 15;
+    let summaryTop = currentY + 20;
+    if (summaryTop + boxHeight > footerLimit) {
+      doc.addPage();
+      summaryTop = 50;
+    }
+
+    doc.rect(305, summaryTop, 240, boxHeight)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica');
+    rows.forEach(([label, value], index) => {
+      doc.text(label, 315, summaryTop + 12 + index * 15)
+         .text(value, 435, summaryTop + 12 + index * 15, { align: 'right', width: 100 });
+    });
+
+    const dueTop = summaryTop + 17 + rows.length * 15;
+    doc.moveTo(315, dueTop - 5)
+       .lineTo(535, dueTop - 5)
+       .strokeColor('#CCCCCC')
+       .stroke();
+    doc.fillColor('#333333')
+       .fontSize(12)
+       .font('Helvetica-Bold')
+       .text('Amount Due:', 315, dueTop)
+       .text(formatAmount(bill.amountDue), 435, dueTop, { align: 'right', width: 100 });
+
+    if (bill.dueDate && bill.amountDue > 0) {
+      doc.fillColor('#F44336')
+         .fontSize(10)
+         .font('Helvetica-Bold')
+         .text(`Please pay by ${formatDate(bill.dueDate)}`, 50, summaryTop + 12, { width: 240 });
+    }
+
+    // Footer
+    const footerTop = doc.page.height - 110;
+    doc.moveTo(50, footerTop)
+       .lineTo(545, footerTop)
+       .strokeColor('#2E8B57')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica-Bold')
+       .text('Thank you for choosing Dairy 9!', 0, footerTop + 15, { align: 'center' });
+
+    doc.fillColor('#666666')
+       .fontSize(8)
+       .font('Helvetica')
+       .text('Payments received after the bill date appear on next month\'s bill.', 0, footerTop + 30, { align: 'center' })
+       .text('Email: support@dairy9.com | Phone: +1 (555) 123-4567', 0, footerTop + 43, { align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
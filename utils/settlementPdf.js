@@ -0,0 +1,176 @@
+// utils/settlementPdf.js
+// Renders a retailer settlement statement (models/settlement.model.js) with the
+// retailer populated
+import PDFDocument from 'pdfkit';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+}) : '-');
+
+const formatAmount = (value = 0) => `${value < 0 ? '-' : ''}₹${Math.abs(value).toFixed(2)}`;
+
+// Table columns: [header, line field or formatter, x, width, align]
+const COLUMNS = [
+  ['DATE', line => formatDate(line.deliveredAt), 50, 55, 'left'],
+  ['ORDER', line => (line.type === 'refund_adjustment' ? `${line.orderId} (refund)` : line.orderId), 105, 95, 'left'],
+  ['METHOD', line => line.paymentMethod || '-', 200, 40, 'left'],
+  ['GROSS', line => formatAmount(line.gross), 240, 50, 'right'],
+  ['ONLINE', line => formatAmount(line.platformCollected), 290, 50, 'right'],
+  ['AT SHOP', line => formatAmount(line.retailerCollected), 340, 50, 'right'],
+  ['REFUNDS', line => formatAmount(line.refunds), 390, 50, 'right'],
+  ['COMM.', line => `${formatAmount(line.commission)}\n${line.rate}%`, 440, 50, 'right'],
+  ['NET', line => formatAmount(line.net), 490, 55, 'right']
+];
+
+/**
+ * Render a settlement statement PDF
+ * @param {Object} settlement - Settlement document with `retailer` (shopName, address, contactNumber) populated
+ * @returns {Promise<Buffer>}
+ */
+export const renderSettlementPdf = (settlement) => new Promise((resolve, reject) => {
+  try {
+    const retailer = settlement.retailer || {};
+    const totals = settlement.totals || {};
+
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Settlement - ${settlement.settlementId}`,
+        Author: 'Dairy 9',
+        Subject: 'Retailer settlement statement',
+        Keywords: 'settlement, payout, commission, dairy',
+        Creator: 'Dairy 9 System',
+        CreationDate: new Date(settlement.createdAt || Date.now())
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fillColor('#87CEEB')
+       .fontSize(28)
+       .font('Courier-Bold')
+       .text('DAIRY 9', 50, 50);
+
+    doc.fillColor('#333333')
+       .fontSize(20)
+       .font('Helvetica-Bold')
+       .text('SETTLEMENT STATEMENT', 0, 95, { align: 'center' });
+
+    doc.moveTo(50, 125)
+       .lineTo(545, 125)
+       .lineWidth(1)
+       .strokeColor('#2E8B57')
+       .stroke();
+
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text('RETAILER', 50, 140)
+       .text('STATEMENT', 320, 140);
+
+    doc.fillColor('#666666')
+       .fontSize(10)
+       .font('Helvetica')
+       .text(retailer.shopName || '-', 50, 158, { width: 240 })
+       .text(retailer.address || '', 50, 173, { width: 240 })
+       .text(retailer.contactNumber ? `Phone: ${retailer.contactNumber}` : '', 50, 200, { width: 240 })
+       .text(`Statement: ${settlement.settlementId}`, 320, 158, { width: 225 })
+       .text(`Period: ${formatDate(settlement.periodStart)} - ${formatDate(settlement.periodEnd)}`, 320, 173, { width: 225 })
+       .text(`Status: ${settlement.status.toUpperCase()}${settlement.payout?.paidAt ? ` on ${formatDate(settlement.payout.paidAt)}` : ''}`, 320, 188, { width: 225 });
+    if (settlement.payout?.reference) {
+      doc.text(`Reference: ${settlement.payout.reference}`, 320, 203, { width: 225 });
+    }
+
+    // Lines
+    const footerLimit = doc.page.height - 105;
+    const drawHeader = (top) => {
+      doc.rect(50, top, 495, 18)
+         .fillColor('#2E8B57')
+         .fill();
+      doc.fillColor('white')
+         .fontSize(7)
+         .font('Helvetica-Bold');
+      COLUMNS.forEach(([label, , x, width, align]) => {
+        doc.text(label, x + 2, top + 6, { width: width - 4, align });
+      });
+      return top + 22;
+    };
+
+    let currentY = drawHeader(230);
+    settlement.lines.forEach((line, index) => {
+      if (currentY + 22 > footerLimit) {
+        doc.addPage();
+        currentY = drawHeader(50);
+      }
+      if (index % 2 === 0) {
+        doc.rect(50, currentY - 3, 495, 22)
+           .fillColor('#F8F9FA')
+           .fill();
+      }
+      doc.fillColor(line.net < 0 ? '#C62828' : '#333333')
+         .fontSize(7)
+         .font('Helvetica');
+      COLUMNS.forEach(([, value, x, width, align]) => {
+        doc.text(value(line), x + 2, currentY, { width: width - 4, align });
+      });
+      currentY += 22;
+    });
+
+    // Totals
+    const rows = [
+      ['Orders settled:', String(totals.orders || 0)],
+      ['Gross sales:', formatAmount(totals.gross)],
+      ['Collected online by platform:', formatAmount(totals.platformCollected)],
+      ['Collected by retailer (cash/khata/UPI):', formatAmount(totals.retailerCollected)],
+      ['Refunds paid by platform:', `-${formatAmount(totals.refunds)}`],
+      ['Platform commission:', `-${formatAmount(totals.commission)}`]
+    ];
+    const boxHeight = 40 + rows.length * 15;
+    let summaryTop = currentY + 15;
+    if (summaryTop + boxHeight > footerLimit) {
+      doc.addPage();
+      summaryTop = 50;
+    }
+
+    doc.rect(265, summaryTop, 280, boxHeight)
+       .fillColor('#F8F9FA')
+       .fill()
+       .strokeColor('#E0E0E0')
+       .stroke();
+
+    doc.fillColor('#666666')
+       .fontSize(9)
+       .font('Helvetica');
+    rows.forEach(([label, value], index) => {
+      doc.text(label, 275, summaryTop + 10 + index * 15, { width: 170 })
+         .text(value, 445, summaryTop + 10 + index * 15, { width: 90, align: 'right' });
+    });
+
+    const netTop = summaryTop + 15 + rows.length * 15;
+    const net = totals.netPayable || 0;
+    doc.fillColor('#333333')
+       .fontSize(11)
+       .font('Helvetica-Bold')
+       .text(net < 0 ? 'Payable by retailer:' : 'Payable to retailer:', 275, netTop, { width: 170 })
+       .text(formatAmount(Math.abs(net)), 445, netTop, { width: 90, align: 'right' });
+
+    // Footer
+    const footerTop = doc.page.height - 95;
+    doc.fillColor('#666666')
+       .fontSize(8)
+       .font('Helvetica')
+       .text('Net = collected online - refunds paid by the platform - commission. Cash, khata and UPI QR payments collected by the shop stay with the shop.', 50, footerTop, { width: 495, align: 'center' })
+       .text(`Generated on ${new Date().toLocaleDateString('en-IN')}`, 50, footerTop + 22, { width: 495, align: 'center' });
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
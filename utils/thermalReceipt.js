@@ -0,0 +1,239 @@
+// utils/thermalReceipt.js
+// Counter receipts for 58mm/80mm thermal printers. The receipt is laid out once as
+// fixed-width text lines, then written either as ESC/POS bytes for the printer or
+// as a narrow PDF in a monospaced font, so both outputs look the same.
+import PDFDocument from 'pdfkit';
+import sharp from 'sharp';
+
+// columns: characters per line in the printer's default font; dots: printable width
+export const PAPER_WIDTHS = {
+  58: { columns: 32, points: 164, dots: 384 },
+  80: { columns: 48, points: 227, dots: 576 }
+};
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Thermal printer code pages have no rupee sign or Indic glyphs
+const toAscii = (text = '') => String(text).replace(/₹/g, 'Rs.').replace(/[^\x20-\x7E]/g, '?');
+
+const money = (amount) => (amount || 0).toFixed(2);
+
+const wrap = (text, columns) => {
+  const lines = [];
+  let line = '';
+  toAscii(text).split(/\s+/).filter(Boolean).forEach(word => {
+    while (word.length > columns) {
+      if (line) { lines.push(line); line = ''; }
+      lines.push(word.slice(0, columns));
+      word = word.slice(columns);
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= columns) line += ` ${word}`;
+    else { lines.push(line); line = word; }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Left text and right text on one line, the left side cut to make room
+const spread = (left, right, columns) => {
+  const rightText = toAscii(right);
+  const leftText = toAscii(left).slice(0, Math.max(columns - rightText.length - 1, 0));
+  return leftText + ' '.repeat(columns - leftText.length - rightText.length) + rightText;
+};
+
+const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Lay the receipt out as printable entries
+ * @returns {Array<{ type: 'text'|'rule'|'qr'|'feed', text?: string, align?: string, bold?: boolean, large?: boolean }>}
+ */
+const layout = (receipt, columns) => {
+  const entries = [];
+  const text = (value, options = {}) => entries.push({ type: 'text', text: value, align: 'left', ...options });
+  const center = (value, options = {}) => wrap(value, options.large ? Math.floor(columns / 2) : columns)
+    .forEach(line => text(line, { align: 'center', ...options }));
+  const rule = () => entries.push({ type: 'rule' });
+
+  center(receipt.shop.name, { bold: true, large: true });
+  if (receipt.shop.address) center(receipt.shop.address);
+  if (receipt.shop.phone) center(`Ph: ${receipt.shop.phone}`);
+  if (receipt.shop.gstin) center(`GSTIN: ${receipt.shop.gstin}`);
+  rule();
+
+  text(spread('Order', receipt.orderId, columns));
+  if (receipt.invoiceNumber) text(spread('Invoice', receipt.invoiceNumber, columns));
+  text(spread('Date', formatDate(receipt.date), columns));
+  rule();
+
+  text(spread('Item', 'Amount', columns), { bold: true });
+  receipt.items.forEach(item => {
+    wrap(item.unit ? `${item.name} (${item.unit})` : item.name, columns).forEach(line => text(line));
+    const rate = item.originalPrice != null
+      ? `  ${item.quantity} x ${money(item.price)} (MRP ${money(item.originalPrice)})`
+      : `  ${item.quantity} x ${money(item.price)}`;
+    text(spread(rate, money(item.total), columns));
+  });
+  rule();
+
+  text(spread('Subtotal', money(receipt.subtotal), columns));
+  if (receipt.discount > 0) text(spread('Discount', `-${money(receipt.discount)}`, columns));
+  if (receipt.deliveryFee > 0) text(spread('Delivery', money(receipt.deliveryFee), columns));
+  text(spread('TOTAL', `Rs.${money(receipt.total)}`, columns), { bold: true });
+  if (receipt.totalTax > 0) text(spread('  Incl. GST', money(receipt.totalTax), columns));
+  text(spread('Paid by', `${(receipt.paymentMethod || 'cash').toUpperCase()}${receipt.paymentStatus === 'paid' ? '' : ` (${receipt.paymentStatus})`}`, columns));
+  rule();
+
+  entries.push({ type: 'qr' });
+  center('Scan to view your order');
+  center('Thank you for shopping with us!', { bold: true });
+  entries.push({ type: 'feed' });
+  return entries;
+};
+
+/**
+ * QR code as an ESC/POS raster image (GS v 0), one bit per dot
+ */
+const qrRaster = async (qrCode, size) => {
+  const png = Buffer.from(qrCode.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  const { data } = await sharp(png)
+    .resize(size, size, { kernel: 'nearest' })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const bytesPerRow = size / 8;
+  const bits = Buffer.alloc(bytesPerRow * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (data[y * size + x] < 128) bits[y * bytesPerRow + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, bytesPerRow & 0xff, bytesPerRow >> 8, size & 0xff, size >> 8]),
+    bits
+  ]);
+};
+
+/**
+ * Raw ESC/POS bytes, ready to send to the printer
+ * @param {Object} receipt - From receiptService.build()
+ * @param {{ width?: 58|80 }} opts
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptEscPos = async (receipt, { width = 80 } = {}) => {
+  const paper = PAPER_WIDTHS[width];
+  const chunks = [Buffer.from([ESC, 0x40])]; // initialise
+
+  for (const entry of layout(receipt, paper.columns)) {
+    switch (entry.type) {
+      case 'text':
+        chunks.push(Buffer.from([
+          ESC, 0x61, entry.align === 'center' ? 1 : 0,
+          ESC, 0x45, entry.bold ? 1 : 0,
+          GS, 0x21, entry.large ? 0x11 : 0x00
+        ]));
+        chunks.push(Buffer.from(`${entry.text}\n`, 'ascii'));
+        break;
+      case 'rule':
+        chunks.push(Buffer.from([ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0]));
+        chunks.push(Buffer.from(`${'-'.repeat(paper.columns)}\n`, 'ascii'));
+        break;
+      case 'qr':
+        chunks.push(Buffer.from([ESC, 0x61, 1]));
+        chunks.push(await qrRaster(receipt.qrCode, width === 58 ? 192 : 240));
+        chunks.push(Buffer.from('\n', 'ascii'));
+        break;
+      case 'feed':
+        chunks.push(Buffer.from([ESC, 0x64, 4])); // feed 4 lines
+        break;
+      default:
+        break;
+    }
+  }
+
+  chunks.push(Buffer.from([GS, 0x56, 0x42, 0x00])); // partial cut
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Receipt as a PDF page the width of the paper roll (and as long as the receipt)
+ * @param {Object} receipt - From receiptService.build()
+ * @param {{ width?: 58|80 }} opts
+ * @returns {Promise<Buffer>}
+ */
+export const renderReceiptPdf = (receipt, { width = 80 } = {}) => new Promise((resolve, reject) => {
+  try {
+    const paper = PAPER_WIDTHS[width];
+    const margin = 6;
+    const printable = paper.points - margin * 2;
+    // Courier glyphs are 0.6em wide: size the font so a full line fills the paper
+    const fontSize = printable / (paper.columns * 0.6);
+    const lineHeight = fontSize * 1.25;
+    const qrSize = width === 58 ? 96 : 120;
+
+    const entries = layout(receipt, paper.columns);
+    const height = entries.reduce((total, entry) => {
+      if (entry.type === 'qr') return total + qrSize + 4;
+      if (entry.type === 'feed') return total + lineHeight;
+      return total + (entry.large ? lineHeight * 2 : lineHeight);
+    }, margin * 2);
+
+    const doc = new PDFDocument({
+      size: [paper.points, height],
+      margin,
+      info: {
+        Title: `Receipt - ${receipt.orderId}`,
+        Author: 'Dairy 9',
+        Creator: 'Dairy 9 System'
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    let y = margin;
+    entries.forEach(entry => {
+      switch (entry.type) {
+        case 'text':
+          doc.font(entry.bold ? 'Courier-Bold' : 'Courier')
+             .fontSize(entry.large ? fontSize * 2 : fontSize)
+             .fillColor('#000000')
+             .text(entry.text, margin, y, { width: printable, align: entry.align, lineBreak: false });
+          y += entry.large ? lineHeight * 2 : lineHeight;
+          break;
+        case 'rule':
+          doc.moveTo(margin, y + lineHeight / 2)
+             .lineTo(paper.points - margin, y + lineHeight / 2)
+             .dash(2, { space: 2 })
+             .strokeColor('#000000')
+             .lineWidth(0.5)
+             .stroke()
+             .undash();
+          y += lineHeight;
+          break;
+        case 'qr':
+          doc.image(receipt.qrCode, (paper.points - qrSize) / 2, y, { width: qrSize, height: qrSize });
+          y += qrSize + 4;
+          break;
+        default:
+          y += lineHeight;
+          break;
+      }
+    });
+
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});